@@ -0,0 +1,54 @@
+const settingService = require('../services/settingService');
+const { optionalAuth } = require('./auth');
+
+// Paths that keep working during maintenance: health checks, gateway and
+// carrier webhooks, signing in (so admins can reach the console) and the
+// public settings the storefront's maintenance screen polls
+const EXEMPT_PATHS = [
+  '/api/health',
+  '/api/payments/webhooks',
+  '/api/shipments/webhooks',
+  '/api/auth/login',
+  '/api/auth/logout',
+  '/api/auth/me',
+  '/api/settings/public'
+];
+
+const isExempt = (path) => EXEMPT_PATHS.some(exempt => path === exempt || path.startsWith(`${exempt}/`));
+
+// IPv4 clients show up as IPv6-mapped addresses on dual-stack sockets
+const normalizeIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+// Answer API requests with a 503 while maintenance mode is on. Admins and
+// the allowed IPs get through; behind a proxy, req.ip is only the client's
+// address if Express is told to trust it.
+exports.maintenance = async (req, res, next) => {
+  try {
+    const settings = await settingService.get('general');
+    if (!settings.maintenanceMode || isExempt(req.originalUrl.split('?')[0])) {
+      return next();
+    }
+
+    if (settings.maintenanceAllowedIps.includes(normalizeIp(req.ip))) {
+      return next();
+    }
+
+    await new Promise(resolve => optionalAuth(req, res, resolve));
+    if (req.user && req.user.role === 'admin') {
+      return next();
+    }
+
+    const retryAfter = Math.round(settings.maintenanceRetryMinutes * 60);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(503).json({
+      success: false,
+      maintenance: true,
+      message: settings.maintenanceMessage,
+      retryAfter
+    });
+  } catch (error) {
+    // Not being able to read the settings should not take the API down
+    console.error('Maintenance check error:', error);
+    next();
+  }
+};
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Admin-managed brand. Products name their brand as text (Product.brand), so
+// a brand is matched to its products by name.
+const brandSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Brand name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Brand name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Brand description cannot exceed 500 characters']
+  },
+  logo: String,
+  website: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Generate the slug before validation, which would otherwise reject it as missing
+brandSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.slug = this.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/(^-|-$)/g, '');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Brand', brandSchema);
@@ -43,6 +43,13 @@ const categorySchema = new mongoose.Schema({
     min: 0,
     max: 3 // Maximum 3 levels deep
   },
+  // Tax class products in this category are taxed under (see TaxZone rates)
+  taxClass: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'standard'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -97,16 +104,20 @@ categorySchema.index({ isFeatured: 1 });
 categorySchema.index({ sortOrder: 1 });
 categorySchema.index({ name: 'text', description: 'text' });
 
-// Pre-save middleware to generate slug and set level
-categorySchema.pre('save', async function(next) {
-  // Generate slug from name if not provided
+// Generate the slug before validation, which runs ahead of the pre-save
+// hooks and would otherwise reject the missing field
+categorySchema.pre('validate', function(next) {
   if (this.isModified('name') && !this.slug) {
     this.slug = this.name
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, '-')
       .replace(/(^-|-$)/g, '');
   }
-  
+  next();
+});
+
+// Pre-save middleware to set level
+categorySchema.pre('save', async function(next) {
   // Set level based on parent
   if (this.parent) {
     const parent = await mongoose.model('Category').findById(this.parent);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Vendor = require('./Vendor');
+
+// Admin-managed commission rule. A rule applies to an order line when every
+// condition it sets matches (empty lists match anything); the commission is
+// a percentage of the line's base plus a fixed fee per line.
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Commission rule name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // A category also covers its subcategories
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  vendorTiers: [{
+    type: String,
+    enum: Vendor.TIERS
+  }],
+  percentage: {
+    type: Number,
+    required: [true, 'Commission percentage is required'],
+    min: [0, 'Commission percentage cannot be negative'],
+    max: [100, 'Commission percentage cannot exceed 100%']
+  },
+  fixedFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fixed fee cannot be negative']
+  },
+  // Whether the line's tax and its share of the order's shipping count
+  // towards the base the percentage is taken from
+  includeTax: {
+    type: Boolean,
+    default: false
+  },
+  includeShipping: {
+    type: Boolean,
+    default: false
+  },
+  // Optional window, e.g. for promotional rates; matched on the order date
+  startsAt: Date,
+  endsAt: Date,
+  // Breaks ties between equally specific rules
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+commissionRuleSchema.index({ isActive: 1 });
+
+commissionRuleSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Method to check whether the rule is in effect on a date
+commissionRuleSchema.methods.isActiveOn = function(date) {
+  if (!this.isActive) return false;
+  if (this.startsAt && date < this.startsAt) return false;
+  if (this.endsAt && date > this.endsAt) return false;
+  return true;
+};
+
+// Method to check whether the rule covers a line. categoryPath is the
+// product's category ids from its own category up to the root.
+commissionRuleSchema.methods.matches = function({ product, categoryPath, tier }) {
+  if (this.products.length > 0 && !this.products.some(id => id.equals(product))) return false;
+  if (this.categories.length > 0 && !this.categories.some(id => categoryPath.some(categoryId => id.equals(categoryId)))) return false;
+  if (this.vendorTiers.length > 0 && !this.vendorTiers.includes(tier)) return false;
+  return true;
+};
+
+// Product rules beat category rules beat tier rules; a date window makes a
+// rule more specific than an open-ended one with the same conditions
+commissionRuleSchema.virtual('specificity').get(function() {
+  return (this.products.length > 0 ? 8 : 0) +
+    (this.categories.length > 0 ? 4 : 0) +
+    (this.vendorTiers.length > 0 ? 2 : 0) +
+    (this.startsAt || this.endsAt ? 1 : 0);
+});
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
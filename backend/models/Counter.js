@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Named monotonically increasing counters (services/sequenceService). The
+// name is the document id so each counter is a single atomic $inc.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Document the current value was drawn for and not yet stored on
+  // (sequenceService.issueNumber); no further value is drawn meanwhile
+  pending: mongoose.Schema.Types.ObjectId
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Coupon code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Set for vendor-scoped coupons, which only discount that vendor's items;
+  // left empty for platform-wide coupons
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    default: 'percentage'
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Caps a percentage discount
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Spend on eligible items required before the coupon applies
+  minimumSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Empty lists make every product eligible
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  startsAt: Date,
+  expiresAt: Date,
+  usageLimit: {
+    type: Number,
+    min: 1 // Total redemptions; unlimited when empty
+  },
+  usageLimitPerCustomer: {
+    type: Number,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  redemptions: [{
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    orderGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderGroup'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+couponSchema.index({ vendor: 1 });
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// Method to count how many times a customer has redeemed this coupon
+couponSchema.methods.timesUsedBy = function(customerId) {
+  return this.redemptions.filter(r => r.customer && r.customer.toString() === customerId.toString()).length;
+};
+
+// Method to check whether a product (with vendor and category) is discounted
+couponSchema.methods.appliesTo = function(product) {
+  const vendorId = product.vendor?._id || product.vendor;
+  const categoryId = product.category?._id || product.category;
+
+  if (this.vendor && this.vendor.toString() !== vendorId.toString()) return false;
+
+  if (this.products.length === 0 && this.categories.length === 0) return true;
+
+  return this.products.some(id => id.toString() === product._id.toString()) ||
+    this.categories.some(id => categoryId && id.toString() === categoryId.toString());
+};
+
+// Method to calculate the discount on a given eligible subtotal
+couponSchema.methods.calculateDiscount = function(eligibleSubtotal) {
+  let discount = this.discountType === 'percentage'
+    ? (eligibleSubtotal * this.value) / 100
+    : this.value;
+
+  if (this.discountType === 'percentage' && this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, eligibleSubtotal) * 100) / 100;
+};
+
+// Static to record a redemption. The limits are part of the update filter so
+// two checkouts racing for the last use cannot both get it. Resolves to false
+// when a limit has been reached.
+couponSchema.statics.redeem = async function(coupon, customerId, orderGroupId) {
+  const filter = { _id: coupon._id, isActive: true };
+
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  if (coupon.usageLimitPerCustomer) {
+    filter.$expr = {
+      $lt: [
+        {
+          $size: {
+            $filter: {
+              input: '$redemptions',
+              cond: { $eq: ['$$this.customer', new mongoose.Types.ObjectId(customerId)] }
+            }
+          }
+        },
+        coupon.usageLimitPerCustomer
+      ]
+    };
+  }
+
+  const result = await this.updateOne(filter, {
+    $inc: { usedCount: 1 },
+    $push: { redemptions: { customer: customerId, orderGroup: orderGroupId } }
+  });
+
+  return result.modifiedCount === 1;
+};
+
+// Static to undo a redemption when the checkout it belonged to fails
+couponSchema.statics.releaseRedemption = async function(couponId, orderGroupId) {
+  await this.updateOne(
+    { _id: couponId, 'redemptions.orderGroup': orderGroupId },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { orderGroup: orderGroupId } }
+    }
+  );
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Tax invoice issued for one vendor sub-order. The seller's details are copied
+// in when the invoice is issued so later profile edits do not change it.
+const invoiceSchema = new mongoose.Schema({
+  // Assigned right after the invoice is claimed for its order (see documentService)
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    businessName: String,
+    taxId: String,
+    email: String,
+    phone: String,
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String
+    }
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Identifies the request that created the invoice until it is numbered
+  claimToken: String
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ vendor: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Accounts of the platform's vendor ledger. vendor_pending and vendor_available
+// are what the platform owes a vendor (funds still clearing and funds that can
+// be paid out); the others are the platform's side of each movement.
+const ACCOUNTS = [
+  'customer_funds',
+  'commission_revenue',
+  'vendor_pending',
+  'vendor_available',
+  'payouts_in_transit',
+  'platform_bank'
+];
+
+const TRANSACTION_TYPES = ['sale', 'release', 'refund', 'chargeback', 'payout', 'payout_reversal', 'payout_paid'];
+
+// One balanced double-entry journal transaction for a single vendor. Entries
+// are never edited; corrections are posted as new transactions.
+const ledgerTransactionSchema = new mongoose.Schema({
+  // Idempotency key, e.g. sale:<orderId>; posting the same key twice is a no-op
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  description: String,
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  entries: [{
+    _id: false,
+    account: {
+      type: String,
+      enum: ACCOUNTS,
+      required: true
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  // Sales only: when the held funds clear, and when they were released
+  availableAt: Date,
+  releasedAt: Date,
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ledgerTransactionSchema.index({ vendor: 1, createdAt: 1 });
+ledgerTransactionSchema.index({ order: 1, type: 1 });
+ledgerTransactionSchema.index({ type: 1, releasedAt: 1, availableAt: 1 });
+
+// Every transaction must balance to the cent
+ledgerTransactionSchema.pre('validate', function(next) {
+  const cents = (field) => this.entries.reduce((sum, entry) => sum + Math.round(entry[field] * 100), 0);
+
+  if (this.entries.length < 2) {
+    this.invalidate('entries', 'A ledger transaction needs at least two entries');
+  } else if (cents('debit') !== cents('credit')) {
+    this.invalidate('entries', 'Ledger transaction debits and credits do not balance');
+  }
+  next();
+});
+
+ledgerTransactionSchema.statics.ACCOUNTS = ACCOUNTS;
+ledgerTransactionSchema.statics.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+module.exports = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
@@ -1,4 +1,50 @@
 const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+const sequenceService = require('../services/sequenceService');
+const commissionService = require('../services/commissionService');
+
+// A cancellation hands back the stock and sales the order took and refunds
+// any captured payment before both parties are told
+const CANCEL_EFFECTS = ['restock', 'reverseSales', 'refund', 'notifyCustomer', 'notifyVendor'];
+
+// Order status graph: for each current status, the statuses it may move to,
+// the roles allowed to make that move and the side effects it triggers
+// (run by services/orderStatusService). The `system` role covers changes
+// derived automatically, e.g. from shipment tracking. Delivery credits the
+// vendor's ledger account (services/ledgerService).
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: { roles: ['vendor', 'admin'], effects: ['notifyCustomer'] },
+    processing: { roles: ['vendor', 'admin'], effects: [] },
+    cancelled: { roles: ['customer', 'vendor', 'admin'], effects: CANCEL_EFFECTS }
+  },
+  confirmed: {
+    processing: { roles: ['vendor', 'admin'], effects: [] },
+    cancelled: { roles: ['customer', 'vendor', 'admin'], effects: CANCEL_EFFECTS }
+  },
+  processing: {
+    partially_shipped: { roles: ['system'], effects: ['notifyCustomer'] },
+    shipped: { roles: ['vendor', 'admin', 'system'], effects: ['notifyCustomer'] },
+    cancelled: { roles: ['vendor', 'admin'], effects: CANCEL_EFFECTS }
+  },
+  // Only reached from shipments (services/shipmentService), never set by hand
+  partially_shipped: {
+    shipped: { roles: ['system'], effects: ['notifyCustomer'] }
+  },
+  shipped: {
+    delivered: { roles: ['vendor', 'admin', 'system'], effects: ['creditVendor', 'notifyCustomer'] },
+    returned: { roles: ['admin'], effects: ['notifyCustomer', 'notifyVendor'] }
+  },
+  // `system` marks an order returned once return requests cover every unit
+  delivered: {
+    returned: { roles: ['admin', 'system'], effects: ['notifyCustomer', 'notifyVendor'] }
+  },
+  // Only an admin can reopen a cancelled order, and only if the stock is still there
+  cancelled: {
+    pending: { roles: ['admin'], effects: ['reserveStock', 'recordSales', 'notifyCustomer', 'notifyVendor'] }
+  },
+  returned: {}
+};
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -16,6 +62,11 @@ const orderSchema = new mongoose.Schema({
     ref: 'Vendor',
     required: true
   },
+  // Checkout this vendor sub-order was placed in
+  orderGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderGroup'
+  },
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
@@ -42,13 +93,49 @@ const orderSchema = new mongoose.Schema({
     },
     variant: {
       name: String,
-      value: String
+      value: String,
+      sku: String // Option SKU the line was resolved from
     },
     sku: String,
     subtotal: {
       type: Number,
       required: true,
       min: 0
+    },
+    // Share of the order's coupon discount carried by this line
+    discount: {
+      type: Number,
+      default: 0
+    },
+    // Units actually taken from stock at checkout (0 when untracked or backordered)
+    stockReserved: Number,
+    // Units counted in the product's sales counters (unset on older orders)
+    salesRecorded: Number,
+    // Units the vendor cancelled before shipping; they are not shipped or returned
+    cancelledQuantity: {
+      type: Number,
+      default: 0
+    },
+    tax: {
+      taxClass: String,
+      rate: Number, // Percentage
+      amount: {
+        type: Number,
+        default: 0
+      }
+    },
+    // Commission charged on the line and the rule it came from
+    // (services/commissionService); no rule means the vendor's own rate
+    commission: {
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommissionRule'
+      },
+      ruleName: String,
+      percentage: Number,
+      fixedFee: Number,
+      base: Number,
+      amount: Number
     }
   }],
   pricing: {
@@ -76,7 +163,20 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 0
-    }
+    },
+    // Item prices already include the tax, so it is not added to the total
+    taxInclusive: {
+      type: Boolean,
+      default: false
+    },
+    taxBreakdown: [{
+      _id: false,
+      zone: String,
+      taxClass: String,
+      rate: Number,
+      taxable: Number,
+      amount: Number
+    }]
   },
   shippingAddress: {
     firstName: {
@@ -134,11 +234,16 @@ const orderSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'partially_refunded'],
+      enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'partially_refunded', 'disputed'],
       default: 'pending'
     },
+    gateway: {
+      type: String,
+      enum: ['stripe', 'fake']
+    },
     transactionId: String,
     paymentIntentId: String,
+    failureReason: String,
     amount: {
       type: Number,
       required: true
@@ -152,13 +257,28 @@ const orderSchema = new mongoose.Schema({
     refundAmount: {
       type: Number,
       default: 0
+    },
+    dispute: {
+      id: String,
+      status: String,
+      reason: String,
+      amount: Number,
+      openedAt: Date,
+      closedAt: Date
     }
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
+    enum: ['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled', 'returned'],
     default: 'pending'
   },
+  // Shipping method the customer chose at checkout
+  shippingMethod: {
+    code: String,
+    name: String,
+    cost: Number,
+    processingTime: String
+  },
   tracking: {
     carrier: String,
     trackingNumber: String,
@@ -187,6 +307,7 @@ const orderSchema = new mongoose.Schema({
       ref: 'User'
     }
   }],
+  // Sum of the line commissions; rate is its effective percentage of the total
   commission: {
     rate: {
       type: Number,
@@ -224,6 +345,7 @@ const orderSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Summary of the order's latest return request (full detail in ReturnRequest)
   return: {
     requested: {
       type: Boolean,
@@ -234,8 +356,12 @@ const orderSchema = new mongoose.Schema({
     approvedAt: Date,
     status: {
       type: String,
-      enum: ['requested', 'approved', 'rejected', 'completed'],
+      enum: ['requested', 'approved', 'rejected', 'received', 'refunded', 'closed', 'completed'],
       default: 'requested'
+    },
+    rma: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest'
     }
   }
 }, {
@@ -246,39 +372,39 @@ const orderSchema = new mongoose.Schema({
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ customer: 1 });
 orderSchema.index({ vendor: 1 });
+orderSchema.index({ orderGroup: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'payment.paymentIntentId': 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'tracking.trackingNumber': 1 });
 
-// Pre-save middleware to generate order number
-orderSchema.pre('save', async function(next) {
+// Generate the order number and commission before validation, which runs
+// ahead of the pre-save hooks and would otherwise reject the missing fields
+orderSchema.pre('validate', async function(next) {
   if (this.isNew && !this.orderNumber) {
-    const count = await mongoose.model('Order').countDocuments();
-    this.orderNumber = `ORD-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
+    this.orderNumber = await sequenceService.nextNumber('order', { vendor: this.vendor });
   }
-  
-  // Calculate commission
-  if (this.isModified('pricing.total') || this.isNew) {
-    if (this.vendor) {
-      const Vendor = mongoose.model('Vendor');
-      const vendor = await Vendor.findById(this.vendor);
-      if (vendor) {
-        this.commission.rate = vendor.commissionRate;
-        this.commission.amount = (this.pricing.total * vendor.commissionRate) / 100;
-      }
-    }
+
+  // Calculate commission per line under the rules in effect on the order date
+  if ((this.isModified('pricing.total') || this.isNew) && this.vendor) {
+    await commissionService.applyToOrder(this);
   }
-  
-  // Add timeline entry for status changes
-  if (this.isModified('status') && !this.isNew) {
+  next();
+});
+
+// Pre-save middleware
+orderSchema.pre('save', async function(next) {
+  // Add timeline entry for status changes not already logged by updateStatus
+  if (this.isModified('status') && !this.isNew && !this.$locals.statusLogged) {
     this.timeline.push({
       status: this.status,
       message: `Order status changed to ${this.status}`,
       timestamp: new Date()
     });
   }
-  
+  this.$locals.statusLogged = false;
+
   next();
 });
 
@@ -288,6 +414,10 @@ orderSchema.methods.updateStatus = function(newStatus, message, updatedBy) {
   
   // Update specific timestamps based on status
   switch (newStatus) {
+    case 'pending':
+      // Reopened after a cancellation
+      this.cancellation = undefined;
+      break;
     case 'shipped':
       this.tracking.shippedAt = new Date();
       break;
@@ -307,10 +437,107 @@ orderSchema.methods.updateStatus = function(newStatus, message, updatedBy) {
     timestamp: new Date(),
     updatedBy: updatedBy
   });
+  this.$locals.statusLogged = true;
   
   return this.save();
 };
 
+// Method to record a captured payment
+orderSchema.methods.markPaid = function(transactionId, message) {
+  if (this.payment.status === 'completed') return Promise.resolve(this);
+
+  this.payment.status = 'completed';
+  this.payment.transactionId = transactionId;
+  this.payment.paidAt = new Date();
+  this.payment.failureReason = undefined;
+
+  this.timeline.push({
+    status: 'payment_completed',
+    message: message || `Payment of ${this.payment.amount.toFixed(2)} ${this.payment.currency} received`,
+    timestamp: new Date()
+  });
+
+  return this.save();
+};
+
+// Method to record a failed payment attempt
+orderSchema.methods.markPaymentFailed = function(reason) {
+  this.payment.status = 'failed';
+  this.payment.failureReason = reason;
+
+  this.timeline.push({
+    status: 'payment_failed',
+    message: reason ? `Payment failed: ${reason}` : 'Payment failed',
+    timestamp: new Date()
+  });
+
+  return this.save();
+};
+
+// Method to record a (partial) refund of the captured payment
+orderSchema.methods.recordRefund = function(amount, reason, refundedBy) {
+  this.payment.refundAmount = Math.round((this.payment.refundAmount + amount) * 100) / 100;
+  this.payment.refundedAt = new Date();
+  this.payment.status = this.payment.refundAmount >= this.payment.amount
+    ? 'refunded'
+    : 'partially_refunded';
+
+  // A cancelled order is settled once nothing captured is left
+  if (this.status === 'cancelled' && this.payment.status === 'refunded') {
+    this.cancellation.refundProcessed = true;
+  }
+
+  this.timeline.push({
+    status: 'payment_refunded',
+    message: `Refunded ${amount.toFixed(2)} ${this.payment.currency}${reason ? `: ${reason}` : ''}`,
+    timestamp: new Date(),
+    updatedBy: refundedBy
+  });
+
+  return this.save();
+};
+
+// Method to record a chargeback dispute opened by the customer's bank
+orderSchema.methods.openDispute = function(dispute) {
+  this.payment.dispute = {
+    ...dispute,
+    openedAt: new Date()
+  };
+  this.payment.status = 'disputed';
+
+  this.timeline.push({
+    status: 'payment_disputed',
+    message: `Payment disputed${dispute.reason ? ` (${dispute.reason.replace(/_/g, ' ')})` : ''}`,
+    timestamp: new Date()
+  });
+
+  return this.save();
+};
+
+// Method to record the outcome of a dispute; a lost dispute is a chargeback
+// of the order's share of the disputed amount
+orderSchema.methods.closeDispute = function(status, amount = this.payment.dispute.amount) {
+  this.payment.dispute.status = status;
+  this.payment.dispute.closedAt = new Date();
+
+  if (status === 'lost') {
+    const refundable = Math.round((this.payment.amount - this.payment.refundAmount) * 100) / 100;
+    const chargeback = Math.min(amount ?? refundable, refundable);
+    if (chargeback > 0) {
+      return this.recordRefund(chargeback, 'Chargeback - dispute lost');
+    }
+  }
+
+  this.payment.status = this.payment.refundAmount > 0 ? 'partially_refunded' : 'completed';
+  this.timeline.push({
+    status: 'payment_dispute_closed',
+    message: `Payment dispute closed (${status.replace(/_/g, ' ')})`,
+    timestamp: new Date()
+  });
+
+  return this.save();
+};
+
 // Method to calculate totals
 orderSchema.methods.calculateTotals = function() {
   // Calculate subtotal from items
@@ -319,25 +546,76 @@ orderSchema.methods.calculateTotals = function() {
     return total + item.subtotal;
   }, 0);
   
-  // Calculate total
-  this.pricing.total = this.pricing.subtotal + this.pricing.tax + this.pricing.shipping - this.pricing.discount;
+  // Calculate total (inclusive tax is already part of the subtotal)
+  const addedTax = this.pricing.taxInclusive ? 0 : this.pricing.tax;
+  this.pricing.total = this.pricing.subtotal + addedTax + this.pricing.shipping - this.pricing.discount;
   
   return this;
 };
 
+// Units of a line still to be fulfilled once vendor cancellations are taken off
+orderSchema.methods.activeQuantity = function(item) {
+  return item.quantity - (item.cancelledQuantity || 0);
+};
+
+// Amount refunded per unit of a line: what the customer actually paid for it
+// after the coupon share, plus tax when it was charged on top
+orderSchema.methods.unitRefund = function(item) {
+  const taxAdded = this.pricing.taxInclusive ? 0 : (item.tax?.amount || 0);
+  return Math.round((item.subtotal - (item.discount || 0) + taxAdded) / item.quantity * 100) / 100;
+};
+
+// Statuses the order may move to next, optionally limited to those a role may set
+orderSchema.methods.nextStatuses = function(role) {
+  const transitions = STATUS_TRANSITIONS[this.status] || {};
+  return Object.keys(transitions)
+    .filter(status => !role || transitions[status].roles.includes(role));
+};
+
+// Throw a structured error unless the role may move the order to newStatus;
+// resolves to the transition's definition otherwise
+orderSchema.methods.assertTransition = function(newStatus, role) {
+  const transition = (STATUS_TRANSITIONS[this.status] || {})[newStatus];
+
+  if (!transition) {
+    throw new ErrorResponse(`Order cannot move from ${this.status} to ${newStatus}`, 409, {
+      code: 'INVALID_STATUS_TRANSITION',
+      from: this.status,
+      to: newStatus,
+      allowedTransitions: this.nextStatuses(role)
+    });
+  }
+
+  if (!transition.roles.includes(role)) {
+    throw new ErrorResponse(`A ${role} cannot move an order from ${this.status} to ${newStatus}`, 403, {
+      code: 'STATUS_TRANSITION_FORBIDDEN',
+      from: this.status,
+      to: newStatus,
+      allowedTransitions: this.nextStatuses(role)
+    });
+  }
+
+  return transition;
+};
+
 // Method to check if order can be cancelled
-orderSchema.methods.canBeCancelled = function() {
-  return ['pending', 'confirmed'].includes(this.status);
+orderSchema.methods.canBeCancelled = function(role = 'customer') {
+  return this.nextStatuses(role).includes('cancelled');
 };
 
-// Method to check if order can be returned
-orderSchema.methods.canBeReturned = function() {
-  if (this.status !== 'delivered') return false;
-  
-  // Check if within return period (30 days by default)
-  const returnPeriod = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+// Last day a return can be requested under the vendor's return policy
+orderSchema.methods.returnDeadline = function(returnPolicy = {}) {
+  const period = returnPolicy.period ?? 30; // days
   const deliveredDate = this.tracking.deliveredAt || this.updatedAt;
-  return (Date.now() - deliveredDate.getTime()) <= returnPeriod;
+  return new Date(deliveredDate.getTime() + period * 24 * 60 * 60 * 1000);
+};
+
+// Method to check if order can be returned under the vendor's return policy
+orderSchema.methods.canBeReturned = function(returnPolicy = {}) {
+  if (this.status !== 'delivered') return false;
+  if (returnPolicy.enabled === false) return false;
+
+  return Date.now() <= this.returnDeadline(returnPolicy).getTime();
 };
 
 // Static method to get order statistics
@@ -373,4 +651,6 @@ orderSchema.statics.getOrderStats = function(vendorId, dateRange) {
   ]);
 };
 
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Order', orderSchema);
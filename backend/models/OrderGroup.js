@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const sequenceService = require('../services/sequenceService');
+
+// One customer checkout. The cart is split into an Order per vendor; the group
+// ties those sub-orders together and owns the combined payment and totals.
+const orderGroupSchema = new mongoose.Schema({
+  groupNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  pricing: {
+    subtotal: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    tax: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    shipping: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  },
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discount: {
+      type: Number,
+      default: 0
+    }
+  },
+  shippingAddress: {
+    firstName: {
+      type: String,
+      required: true
+    },
+    lastName: {
+      type: String,
+      required: true
+    },
+    email: String,
+    phone: String,
+    street: {
+      type: String,
+      required: true
+    },
+    city: {
+      type: String,
+      required: true
+    },
+    state: {
+      type: String,
+      required: true
+    },
+    zipCode: {
+      type: String,
+      required: true
+    },
+    country: {
+      type: String,
+      required: true,
+      default: 'United States'
+    }
+  },
+  billingAddress: {
+    firstName: String,
+    lastName: String,
+    email: String,
+    phone: String,
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+    sameAsShipping: {
+      type: Boolean,
+      default: true
+    }
+  },
+  payment: {
+    method: {
+      type: String,
+      enum: ['stripe', 'paypal', 'cod'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'partially_refunded', 'disputed'],
+      default: 'pending'
+    },
+    gateway: {
+      type: String,
+      enum: ['stripe', 'fake']
+    },
+    transactionId: String,
+    paymentIntentId: String,
+    amount: {
+      type: Number,
+      required: true
+    },
+    currency: {
+      type: String,
+      default: 'USD'
+    },
+    paidAt: Date,
+    refundAmount: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+orderGroupSchema.index({ customer: 1, createdAt: -1 });
+orderGroupSchema.index({ 'payment.paymentIntentId': 1 });
+
+// Generate the customer-facing checkout number before validation
+orderGroupSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.groupNumber) {
+    this.groupNumber = await sequenceService.nextNumber('checkout');
+  }
+  next();
+});
+
+// Method to roll the vendor sub-orders' payment state up onto the group
+orderGroupSchema.methods.syncPayment = function(orders) {
+  const statuses = [...new Set(orders.map(order => order.payment.status))];
+  const refundAmount = orders.reduce((sum, order) => sum + order.payment.refundAmount, 0);
+
+  if (statuses.length === 1) {
+    this.payment.status = statuses[0];
+  } else if (statuses.includes('disputed')) {
+    this.payment.status = 'disputed';
+  } else if (refundAmount > 0) {
+    this.payment.status = 'partially_refunded';
+  } else {
+    this.payment.status = statuses.includes('failed') ? 'failed' : 'processing';
+  }
+
+  const paid = orders.find(order => order.payment.paidAt);
+  if (paid) {
+    this.payment.paidAt = paid.payment.paidAt;
+    this.payment.transactionId = paid.payment.transactionId;
+  }
+  this.payment.refundAmount = Math.round(refundAmount * 100) / 100;
+
+  return this.save();
+};
+
+module.exports = mongoose.model('OrderGroup', orderGroupSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const sequenceService = require('../services/sequenceService');
+
+// Transfer of a vendor's available balance to its bank account, created by a
+// settlement run.
+// Flow: pending_approval -> approved | rejected -> exported (in a bank file)
+//       -> paid | failed
+const payoutSchema = new mongoose.Schema({
+  payoutNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: ['pending_approval', 'approved', 'rejected', 'exported', 'paid', 'failed'],
+    default: 'pending_approval'
+  },
+  // Copied from Vendor.bankDetails when the payout is created
+  bankDetails: {
+    accountHolderName: String,
+    bankName: String,
+    routingNumber: String,
+    accountNumber: String
+  },
+  // Settlement run the payout was created in
+  settlementRun: {
+    type: String,
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  rejectionReason: String,
+  exportBatch: String,
+  exportedAt: Date,
+  paidAt: Date,
+  failureReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ vendor: 1, createdAt: -1 });
+payoutSchema.index({ status: 1 });
+payoutSchema.index({ exportBatch: 1 });
+
+// Generate the payout reference before validation so the required check passes
+payoutSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.payoutNumber) {
+    this.payoutNumber = await sequenceService.nextNumber('payout', { vendor: this.vendor });
+  }
+  next();
+});
+
+// Bank details without the full account number, for vendor-facing responses
+payoutSchema.methods.toSafeJSON = function() {
+  const payout = this.toObject();
+  if (payout.bankDetails?.accountNumber) {
+    payout.bankDetails.accountNumber = `****${payout.bankDetails.accountNumber.slice(-4)}`;
+  }
+  return payout;
+};
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Options picked from several variant groups are bought as one line under a
+// combined SKU: their option SKUs joined with "+", e.g. "TEE-RED+TEE-L"
+const VARIANT_SKU_SEPARATOR = '+';
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -150,7 +154,15 @@ const productSchema = new mongoose.Schema({
       },
       sku: {
         type: String,
-        required: true
+        required: true,
+        validate: {
+          // "+" joins combined SKUs, so new or renamed options may not use
+          // it. Options saved before that rule keep their SKU as it is.
+          validator: function(sku) {
+            return !sku.includes(VARIANT_SKU_SEPARATOR) || !(this.isNew || this.isModified('sku'));
+          },
+          message: 'Option SKUs cannot contain "+"'
+        }
       },
       inventory: {
         type: Number,
@@ -353,11 +365,59 @@ productSchema.methods.updateInventory = function(quantity, operation = 'subtract
   return this.save();
 };
 
-// Method to check if product is available
-productSchema.methods.isAvailable = function(requestedQuantity = 1) {
+productSchema.statics.VARIANT_SKU_SEPARATOR = VARIANT_SKU_SEPARATOR;
+
+// Option SKUs a variant SKU may stand for without looking at the product:
+// the SKU itself (an older option may contain "+") and, for a combined SKU,
+// each of its parts
+productSchema.statics.optionSkus = function(sku) {
+  const parts = sku.split(VARIANT_SKU_SEPARATOR);
+  return parts.length > 1 ? [sku, ...parts] : parts;
+};
+
+// Option SKUs a variant SKU is made of on this product. An option whose own
+// SKU matches wins over splitting it as a combined SKU.
+productSchema.methods.variantOptionSkus = function(sku) {
+  const exact = this.variants.some(group => group.options.some(opt => opt.sku === sku));
+  return exact ? [sku] : sku.split(VARIANT_SKU_SEPARATOR);
+};
+
+// Method to find a variant option by its SKU. A combined SKU resolves to one
+// option per group standing in for all of them: names and values joined,
+// prices added up, the lowest stock of its options and the first option image.
+productSchema.methods.findVariantOption = function(sku) {
+  const matches = [];
+  for (const part of this.variantOptionSkus(sku)) {
+    const variant = this.variants.find(group => group.options.some(opt => opt.sku === part));
+    if (!variant || matches.some(match => match.variant === variant)) return null;
+    matches.push({ variant, option: variant.options.find(opt => opt.sku === part) });
+  }
+
+  if (matches.length === 1) return matches[0];
+
+  return {
+    variant: { name: matches.map(({ variant }) => variant.name).join(' / ') },
+    option: {
+      value: matches.map(({ option }) => option.value).join(' / '),
+      sku,
+      price: matches.reduce((sum, { option }) => sum + (option.price || 0), 0),
+      inventory: Math.min(...matches.map(({ option }) => option.inventory)),
+      image: matches.find(({ option }) => option.image?.url)?.option.image
+    }
+  };
+};
+
+// Method to check if product (or one of its variant options) is available
+productSchema.methods.isAvailable = function(requestedQuantity = 1, variantSku) {
   if (!this.isActive || this.status !== 'active') return false;
   if (!this.inventory.trackQuantity) return true;
   if (this.inventory.allowBackorder) return true;
+
+  if (variantSku) {
+    const match = this.findVariantOption(variantSku);
+    return Boolean(match) && match.option.inventory >= requestedQuantity;
+  }
+
   return this.inventory.quantity >= requestedQuantity;
 };
 
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const HOUR = 60 * 60 * 1000;
+
+// Storefront views of a product, counted per hour so vendor analytics can
+// bucket them by day in any whole-hour time zone. One document per product
+// and hour, incremented in place.
+const productViewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  // Start of the hour (UTC) the views fall in
+  hour: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  }
+});
+
+productViewSchema.index({ product: 1, hour: 1 }, { unique: true });
+productViewSchema.index({ vendor: 1, hour: 1 });
+
+// Count one view of a product now
+productViewSchema.statics.record = function(product, at = new Date()) {
+  return this.updateOne(
+    { product: product._id, hour: new Date(Math.floor(at.getTime() / HOUR) * HOUR) },
+    { $inc: { views: 1 }, $setOnInsert: { vendor: product.vendor._id || product.vendor } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('ProductView', productViewSchema);
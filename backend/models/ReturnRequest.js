@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const sequenceService = require('../services/sequenceService');
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+// Return merchandise authorization (RMA) for some or all lines of one order.
+// Flow: requested -> approved | rejected -> received (inspected, restocked)
+//       -> refunded, or closed when no refund goes through the payment gateway
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  items: [{
+    _id: false,
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    name: String,
+    variantSku: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    // Amount refunded per returned unit: price after coupon, plus any tax charged on top
+    unitRefund: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    reason: {
+      type: String,
+      enum: RETURN_REASONS,
+      required: true
+    },
+    comment: String,
+    photos: [{
+      _id: false,
+      url: String,
+      public_id: String
+    }],
+    // Filled in when the goods come back
+    receivedQuantity: Number,
+    condition: {
+      type: String,
+      enum: ['resellable', 'damaged']
+    },
+    restockedQuantity: {
+      type: Number,
+      default: 0
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded', 'closed'],
+    default: 'requested'
+  },
+  // How the goods get back to the vendor: a prepaid label or written instructions
+  returnShipping: {
+    method: {
+      type: String,
+      enum: ['label', 'instructions']
+    },
+    carrier: String,
+    trackingNumber: String,
+    labelUrl: String,
+    instructions: String
+  },
+  decision: {
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    note: String
+  },
+  inspection: {
+    inspectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    inspectedAt: Date,
+    notes: String
+  },
+  refund: {
+    amount: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed', 'not_applicable'],
+      default: 'pending'
+    },
+    refundId: String,
+    processedAt: Date,
+    failureReason: String
+  },
+  history: [{
+    _id: false,
+    status: String,
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ customer: 1, createdAt: -1 });
+returnRequestSchema.index({ vendor: 1, status: 1 });
+
+// Generate the RMA number before validation so the required check passes
+returnRequestSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.rmaNumber) {
+    this.rmaNumber = await sequenceService.nextNumber('rma', { vendor: this.vendor });
+  }
+  next();
+});
+
+// Method to move the RMA to a new status and log it
+returnRequestSchema.methods.setStatus = function(status, note, by) {
+  this.status = status;
+  this.history.push({ status, note, at: new Date(), by });
+  return this;
+};
+
+returnRequestSchema.statics.RETURN_REASONS = RETURN_REASONS;
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
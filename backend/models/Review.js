@@ -231,18 +231,19 @@ reviewSchema.post('remove', async function(doc) {
 // Static method to get review statistics
 reviewSchema.statics.getReviewStats = function(productId) {
   return this.aggregate([
-    { $match: { product: mongoose.Types.ObjectId(productId), isApproved: true } },
+    { $match: { product: new mongoose.Types.ObjectId(productId), isApproved: true, isHidden: false } },
     {
       $group: {
         _id: '$rating',
         count: { $sum: 1 }
       }
     },
+    { $sort: { _id: -1 } },
     {
       $group: {
         _id: null,
         totalReviews: { $sum: '$count' },
-        averageRating: { $avg: '$_id' },
+        ratingTotal: { $sum: { $multiply: ['$_id', '$count'] } },
         ratingDistribution: {
           $push: {
             rating: '$_id',
@@ -250,6 +251,15 @@ reviewSchema.statics.getReviewStats = function(productId) {
           }
         }
       }
+    },
+    {
+      // Weighted by count, not an average of the distinct rating values
+      $project: {
+        _id: 0,
+        totalReviews: 1,
+        averageRating: { $round: [{ $divide: ['$ratingTotal', '$totalReviews'] }, 1] },
+        ratingDistribution: 1
+      }
     }
   ]);
 };
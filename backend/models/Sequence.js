@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const DATE_SEGMENTS = ['none', 'YYYY', 'YYYYMM', 'YYYYMMDD'];
+const SEPARATORS = ['-', '/', '.', '_'];
+
+// Admin-set numbering format of one named sequence (order, invoice, rma,
+// payout). Sequences without a document use the defaults in
+// services/sequenceService.
+const sequenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Letters and digits only, so the separator always marks where segments end
+  prefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]*$/, 'Prefix may only contain letters and digits'],
+    maxlength: 10,
+    default: ''
+  },
+  separator: {
+    type: String,
+    enum: SEPARATORS,
+    default: '-'
+  },
+  // Date the number was issued (UTC); the counter restarts with each period
+  dateSegment: {
+    type: String,
+    enum: DATE_SEGMENTS,
+    default: 'none'
+  },
+  // Minimum digits of the running number, zero padded
+  padding: {
+    type: Number,
+    min: 1,
+    max: 12,
+    default: 6
+  },
+  // Insert a short code derived from the vendor's business name
+  vendorPrefix: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+sequenceSchema.statics.DATE_SEGMENTS = DATE_SEGMENTS;
+sequenceSchema.statics.SEPARATORS = SEPARATORS;
+
+module.exports = mongoose.model('Sequence', sequenceSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Earlier versions kept on a settings group, newest last
+const HISTORY_LIMIT = 20;
+
+const settingVersionSchema = new mongoose.Schema({
+  version: Number,
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: Date
+}, { _id: false, minimize: false });
+
+// Platform settings edited from the admin console, one document per group
+// (e.g. "general", "payment"). Values are stored as services/settingService
+// writes them, so secret fields hold ciphertext. Every change bumps the
+// version and moves the previous value into history.
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  history: [settingVersionSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+settingSchema.statics.HISTORY_LIMIT = HISTORY_LIMIT;
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// One parcel sent for an order, holding some or all of its line items
+const shipmentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  // Carrier adapter code (see services/carriers)
+  carrier: {
+    type: String,
+    required: true
+  },
+  trackingNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  trackingUrl: String,
+  status: {
+    type: String,
+    enum: ['label_created', 'in_transit', 'out_for_delivery', 'delivered', 'exception'],
+    default: 'label_created'
+  },
+  // Package contents: units of each order line packed in this parcel
+  items: [{
+    _id: false,
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    name: String,
+    sku: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  package: {
+    weight: Number, // kg
+    length: Number, // cm
+    width: Number,
+    height: Number
+  },
+  // Carrier scan history, oldest first
+  events: [{
+    _id: false,
+    status: String,
+    description: String,
+    location: String,
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  estimatedDelivery: Date,
+  shippedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date,
+  lastCheckedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+shipmentSchema.index({ order: 1 });
+shipmentSchema.index({ carrier: 1, trackingNumber: 1 });
+shipmentSchema.index({ status: 1, lastCheckedAt: 1 });
+
+// Record carrier scan events not seen before and move to the latest status
+shipmentSchema.methods.applyTracking = function({ status, events = [], estimatedDelivery }) {
+  const seen = new Set(this.events.map(event => `${event.status}|${new Date(event.occurredAt).getTime()}`));
+
+  events
+    .filter(event => !seen.has(`${event.status}|${new Date(event.occurredAt).getTime()}`))
+    .forEach(event => this.events.push(event));
+  this.events.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+  if (status) this.status = status;
+  if (estimatedDelivery) this.estimatedDelivery = estimatedDelivery;
+  if (this.status === 'delivered' && !this.deliveredAt) {
+    const deliveredEvent = this.events.find(event => event.status === 'delivered');
+    this.deliveredAt = deliveredEvent ? deliveredEvent.occurredAt : new Date();
+  }
+  this.lastCheckedAt = new Date();
+
+  return this;
+};
+
+module.exports = mongoose.model('Shipment', shipmentSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { countryCode } = require('../utils/countries');
+
+// Admin-managed tax region. An address falls in a zone by country, optionally
+// narrowed to states and zip codes; each zone carries a rate per tax class.
+const taxZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax zone name is required'],
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  // Empty means every state in the country
+  states: [{
+    type: String,
+    trim: true
+  }],
+  // Exact codes, prefixes ending in * (e.g. "941*") or ranges ("90000-96199").
+  // Empty means every zip code.
+  zipCodes: [{
+    type: String,
+    trim: true
+  }],
+  rates: [{
+    taxClass: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      default: 'standard' // e.g. "standard", "reduced", "digital", "zero"
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100%'] // Percentage
+    }
+  }],
+  // Catalogue prices in this zone already include tax
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
+  // Breaks ties between equally specific zones
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+taxZoneSchema.index({ country: 1, isActive: 1 });
+
+// Method to check whether a zip code falls in this zone
+taxZoneSchema.methods.matchesZip = function(zipCode) {
+  if (this.zipCodes.length === 0) return true;
+  if (!zipCode) return false;
+
+  const zip = zipCode.trim().toUpperCase();
+
+  return this.zipCodes.some(pattern => {
+    const value = pattern.toUpperCase();
+    if (value.endsWith('*')) return zip.startsWith(value.slice(0, -1));
+
+    const [from, to] = value.split('-');
+    if (to !== undefined) return zip >= from && zip <= to;
+
+    return zip === value;
+  });
+};
+
+// Method to check whether an address falls in this zone. Countries are
+// compared as ISO codes, so a zone saved as "US" covers "United States".
+taxZoneSchema.methods.matchesAddress = function({ country, state, zipCode } = {}) {
+  if (!country || countryCode(this.country) !== countryCode(country)) return false;
+
+  if (this.states.length > 0) {
+    const stateName = (state || '').trim().toLowerCase();
+    if (!this.states.some(s => s.toLowerCase() === stateName)) return false;
+  }
+
+  return this.matchesZip(zipCode);
+};
+
+// Method to get the rate for a tax class, falling back to the standard rate
+taxZoneSchema.methods.getRate = function(taxClass = 'standard') {
+  const match = this.rates.find(r => r.taxClass === taxClass) ||
+    this.rates.find(r => r.taxClass === 'standard');
+  return match ? match.rate : 0;
+};
+
+module.exports = mongoose.model('TaxZone', taxZoneSchema);
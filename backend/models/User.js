@@ -99,6 +99,13 @@ const userSchema = new mongoose.Schema({
       required: true,
       min: 1
     },
+    variant: {
+      name: String,
+      value: String,
+      sku: String
+    },
+    // Unit price when last added or read, to flag later price changes
+    price: Number,
     addedAt: {
       type: Date,
       default: Date.now
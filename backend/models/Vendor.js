@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Vendor tiers commission rules can target (see CommissionRule)
+const TIERS = ['standard', 'silver', 'gold', 'platinum'];
+
 const vendorSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -108,12 +111,19 @@ const vendorSchema = new mongoose.Schema({
     ref: 'User'
   },
   rejectionReason: String,
+  // Rate used for order lines no commission rule covers; unset means the
+  // platform's default commission rate (payment settings) applies
   commissionRate: {
     type: Number,
-    default: 10, // 10% commission
+    default: null,
     min: 0,
     max: 100
   },
+  tier: {
+    type: String,
+    enum: TIERS,
+    default: 'standard'
+  },
   rating: {
     average: {
       type: Number,
@@ -235,22 +245,22 @@ vendorSchema.methods.updateStats = async function() {
   // Update total products
   this.totalProducts = await Product.countDocuments({ vendor: this._id, isActive: true });
   
-  // Update total orders and revenue
+  // Update total orders and revenue (delivered orders, as charged net of refunds)
   const orderStats = await Order.aggregate([
     { $match: { vendor: this._id, status: 'delivered' } },
     {
       $group: {
         _id: null,
         totalOrders: { $sum: 1 },
-        totalRevenue: { $sum: '$totalAmount' }
+        totalRevenue: {
+          $sum: { $subtract: ['$payment.amount', { $ifNull: ['$payment.refundAmount', 0] }] }
+        }
       }
     }
   ]);
   
-  if (orderStats.length > 0) {
-    this.totalOrders = orderStats[0].totalOrders;
-    this.totalRevenue = orderStats[0].totalRevenue;
-  }
+  this.totalOrders = orderStats[0]?.totalOrders || 0;
+  this.totalRevenue = Math.round((orderStats[0]?.totalRevenue || 0) * 100) / 100;
   
   await this.save();
 };
@@ -281,4 +291,6 @@ vendorSchema.methods.calculateAverageRating = async function() {
   await this.save();
 };
 
+vendorSchema.statics.TIERS = TIERS;
+
 module.exports = mongoose.model('Vendor', vendorSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Record of every webhook event taken in, so redelivered events are ignored
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed'],
+    default: 'processing'
+  },
+  // Times the event has been claimed; more than one means an earlier
+  // attempt stalled and was taken over
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// One record per provider event - the unique index is what makes processing idempotent
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -1,14 +1,21 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Vendor = require('../models/Vendor');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
 const { protect, authorize } = require('../middleware/auth');
+const orderStatusService = require('../services/orderStatusService');
+const reportService = require('../services/reportService');
+const settingService = require('../services/settingService');
 
 const router = express.Router();
 
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // All routes are admin only
 router.use(protect);
 router.use(authorize('admin'));
@@ -210,58 +217,6 @@ router.put('/vendors/:id/status', [
   }
 });
 
-// @desc    Get all products with filters
-// @route   GET /api/admin/products
-// @access  Private (Admin only)
-router.get('/products', [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
-], async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    const filter = {};
-    
-    if (req.query.status) {
-      filter.status = req.query.status;
-    }
-    
-    if (req.query.vendor) {
-      filter.vendor = req.query.vendor;
-    }
-    
-    if (req.query.search) {
-      filter.$text = { $search: req.query.search };
-    }
-
-    const products = await Product.find(filter)
-      .populate('vendor', 'businessName')
-      .populate('category', 'name')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Product.countDocuments(filter);
-
-    res.json({
-      success: true,
-      count: products.length,
-      total,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      products
-    });
-  } catch (error) {
-    console.error('Get admin products error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error fetching products'
-    });
-  }
-});
-
 // @desc    Update product status
 // @route   PUT /api/admin/products/:id/status
 // @access  Private (Admin only)
@@ -269,6 +224,16 @@ router.put('/products/:id/status', [
   body('status').isIn(['draft', 'active', 'inactive', 'discontinued']).withMessage('Invalid status')
 ], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const product = await Product.findByIdAndUpdate(
       req.params.id,
       { status: req.body.status },
@@ -301,9 +266,20 @@ router.put('/products/:id/status', [
 // @access  Private (Admin only)
 router.get('/orders', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('date').optional().isIn(reportService.periods).withMessage('Invalid date range')
 ], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
@@ -318,6 +294,23 @@ router.get('/orders', [
       filter.vendor = req.query.vendor;
     }
 
+    if (req.query.date) {
+      filter.createdAt = { $gte: reportService.range(req.query.date).from };
+    }
+
+    // Search by order number or customer account
+    if (req.query.search && req.query.search.trim()) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      const customers = await User.find({
+        $or: [{ firstName: pattern }, { lastName: pattern }, { email: pattern }]
+      }).select('_id');
+
+      filter.$or = [
+        { orderNumber: pattern },
+        { customer: { $in: customers.map(customer => customer._id) } }
+      ];
+    }
+
     const orders = await Order.find(filter)
       .populate('customer', 'firstName lastName email')
       .populate('vendor', 'businessName')
@@ -344,6 +337,127 @@ router.get('/orders', [
   }
 });
 
+// @desc    Get order counts and revenue across the platform
+// @route   GET /api/admin/orders/stats
+// @access  Private (Admin only)
+router.get('/orders/stats', async (req, res) => {
+  try {
+    const [statusCounts, revenue] = await Promise.all([
+      Order.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Order.aggregate([
+        { $match: { status: { $ne: 'cancelled' } } },
+        {
+          $group: {
+            _id: null,
+            totalRevenue: { $sum: { $subtract: ['$payment.amount', { $ifNull: ['$payment.refundAmount', 0] }] } },
+            totalCommission: { $sum: '$commission.amount' }
+          }
+        }
+      ])
+    ]);
+
+    const counts = Object.fromEntries(statusCounts.map(entry => [entry._id, entry.count]));
+
+    res.json({
+      success: true,
+      stats: {
+        totalOrders: statusCounts.reduce((sum, entry) => sum + entry.count, 0),
+        pendingOrders: counts.pending || 0,
+        processingOrders: (counts.confirmed || 0) + (counts.processing || 0),
+        shippedOrders: (counts.partially_shipped || 0) + (counts.shipped || 0),
+        deliveredOrders: counts.delivered || 0,
+        cancelledOrders: counts.cancelled || 0,
+        totalRevenue: revenue[0]?.totalRevenue || 0,
+        totalCommission: revenue[0]?.totalCommission || 0,
+        statusCounts: counts
+      }
+    });
+  } catch (error) {
+    console.error('Get order stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching order statistics'
+    });
+  }
+});
+
+// @desc    Get a single order with its customer, vendor and products
+// @route   GET /api/admin/orders/:id
+// @access  Private (Admin only)
+router.get('/orders/:id', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('customer', 'firstName lastName email phone')
+      .populate('vendor', 'businessName contactInfo')
+      .populate('items.product', 'name images sku')
+      .populate('timeline.updatedBy', 'firstName lastName role');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    console.error('Get admin order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching order'
+    });
+  }
+});
+
+// @desc    Update order status (same transition rules and side effects as PUT /api/orders/:id/status)
+// @route   PUT /api/admin/orders/:id/status
+// @access  Private (Admin only)
+router.put('/orders/:id/status', [
+  body('status').isIn(Object.keys(Order.STATUS_TRANSITIONS)).withMessage('Invalid status'),
+  body('message').optional().trim().notEmpty().withMessage('Message cannot be empty')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    await orderStatusService.transition(order, req.body.status, { user: req.user, message: req.body.message });
+
+    res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      order
+    });
+  } catch (error) {
+    console.error('Update admin order status error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error updating order status',
+      ...error.details
+    });
+  }
+});
+
 // ===== USER MANAGEMENT FEATURES =====
 
 // @desc    Get individual user profile with order history
@@ -800,64 +914,67 @@ router.post('/vendors/:id/message', [
 // @desc    Get all products with admin filters
 // @route   GET /api/admin/products
 // @access  Private (Admin only)
-router.get('/products', async (req, res) => {
+router.get('/products', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(Product.schema.path('status').enumValues).withMessage('Invalid status'),
+  query('vendor').optional().isMongoId().withMessage('Invalid vendor'),
+  query('category').optional().isMongoId().withMessage('Invalid category'),
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('sortBy').optional().isIn(['createdAt', 'name', 'price.original', 'status']).withMessage('Invalid sort field'),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+], async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      search,
-      status,
-      vendor,
-      category,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { search, status, vendor, category, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
-    const query = {};
+    const filter = {};
 
     // Search by name or description
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    if (search && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { description: pattern }];
     }
 
-    // Filter by status
     if (status) {
-      query.status = status;
+      filter.status = status;
     }
 
-    // Filter by vendor
     if (vendor) {
-      query.vendor = vendor;
+      filter.vendor = vendor;
     }
 
-    // Filter by category
     if (category) {
-      query.category = category;
+      filter.category = category;
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const products = await Product.find(query)
+    const products = await Product.find(filter)
       .populate('vendor', 'businessName email')
       .populate('category', 'name')
-      .sort(sortOptions)
+      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(limit);
 
-    const totalProducts = await Product.countDocuments(query);
-    const totalPages = Math.ceil(totalProducts / parseInt(limit));
+    const totalProducts = await Product.countDocuments(filter);
 
     res.json({
       success: true,
       products,
       totalProducts,
-      totalPages,
-      currentPage: parseInt(page)
+      totalPages: Math.ceil(totalProducts / limit),
+      currentPage: page
     });
   } catch (error) {
     console.error('Get products error:', error);
@@ -868,63 +985,6 @@ router.get('/products', async (req, res) => {
   }
 });
 
-// @desc    Update product status
-// @route   PUT /api/admin/products/:id/status
-// @access  Private (Admin only)
-router.put('/products/:id/status', [
-  body('status').isIn(['active', 'inactive', 'suspended']).withMessage('Invalid status'),
-  body('reason').notEmpty().withMessage('Reason is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors.array()
-      });
-    }
-
-    const { status, reason } = req.body;
-    const product = await Product.findById(req.params.id);
-
-    if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
-      });
-    }
-
-    // Update product status
-    product.status = status;
-    product.statusHistory = product.statusHistory || [];
-    product.statusHistory.push({
-      status,
-      reason,
-      changedBy: req.user.id,
-      changedAt: new Date()
-    });
-
-    await product.save();
-
-    res.json({
-      success: true,
-      message: `Product ${status} successfully`,
-      product: {
-        _id: product._id,
-        name: product.name,
-        status: product.status
-      }
-    });
-  } catch (error) {
-    console.error('Update product status error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error updating product status'
-    });
-  }
-});
-
 // @desc    Delete product
 // @route   DELETE /api/admin/products/:id
 // @access  Private (Admin only)
@@ -1404,4 +1464,644 @@ router.delete('/customers/:id', async (req, res) => {
   }
 });
 
+// ========================================
+// CATEGORY AND BRAND MANAGEMENT ROUTES
+// ========================================
+
+// Map the console's category form onto the Category model
+const categoryFields = ({ name, description, image, parentCategory, isActive, taxClass }) => {
+  const fields = { name, description, isActive, taxClass };
+  if (image !== undefined) fields.image = image ? { url: image, alt: name } : undefined;
+  if (parentCategory !== undefined) fields.parent = parentCategory || null;
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+const categoryValidation = [
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('parentCategory').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid parent category ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('taxClass').optional().trim().notEmpty().withMessage('Tax class cannot be empty')
+];
+
+// @desc    Get all categories, including inactive ones, with product counts
+// @route   GET /api/admin/categories
+// @access  Private (Admin only)
+router.get('/categories', async (req, res) => {
+  try {
+    const [categories, productCounts] = await Promise.all([
+      Category.find().sort({ level: 1, sortOrder: 1, name: 1 }),
+      Product.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }])
+    ]);
+
+    const counts = new Map(productCounts.map(entry => [String(entry._id), entry.count]));
+
+    res.json({
+      success: true,
+      count: categories.length,
+      categories: categories.map(category => ({
+        ...category.toObject(),
+        image: category.image?.url || '',
+        parentCategory: category.parent,
+        productCount: counts.get(category._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get admin categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching categories'
+    });
+  }
+});
+
+// @desc    Create category
+// @route   POST /api/admin/categories
+// @access  Private (Admin only)
+router.post('/categories', [
+  body('name').trim().notEmpty().withMessage('Category name is required'),
+  ...categoryValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.create(categoryFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating category'
+    });
+  }
+});
+
+// @desc    Update category
+// @route   PUT /api/admin/categories/:id
+// @access  Private (Admin only)
+router.put('/categories/:id', [
+  body('name').optional().trim().notEmpty().withMessage('Category name cannot be empty'),
+  ...categoryValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const fields = categoryFields(req.body);
+
+    if (fields.parent && fields.parent.toString() === category._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category cannot be its own parent'
+      });
+    }
+
+    // Moving a category takes it out of its old parent's children
+    const previousParent = category.parent;
+    category.set(fields);
+    if (category.isModified('parent') && previousParent) {
+      await Category.updateOne({ _id: previousParent }, { $pull: { children: category._id } });
+    }
+
+    await category.save();
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating category'
+    });
+  }
+});
+
+// @desc    Delete category
+// @route   DELETE /api/admin/categories/:id
+// @access  Private (Admin only)
+router.delete('/categories/:id', async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (category.children.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete category with subcategories'
+      });
+    }
+
+    const productCount = await Product.countDocuments({
+      $or: [{ category: category._id }, { subcategory: category._id }]
+    });
+
+    if (productCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete category with products'
+      });
+    }
+
+    await category.deleteOne();
+    if (category.parent) {
+      await Category.updateOne({ _id: category.parent }, { $pull: { children: category._id } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting category'
+    });
+  }
+});
+
+const brandValidation = [
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('logo').optional().trim(),
+  body('website').optional({ values: 'falsy' }).trim().isURL().withMessage('Website must be a valid URL'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// @desc    Get all brands with product counts
+// @route   GET /api/admin/brands
+// @access  Private (Admin only)
+router.get('/brands', async (req, res) => {
+  try {
+    const [brands, productCounts] = await Promise.all([
+      Brand.find().sort({ name: 1 }),
+      Product.aggregate([{ $group: { _id: '$brand', count: { $sum: 1 } } }])
+    ]);
+
+    const counts = new Map(productCounts.map(entry => [entry._id, entry.count]));
+
+    res.json({
+      success: true,
+      count: brands.length,
+      brands: brands.map(brand => ({
+        ...brand.toObject(),
+        productCount: counts.get(brand.name) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get brands error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching brands'
+    });
+  }
+});
+
+// @desc    Create brand
+// @route   POST /api/admin/brands
+// @access  Private (Admin only)
+router.post('/brands', [
+  body('name').trim().notEmpty().withMessage('Brand name is required'),
+  ...brandValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, logo, website, isActive } = req.body;
+    const brand = await Brand.create({ name, description, logo, website, isActive });
+
+    res.status(201).json({
+      success: true,
+      message: 'Brand created successfully',
+      brand
+    });
+  } catch (error) {
+    console.error('Create brand error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Brand name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating brand'
+    });
+  }
+});
+
+// @desc    Update brand; a rename is carried over to the brand's products
+// @route   PUT /api/admin/brands/:id
+// @access  Private (Admin only)
+router.put('/brands/:id', [
+  body('name').optional().trim().notEmpty().withMessage('Brand name cannot be empty'),
+  ...brandValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const brand = await Brand.findById(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const previousName = brand.name;
+    const { name, description, logo, website, isActive } = req.body;
+    brand.set(Object.fromEntries(Object.entries({ name, description, logo, website, isActive })
+      .filter(([, value]) => value !== undefined)));
+    await brand.save();
+
+    if (brand.name !== previousName) {
+      await Product.updateMany({ brand: previousName }, { brand: brand.name });
+    }
+
+    res.json({
+      success: true,
+      message: 'Brand updated successfully',
+      brand
+    });
+  } catch (error) {
+    console.error('Update brand error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Brand name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating brand'
+    });
+  }
+});
+
+// @desc    Delete brand
+// @route   DELETE /api/admin/brands/:id
+// @access  Private (Admin only)
+router.delete('/brands/:id', async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const productCount = await Product.countDocuments({ brand: brand.name });
+
+    if (productCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete brand with products'
+      });
+    }
+
+    await brand.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Brand deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete brand error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting brand'
+    });
+  }
+});
+
+// ========================================
+// PLATFORM SETTINGS ROUTES
+// ========================================
+
+// @desc    Get platform settings
+// @route   GET /api/admin/settings
+// @access  Private (Admin only)
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = {};
+    const versions = {};
+    for (const group of settingService.groups) {
+      const { values, version } = await settingService.view(group);
+      settings[group] = values;
+      versions[group] = version;
+    }
+
+    res.json({
+      success: true,
+      settings,
+      versions
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching settings'
+    });
+  }
+});
+
+// @desc    Update one group of platform settings
+// @route   PUT /api/admin/settings
+// @access  Private (Admin only)
+router.put('/settings', [
+  body('type').isIn(settingService.groups).withMessage('Invalid settings type'),
+  body('settings').isObject().withMessage('Settings must be an object'),
+  body('version').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Version must be a whole number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, settings, version } = req.body;
+    const { values, version: savedVersion } = await settingService.update(type, settings, {
+      user: req.user.id,
+      version
+    });
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      settings: values,
+      version: savedVersion
+    });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error updating settings',
+      ...error.details
+    });
+  }
+});
+
+// @desc    Get earlier versions of one group of platform settings
+// @route   GET /api/admin/settings/:type/history
+// @access  Private (Admin only)
+router.get('/settings/:type/history', [
+  param('type').isIn(settingService.groups).withMessage('Invalid settings type')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    res.json({
+      success: true,
+      versions: await settingService.history(req.params.type)
+    });
+  } catch (error) {
+    console.error('Get settings history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching settings history'
+    });
+  }
+});
+
+// @desc    Restore an earlier version of one group of platform settings
+// @route   POST /api/admin/settings/:type/restore/:version
+// @access  Private (Admin only)
+router.post('/settings/:type/restore/:version', [
+  param('type').isIn(settingService.groups).withMessage('Invalid settings type'),
+  param('version').isInt({ min: 1 }).withMessage('Invalid version')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { values, version } = await settingService.restore(req.params.type, req.params.version, {
+      user: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: `Settings restored to version ${req.params.version}`,
+      settings: values,
+      version
+    });
+  } catch (error) {
+    console.error('Restore settings error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error restoring settings'
+    });
+  }
+});
+
+// ========================================
+// REPORT ROUTES
+// ========================================
+
+const reportValidation = [
+  query('period').optional().isIn(reportService.periods).withMessage('Invalid period'),
+  query('from').optional().isISO8601({ strict: true }).withMessage('From must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601({ strict: true }).withMessage('To must be a date (YYYY-MM-DD)')
+    .custom((to, { req }) => !req.query.from || to >= req.query.from).withMessage('To must not be before from'),
+  query('interval').optional().isIn(reportService.intervals).withMessage(`Interval must be one of ${reportService.intervals.join(', ')}`),
+  query('timezone').optional().custom(timezone => reportService.isTimeZone(timezone)).withMessage('Unknown time zone')
+];
+
+// Run a report handler on the range the query asks for, after validating it.
+// A range is a preset period ending now, or from/to days in the time zone;
+// series are bucketed by interval.
+const reportRoute = (label, handler) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const range = await reportService.resolveRange(req.query);
+
+    res.json({
+      success: true,
+      ...await handler(range)
+    });
+  } catch (error) {
+    console.error(`Get ${label} report error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error fetching ${label} report`
+    });
+  }
+};
+
+// @desc    Get headline figures with growth on the previous period
+// @route   GET /api/admin/reports/overview
+// @access  Private (Admin only)
+router.get('/reports/overview', reportValidation,
+  reportRoute('overview', range => reportService.overview(range)));
+
+// @desc    Get sales per day, week or month with totals against the previous period
+// @route   GET /api/admin/reports/sales
+// @access  Private (Admin only)
+router.get('/reports/sales', reportValidation,
+  reportRoute('sales', range => reportService.sales(range)));
+
+// @desc    Get sales by vendor
+// @route   GET /api/admin/reports/vendors
+// @access  Private (Admin only)
+router.get('/reports/vendors', reportValidation,
+  reportRoute('vendors', async range => ({ vendors: await reportService.vendors(range) })));
+
+// @desc    Get best-selling products
+// @route   GET /api/admin/reports/products
+// @access  Private (Admin only)
+router.get('/reports/products', reportValidation,
+  reportRoute('products', async range => ({ products: await reportService.products(range) })));
+
+// @desc    Get top customers and sign-ups per day, week or month
+// @route   GET /api/admin/reports/users
+// @access  Private (Admin only)
+router.get('/reports/users', reportValidation,
+  reportRoute('users', range => reportService.users(range)));
+
+// @desc    Export a report as CSV or XLSX, streamed as it is read
+// @route   GET /api/admin/reports/export/:type
+// @access  Private (Admin only)
+router.get('/reports/export/:type', [
+  param('type').isIn(reportService.exportTypes).withMessage('Unknown report'),
+  query('format').optional().isIn(reportService.exportFormats).withMessage('Format must be csv or xlsx'),
+  ...reportValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const range = await reportService.resolveRange(req.query);
+    const rows = await reportService.exportRows(req.params.type, range);
+
+    res.set({
+      'Content-Type': format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv',
+      'Content-Disposition': `attachment; filename="${reportService.exportFilename(req.params.type, range, format)}"`
+    });
+    await reportService.writeExport(res, req.params.type, range, rows, format);
+  } catch (error) {
+    console.error('Export report error:', error);
+    // Once rows have gone out the only way to signal failure is to cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting report'
+    });
+  }
+});
+
 module.exports = router;
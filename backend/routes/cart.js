@@ -0,0 +1,170 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const cartService = require('../services/cartService');
+
+const router = express.Router();
+
+// Every cart route responds with the re-priced cart
+const sendCart = async (res, user, extra = {}) => {
+  const cart = await cartService.getCart(user);
+  res.json({
+    success: true,
+    ...extra,
+    cart
+  });
+};
+
+// Shared error response; service errors carry their own status and details
+const sendError = (res, error, label, fallback) => {
+  console.error(`${label} error:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback,
+    ...error.details
+  });
+};
+
+// @desc    Get the current user's cart, re-priced against the catalogue
+// @route   GET /api/cart
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    await sendCart(res, user);
+  } catch (error) {
+    sendError(res, error, 'Get cart', 'Server error fetching cart');
+  }
+});
+
+// @desc    Add a product to the cart
+// @route   POST /api/cart/add
+// @access  Private
+router.post('/add', protect, [
+  body('productId').isMongoId().withMessage('Valid product ID is required'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('variant.sku').optional().isString().withMessage('Variant SKU must be a string')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    await cartService.addItem(user, {
+      productId: req.body.productId,
+      quantity: parseInt(req.body.quantity) || 1,
+      variantSku: req.body.variant?.sku
+    });
+
+    await sendCart(res, user, { message: 'Item added to cart' });
+  } catch (error) {
+    sendError(res, error, 'Add to cart', 'Server error adding to cart');
+  }
+});
+
+// @desc    Merge a guest cart into the saved cart after login
+// @route   POST /api/cart/merge
+// @access  Private
+router.post('/merge', protect, [
+  body('items').isArray().withMessage('Items must be an array'),
+  body('items.*.productId').isMongoId().withMessage('Invalid product ID'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.variant.sku').optional().isString().withMessage('Variant SKU must be a string')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const skipped = await cartService.merge(user, req.body.items.map(item => ({
+      ...item,
+      quantity: parseInt(item.quantity)
+    })));
+
+    await sendCart(res, user, { message: 'Cart merged', skipped });
+  } catch (error) {
+    sendError(res, error, 'Merge cart', 'Server error merging cart');
+  }
+});
+
+// @desc    Change the quantity of a cart item
+// @route   PUT /api/cart/items/:itemId
+// @access  Private
+router.put('/items/:itemId', protect, [
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    await cartService.updateItem(user, req.params.itemId, parseInt(req.body.quantity));
+
+    await sendCart(res, user, { message: 'Cart updated' });
+  } catch (error) {
+    sendError(res, error, 'Update cart', 'Server error updating cart');
+  }
+});
+
+// @desc    Remove an item from the cart
+// @route   DELETE /api/cart/items/:itemId
+// @access  Private
+router.delete('/items/:itemId', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const item = user.cart.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    item.deleteOne();
+    await user.save();
+
+    await sendCart(res, user, { message: 'Item removed from cart' });
+  } catch (error) {
+    sendError(res, error, 'Remove from cart', 'Server error removing from cart');
+  }
+});
+
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Private
+router.delete('/', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    user.cart = [];
+    await user.save();
+
+    await sendCart(res, user, { message: 'Cart cleared' });
+  } catch (error) {
+    sendError(res, error, 'Clear cart', 'Server error clearing cart');
+  }
+});
+
+module.exports = router;
@@ -90,7 +90,8 @@ router.get('/:id', async (req, res) => {
 router.post('/', protect, authorize('admin'), [
   body('name').trim().notEmpty().withMessage('Category name is required'),
   body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
-  body('parent').optional().isMongoId().withMessage('Invalid parent category ID')
+  body('parent').optional().isMongoId().withMessage('Invalid parent category ID'),
+  body('taxClass').optional().trim().notEmpty().withMessage('Tax class cannot be empty')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -132,7 +133,8 @@ router.post('/', protect, authorize('admin'), [
 // @access  Private (Admin only)
 router.put('/:id', protect, authorize('admin'), [
   body('name').optional().trim().notEmpty().withMessage('Category name cannot be empty'),
-  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('taxClass').optional().trim().notEmpty().withMessage('Tax class cannot be empty')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -0,0 +1,217 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const CommissionRule = require('../models/CommissionRule');
+const Vendor = require('../models/Vendor');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const commissionRuleValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Commission rule name cannot be empty'),
+  body('products').optional().isArray().withMessage('Products must be an array'),
+  body('products.*').optional().isMongoId().withMessage('Invalid product id'),
+  body('categories').optional().isArray().withMessage('Categories must be an array'),
+  body('categories.*').optional().isMongoId().withMessage('Invalid category id'),
+  body('vendorTiers').optional().isArray().withMessage('Vendor tiers must be an array'),
+  body('vendorTiers.*').optional().isIn(Vendor.TIERS).withMessage(`Vendor tier must be one of ${Vendor.TIERS.join(', ')}`),
+  body('percentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Percentage must be between 0 and 100'),
+  body('fixedFee').optional().isFloat({ min: 0 }).withMessage('Fixed fee cannot be negative'),
+  body('includeTax').optional().isBoolean().withMessage('includeTax must be a boolean'),
+  body('includeShipping').optional().isBoolean().withMessage('includeShipping must be a boolean'),
+  body('startsAt').optional({ values: 'null' }).isISO8601().withMessage('Start date must be a valid date'),
+  body('endsAt').optional({ values: 'null' }).isISO8601().withMessage('End date must be a valid date'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// @desc    Get all commission rules
+// @route   GET /api/commission-rules
+// @access  Private (Admin only)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const commissionRules = await CommissionRule.find()
+      .populate('products', 'name sku')
+      .populate('categories', 'name')
+      .sort({ isActive: -1, priority: -1, name: 1 });
+
+    res.json({
+      success: true,
+      count: commissionRules.length,
+      commissionRules
+    });
+  } catch (error) {
+    console.error('Get commission rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching commission rules'
+    });
+  }
+});
+
+// @desc    Create commission rule
+// @route   POST /api/commission-rules
+// @access  Private (Admin only)
+router.post('/', protect, authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Commission rule name is required'),
+  body('percentage').isFloat({ min: 0, max: 100 }).withMessage('Percentage must be between 0 and 100'),
+  ...commissionRuleValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const commissionRule = await CommissionRule.create({
+      ...req.body,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Commission rule created successfully',
+      commissionRule
+    });
+  } catch (error) {
+    console.error('Create commission rule error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating commission rule'
+    });
+  }
+});
+
+// @desc    Update commission rule (orders already placed keep their commission)
+// @route   PUT /api/commission-rules/:id
+// @access  Private (Admin only)
+router.put('/:id', protect, authorize('admin'), commissionRuleValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const commissionRule = await CommissionRule.findById(req.params.id);
+    if (!commissionRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
+    }
+
+    // Saved rather than updated in place so the date window is validated
+    delete req.body.createdBy;
+    commissionRule.set(req.body);
+    await commissionRule.save();
+
+    res.json({
+      success: true,
+      message: 'Commission rule updated successfully',
+      commissionRule
+    });
+  } catch (error) {
+    console.error('Update commission rule error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating commission rule'
+    });
+  }
+});
+
+// @desc    Delete commission rule
+// @route   DELETE /api/commission-rules/:id
+// @access  Private (Admin only)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const commissionRule = await CommissionRule.findByIdAndDelete(req.params.id);
+
+    if (!commissionRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Commission rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete commission rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting commission rule'
+    });
+  }
+});
+
+// @desc    Set a vendor's tier and the default rate for lines no rule covers
+//          (a null rate falls back to the platform default)
+// @route   PUT /api/commission-rules/vendors/:id
+// @access  Private (Admin only)
+router.put('/vendors/:id', protect, authorize('admin'), [
+  body('tier').optional().isIn(Vendor.TIERS).withMessage(`Vendor tier must be one of ${Vendor.TIERS.join(', ')}`),
+  body('commissionRate').optional({ values: 'null' }).isFloat({ min: 0, max: 100 }).withMessage('Commission rate must be between 0 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updates = {};
+    if (req.body.tier !== undefined) updates.tier = req.body.tier;
+    if (req.body.commissionRate !== undefined) updates.commissionRate = req.body.commissionRate === null ? null : parseFloat(req.body.commissionRate);
+
+    const vendor = await Vendor.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true })
+      .select('businessName tier commissionRate');
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vendor commission updated successfully',
+      vendor
+    });
+  } catch (error) {
+    console.error('Update vendor commission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating vendor commission'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,231 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Vendor = require('../models/Vendor');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const couponValidation = [
+  body('code').optional().trim().notEmpty().withMessage('Coupon code cannot be empty'),
+  body('discountType').optional().isIn(['percentage', 'fixed']).withMessage('Invalid discount type'),
+  body('value').optional().isFloat({ min: 0 }).withMessage('Discount value must be a positive number'),
+  body('maxDiscount').optional().isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+  body('minimumSpend').optional().isFloat({ min: 0 }).withMessage('Minimum spend must be a positive number'),
+  body('products').optional().isArray().withMessage('Products must be an array'),
+  body('products.*').isMongoId().withMessage('Invalid product ID'),
+  body('categories').optional().isArray().withMessage('Categories must be an array'),
+  body('categories.*').isMongoId().withMessage('Invalid category ID'),
+  body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Invalid start date'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+  body('usageLimitPerCustomer').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per-customer limit must be at least 1'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Fields that may be set through the API; usage is tracked by checkout only
+const editableFields = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount', 'minimumSpend',
+  'products', 'categories', 'startsAt', 'expiresAt', 'usageLimit', 'usageLimitPerCustomer', 'isActive'
+];
+
+const pickEditable = (source) => editableFields.reduce((fields, key) => {
+  if (source[key] !== undefined) fields[key] = source[key];
+  return fields;
+}, {});
+
+// Find the coupon and make sure a vendor only touches their own coupons
+const loadOwnedCoupon = async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    res.status(404).json({
+      success: false,
+      message: 'Coupon not found'
+    });
+    return null;
+  }
+
+  if (req.user.role === 'vendor') {
+    const vendor = await Vendor.findOne({ user: req.user.id });
+    if (!vendor || !coupon.vendor || coupon.vendor.toString() !== vendor._id.toString()) {
+      res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this coupon'
+      });
+      return null;
+    }
+  }
+
+  return coupon;
+};
+
+// @desc    Get coupons (all for admin, own for vendor)
+// @route   GET /api/coupons
+// @access  Private (Admin/Vendor)
+router.get('/', protect, authorize('admin', 'vendor'), async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.user.role === 'vendor') {
+      const vendor = await Vendor.findOne({ user: req.user.id });
+      if (!vendor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vendor profile not found'
+        });
+      }
+      filter.vendor = vendor._id;
+    } else if (req.query.vendor) {
+      filter.vendor = req.query.vendor === 'platform' ? null : req.query.vendor;
+    }
+
+    const coupons = await Coupon.find(filter)
+      .select('-redemptions')
+      .populate('vendor', 'businessName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      coupons
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching coupons'
+    });
+  }
+});
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (Admin/Vendor)
+router.post('/', protect, authorize('admin', 'vendor'), [
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+  body('value').isFloat({ min: 0 }).withMessage('Discount value is required'),
+  body('vendor').optional({ nullable: true }).isMongoId().withMessage('Invalid vendor ID'),
+  ...couponValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickEditable(req.body);
+
+    // Vendors can only create coupons for their own store; admins choose
+    if (req.user.role === 'vendor') {
+      const vendor = await Vendor.findOne({ user: req.user.id });
+      if (!vendor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vendor profile not found'
+        });
+      }
+      fields.vendor = vendor._id;
+    } else {
+      fields.vendor = req.body.vendor || null;
+    }
+
+    const coupon = await Coupon.create({
+      ...fields,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating coupon'
+    });
+  }
+});
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (Admin/Vendor owner)
+router.put('/:id', protect, authorize('admin', 'vendor'), couponValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await loadOwnedCoupon(req, res);
+    if (!coupon) return;
+
+    coupon.set(pickEditable(req.body));
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating coupon'
+    });
+  }
+});
+
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private (Admin/Vendor owner)
+router.delete('/:id', protect, authorize('admin', 'vendor'), async (req, res) => {
+  try {
+    const coupon = await loadOwnedCoupon(req, res);
+    if (!coupon) return;
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting coupon'
+    });
+  }
+});
+
+module.exports = router;
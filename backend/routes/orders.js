@@ -1,26 +1,87 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
+const OrderGroup = require('../models/OrderGroup');
+const Coupon = require('../models/Coupon');
 const Vendor = require('../models/Vendor');
 const User = require('../models/User');
 const { protect, authorize, vendorOwnership } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const inventoryService = require('../services/inventoryService');
+const checkoutService = require('../services/checkoutService');
+const paymentService = require('../services/payments');
+const orderStatusService = require('../services/orderStatusService');
+const cancellationService = require('../services/cancellationService');
+const documentService = require('../services/documentService');
+const ErrorResponse = require('../utils/errorResponse');
 
 const router = express.Router();
 
+// Load an order the current user may see: its customer, its vendor or an admin.
+// Customers only get read access (write = false).
+const loadOrderFor = async (req, orderId, { write = false } = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order) return { status: 404, message: 'Order not found' };
+
+  if (req.user.role === 'admin') return { order };
+
+  if (req.user.role === 'vendor') {
+    const vendor = await Vendor.findOne({ user: req.user.id });
+    if (vendor && order.vendor.toString() === vendor._id.toString()) return { order };
+  }
+
+  if (!write && order.customer.toString() === req.user.id) return { order };
+
+  return { status: 403, message: 'Not authorized to access this order' };
+};
+
+const sendPdf = (res, filename, pdf) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+// Shape a checkout quote for the client, leaving out the loaded documents
+const formatQuote = (quote) => ({
+  orders: quote.orders.map(({ vendor, items, shippingOptions, shippingMethod, coupon, pricing }) => ({
+    vendor: { _id: vendor._id, businessName: vendor.businessName },
+    items,
+    shippingOptions,
+    shippingMethod,
+    coupon,
+    pricing
+  })),
+  coupon: quote.coupon
+    ? {
+      code: quote.coupon.code,
+      description: quote.coupon.description,
+      discountType: quote.coupon.discountType,
+      value: quote.coupon.value,
+      discount: quote.pricing.discount
+    }
+    : null,
+  pricing: quote.pricing
+});
+
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
 router.post('/', protect, [
   body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
+  body('items.*.variant.sku').optional().isString().withMessage('Variant SKU must be a string'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
   body('shippingAddress.firstName').trim().notEmpty().withMessage('First name is required'),
   body('shippingAddress.lastName').trim().notEmpty().withMessage('Last name is required'),
   body('shippingAddress.street').trim().notEmpty().withMessage('Street address is required'),
   body('shippingAddress.city').trim().notEmpty().withMessage('City is required'),
   body('shippingAddress.state').trim().notEmpty().withMessage('State is required'),
   body('shippingAddress.zipCode').trim().notEmpty().withMessage('Zip code is required'),
-  body('payment.method').isIn(['stripe', 'paypal', 'cod']).withMessage('Invalid payment method')
+  body('payment.method').isIn(['stripe', 'paypal', 'cod']).withMessage('Invalid payment method'),
+  body('shippingMethods').optional().isObject().withMessage('Shipping methods must map vendor IDs to methods'),
+  body('couponCode').optional().trim().notEmpty().withMessage('Coupon code cannot be empty')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -33,101 +94,200 @@ router.post('/', protect, [
       });
     }
 
-    const { items, shippingAddress, billingAddress, payment } = req.body;
+    const { items, shippingAddress, billingAddress, payment, shippingMethods, couponCode } = req.body;
 
-    // Group items by vendor
-    const vendorOrders = {};
-    
-    for (const item of items) {
-      const product = await Product.findById(item.product).populate('vendor');
-      
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product ${item.product} not found`
-        });
-      }
-
-      if (!product.isAvailable(item.quantity)) {
-        return res.status(400).json({
-          success: false,
-          message: `Product ${product.name} is not available in requested quantity`
-        });
-      }
+    await paymentService.assertMethodAvailable(payment.method);
 
-      const vendorId = product.vendor._id.toString();
-      
-      if (!vendorOrders[vendorId]) {
-        vendorOrders[vendorId] = {
-          vendor: product.vendor,
-          items: [],
-          subtotal: 0
-        };
-      }
+    const quote = await checkoutService.buildQuote({
+      items,
+      shippingAddress,
+      shippingMethods,
+      couponCode,
+      customerId: req.user.id
+    });
 
-      const itemSubtotal = product.currentPrice * item.quantity;
-      
-      vendorOrders[vendorId].items.push({
-        product: product._id,
-        name: product.name,
-        image: product.primaryImage,
-        price: product.currentPrice,
-        quantity: item.quantity,
-        variant: item.variant,
-        sku: product.sku,
-        subtotal: itemSubtotal
-      });
+    // Take stock for the whole checkout up front. Each decrement is
+    // conditional, and everything is put back if any line falls short.
+    const reservations = await inventoryService.reserve(quote.lines);
 
-      vendorOrders[vendorId].subtotal += itemSubtotal;
+    for (const { orderItem, reserved } of reservations) {
+      orderItem.stockReserved = reserved;
     }
 
-    // Create separate orders for each vendor
+    // Create the checkout group and a separate order for each vendor. This is
+    // a compensation saga rather than a transaction (standalone MongoDB has
+    // none): if any step fails, everything already created is removed and the
+    // stock released.
+    let orderGroup;
+    let couponRedeemed = false;
     const createdOrders = [];
 
-    for (const [vendorId, orderData] of Object.entries(vendorOrders)) {
-      const tax = orderData.subtotal * 0.08; // 8% tax
-      const shipping = orderData.subtotal >= 50 ? 0 : 5.99;
-      const total = orderData.subtotal + tax + shipping;
-
-      const order = await Order.create({
+    try {
+      orderGroup = await OrderGroup.create({
         customer: req.user.id,
-        vendor: vendorId,
-        items: orderData.items,
-        pricing: {
-          subtotal: orderData.subtotal,
-          tax,
-          shipping,
-          total
-        },
+        pricing: quote.pricing,
+        coupon: quote.coupon
+          ? { coupon: quote.coupon._id, code: quote.coupon.code, discount: quote.pricing.discount }
+          : undefined,
         shippingAddress,
         billingAddress: billingAddress || shippingAddress,
         payment: {
           ...payment,
-          amount: total
+          amount: quote.pricing.total
         }
       });
 
-      // Update product inventory
-      for (const item of orderData.items) {
-        await Product.findByIdAndUpdate(
-          item.product,
-          { $inc: { 'inventory.quantity': -item.quantity } }
-        );
+      if (quote.coupon) {
+        couponRedeemed = await Coupon.redeem(quote.coupon, req.user.id, orderGroup._id);
+        if (!couponRedeemed) {
+          throw new ErrorResponse('Coupon usage limit has been reached', 409, { coupon: quote.coupon.code });
+        }
+      }
+
+      for (const { vendorId, items: orderItems, shippingMethod, coupon, pricing } of quote.orders) {
+        const order = await Order.create({
+          customer: req.user.id,
+          vendor: vendorId,
+          orderGroup: orderGroup._id,
+          items: orderItems,
+          shippingMethod,
+          coupon,
+          pricing,
+          shippingAddress,
+          billingAddress: billingAddress || shippingAddress,
+          payment: {
+            ...payment,
+            amount: pricing.total
+          }
+        });
+
+        createdOrders.push(order);
+      }
+
+      orderGroup.orders = createdOrders.map(order => order._id);
+      await orderGroup.save();
+    } catch (error) {
+      await Order.deleteMany({ _id: { $in: createdOrders.map(order => order._id) } });
+      if (couponRedeemed) {
+        await Coupon.releaseRedemption(quote.coupon._id, orderGroup._id);
+      }
+      if (orderGroup) {
+        await OrderGroup.deleteOne({ _id: orderGroup._id });
       }
+      await inventoryService.release(reservations);
+      throw error;
+    }
 
-      createdOrders.push(order);
+    // Count the sales once every order exists; each line keeps what it counted
+    // so a cancellation can reverse it
+    for (const order of createdOrders) {
+      await inventoryService.recordSales(order);
+      await order.save();
     }
 
     res.status(201).json({
       success: true,
       message: 'Orders created successfully',
+      orderGroup,
       orders: createdOrders
     });
   } catch (error) {
     console.error('Create order error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error creating order',
+      ...error.details
+    });
+  }
+});
+
+// @desc    Preview prices, tax and totals for a checkout without placing it
+// @route   POST /api/orders/quote
+// @access  Private
+router.post('/quote', protect, [
+  body('items').isArray({ min: 1 }).withMessage('Quote must contain at least one item'),
+  body('items.*.variant.sku').optional().isString().withMessage('Variant SKU must be a string'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('shippingAddress.country').trim().notEmpty().withMessage('Country is required'),
+  body('shippingAddress.state').optional().trim(),
+  body('shippingAddress.zipCode').optional().trim(),
+  body('shippingMethods').optional().isObject().withMessage('Shipping methods must map vendor IDs to methods'),
+  body('couponCode').optional().trim().notEmpty().withMessage('Coupon code cannot be empty')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quote = await checkoutService.buildQuote({
+      items: req.body.items,
+      shippingAddress: req.body.shippingAddress,
+      shippingMethods: req.body.shippingMethods,
+      couponCode: req.body.couponCode,
+      customerId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      quote: formatQuote(quote)
+    });
+  } catch (error) {
+    console.error('Quote order error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error creating order'
+      message: error.statusCode ? error.message : 'Server error quoting order',
+      ...error.details
+    });
+  }
+});
+
+// @desc    Validate a coupon against a checkout and return the discounted quote
+// @route   POST /api/orders/apply-coupon
+// @access  Private
+router.post('/apply-coupon', protect, [
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+  body('items').isArray({ min: 1 }).withMessage('Cart must contain at least one item'),
+  body('items.*.variant.sku').optional().isString().withMessage('Variant SKU must be a string'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('shippingAddress.country').trim().notEmpty().withMessage('Country is required'),
+  body('shippingMethods').optional().isObject().withMessage('Shipping methods must map vendor IDs to methods')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quote = await checkoutService.buildQuote({
+      items: req.body.items,
+      shippingAddress: req.body.shippingAddress,
+      shippingMethods: req.body.shippingMethods,
+      couponCode: req.body.code,
+      customerId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      quote: formatQuote(quote)
+    });
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error applying coupon',
+      ...error.details
     });
   }
 });
@@ -137,13 +297,50 @@ router.post('/', protect, [
 // @access  Private
 router.get('/my-orders', protect, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('view').optional().isIn(['orders', 'groups']).withMessage('View must be orders or groups')
 ], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    // One entry per checkout, with its vendor sub-orders nested inside
+    if (req.query.view === 'groups') {
+      const groupFilter = { customer: req.user.id };
+      const [orderGroups, total] = await Promise.all([
+        OrderGroup.find(groupFilter)
+          .populate({
+            path: 'orders',
+            select: 'orderNumber vendor status items pricing payment.status tracking createdAt',
+            populate: { path: 'vendor', select: 'businessName' }
+          })
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        OrderGroup.countDocuments(groupFilter)
+      ]);
+
+      return res.json({
+        success: true,
+        count: orderGroups.length,
+        total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        orderGroups
+      });
+    }
+
     const filter = { customer: req.user.id };
 
     if (req.query.status) {
@@ -175,6 +372,47 @@ router.get('/my-orders', protect, [
   }
 });
 
+// @desc    Get a checkout with all of its vendor sub-orders
+// @route   GET /api/orders/groups/:id
+// @access  Private
+router.get('/groups/:id', protect, async (req, res) => {
+  try {
+    const orderGroup = await OrderGroup.findById(req.params.id)
+      .populate({
+        path: 'orders',
+        populate: [
+          { path: 'vendor', select: 'businessName' },
+          { path: 'items.product', select: 'name images' }
+        ]
+      });
+
+    if (!orderGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order group not found'
+      });
+    }
+
+    if (orderGroup.customer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this order group'
+      });
+    }
+
+    res.json({
+      success: true,
+      orderGroup
+    });
+  } catch (error) {
+    console.error('Get order group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching order group'
+    });
+  }
+});
+
 // @desc    Get single order
 // @route   GET /api/orders/:id
 // @access  Private
@@ -227,11 +465,84 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Download the order's tax invoice as a PDF, issuing it on first request
+// @route   GET /api/orders/:id/invoice
+// @access  Private (customer, vendor or admin)
+router.get('/:id/invoice', protect, async (req, res) => {
+  try {
+    const { order, status, message } = await loadOrderFor(req, req.params.id);
+    if (!order) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const invoice = await documentService.issueInvoice(order);
+    const pdf = await documentService.renderInvoice(order, invoice);
+
+    sendPdf(res, `${invoice.invoiceNumber}.pdf`, pdf);
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error generating invoice',
+      ...error.details
+    });
+  }
+});
+
+// @desc    Email the order's invoice PDF to the customer
+// @route   POST /api/orders/:id/invoice/email
+// @access  Private (customer, vendor or admin)
+router.post('/:id/invoice/email', protect, async (req, res) => {
+  try {
+    const { order, status, message } = await loadOrderFor(req, req.params.id);
+    if (!order) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const invoice = await documentService.emailInvoice(order);
+
+    res.json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} sent to the customer`,
+      invoice
+    });
+  } catch (error) {
+    console.error('Email invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error sending invoice',
+      ...error.details
+    });
+  }
+});
+
+// @desc    Download the order's packing slip (no prices) as a PDF
+// @route   GET /api/orders/:id/packing-slip
+// @access  Private (Vendor/Admin)
+router.get('/:id/packing-slip', protect, authorize('vendor', 'admin'), async (req, res) => {
+  try {
+    const { order, status, message } = await loadOrderFor(req, req.params.id, { write: true });
+    if (!order) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const pdf = await documentService.renderPackingSlip(order);
+
+    sendPdf(res, `packing-slip-${order.orderNumber}.pdf`, pdf);
+  } catch (error) {
+    console.error('Get packing slip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating packing slip'
+    });
+  }
+});
+
 // @desc    Update order status (Vendor/Admin only)
 // @route   PUT /api/orders/:id/status
 // @access  Private (Vendor/Admin)
 router.put('/:id/status', protect, authorize('vendor', 'admin'), [
-  body('status').isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  body('status').isIn(Object.keys(Order.STATUS_TRANSITIONS)).withMessage('Invalid status'),
   body('message').optional().trim().notEmpty().withMessage('Message cannot be empty')
 ], async (req, res) => {
   try {
@@ -267,10 +578,7 @@ router.put('/:id/status', protect, authorize('vendor', 'admin'), [
 
     const { status, message, trackingNumber, carrier } = req.body;
 
-    // Update order status
-    await order.updateStatus(status, message, req.user.id);
-
-    // Update tracking info if provided
+    // Tracking details are saved along with the status change
     if (trackingNumber) {
       order.tracking.trackingNumber = trackingNumber;
     }
@@ -278,7 +586,7 @@ router.put('/:id/status', protect, authorize('vendor', 'admin'), [
       order.tracking.carrier = carrier;
     }
 
-    await order.save();
+    await orderStatusService.transition(order, status, { user: req.user, message });
 
     res.json({
       success: true,
@@ -287,9 +595,73 @@ router.put('/:id/status', protect, authorize('vendor', 'admin'), [
     });
   } catch (error) {
     console.error('Update order status error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error updating order status'
+      message: error.statusCode ? error.message : 'Server error updating order status',
+      ...error.details
+    });
+  }
+});
+
+// @desc    Cancel some units of an order's lines that have not shipped yet
+// @route   PUT /api/orders/:id/items/cancel
+// @access  Private (Vendor/Admin)
+router.put('/:id/items/cancel', protect, authorize('vendor', 'admin'), [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.orderItem').isMongoId().withMessage('Invalid order line'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('reason').optional().trim().notEmpty().withMessage('Cancellation reason cannot be empty')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if vendor owns this order (unless admin)
+    if (req.user.role === 'vendor') {
+      const vendor = await Vendor.findOne({ user: req.user.id });
+      if (!vendor || order.vendor.toString() !== vendor._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to update this order'
+        });
+      }
+    }
+
+    await cancellationService.cancelItems(order, req.body.items.map(item => ({
+      orderItem: item.orderItem,
+      quantity: parseInt(item.quantity)
+    })), {
+      user: req.user,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: order.status === 'cancelled' ? 'Order cancelled successfully' : 'Items cancelled successfully',
+      order
+    });
+  } catch (error) {
+    console.error('Cancel order items error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error cancelling order items',
+      ...error.details
     });
   }
 });
@@ -318,23 +690,11 @@ router.put('/:id/cancel', protect, [
       });
     }
 
-    if (!order.canBeCancelled()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order cannot be cancelled at this stage'
-      });
-    }
-
     order.cancellation.reason = req.body.reason || 'Cancelled by customer';
-    await order.updateStatus('cancelled', 'Order cancelled', req.user.id);
-
-    // Restore product inventory
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { 'inventory.quantity': item.quantity } }
-      );
-    }
+    await orderStatusService.transition(order, 'cancelled', {
+      user: req.user,
+      message: 'Order cancelled'
+    });
 
     res.json({
       success: true,
@@ -343,9 +703,10 @@ router.put('/:id/cancel', protect, [
     });
   } catch (error) {
     console.error('Cancel order error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error cancelling order'
+      message: error.statusCode ? error.message : 'Server error cancelling order',
+      ...error.details
     });
   }
 });
@@ -0,0 +1,88 @@
+const express = require('express');
+const WebhookEvent = require('../models/WebhookEvent');
+const paymentService = require('../services/payments');
+
+const router = express.Router();
+
+// A claim still processing after this long belongs to an attempt that died
+// (e.g. the process crashed) and may be taken over by a redelivery
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// Claim an event for processing. Resolves false when it was already
+// processed, or is being processed by an attempt that is still fresh.
+const claimEvent = async (provider, event) => {
+  try {
+    await WebhookEvent.create({ provider, eventId: event.id, type: event.providerType });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const takenOver = await WebhookEvent.findOneAndUpdate(
+    {
+      provider,
+      eventId: event.id,
+      status: 'processing',
+      updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) }
+    },
+    { $inc: { attempts: 1 } }
+  );
+  return Boolean(takenOver);
+};
+
+// @desc    Receive asynchronous payment events from a payment provider
+// @route   POST /api/payments/webhooks/:provider
+// @access  Public (signature verified)
+// Signatures are computed over the exact bytes sent, so this router is mounted
+// before the JSON body parser and reads the raw body itself
+router.post('/:provider', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  const { provider } = req.params;
+  let event;
+
+  try {
+    const gateway = await paymentService.getGateway(provider);
+    event = gateway.constructWebhookEvent(req.body, req.headers[gateway.signatureHeader]);
+  } catch (error) {
+    console.error('Payment webhook verification error:', error.message);
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  try {
+    if (!await claimEvent(provider, event)) {
+      return res.json({
+        success: true,
+        received: true,
+        duplicate: true
+      });
+    }
+
+    try {
+      await paymentService.handleWebhookEvent(event, provider);
+    } catch (error) {
+      // Release the claim so the provider's retry is processed again
+      await WebhookEvent.deleteOne({ provider, eventId: event.id });
+      throw error;
+    }
+
+    await WebhookEvent.updateOne(
+      { provider, eventId: event.id },
+      { status: 'processed', processedAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      received: true
+    });
+  } catch (error) {
+    console.error('Payment webhook processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error processing webhook'
+    });
+  }
+});
+
+module.exports = router;
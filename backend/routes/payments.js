@@ -1,15 +1,21 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { protect } = require('../middleware/auth');
+const Order = require('../models/Order');
+const OrderGroup = require('../models/OrderGroup');
+const Vendor = require('../models/Vendor');
+const { protect, authorize } = require('../middleware/auth');
+const paymentService = require('../services/payments');
 
 const router = express.Router();
 
-// @desc    Create payment intent (Stripe)
+// @desc    Create payment intent for a checkout or for one or more of the customer's orders
 // @route   POST /api/payments/create-intent
 // @access  Private
 router.post('/create-intent', protect, [
-  body('amount').isFloat({ min: 0.5 }).withMessage('Amount must be at least $0.50'),
-  body('currency').optional().isIn(['usd', 'eur', 'gbp']).withMessage('Invalid currency')
+  body('orderGroupId').optional().isMongoId().withMessage('Invalid order group ID'),
+  body('orderIds').if(body('orderGroupId').not().exists())
+    .isArray({ min: 1 }).withMessage('At least one order is required'),
+  body('orderIds.*').isMongoId().withMessage('Invalid order ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -22,37 +28,113 @@ router.post('/create-intent', protect, [
       });
     }
 
-    // This is a placeholder for Stripe integration
-    // In a real implementation, you would:
-    // 1. Initialize Stripe with your secret key
-    // 2. Create a payment intent
-    // 3. Return the client secret
+    let orderGroup;
+    let orders;
 
-    const { amount, currency = 'usd' } = req.body;
+    if (req.body.orderGroupId) {
+      // Pay for the whole checkout at once, skipping sub-orders cancelled since
+      orderGroup = await OrderGroup.findOne({ _id: req.body.orderGroupId, customer: req.user.id });
+
+      if (!orderGroup) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order group not found'
+        });
+      }
+
+      orders = await Order.find({ orderGroup: orderGroup._id, status: { $ne: 'cancelled' } });
+
+      if (orders.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Order group has no orders left to pay'
+        });
+      }
+    } else {
+      const orderIds = [...new Set(req.body.orderIds)];
+      orders = await Order.find({ _id: { $in: orderIds }, customer: req.user.id });
+
+      if (orders.length !== orderIds.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'One or more orders not found'
+        });
+      }
+    }
+
+    const unpayable = orders.find(order =>
+      order.payment.method !== 'stripe' ||
+      !['pending', 'failed'].includes(order.payment.status) ||
+      order.status === 'cancelled'
+    );
+    if (unpayable) {
+      return res.status(400).json({
+        success: false,
+        message: `Order ${unpayable.orderNumber} cannot be paid by card`
+      });
+    }
+
+    const currency = orders[0].payment.currency;
+    if (orders.some(order => order.payment.currency !== currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Orders must share the same currency'
+      });
+    }
+
+    await paymentService.cancelOpenIntents(orderGroup ? [...orders, orderGroup] : orders);
+
+    const amount = Math.round(orders.reduce((sum, order) => sum + order.payment.amount, 0) * 100) / 100;
+    const gateway = await paymentService.getGateway();
+
+    const intent = await gateway.createPaymentIntent({
+      amount,
+      currency,
+      receiptEmail: req.user.email,
+      metadata: {
+        customerId: req.user.id,
+        orderGroupId: orderGroup ? orderGroup._id.toString() : '',
+        orderIds: orders.map(order => order._id.toString()).join(',')
+      }
+    });
+
+    // Tie every order to the intent so confirmation can find them again
+    for (const order of orders) {
+      order.payment.gateway = gateway.name;
+      order.payment.paymentIntentId = intent.id;
+      await order.save();
+    }
+
+    if (orderGroup) {
+      orderGroup.payment.gateway = gateway.name;
+      orderGroup.payment.paymentIntentId = intent.id;
+      await orderGroup.save();
+    }
 
-    // Placeholder response
     res.json({
       success: true,
-      message: 'Payment intent created (placeholder)',
-      clientSecret: 'pi_placeholder_client_secret',
-      amount,
-      currency
+      message: 'Payment intent created',
+      gateway: gateway.name,
+      paymentIntentId: intent.id,
+      clientSecret: intent.clientSecret,
+      amount: intent.amount,
+      currency: intent.currency
     });
   } catch (error) {
     console.error('Create payment intent error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error creating payment intent'
+      message: error.statusCode ? error.message : 'Server error creating payment intent'
     });
   }
 });
 
-// @desc    Confirm payment
+// @desc    Confirm payment and settle the linked orders
 // @route   POST /api/payments/confirm
 // @access  Private
 router.post('/confirm', protect, [
   body('paymentIntentId').notEmpty().withMessage('Payment intent ID is required'),
-  body('orderId').isMongoId().withMessage('Valid order ID is required')
+  body('paymentMethod').optional().isString().withMessage('Invalid payment method')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -65,36 +147,59 @@ router.post('/confirm', protect, [
       });
     }
 
-    // This is a placeholder for payment confirmation
-    // In a real implementation, you would:
-    // 1. Verify the payment with Stripe
-    // 2. Update the order status
-    // 3. Send confirmation emails
+    const { paymentIntentId, paymentMethod } = req.body;
+
+    const orders = await Order.find({
+      'payment.paymentIntentId': paymentIntentId,
+      customer: req.user.id
+    });
+
+    if (orders.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No orders found for this payment'
+      });
+    }
 
-    const { paymentIntentId, orderId } = req.body;
+    const gateway = await paymentService.getGateway(orders[0].payment.gateway);
+    const intent = await gateway.confirmPaymentIntent(paymentIntentId, { paymentMethod });
+
+    for (const order of orders) {
+      if (intent.status === 'succeeded') {
+        await paymentService.capturePayment(order, intent.transactionId);
+      } else if (intent.status === 'processing') {
+        order.payment.status = 'processing';
+        await order.save();
+      } else if (intent.failureReason) {
+        await order.markPaymentFailed(intent.failureReason);
+      }
+    }
+
+    await paymentService.syncOrderGroups(orders);
 
-    // Placeholder response
     res.json({
-      success: true,
-      message: 'Payment confirmed (placeholder)',
+      success: intent.status === 'succeeded' || intent.status === 'processing',
+      message: intent.status === 'succeeded'
+        ? 'Payment confirmed'
+        : intent.failureReason || `Payment is ${intent.status.replace(/_/g, ' ')}`,
       paymentIntentId,
-      orderId,
-      status: 'succeeded'
+      status: intent.status,
+      orders
     });
   } catch (error) {
     console.error('Confirm payment error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error confirming payment'
+      message: error.statusCode ? error.message : 'Server error confirming payment'
     });
   }
 });
 
-// @desc    Process refund
+// @desc    Refund an order's payment
 // @route   POST /api/payments/refund
 // @access  Private (Admin/Vendor)
-router.post('/refund', protect, [
-  body('paymentIntentId').notEmpty().withMessage('Payment intent ID is required'),
+router.post('/refund', protect, authorize('admin', 'vendor'), [
+  body('orderId').isMongoId().withMessage('Valid order ID is required'),
   body('amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be positive'),
   body('reason').optional().trim().notEmpty().withMessage('Refund reason cannot be empty')
 ], async (req, res) => {
@@ -109,56 +214,56 @@ router.post('/refund', protect, [
       });
     }
 
-    // This is a placeholder for refund processing
-    // In a real implementation, you would:
-    // 1. Verify the original payment
-    // 2. Process the refund with Stripe
-    // 3. Update the order status
-    // 4. Send notification emails
+    const { orderId, amount, reason } = req.body;
 
-    const { paymentIntentId, amount, reason } = req.body;
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Vendors may only refund their own orders
+    if (req.user.role === 'vendor') {
+      const vendor = await Vendor.findOne({ user: req.user.id });
+      if (!vendor || order.vendor.toString() !== vendor._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to refund this order'
+        });
+      }
+    }
+
+    const refund = await paymentService.refundOrder(order, {
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      reason,
+      refundedBy: req.user.id
+    });
 
-    // Placeholder response
     res.json({
       success: true,
-      message: 'Refund processed (placeholder)',
-      paymentIntentId,
-      refundAmount: amount,
-      reason,
-      status: 'succeeded'
+      message: 'Refund processed',
+      refund,
+      order
     });
   } catch (error) {
     console.error('Process refund error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error processing refund'
+      message: error.statusCode ? error.message : 'Server error processing refund'
     });
   }
 });
 
-// @desc    Get payment methods
+// @desc    Get payment methods available at checkout
 // @route   GET /api/payments/methods
 // @access  Private
 router.get('/methods', protect, async (req, res) => {
   try {
-    // This is a placeholder for getting saved payment methods
-    // In a real implementation, you would fetch from Stripe Customer
-
     res.json({
       success: true,
-      message: 'Payment methods retrieved (placeholder)',
-      methods: [
-        {
-          id: 'pm_placeholder_1',
-          type: 'card',
-          card: {
-            brand: 'visa',
-            last4: '4242',
-            exp_month: 12,
-            exp_year: 2025
-          }
-        }
-      ]
+      methods: await paymentService.getAvailableMethods()
     });
   } catch (error) {
     console.error('Get payment methods error:', error);
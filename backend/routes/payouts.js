@@ -0,0 +1,349 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Payout = require('../models/Payout');
+const Vendor = require('../models/Vendor');
+const { protect, authorize } = require('../middleware/auth');
+const ledgerService = require('../services/ledgerService');
+const payoutService = require('../services/payoutService');
+const { toCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+const STATEMENT_COLUMNS = [
+  { key: line => line.date.toISOString().slice(0, 10), header: 'Date' },
+  { key: 'type', header: 'Type' },
+  { key: 'description', header: 'Description' },
+  { key: 'orderNumber', header: 'Order' },
+  { key: 'payoutNumber', header: 'Payout' },
+  { key: line => line.amount.toFixed(2), header: 'Amount' },
+  { key: line => line.balance.toFixed(2), header: 'Balance' }
+];
+
+// Shared error response; service errors carry their own status and details
+const sendError = (res, error, label, fallback) => {
+  console.error(`${label} error:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback,
+    ...error.details
+  });
+};
+
+// Vendor whose ledger is requested: vendors always get their own, admins name
+// one with ?vendor=
+const resolveVendor = async (req) => {
+  if (req.user.role === 'vendor') {
+    const vendor = await Vendor.findOne({ user: req.user.id }).select('_id businessName');
+    return vendor ? { vendor } : { status: 404, message: 'Vendor profile not found' };
+  }
+
+  if (!req.query.vendor) return { status: 400, message: 'Vendor is required' };
+
+  const vendor = await Vendor.findById(req.query.vendor).select('_id businessName');
+  return vendor ? { vendor } : { status: 404, message: 'Vendor not found' };
+};
+
+// @desc    Get ledger balances (own for vendors; one or all vendors for admins)
+// @route   GET /api/payouts/balance
+// @access  Private (Vendor/Admin)
+router.get('/balance', protect, authorize('vendor', 'admin'), async (req, res) => {
+  try {
+    if (req.user.role === 'admin' && !req.query.vendor) {
+      const balances = await ledgerService.balances();
+      return res.json({
+        success: true,
+        minimumPayout: await payoutService.getMinimumPayout(),
+        balances: [...balances].map(([vendor, balance]) => ({ vendor, ...balance }))
+      });
+    }
+
+    const { vendor, status, message } = await resolveVendor(req);
+    if (!vendor) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.json({
+      success: true,
+      minimumPayout: await payoutService.getMinimumPayout(),
+      clearingDays: ledgerService.clearingDays,
+      balance: await ledgerService.vendorBalance(vendor._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get balance', 'Server error fetching balance');
+  }
+});
+
+// @desc    Get a vendor statement for a period, as JSON or CSV (?format=csv)
+// @route   GET /api/payouts/statement
+// @access  Private (Vendor/Admin)
+router.get('/statement', protect, authorize('vendor', 'admin'), [
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { vendor, status, message } = await resolveVendor(req);
+    if (!vendor) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    // Defaults to the current calendar month; the end date is inclusive
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.to ? new Date(req.query.to) : now;
+    if (req.query.to) {
+      to.setHours(23, 59, 59, 999);
+    }
+
+    const statement = await ledgerService.statement(vendor._id, { from, to });
+
+    if (req.query.format === 'csv') {
+      const name = `statement-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`;
+      res.set({
+        'Content-Type': 'text/csv',
+        'Content-Disposition': `attachment; filename="${name}"`
+      });
+      return res.send(toCsv(statement.lines, STATEMENT_COLUMNS));
+    }
+
+    res.json({
+      success: true,
+      vendor,
+      statement
+    });
+  } catch (error) {
+    sendError(res, error, 'Get statement', 'Server error fetching statement');
+  }
+});
+
+// @desc    List payouts (own for vendors, all for admins)
+// @route   GET /api/payouts
+// @access  Private (Vendor/Admin)
+router.get('/', protect, authorize('vendor', 'admin'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.user.role === 'vendor') {
+      const { vendor, status, message } = await resolveVendor(req);
+      if (!vendor) {
+        return res.status(status).json({ success: false, message });
+      }
+      filter.vendor = vendor._id;
+    } else if (req.query.vendor) {
+      filter.vendor = req.query.vendor;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const payouts = await Payout.find(filter)
+      .populate('vendor', 'businessName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Payout.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: payouts.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      // Vendors never get their full account number back
+      payouts: req.user.role === 'admin' ? payouts : payouts.map(payout => payout.toSafeJSON())
+    });
+  } catch (error) {
+    sendError(res, error, 'Get payouts', 'Server error fetching payouts');
+  }
+});
+
+// @desc    Run a settlement: create payouts for every cleared balance over the minimum
+// @route   POST /api/payouts/runs
+// @access  Private (Admin only)
+router.post('/runs', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { run, payouts, skipped } = await payoutService.runSettlement(req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Settlement run created ${payouts.length} payout(s) awaiting approval`,
+      run,
+      payouts,
+      skipped
+    });
+  } catch (error) {
+    sendError(res, error, 'Settlement run', 'Server error running settlement');
+  }
+});
+
+// @desc    Export approved payouts as a bank transfer file (CSV)
+// @route   POST /api/payouts/export
+// @access  Private (Admin only)
+router.post('/export', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { batch, csv } = await payoutService.exportBankFile(req.user);
+
+    res.set({
+      'Content-Type': 'text/csv',
+      'Content-Disposition': `attachment; filename="payouts-${batch.replace(/[^A-Za-z0-9-]/g, '')}.csv"`,
+      'X-Export-Batch': batch
+    });
+    res.send(csv);
+  } catch (error) {
+    sendError(res, error, 'Export payouts', 'Server error exporting payouts');
+  }
+});
+
+// @desc    Approve a payout
+// @route   PUT /api/payouts/:id/approve
+// @access  Private (Admin only)
+router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
+  try {
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    await payoutService.approve(payout, req.user);
+
+    res.json({
+      success: true,
+      message: 'Payout approved',
+      payout
+    });
+  } catch (error) {
+    sendError(res, error, 'Approve payout', 'Server error approving payout');
+  }
+});
+
+// @desc    Reject a payout and return the amount to the vendor's balance
+// @route   PUT /api/payouts/:id/reject
+// @access  Private (Admin only)
+router.put('/:id/reject', protect, authorize('admin'), [
+  body('reason').trim().notEmpty().withMessage('Rejection reason is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    await payoutService.reject(payout, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Payout rejected',
+      payout
+    });
+  } catch (error) {
+    sendError(res, error, 'Reject payout', 'Server error rejecting payout');
+  }
+});
+
+// @desc    Mark an exported payout as paid by the bank
+// @route   PUT /api/payouts/:id/paid
+// @access  Private (Admin only)
+router.put('/:id/paid', protect, authorize('admin'), async (req, res) => {
+  try {
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    await payoutService.markPaid(payout, req.user);
+
+    res.json({
+      success: true,
+      message: 'Payout marked as paid',
+      payout
+    });
+  } catch (error) {
+    sendError(res, error, 'Mark payout paid', 'Server error updating payout');
+  }
+});
+
+// @desc    Mark an exported payout as failed and return the amount to the vendor's balance
+// @route   PUT /api/payouts/:id/failed
+// @access  Private (Admin only)
+router.put('/:id/failed', protect, authorize('admin'), [
+  body('reason').trim().notEmpty().withMessage('Failure reason is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    await payoutService.markFailed(payout, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Payout marked as failed',
+      payout
+    });
+  } catch (error) {
+    sendError(res, error, 'Mark payout failed', 'Server error updating payout');
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Product = require('../models/Product');
 const Vendor = require('../models/Vendor');
+const ProductView = require('../models/ProductView');
 const { protect, authorize, optionalAuth, vendorOwnership } = require('../middleware/auth');
 
 const router = express.Router();
@@ -170,6 +171,13 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
+    // Shopper views feed the vendor's conversion rate; staff browsing does not count
+    if (!req.user || req.user.role === 'customer') {
+      ProductView.record(product).catch(error => {
+        console.error('Record product view error:', error);
+      });
+    }
+
     res.json({
       success: true,
       product
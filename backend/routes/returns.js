@@ -0,0 +1,326 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const Vendor = require('../models/Vendor');
+const { protect, authorize } = require('../middleware/auth');
+const returnService = require('../services/returnService');
+
+const router = express.Router();
+
+// Shared error response; service errors carry their own status and details
+const sendError = (res, error, label, fallback) => {
+  console.error(`${label} error:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback,
+    ...error.details
+  });
+};
+
+// Load a return the current user may act on. Customers see their own returns,
+// vendors the returns of their orders and admins everything; only the vendor
+// or an admin may process one (manage = true).
+const loadReturnFor = async (req, { manage = false } = {}) => {
+  const rma = await ReturnRequest.findById(req.params.id);
+  if (!rma) return { status: 404, message: 'Return not found' };
+
+  if (req.user.role === 'admin') return { rma };
+
+  if (req.user.role === 'vendor') {
+    const vendor = await Vendor.findOne({ user: req.user.id });
+    if (vendor && rma.vendor.toString() === vendor._id.toString()) return { rma };
+  }
+
+  if (!manage && rma.customer.toString() === req.user.id) return { rma };
+
+  return { status: 403, message: 'Not authorized to access this return' };
+};
+
+// @desc    Request a return for items of a delivered order
+// @route   POST /api/returns
+// @access  Private (order customer)
+router.post('/', protect, [
+  body('orderId').isMongoId().withMessage('Valid order ID is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.orderItem').isMongoId().withMessage('Invalid order line'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.reason').isIn(ReturnRequest.RETURN_REASONS).withMessage('Invalid return reason'),
+  body('items.*.comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters'),
+  body('items.*.photos').optional().isArray({ max: 5 }).withMessage('Up to 5 photos per item'),
+  body('items.*.photos.*').isString().withMessage('Photos must be uploaded image URLs')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.body.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.customer.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to return items from this order'
+      });
+    }
+
+    const rma = await returnService.requestReturn(order, req.body.items.map(item => ({
+      ...item,
+      quantity: parseInt(item.quantity)
+    })), req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      return: rma
+    });
+  } catch (error) {
+    sendError(res, error, 'Request return', 'Server error requesting return');
+  }
+});
+
+// @desc    List returns (own for customers, own orders' for vendors, all for admins)
+// @route   GET /api/returns
+// @access  Private
+router.get('/', protect, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.user.role === 'vendor') {
+      const vendor = await Vendor.findOne({ user: req.user.id });
+      if (!vendor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vendor profile not found'
+        });
+      }
+      filter.vendor = vendor._id;
+    } else if (req.user.role !== 'admin') {
+      filter.customer = req.user.id;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.order) {
+      filter.order = req.query.order;
+    }
+
+    const returns = await ReturnRequest.find(filter)
+      .populate('order', 'orderNumber')
+      .populate('customer', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ReturnRequest.countDocuments(filter);
+
+    res.json({
+      success: true,
+      count: returns.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      returns
+    });
+  } catch (error) {
+    sendError(res, error, 'Get returns', 'Server error fetching returns');
+  }
+});
+
+// @desc    Get a return
+// @route   GET /api/returns/:id
+// @access  Private (customer, vendor or admin)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const { rma, status, message } = await loadReturnFor(req);
+    if (!rma) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await rma.populate([
+      { path: 'order', select: 'orderNumber status payment.status' },
+      { path: 'customer', select: 'firstName lastName email' }
+    ]);
+
+    res.json({
+      success: true,
+      return: rma
+    });
+  } catch (error) {
+    sendError(res, error, 'Get return', 'Server error fetching return');
+  }
+});
+
+// @desc    Approve a return and issue a return label or instructions
+// @route   PUT /api/returns/:id/approve
+// @access  Private (Vendor/Admin)
+router.put('/:id/approve', protect, authorize('vendor', 'admin'), [
+  body('method').isIn(['label', 'instructions']).withMessage('Method must be label or instructions'),
+  body('carrier').if(body('method').equals('label')).trim().notEmpty().withMessage('Carrier is required for a return label'),
+  body('labelUrl').optional().isURL().withMessage('Label URL must be a valid URL'),
+  body('instructions').optional().trim(),
+  body('note').optional().trim()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { rma, status, message } = await loadReturnFor(req, { manage: true });
+    if (!rma) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await returnService.approve(rma, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Return approved',
+      return: rma
+    });
+  } catch (error) {
+    sendError(res, error, 'Approve return', 'Server error approving return');
+  }
+});
+
+// @desc    Reject a return request
+// @route   PUT /api/returns/:id/reject
+// @access  Private (Vendor/Admin)
+router.put('/:id/reject', protect, authorize('vendor', 'admin'), [
+  body('reason').trim().notEmpty().withMessage('Rejection reason is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { rma, status, message } = await loadReturnFor(req, { manage: true });
+    if (!rma) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await returnService.reject(rma, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Return rejected',
+      return: rma
+    });
+  } catch (error) {
+    sendError(res, error, 'Reject return', 'Server error rejecting return');
+  }
+});
+
+// @desc    Record the returned goods after inspection, restock and refund them
+// @route   PUT /api/returns/:id/receive
+// @access  Private (Vendor/Admin)
+router.put('/:id/receive', protect, authorize('vendor', 'admin'), [
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.orderItem').isMongoId().withMessage('Invalid order line'),
+  body('items.*.receivedQuantity').isInt({ min: 0 }).withMessage('Received quantity must be 0 or more'),
+  body('items.*.condition').isIn(['resellable', 'damaged']).withMessage('Condition must be resellable or damaged'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { rma, status, message } = await loadReturnFor(req, { manage: true });
+    if (!rma) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await returnService.receive(rma, {
+      items: (req.body.items || []).map(item => ({
+        ...item,
+        receivedQuantity: parseInt(item.receivedQuantity)
+      })),
+      notes: req.body.notes
+    }, req.user);
+
+    res.json({
+      success: true,
+      message: rma.refund.status === 'failed'
+        ? `Return received, but the refund failed: ${rma.refund.failureReason}`
+        : 'Return received',
+      return: rma
+    });
+  } catch (error) {
+    sendError(res, error, 'Receive return', 'Server error receiving return');
+  }
+});
+
+// @desc    Retry the refund of a received return
+// @route   POST /api/returns/:id/refund
+// @access  Private (Vendor/Admin)
+router.post('/:id/refund', protect, authorize('vendor', 'admin'), async (req, res) => {
+  try {
+    const { rma, status, message } = await loadReturnFor(req, { manage: true });
+    if (!rma) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await returnService.processRefund(rma, req.user);
+
+    res.json({
+      success: rma.refund.status !== 'failed',
+      message: rma.refund.status === 'failed'
+        ? `Refund failed: ${rma.refund.failureReason}`
+        : 'Refund processed',
+      return: rma
+    });
+  } catch (error) {
+    sendError(res, error, 'Refund return', 'Server error refunding return');
+  }
+});
+
+module.exports = router;
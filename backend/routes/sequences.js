@@ -0,0 +1,70 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Sequence = require('../models/Sequence');
+const { protect, authorize } = require('../middleware/auth');
+const sequenceService = require('../services/sequenceService');
+
+const router = express.Router();
+
+// @desc    Get the numbering formats of all sequences
+// @route   GET /api/sequences
+// @access  Private (Admin only)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const sequences = await sequenceService.getFormats();
+
+    res.json({
+      success: true,
+      sequences
+    });
+  } catch (error) {
+    console.error('Get sequences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching sequences'
+    });
+  }
+});
+
+// @desc    Update the numbering format of a sequence (order, checkout, invoice, rma, payout)
+// @route   PUT /api/sequences/:name
+// @access  Private (Admin only)
+router.put('/:name', protect, authorize('admin'), [
+  param('name').isIn(sequenceService.names).withMessage('Unknown sequence'),
+  body('prefix').optional().trim().matches(/^[A-Za-z0-9]{0,10}$/).withMessage('Prefix may only contain up to 10 letters and digits'),
+  body('separator').optional().isIn(Sequence.SEPARATORS).withMessage(`Separator must be one of ${Sequence.SEPARATORS.join(' ')}`),
+  body('dateSegment').optional().isIn(Sequence.DATE_SEGMENTS).withMessage('Invalid date segment'),
+  body('padding').optional().isInt({ min: 1, max: 12 }).withMessage('Padding must be between 1 and 12'),
+  body('vendorPrefix').optional().isBoolean().withMessage('vendorPrefix must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const sequence = await sequenceService.updateFormat(req.params.name, {
+      ...req.body,
+      padding: req.body.padding === undefined ? undefined : parseInt(req.body.padding)
+    }, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Sequence format updated successfully',
+      sequence
+    });
+  } catch (error) {
+    console.error('Update sequence error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error updating sequence'
+    });
+  }
+});
+
+module.exports = router;
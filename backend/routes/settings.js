@@ -0,0 +1,24 @@
+const express = require('express');
+const settingService = require('../services/settingService');
+
+const router = express.Router();
+
+// @desc    Get the platform settings the storefront shows (site details, tax and free-shipping estimates)
+// @route   GET /api/settings/public
+// @access  Public
+router.get('/public', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: await settingService.publicSettings()
+    });
+  } catch (error) {
+    console.error('Get public settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching settings'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const carrierService = require('../services/carriers');
+const shipmentService = require('../services/shipmentService');
+
+const router = express.Router();
+
+// @desc    Receive tracking updates pushed by a carrier
+// @route   POST /api/shipments/webhooks/:carrier
+// @access  Public (signature verified)
+// Signatures are computed over the exact bytes sent, so this router is mounted
+// before the JSON body parser and reads the raw body itself. Updates are
+// idempotent (known scan events are skipped), so redeliveries are harmless.
+router.post('/:carrier', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  let carrier;
+  let updates;
+
+  try {
+    carrier = carrierService.getCarrier(req.params.carrier);
+    if (!carrier.supportsWebhooks) {
+      return res.status(404).json({
+        success: false,
+        message: `${carrier.displayName} does not send tracking webhooks`
+      });
+    }
+    updates = carrier.parseWebhook(req.body, req.headers[carrier.signatureHeader]);
+  } catch (error) {
+    console.error('Tracking webhook verification error:', error.message);
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  try {
+    const result = await shipmentService.handleWebhookUpdates(carrier.name, updates);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Tracking webhook processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error processing tracking update'
+    });
+  }
+});
+
+module.exports = router;
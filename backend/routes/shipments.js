@@ -0,0 +1,209 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Shipment = require('../models/Shipment');
+const Order = require('../models/Order');
+const Vendor = require('../models/Vendor');
+const { protect, authorize } = require('../middleware/auth');
+const shipmentService = require('../services/shipmentService');
+const carrierService = require('../services/carriers');
+
+const router = express.Router();
+
+// Load an order the current user may see: its customer, its vendor or an admin.
+// Customers only get read access (write = false).
+const loadOrderFor = async (req, orderId, { write = false } = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order) return { status: 404, message: 'Order not found' };
+
+  if (req.user.role === 'admin') return { order };
+
+  if (req.user.role === 'vendor') {
+    const vendor = await Vendor.findOne({ user: req.user.id });
+    if (vendor && order.vendor.toString() === vendor._id.toString()) return { order };
+  }
+
+  if (!write && order.customer.toString() === req.user.id) return { order };
+
+  return { status: 403, message: 'Not authorized to access this order' };
+};
+
+// Shared error response; service errors carry their own status and details
+const sendError = (res, error, label, fallback) => {
+  console.error(`${label} error:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback,
+    ...error.details
+  });
+};
+
+// @desc    List the carriers a shipment can be sent with
+// @route   GET /api/shipments/carriers
+// @access  Private (Vendor/Admin)
+router.get('/carriers', protect, authorize('vendor', 'admin'), (req, res) => {
+  res.json({
+    success: true,
+    carriers: carrierService.getAvailableCarriers()
+  });
+});
+
+// @desc    Refresh tracking for every shipment still in transit
+// @route   POST /api/shipments/poll
+// @access  Private (Admin only)
+router.post('/poll', protect, authorize('admin'), async (req, res) => {
+  try {
+    const result = await shipmentService.pollActive();
+
+    res.json({
+      success: true,
+      message: `Checked ${result.checked} shipments, ${result.updated} updated`,
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, 'Poll shipments', 'Server error polling shipments');
+  }
+});
+
+// @desc    Get an order's shipments and what is left to ship
+// @route   GET /api/shipments/order/:orderId
+// @access  Private (order customer, vendor or admin)
+router.get('/order/:orderId', protect, async (req, res) => {
+  try {
+    const { order, status, message } = await loadOrderFor(req, req.params.orderId);
+    if (!order) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const shipments = await Shipment.find({ order: order._id }).sort({ createdAt: 1 });
+    const fulfilment = await shipmentService.fulfilment(order);
+
+    res.json({
+      success: true,
+      shipments,
+      fulfilment
+    });
+  } catch (error) {
+    sendError(res, error, 'Get shipments', 'Server error fetching shipments');
+  }
+});
+
+// @desc    Ship some or all of an order's remaining items
+// @route   POST /api/shipments/order/:orderId
+// @access  Private (Vendor/Admin)
+router.post('/order/:orderId', protect, authorize('vendor', 'admin'), [
+  body('carrier').trim().notEmpty().withMessage('Carrier is required'),
+  body('trackingNumber').optional().trim().notEmpty().withMessage('Tracking number cannot be empty'),
+  body('trackingUrl').optional().isURL().withMessage('Tracking URL must be a valid URL'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.orderItem').isMongoId().withMessage('Invalid order line'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('package.weight').optional().isFloat({ min: 0 }).withMessage('Weight must be a positive number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { order, status, message } = await loadOrderFor(req, req.params.orderId, { write: true });
+    if (!order) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const shipment = await shipmentService.createShipment(order, {
+      ...req.body,
+      items: req.body.items?.map(item => ({ ...item, quantity: parseInt(item.quantity) }))
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment created successfully',
+      shipment,
+      order
+    });
+  } catch (error) {
+    sendError(res, error, 'Create shipment', 'Server error creating shipment');
+  }
+});
+
+// @desc    Fetch the latest tracking status from the carrier
+// @route   POST /api/shipments/:id/refresh
+// @access  Private (Vendor/Admin)
+router.post('/:id/refresh', protect, authorize('vendor', 'admin'), async (req, res) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ success: false, message: 'Shipment not found' });
+    }
+
+    const { order, status, message } = await loadOrderFor(req, shipment.order, { write: true });
+    if (!order) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await shipmentService.refresh(shipment);
+
+    res.json({
+      success: true,
+      shipment
+    });
+  } catch (error) {
+    sendError(res, error, 'Refresh shipment', 'Server error refreshing shipment');
+  }
+});
+
+// @desc    Record a tracking status by hand (carriers without tracking integration)
+// @route   PUT /api/shipments/:id/status
+// @access  Private (Vendor/Admin)
+router.put('/:id/status', protect, authorize('vendor', 'admin'), [
+  body('status').isIn(['label_created', 'in_transit', 'out_for_delivery', 'delivered', 'exception']).withMessage('Invalid shipment status'),
+  body('description').optional().trim(),
+  body('location').optional().trim()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ success: false, message: 'Shipment not found' });
+    }
+
+    const { order, status, message } = await loadOrderFor(req, shipment.order, { write: true });
+    if (!order) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await shipmentService.applyTrackingUpdate(shipment, {
+      status: req.body.status,
+      events: [{
+        status: req.body.status,
+        description: req.body.description,
+        location: req.body.location,
+        occurredAt: new Date()
+      }]
+    });
+
+    res.json({
+      success: true,
+      message: 'Shipment status updated',
+      shipment
+    });
+  } catch (error) {
+    sendError(res, error, 'Update shipment status', 'Server error updating shipment');
+  }
+});
+
+module.exports = router;
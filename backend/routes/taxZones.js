@@ -0,0 +1,147 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TaxZone = require('../models/TaxZone');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const taxZoneValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Tax zone name cannot be empty'),
+  body('country').optional().trim().notEmpty().withMessage('Country cannot be empty'),
+  body('states').optional().isArray().withMessage('States must be an array'),
+  body('zipCodes').optional().isArray().withMessage('Zip codes must be an array'),
+  body('rates').optional().isArray({ min: 1 }).withMessage('At least one rate is required'),
+  body('rates.*.taxClass').optional().trim().notEmpty().withMessage('Tax class cannot be empty'),
+  body('rates.*.rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Rate must be between 0 and 100'),
+  body('pricesIncludeTax').optional().isBoolean().withMessage('pricesIncludeTax must be a boolean'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// @desc    Get all tax zones
+// @route   GET /api/tax-zones
+// @access  Private (Admin only)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const taxZones = await TaxZone.find().sort({ country: 1, priority: -1, name: 1 });
+
+    res.json({
+      success: true,
+      count: taxZones.length,
+      taxZones
+    });
+  } catch (error) {
+    console.error('Get tax zones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching tax zones'
+    });
+  }
+});
+
+// @desc    Create tax zone
+// @route   POST /api/tax-zones
+// @access  Private (Admin only)
+router.post('/', protect, authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Tax zone name is required'),
+  body('country').trim().notEmpty().withMessage('Country is required'),
+  body('rates').isArray({ min: 1 }).withMessage('At least one rate is required'),
+  ...taxZoneValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const taxZone = await TaxZone.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax zone created successfully',
+      taxZone
+    });
+  } catch (error) {
+    console.error('Create tax zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating tax zone'
+    });
+  }
+});
+
+// @desc    Update tax zone
+// @route   PUT /api/tax-zones/:id
+// @access  Private (Admin only)
+router.put('/:id', protect, authorize('admin'), taxZoneValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const taxZone = await TaxZone.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!taxZone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax zone updated successfully',
+      taxZone
+    });
+  } catch (error) {
+    console.error('Update tax zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating tax zone'
+    });
+  }
+});
+
+// @desc    Delete tax zone
+// @route   DELETE /api/tax-zones/:id
+// @access  Private (Admin only)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const taxZone = await TaxZone.findByIdAndDelete(req.params.id);
+
+    if (!taxZone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax zone deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tax zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting tax zone'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,10 @@ const { body, validationResult, query } = require('express-validator');
 const Vendor = require('../models/Vendor');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const User = require('../models/User');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const orderStatusService = require('../services/orderStatusService');
+const reportService = require('../services/reportService');
 
 const router = express.Router();
 
@@ -97,6 +100,223 @@ router.get('/', [
   }
 });
 
+// Statuses a vendor can move orders to in bulk
+const BULK_ORDER_STATUSES = ['confirmed', 'processing'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Get the vendor's orders with filtering, search and pagination
+// @route   GET /api/vendors/orders
+// @access  Private (Vendor only)
+router.get('/orders', protect, authorize('vendor'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled', 'returned']).withMessage('Invalid status'),
+  query('paymentStatus').optional().isIn(['pending', 'processing', 'completed', 'failed', 'refunded', 'partially_refunded', 'disputed']).withMessage('Invalid payment status'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vendor = await Vendor.findOne({ user: req.user.id });
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor profile not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Build filter
+    const filter = { vendor: vendor._id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.paymentStatus) {
+      filter['payment.status'] = req.query.paymentStatus;
+    }
+
+    if (req.query.startDate || req.query.endDate) {
+      filter.createdAt = {};
+      if (req.query.startDate) {
+        filter.createdAt.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        // The end date is inclusive of the whole day
+        const endDate = new Date(req.query.endDate);
+        endDate.setHours(23, 59, 59, 999);
+        filter.createdAt.$lte = endDate;
+      }
+    }
+
+    // Search by order number, customer account or the name on the shipping address
+    if (req.query.search && req.query.search.trim()) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      const customers = await User.find({
+        $or: [{ firstName: pattern }, { lastName: pattern }, { email: pattern }]
+      }).select('_id');
+
+      filter.$or = [
+        { orderNumber: pattern },
+        { customer: { $in: customers.map(customer => customer._id) } },
+        { 'shippingAddress.firstName': pattern },
+        { 'shippingAddress.lastName': pattern }
+      ];
+    }
+
+    const orders = await Order.find(filter)
+      .populate('customer', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Order.countDocuments(filter);
+
+    // Order counts per status across all of the vendor's orders
+    const statusCounts = await Order.aggregate([
+      { $match: { vendor: vendor._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      orders,
+      statusCounts: Object.fromEntries(statusCounts.map(entry => [entry._id, entry.count]))
+    });
+  } catch (error) {
+    console.error('Get vendor orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching vendor orders'
+    });
+  }
+});
+
+// @desc    Bulk update the status of the vendor's orders
+// @route   PUT /api/vendors/orders/bulk/status
+// @access  Private (Vendor only)
+router.put('/orders/bulk/status', protect, authorize('vendor'), [
+  body('orderIds').isArray({ min: 1 }).withMessage('Order IDs must be a non-empty array'),
+  body('orderIds.*').isMongoId().withMessage('Invalid order ID'),
+  body('status').isIn(BULK_ORDER_STATUSES).withMessage('Invalid status'),
+  body('message').optional().trim().notEmpty().withMessage('Message cannot be empty')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vendor = await Vendor.findOne({ user: req.user.id });
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor profile not found'
+      });
+    }
+
+    const { orderIds, status, message } = req.body;
+    const orders = await Order.find({ _id: { $in: orderIds }, vendor: vendor._id });
+
+    const updated = [];
+    const skipped = [];
+
+    for (const order of orders) {
+      try {
+        await orderStatusService.transition(order, status, { user: req.user, message });
+        updated.push(order._id);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        skipped.push({
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          reason: error.message
+        });
+      }
+    }
+
+    // Anything not loaded does not exist or belongs to another vendor
+    const foundIds = orders.map(order => order._id.toString());
+    orderIds
+      .filter(id => !foundIds.includes(id))
+      .forEach(id => skipped.push({ orderId: id, reason: 'Order not found' }));
+
+    res.json({
+      success: true,
+      message: `${updated.length} orders updated successfully`,
+      updated,
+      skipped
+    });
+  } catch (error) {
+    console.error('Bulk update orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating orders'
+    });
+  }
+});
+
+// @desc    Get one of the vendor's orders with its timeline
+// @route   GET /api/vendors/orders/:id
+// @access  Private (Vendor only)
+router.get('/orders/:id', protect, authorize('vendor'), async (req, res) => {
+  try {
+    const vendor = await Vendor.findOne({ user: req.user.id });
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor profile not found'
+      });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, vendor: vendor._id })
+      .populate('customer', 'firstName lastName email phone')
+      .populate('items.product', 'name images sku')
+      .populate('timeline.updatedBy', 'firstName lastName role');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    console.error('Get vendor order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching order'
+    });
+  }
+});
+
 // @desc    Get single vendor with products
 // @route   GET /api/vendors/:id
 // @access  Public
@@ -321,10 +541,11 @@ router.get('/dashboard/stats', protect, authorize('vendor'), async (req, res) =>
       .limit(5)
       .select('orderNumber status pricing.total createdAt');
 
-    // Get low stock products
+    // Get low stock products (each product has its own threshold)
     const lowStockProducts = await Product.find({
       vendor: vendor._id,
-      'inventory.quantity': { $lte: '$inventory.lowStockThreshold' },
+      'inventory.trackQuantity': { $ne: false },
+      $expr: { $lte: ['$inventory.quantity', '$inventory.lowStockThreshold'] },
       isActive: true
     })
     .select('name inventory sku')
@@ -349,13 +570,15 @@ router.get('/dashboard/stats', protect, authorize('vendor'), async (req, res) =>
     currentMonth.setDate(1);
     currentMonth.setHours(0, 0, 0, 0);
     
+    // Delivered orders, net of refunds, as in the vendor's total revenue
     const monthlyOrders = await Order.find({
       vendor: vendor._id,
       createdAt: { $gte: currentMonth },
-      status: { $in: ['completed', 'delivered'] }
-    });
+      status: 'delivered'
+    }).select('payment.amount payment.refundAmount');
     
-    const monthlyRevenue = monthlyOrders.reduce((sum, order) => sum + (order.pricing?.total || 0), 0);
+    const monthlyRevenue = monthlyOrders.reduce((sum, order) =>
+      sum + (order.payment?.amount || 0) - (order.payment?.refundAmount || 0), 0);
     
     // Get top product
     const topProduct = await Product.findOne({
@@ -391,6 +614,54 @@ router.get('/dashboard/stats', protect, authorize('vendor'), async (req, res) =>
   }
 });
 
+// @desc    Get vendor sales analytics for a period or custom range: revenue,
+//          orders, units, conversion, repeat customers and refunds against the
+//          previous period, a series for charts, and top products and categories
+// @route   GET /api/vendors/dashboard/analytics
+// @access  Private (Vendor only)
+router.get('/dashboard/analytics', protect, authorize('vendor'), [
+  query('period').optional().isIn(reportService.periods).withMessage('Invalid period'),
+  query('from').optional().isISO8601({ strict: true }).withMessage('From must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601({ strict: true }).withMessage('To must be a date (YYYY-MM-DD)')
+    .custom((to, { req }) => !req.query.from || to >= req.query.from).withMessage('To must not be before from'),
+  query('interval').optional().isIn(reportService.intervals).withMessage(`Interval must be one of ${reportService.intervals.join(', ')}`),
+  query('timezone').optional().custom(timezone => reportService.isTimeZone(timezone)).withMessage('Unknown time zone')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vendor = await Vendor.findOne({ user: req.user.id }).select('_id');
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor profile not found'
+      });
+    }
+
+    const range = await reportService.resolveRange(req.query);
+    const analytics = await reportService.vendorAnalytics(vendor._id, range);
+
+    res.json({
+      success: true,
+      ...analytics
+    });
+  } catch (error) {
+    console.error('Get vendor analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching vendor analytics'
+    });
+  }
+});
+
 // @desc    Get vendor's products
 // @route   GET /api/vendors/products/me
 // @access  Private (Vendor only)
@@ -18,9 +18,15 @@ const adminRoutes = require('./routes/admin');
 const categoryRoutes = require('./routes/categories');
 const reviewRoutes = require('./routes/reviews');
 const paymentRoutes = require('./routes/payments');
+const paymentWebhookRoutes = require('./routes/paymentWebhooks');
+const shipmentWebhookRoutes = require('./routes/shipmentWebhooks');
+const shipmentService = require('./services/shipmentService');
+const ledgerService = require('./services/ledgerService');
+const payoutService = require('./services/payoutService');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { maintenance } = require('./middleware/maintenance');
 
 const app = express();
 
@@ -28,6 +34,12 @@ const app = express();
 app.use(helmet());
 app.use(compression());
 
+// Payment and carrier webhooks need the raw request body for signature checks
+// and must not be throttled, so they are mounted ahead of the rate limiter and
+// body parsers
+app.use('/api/payments/webhooks', paymentWebhookRoutes);
+app.use('/api/shipments/webhooks', shipmentWebhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -71,9 +83,28 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/multi-ven
   // Seed admin user and categories on startup
   await seedAdmin();
   await seedCategories();
+
+  // Poll carriers for tracking updates (TRACKING_POLL_MINUTES=0 disables)
+  const trackingPollMinutes = parseInt(process.env.TRACKING_POLL_MINUTES || '15', 10);
+  if (trackingPollMinutes > 0) {
+    setInterval(() => {
+      shipmentService.pollActive().catch(err => console.error('Tracking poll error:', err));
+    }, trackingPollMinutes * 60 * 1000).unref();
+  }
+
+  // Release cleared vendor earnings hourly, and create payouts awaiting
+  // approval once SETTLEMENT_INTERVAL_DAYS have passed since the last run
+  // (0 disables automatic runs)
+  setInterval(() => {
+    ledgerService.releaseDue().catch(err => console.error('Ledger release error:', err));
+    payoutService.runIfDue().catch(err => console.error('Settlement run error:', err));
+  }, 60 * 60 * 1000).unref();
 })
 .catch(err => console.error('MongoDB connection error:', err));
 
+// Maintenance mode (admin settings) closes the API to everyone but admins
+app.use('/api', maintenance);
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
@@ -85,6 +116,16 @@ app.use('/api/reviews', require('./routes/reviews'));
 app.use('/api/upload', require('./routes/upload'));
 app.use('/api/email', require('./routes/email'));
 app.use('/api/payments', paymentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/tax-zones', require('./routes/taxZones'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/cart', require('./routes/cart'));
+app.use('/api/shipments', require('./routes/shipments'));
+app.use('/api/returns', require('./routes/returns'));
+app.use('/api/sequences', require('./routes/sequences'));
+app.use('/api/payouts', require('./routes/payouts'));
+app.use('/api/commission-rules', require('./routes/commissionRules'));
+app.use('/api/settings', require('./routes/settings'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
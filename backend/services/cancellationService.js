@@ -0,0 +1,162 @@
+const User = require('../models/User');
+const Vendor = require('../models/Vendor');
+const inventoryService = require('./inventoryService');
+const orderStatusService = require('./orderStatusService');
+const shipmentService = require('./shipmentService');
+const paymentService = require('./payments');
+const emailService = require('./emailService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Order statuses in which units that have not shipped yet can be cancelled
+const LINE_CANCELLABLE_STATUSES = ['pending', 'confirmed', 'processing', 'partially_shipped'];
+
+class CancellationService {
+  // Cancel some units of an order's lines on behalf of its vendor or an admin.
+  // items: [{ orderItem, quantity }]; only units not yet shipped can go. The
+  // units are restocked, taken out of the sales counters and refunded.
+  // Cancelling everything on an order that has not shipped cancels the order.
+  async cancelItems(order, items, { user, reason }) {
+    if (!LINE_CANCELLABLE_STATUSES.includes(order.status)) {
+      throw new ErrorResponse(`Items of a ${order.status} order cannot be cancelled`, 409, {
+        code: 'ORDER_NOT_CANCELLABLE',
+        status: order.status
+      });
+    }
+
+    // The payment intent of an uncaptured card payment still carries the full
+    // amount, so units cancelled now would be charged anyway
+    const captured = ['completed', 'partially_refunded'].includes(order.payment.status);
+    if (!captured && (order.payment.paymentIntentId || order.payment.status === 'processing')) {
+      throw new ErrorResponse('Items can only be cancelled once the order\'s payment has been captured', 409, {
+        code: 'PAYMENT_NOT_CAPTURED',
+        paymentStatus: order.payment.status
+      });
+    }
+
+    const fulfilment = await shipmentService.fulfilment(order);
+    const linesById = new Map(fulfilment.map(line => [line.orderItem.toString(), line]));
+
+    const cancellations = items.map(({ orderItem, quantity }) => {
+      const line = linesById.get(orderItem.toString());
+      if (!line) {
+        throw new ErrorResponse('Order line not found', 404, { orderItem });
+      }
+
+      if (quantity < 1 || quantity > line.remaining) {
+        throw new ErrorResponse(`Only ${line.remaining} of ${line.name} can still be cancelled`, 400, {
+          orderItem,
+          remaining: line.remaining
+        });
+      }
+
+      line.remaining -= quantity;
+      return { item: order.items.id(orderItem), quantity };
+    });
+
+    const nothingLeft = fulfilment.every(line => line.remaining === 0);
+    const nothingShipped = fulfilment.every(line => line.shipped === 0);
+
+    if (nothingLeft && nothingShipped) {
+      order.cancellation.reason = reason || 'All items cancelled by the vendor';
+      return orderStatusService.transition(order, 'cancelled', {
+        user,
+        message: 'All items cancelled'
+      });
+    }
+
+    let refundAmount = 0;
+    for (const { item, quantity } of cancellations) {
+      // Backordered units were never taken from stock, so only reserved ones go back
+      const reserved = item.stockReserved ?? order.activeQuantity(item);
+      const released = Math.min(quantity, reserved);
+      await inventoryService.release([{ product: item.product, variantSku: item.variant?.sku, reserved: released }]);
+      item.stockReserved = reserved - released;
+
+      await inventoryService.reverseSales(item, quantity);
+
+      item.cancelledQuantity += quantity;
+      refundAmount += order.unitRefund(item) * quantity;
+    }
+
+    // Nothing has been charged yet (e.g. cash on delivery), so the amount to
+    // collect drops instead of a refund being issued
+    if (!captured) {
+      order.payment.amount = roundCurrency(Math.max(0, order.payment.amount - refundAmount));
+    }
+
+    const summary = cancellations.map(({ item, quantity }) => `${quantity} × ${item.name}`).join(', ');
+    order.timeline.push({
+      status: 'items_cancelled',
+      message: `Cancelled ${summary}${reason ? `: ${reason}` : ''}`,
+      timestamp: new Date(),
+      updatedBy: user.id
+    });
+    await order.save();
+
+    const refunded = await this.refundItems(order, roundCurrency(refundAmount), { user, summary });
+
+    // Everything still open has shipped, so the order moves on with its shipments
+    if (nothingLeft) {
+      await shipmentService.syncOrderStatus(order, { message: 'Remaining items cancelled' });
+    }
+
+    await this.notifyParties(order, summary, { reason, refunded });
+
+    return order;
+  }
+
+  // Refund the cancelled units from the captured payment. As with whole-order
+  // cancellations a failed refund is logged rather than undoing the cancellation.
+  // Resolves to the amount refunded.
+  async refundItems(order, amount, { user, summary }) {
+    if (amount <= 0 || !['completed', 'partially_refunded'].includes(order.payment.status)) return 0;
+
+    const refundable = roundCurrency(order.payment.amount - order.payment.refundAmount);
+    try {
+      const refund = await paymentService.refundOrder(order, {
+        amount: Math.min(amount, refundable),
+        reason: `Items cancelled: ${summary}`,
+        refundedBy: user.id
+      });
+      return refund.amount;
+    } catch (error) {
+      console.error('Item cancellation refund error:', error);
+      order.timeline.push({
+        status: 'refund_failed',
+        message: `Automatic refund failed: ${error.message}`,
+        timestamp: new Date()
+      });
+      await order.save();
+      return 0;
+    }
+  }
+
+  // Emails are best effort: a mail failure never undoes a cancellation
+  async notifyParties(order, summary, { reason, refunded }) {
+    let message = `The following items of order <strong>${order.orderNumber}</strong> were cancelled: ${summary}.`;
+    if (reason) {
+      message += ` Reason: ${reason}.`;
+    }
+    if (refunded > 0) {
+      message += ` ${refunded.toFixed(2)} ${order.payment.currency} has been refunded.`;
+    }
+
+    try {
+      const [customer, vendor] = await Promise.all([
+        User.findById(order.customer).select('email'),
+        Vendor.findById(order.vendor).select('contactInfo.email')
+      ]);
+      const recipients = [customer?.email, vendor?.contactInfo?.email].filter(Boolean);
+
+      for (const email of recipients) {
+        await emailService.sendNotificationEmail(email, `Items cancelled on order ${order.orderNumber}`, message, 'warning');
+      }
+    } catch (error) {
+      console.error('Item cancellation email error:', error);
+    }
+  }
+}
+
+module.exports = new CancellationService();
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const ErrorResponse = require('../../utils/errorResponse');
+
+// Statuses a fake parcel moves through, one step per FAKE_CARRIER_STEP_SECONDS
+const PROGRESSION = [
+  { status: 'label_created', description: 'Shipping label created' },
+  { status: 'in_transit', description: 'Picked up by carrier', location: 'Origin facility' },
+  { status: 'in_transit', description: 'Arrived at sorting facility', location: 'Regional hub' },
+  { status: 'out_for_delivery', description: 'Out for delivery', location: 'Local depot' },
+  { status: 'delivered', description: 'Delivered', location: 'Front door' }
+];
+
+// Tracking numbers ending in this suffix stop with a delivery exception,
+// so local tests can exercise the unhappy path
+const EXCEPTION_SUFFIX = 'EXC';
+
+const STATUSES = ['label_created', 'in_transit', 'out_for_delivery', 'delivered', 'exception'];
+
+// Signed deliveries older than this are rejected to limit replays
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Anyone holding the webhook secret can mark parcels delivered, which
+// completes orders and credits vendors, so the fake carrier only runs when
+// switched on explicitly with its own secret, and never in production
+const isEnabled = () => process.env.NODE_ENV !== 'production' &&
+  process.env.FAKE_CARRIER_ENABLED === 'true' &&
+  Boolean(process.env.FAKE_CARRIER_WEBHOOK_SECRET);
+
+// Local carrier with the same interface as a real adapter. Tracking state is
+// derived from how long ago the parcel shipped, so it survives restarts and
+// needs no storage or network access.
+class FakeCarrier {
+  constructor() {
+    if (!isEnabled()) {
+      throw new ErrorResponse('The fake carrier is not enabled', 503);
+    }
+    this.name = 'fake';
+    this.displayName = 'Fake Carrier (testing)';
+    this.supportsPolling = true;
+    this.supportsWebhooks = true;
+    this.signatureHeader = 'x-fake-carrier-signature';
+    this.webhookSecret = process.env.FAKE_CARRIER_WEBHOOK_SECRET;
+    this.stepSeconds = parseInt(process.env.FAKE_CARRIER_STEP_SECONDS, 10) || 60;
+  }
+
+  static isEnabled() {
+    return isEnabled();
+  }
+
+  generateTrackingNumber() {
+    return `FAKE${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  }
+
+  // The fake carrier has no public tracking page
+  trackingUrl() {
+    return undefined;
+  }
+
+  // Current status and scan history of a parcel
+  async track(trackingNumber, { shippedAt } = {}) {
+    const createdAt = new Date(shippedAt || Date.now()).getTime();
+    const steps = Math.floor((Date.now() - createdAt) / (this.stepSeconds * 1000));
+    const reached = Math.min(steps, PROGRESSION.length - 1);
+    const events = PROGRESSION.slice(0, reached + 1).map((step, index) => ({
+      ...step,
+      occurredAt: new Date(createdAt + index * this.stepSeconds * 1000)
+    }));
+
+    // Exception parcels get stuck once they are out for delivery
+    if (trackingNumber.endsWith(EXCEPTION_SUFFIX) && events[events.length - 1].status === 'delivered') {
+      events[events.length - 1] = {
+        status: 'exception',
+        description: 'Delivery attempted - recipient not available',
+        location: 'Local depot',
+        occurredAt: events[events.length - 1].occurredAt
+      };
+    }
+
+    return {
+      status: events[events.length - 1].status,
+      estimatedDelivery: new Date(createdAt + (PROGRESSION.length - 1) * this.stepSeconds * 1000),
+      events
+    };
+  }
+
+  // Build the signature header for a payload, mirroring the fake payment gateway
+  signPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  // Verify a pushed tracking update and return it as a list of
+  // { trackingNumber, status, events } updates
+  parseWebhook(rawBody, signatureHeader = '') {
+    const payload = rawBody.toString('utf8');
+    const parts = Object.fromEntries(
+      signatureHeader.split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(parts.t, 10);
+
+    if (!timestamp || !parts.v1) {
+      throw new ErrorResponse('Webhook signature verification failed: malformed header', 400);
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new ErrorResponse('Webhook signature verification failed: timestamp outside tolerance', 400);
+    }
+
+    const expected = Buffer.from(this.signPayload(payload, timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new ErrorResponse('Webhook signature verification failed: signature mismatch', 400);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(payload);
+    } catch (error) {
+      throw new ErrorResponse('Webhook payload is not valid JSON', 400);
+    }
+
+    return (Array.isArray(body) ? body : [body]).map(update => {
+      if (!update.trackingNumber || !STATUSES.includes(update.status)) {
+        throw new ErrorResponse('Webhook payload needs a trackingNumber and a valid status', 400);
+      }
+
+      const occurredAt = update.occurredAt ? new Date(update.occurredAt) : new Date();
+      return {
+        trackingNumber: update.trackingNumber,
+        status: update.status,
+        events: [{
+          status: update.status,
+          description: update.description,
+          location: update.location,
+          occurredAt
+        }]
+      };
+    });
+  }
+}
+
+module.exports = FakeCarrier;
@@ -0,0 +1,58 @@
+const FakeCarrier = require('./fakeCarrier');
+const ManualCarrier = require('./manualCarrier');
+const ErrorResponse = require('../../utils/errorResponse');
+
+// Carrier adapters share one interface:
+//   name, displayName, supportsPolling, supportsWebhooks
+//   trackingUrl(trackingNumber)
+//   track(trackingNumber, { shippedAt }) -> { status, estimatedDelivery, events } | null
+//   generateTrackingNumber()                      (optional)
+//   signatureHeader, parseWebhook(rawBody, sig)   (webhook-capable carriers)
+// Adapters are created on first use
+const carrierFactories = {
+  fake: () => new FakeCarrier(),
+  ups: () => new ManualCarrier('ups', 'UPS', 'https://www.ups.com/track?tracknum={trackingNumber}'),
+  fedex: () => new ManualCarrier('fedex', 'FedEx', 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}'),
+  usps: () => new ManualCarrier('usps', 'USPS', 'https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}'),
+  dhl: () => new ManualCarrier('dhl', 'DHL', 'https://www.dhl.com/en/express/tracking.html?AWB={trackingNumber}'),
+  other: () => new ManualCarrier('other', 'Other')
+};
+
+// Carriers that can be switched off; the others are always available
+const carrierEnabled = {
+  fake: () => FakeCarrier.isEnabled()
+};
+
+class CarrierService {
+  constructor() {
+    this.carriers = {};
+  }
+
+  getCarrier(name) {
+    if (!this.carriers[name]) {
+      const factory = carrierFactories[name];
+      if (!factory) {
+        throw new ErrorResponse(`Unknown carrier: ${name}`, 400);
+      }
+      this.carriers[name] = factory();
+    }
+    return this.carriers[name];
+  }
+
+  // Carriers vendors can pick from when creating a shipment
+  getAvailableCarriers() {
+    return Object.keys(carrierFactories)
+      .filter(name => !carrierEnabled[name] || carrierEnabled[name]())
+      .map(name => {
+        const carrier = this.getCarrier(name);
+        return {
+          code: carrier.name,
+          name: carrier.displayName,
+          supportsPolling: carrier.supportsPolling,
+          generatesTrackingNumbers: typeof carrier.generateTrackingNumber === 'function'
+        };
+      });
+  }
+}
+
+module.exports = new CarrierService();
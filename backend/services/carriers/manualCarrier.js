@@ -0,0 +1,23 @@
+// Carrier without an API integration: tracking links are built from the
+// carrier's public tracking page and status changes are entered by hand
+class ManualCarrier {
+  constructor(name, displayName, urlTemplate) {
+    this.name = name;
+    this.displayName = displayName;
+    this.urlTemplate = urlTemplate;
+    this.supportsPolling = false;
+    this.supportsWebhooks = false;
+  }
+
+  trackingUrl(trackingNumber) {
+    return this.urlTemplate
+      ? this.urlTemplate.replace('{trackingNumber}', encodeURIComponent(trackingNumber))
+      : undefined;
+  }
+
+  async track() {
+    return null;
+  }
+}
+
+module.exports = ManualCarrier;
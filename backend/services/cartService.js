@@ -0,0 +1,202 @@
+const Product = require('../models/Product');
+const ErrorResponse = require('../utils/errorResponse');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const PRODUCT_FIELDS = 'name images price vendor category inventory status isActive variants seo.slug';
+
+class CartService {
+  // Units a customer may put in the cart; null when stock is not limited
+  availableQuantity(product, variantSku) {
+    if (!product.inventory.trackQuantity || product.inventory.allowBackorder) return null;
+
+    if (variantSku) {
+      const match = product.findVariantOption(variantSku);
+      return match ? match.option.inventory : 0;
+    }
+
+    return product.inventory.quantity;
+  }
+
+  // Current unit price including the variant option's price delta
+  unitPrice(product, variantSku) {
+    const match = variantSku ? product.findVariantOption(variantSku) : null;
+    return roundCurrency(product.currentPrice + (match?.option.price || 0));
+  }
+
+  // Load a product for the cart and check the requested quantity can be bought
+  async loadPurchasable(productId, variantSku, quantity) {
+    const product = await Product.findById(productId).select(PRODUCT_FIELDS);
+
+    if (!product || !product.isActive || product.status !== 'active') {
+      throw new ErrorResponse('Product is not available', 404, { product: productId });
+    }
+
+    const match = variantSku ? product.findVariantOption(variantSku) : null;
+    if (variantSku && !match) {
+      throw new ErrorResponse(`Variant ${variantSku} not found for product ${product.name}`, 400, {
+        product: productId,
+        variantSku
+      });
+    }
+
+    const available = this.availableQuantity(product, variantSku);
+    if (available !== null && quantity > available) {
+      throw new ErrorResponse(
+        available > 0
+          ? `Only ${available} of ${product.name} left in stock`
+          : `${product.name} is out of stock`,
+        409,
+        { product: productId, variantSku, availableQuantity: available }
+      );
+    }
+
+    return { product, match };
+  }
+
+  findItem(user, productId, variantSku) {
+    return user.cart.find(item =>
+      item.product.toString() === productId.toString() &&
+      (item.variant?.sku || null) === (variantSku || null)
+    );
+  }
+
+  // Add a product to the cart, or top up the quantity of the matching line
+  async addItem(user, { productId, quantity, variantSku }) {
+    const existing = this.findItem(user, productId, variantSku);
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+    const { product, match } = await this.loadPurchasable(productId, variantSku, newQuantity);
+    const price = this.unitPrice(product, variantSku);
+
+    if (existing) {
+      existing.quantity = newQuantity;
+      existing.price = price;
+    } else {
+      user.cart.push({
+        product: product._id,
+        quantity,
+        variant: match
+          ? { name: match.variant.name, value: match.option.value, sku: match.option.sku }
+          : undefined,
+        price
+      });
+    }
+
+    await user.save();
+  }
+
+  async updateItem(user, itemId, quantity) {
+    const item = user.cart.id(itemId);
+    if (!item) {
+      throw new ErrorResponse('Cart item not found', 404);
+    }
+
+    const { product } = await this.loadPurchasable(item.product, item.variant?.sku, quantity);
+    item.quantity = quantity;
+    item.price = this.unitPrice(product, item.variant?.sku);
+
+    await user.save();
+  }
+
+  // Fold a guest (localStorage) cart into the saved one. Lines that cannot be
+  // bought are skipped and reported; quantities are capped at what is in stock.
+  async merge(user, items) {
+    const skipped = [];
+
+    for (const { productId, quantity, variant } of items) {
+      const variantSku = variant?.sku;
+      const existing = this.findItem(user, productId, variantSku);
+      const alreadyInCart = existing ? existing.quantity : 0;
+
+      try {
+        const product = await Product.findById(productId).select(PRODUCT_FIELDS);
+        const available = product ? this.availableQuantity(product, variantSku) : 0;
+        const toAdd = available === null ? quantity : Math.min(quantity, available - alreadyInCart);
+
+        if (toAdd <= 0) {
+          if (!existing) skipped.push({ productId, variantSku, reason: 'Out of stock' });
+          continue;
+        }
+
+        await this.addItem(user, { productId, quantity: toAdd, variantSku });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        skipped.push({ productId, variantSku, reason: error.message });
+      }
+    }
+
+    return skipped;
+  }
+
+  // Re-price every line against the catalogue and flag anything that changed
+  // since it was added: price moves, products gone or not in stock any more.
+  // The stored price is brought up to date so a change is reported once.
+  async getCart(user) {
+    const productIds = user.cart.map(item => item.product);
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select(PRODUCT_FIELDS)
+      .populate('vendor', 'businessName');
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    let changed = false;
+
+    const items = user.cart.map(item => {
+      const product = productsById.get(item.product.toString());
+      const variantSku = item.variant?.sku;
+      const line = {
+        _id: item._id,
+        product: product || { _id: item.product },
+        variant: item.variant,
+        quantity: item.quantity,
+        addedAt: item.addedAt,
+        issues: []
+      };
+
+      if (!product || !product.isActive || product.status !== 'active' ||
+        (variantSku && !product.findVariantOption(variantSku))) {
+        line.available = false;
+        line.issues.push('unavailable');
+        return line;
+      }
+
+      const price = this.unitPrice(product, variantSku);
+      const available = this.availableQuantity(product, variantSku);
+
+      line.available = available === null || available >= item.quantity;
+      line.availableQuantity = available;
+      line.price = price;
+      line.subtotal = roundCurrency(price * item.quantity);
+
+      if (!line.available) {
+        line.issues.push(available > 0 ? 'insufficient_stock' : 'out_of_stock');
+      }
+
+      if (item.price !== undefined && item.price !== price) {
+        line.previousPrice = item.price;
+        line.issues.push('price_changed');
+      }
+
+      if (item.price !== price) {
+        item.price = price;
+        changed = true;
+      }
+
+      return line;
+    });
+
+    if (changed) {
+      await user.save();
+    }
+
+    const purchasable = items.filter(line => line.available);
+
+    return {
+      items,
+      itemCount: items.reduce((sum, line) => sum + line.quantity, 0),
+      subtotal: roundCurrency(purchasable.reduce((sum, line) => sum + line.subtotal, 0)),
+      hasIssues: items.some(line => line.issues.length > 0)
+    };
+  }
+}
+
+module.exports = new CartService();
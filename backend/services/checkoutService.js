@@ -0,0 +1,151 @@
+const Product = require('../models/Product');
+const taxService = require('./taxService');
+const shippingService = require('./shippingService');
+const couponService = require('./couponService');
+const settingService = require('./settingService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+class CheckoutService {
+  // Resolve cart items into priced, per-vendor sub-orders. Used both to
+  // preview a checkout (/api/orders/quote) and to place it, so the customer
+  // sees exactly what they will be charged. Stock is checked but not taken.
+  // shippingMethods maps vendor id to the chosen shipping method code.
+  // A coupon is discounted before tax, so tax is charged on what is paid.
+  async buildQuote({ items, shippingAddress, shippingMethods = {}, couponCode, customerId }) {
+    const vendorOrders = {};
+    const lines = [];
+
+    for (const item of items) {
+      const product = await Product.findById(item.product)
+        .populate('vendor')
+        .populate('category', 'taxClass');
+
+      if (!product) {
+        throw new ErrorResponse(`Product ${item.product} not found`, 404, { product: item.product });
+      }
+
+      // Variant lines are resolved by option SKU for price, stock and snapshot
+      const variantSku = item.variant?.sku;
+      let variantMatch = null;
+
+      if (variantSku) {
+        variantMatch = product.findVariantOption(variantSku);
+        if (!variantMatch) {
+          throw new ErrorResponse(
+            `Variant ${variantSku} not found for product ${product.name}`,
+            400,
+            { product: product._id, variantSku }
+          );
+        }
+      }
+
+      if (!product.isAvailable(item.quantity, variantSku)) {
+        throw new ErrorResponse(
+          `Product ${product.name} is not available in requested quantity`,
+          400,
+          { product: product._id, variantSku }
+        );
+      }
+
+      const vendorId = product.vendor._id.toString();
+
+      if (!vendorOrders[vendorId]) {
+        vendorOrders[vendorId] = {
+          vendor: product.vendor,
+          items: [],
+          lines: [],
+          taxClasses: [],
+          subtotal: 0
+        };
+      }
+
+      const option = variantMatch?.option;
+      const price = roundCurrency(product.currentPrice + (option?.price || 0));
+      const itemSubtotal = roundCurrency(price * item.quantity);
+      const orderItem = {
+        product: product._id,
+        name: product.name,
+        image: option?.image?.url
+          ? { url: option.image.url, alt: `${product.name} - ${option.value}` }
+          : product.primaryImage,
+        price,
+        quantity: item.quantity,
+        variant: variantMatch
+          ? { name: variantMatch.variant.name, value: option.value, sku: option.sku }
+          : undefined,
+        sku: option ? option.sku : product.sku,
+        subtotal: itemSubtotal
+      };
+
+      vendorOrders[vendorId].items.push(orderItem);
+      vendorOrders[vendorId].lines.push({ product, quantity: item.quantity, subtotal: itemSubtotal });
+      vendorOrders[vendorId].taxClasses.push(product.category?.taxClass || 'standard');
+      vendorOrders[vendorId].subtotal = roundCurrency(vendorOrders[vendorId].subtotal + itemSubtotal);
+      lines.push({ product, quantity: item.quantity, variantSku, orderItem });
+    }
+
+    let coupon = null;
+    if (couponCode) {
+      coupon = await couponService.findUsable(couponCode, customerId);
+      couponService.allocate(coupon, lines);
+    }
+
+    const orders = [];
+    const checkoutSettings = await settingService.get('checkout');
+
+    for (const [vendorId, orderData] of Object.entries(vendorOrders)) {
+      const discount = roundCurrency(orderData.items.reduce((sum, orderItem) => sum + (orderItem.discount || 0), 0));
+
+      const tax = await taxService.calculate(
+        shippingAddress,
+        orderData.items.map((orderItem, index) => ({
+          amount: roundCurrency(orderItem.subtotal - (orderItem.discount || 0)),
+          taxClass: orderData.taxClasses[index]
+        }))
+      );
+
+      orderData.items.forEach((orderItem, index) => {
+        orderItem.tax = tax.lines[index];
+      });
+
+      const shippingOptions = shippingService.quote(orderData.vendor, orderData.lines, shippingAddress, checkoutSettings);
+      const shippingMethod = shippingService.select(shippingOptions, shippingMethods[vendorId]);
+      const shipping = shippingMethod.cost;
+      const addedTax = tax.pricesIncludeTax ? 0 : tax.total;
+
+      orders.push({
+        vendorId,
+        vendor: orderData.vendor,
+        items: orderData.items,
+        shippingOptions,
+        shippingMethod,
+        coupon: coupon && discount > 0
+          ? { code: coupon.code, discount, discountType: coupon.discountType }
+          : undefined,
+        pricing: {
+          subtotal: orderData.subtotal,
+          tax: tax.total,
+          shipping,
+          discount,
+          total: roundCurrency(orderData.subtotal - discount + addedTax + shipping),
+          taxInclusive: tax.pricesIncludeTax,
+          taxBreakdown: tax.breakdown
+        }
+      });
+    }
+
+    const pricing = orders.reduce((sum, order) => ({
+      subtotal: roundCurrency(sum.subtotal + order.pricing.subtotal),
+      tax: roundCurrency(sum.tax + order.pricing.tax),
+      shipping: roundCurrency(sum.shipping + order.pricing.shipping),
+      discount: roundCurrency(sum.discount + order.pricing.discount),
+      total: roundCurrency(sum.total + order.pricing.total)
+    }), { subtotal: 0, tax: 0, shipping: 0, discount: 0, total: 0 });
+
+    return { orders, lines, coupon, pricing };
+  }
+}
+
+module.exports = new CheckoutService();
@@ -0,0 +1,125 @@
+const CommissionRule = require('../models/CommissionRule');
+const Vendor = require('../models/Vendor');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const settingService = require('./settingService');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+class CommissionService {
+  // Category ids from a category up to the root of its tree. Categories are
+  // few, so the whole tree is loaded once per calculation.
+  categoryPath(categoryId, parents) {
+    const path = [];
+    let current = categoryId ? categoryId.toString() : null;
+
+    while (current && !path.includes(current)) {
+      path.push(current);
+      current = parents.get(current) || null;
+    }
+
+    return path;
+  }
+
+  // Best rule for a line: the most specific one, then the one on the
+  // closest category, then the higher priority, then the newest
+  resolveRule(rules, line) {
+    const categoryDistance = (rule) => rule.categories.length === 0
+      ? 0
+      : Math.min(...rule.categories.map(id => {
+        const index = line.categoryPath.indexOf(id.toString());
+        return index === -1 ? Infinity : index;
+      }));
+
+    return rules
+      .filter(rule => rule.matches(line))
+      .sort((a, b) => b.specificity - a.specificity ||
+        categoryDistance(a) - categoryDistance(b) ||
+        b.priority - a.priority ||
+        b.createdAt - a.createdAt)[0] || null;
+  }
+
+  // Work out the commission on every line of an order. A line's base is what
+  // the customer paid for the merchandise after its discount share, plus its
+  // tax and share of shipping when the rule includes them. Lines no rule
+  // covers are charged the vendor's commission rate, or the platform default
+  // when the vendor has none, on the merchandise alone.
+  // Resolves to { rate, amount, lines } with one entry per order item.
+  async calculate(order) {
+    const vendor = await Vendor.findById(order.vendor).select('commissionRate tier');
+    if (!vendor) return null;
+
+    const date = order.createdAt || new Date();
+    const [rules, products, categories, defaultRate] = await Promise.all([
+      CommissionRule.find({ isActive: true }),
+      Product.find({ _id: { $in: order.items.map(item => item.product._id || item.product) } }).select('category subcategory'),
+      Category.find().select('parent'),
+      settingService.getValue('payment', 'commissionRate')
+    ]);
+    const activeRules = rules.filter(rule => rule.isActiveOn(date));
+    const parents = new Map(categories.map(category => [category._id.toString(), category.parent?.toString()]));
+
+    const merchandise = order.items.map(item => roundCurrency(item.subtotal - (item.discount || 0) -
+      (order.pricing.taxInclusive ? item.tax?.amount || 0 : 0)));
+    const totalMerchandise = merchandise.reduce((sum, amount) => sum + amount, 0);
+
+    // Shipping is split over the lines by merchandise value; the last line
+    // takes the rounding remainder
+    let shippingLeft = order.pricing.shipping || 0;
+    const shipping = merchandise.map((amount, index) => {
+      if (index === merchandise.length - 1) return roundCurrency(shippingLeft);
+      const share = totalMerchandise > 0 ? roundCurrency(order.pricing.shipping * amount / totalMerchandise) : 0;
+      shippingLeft -= share;
+      return share;
+    });
+
+    const lines = order.items.map((item, index) => {
+      const productId = (item.product._id || item.product).toString();
+      const product = products.find(candidate => candidate._id.toString() === productId);
+      const rule = this.resolveRule(activeRules, {
+        product: item.product._id || item.product,
+        categoryPath: this.categoryPath(product?.subcategory || product?.category, parents),
+        tier: vendor.tier
+      });
+
+      const terms = rule || (vendor.commissionRate !== null && vendor.commissionRate !== undefined
+        ? { name: 'Vendor default', percentage: vendor.commissionRate, fixedFee: 0 }
+        : { name: 'Platform default', percentage: defaultRate, fixedFee: 0 });
+      const base = roundCurrency(merchandise[index] +
+        (terms.includeTax ? item.tax?.amount || 0 : 0) +
+        (terms.includeShipping ? shipping[index] : 0));
+
+      return {
+        rule: rule ? rule._id : undefined,
+        ruleName: terms.name,
+        percentage: terms.percentage,
+        fixedFee: terms.fixedFee,
+        base,
+        // Never more than the line brought in
+        amount: Math.max(0, Math.min(base, roundCurrency(base * terms.percentage / 100 + terms.fixedFee)))
+      };
+    });
+
+    const amount = roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    return {
+      // Effective percentage of the order total
+      rate: order.pricing.total > 0 ? Math.min(100, roundCurrency(amount * 100 / order.pricing.total)) : 0,
+      amount,
+      lines
+    };
+  }
+
+  // Record the commission on an order and each of its lines
+  async applyToOrder(order) {
+    const commission = await this.calculate(order);
+    if (!commission) return;
+
+    order.items.forEach((item, index) => {
+      item.commission = commission.lines[index];
+    });
+    order.commission = { rate: commission.rate, amount: commission.amount };
+  }
+}
+
+module.exports = new CommissionService();
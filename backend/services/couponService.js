@@ -0,0 +1,85 @@
+const Coupon = require('../models/Coupon');
+const ErrorResponse = require('../utils/errorResponse');
+
+class CouponService {
+  // Look up a coupon by code and check it can be used by this customer now
+  async findUsable(code, customerId) {
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+
+    if (!coupon || !coupon.isActive) {
+      throw new ErrorResponse('Invalid coupon code', 400, { coupon: code });
+    }
+
+    const now = new Date();
+
+    if (coupon.startsAt && coupon.startsAt > now) {
+      throw new ErrorResponse('Coupon is not active yet', 400, { coupon: code });
+    }
+
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+      throw new ErrorResponse('Coupon has expired', 400, { coupon: code });
+    }
+
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      throw new ErrorResponse('Coupon usage limit has been reached', 400, { coupon: code });
+    }
+
+    if (customerId && coupon.usageLimitPerCustomer &&
+      coupon.timesUsedBy(customerId) >= coupon.usageLimitPerCustomer) {
+      throw new ErrorResponse('You have already used this coupon the maximum number of times', 400, { coupon: code });
+    }
+
+    return coupon;
+  }
+
+  // Work out the coupon's discount for a checkout and spread it over the
+  // eligible lines in proportion to their subtotals. Each line is
+  // { product, orderItem }; orderItem.discount is set in place. Shares are
+  // allocated in whole cents (largest remainder) so they add up exactly.
+  allocate(coupon, lines) {
+    const eligible = lines.filter(line => coupon.appliesTo(line.product));
+
+    if (eligible.length === 0) {
+      throw new ErrorResponse('Coupon does not apply to any items in your cart', 400, { coupon: coupon.code });
+    }
+
+    const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.orderItem.subtotal, 0);
+
+    if (eligibleSubtotal < coupon.minimumSpend) {
+      throw new ErrorResponse(
+        `A minimum spend of $${coupon.minimumSpend.toFixed(2)} on eligible items is required`,
+        400,
+        { coupon: coupon.code }
+      );
+    }
+
+    const discount = coupon.calculateDiscount(eligibleSubtotal);
+    const discountCents = Math.round(discount * 100);
+
+    const shares = eligible.map((line, index) => {
+      const exact = (discountCents * line.orderItem.subtotal) / eligibleSubtotal;
+      return { index, cents: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+    let leftover = discountCents - shares.reduce((sum, share) => sum + share.cents, 0);
+    [...shares]
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach(share => {
+        if (leftover > 0) {
+          share.cents += 1;
+          leftover -= 1;
+        }
+      });
+
+    lines.forEach(line => {
+      line.orderItem.discount = 0;
+    });
+    shares.forEach(share => {
+      eligible[share.index].orderItem.discount = share.cents / 100;
+    });
+
+    return discount;
+  }
+}
+
+module.exports = new CouponService();
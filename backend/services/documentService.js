@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Vendor = require('../models/Vendor');
+const User = require('../models/User');
+const sequenceService = require('./sequenceService');
+const emailService = require('./emailService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Orders the vendor has not accepted yet, or that were dropped before being
+// invoiced, get no invoice
+const NON_INVOICEABLE_STATUSES = ['pending', 'cancelled'];
+
+// An unnumbered invoice older than this was left by a request that failed
+// between claiming the order and drawing its number
+const STALE_CLAIM_MS = 60 * 1000;
+
+const PAYMENT_METHODS = {
+  stripe: 'Card',
+  paypal: 'PayPal',
+  cod: 'Cash on delivery'
+};
+
+const PAGE_LEFT = 50;
+const PAGE_RIGHT = 545;
+
+const formatMoney = (amount, currency) => `${(amount || 0).toFixed(2)} ${currency}`;
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+const formatLabel = (value) => (value || '').replace(/_/g, ' ');
+
+const addressLines = (address = {}) => [
+  address.street,
+  [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+  address.country
+].filter(Boolean);
+
+// Render a PDF into a Buffer; draw(doc) lays out the pages
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_LEFT });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  draw(doc);
+  doc.end();
+});
+
+// Titled block of lines at a fixed position; resolves to the y it ended at
+const block = (doc, title, lines, x, y, width = 230) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(title, x, y, { width });
+  doc.font('Helvetica').fontSize(9);
+  lines.filter(Boolean).forEach(line => doc.text(line, x, doc.y, { width }));
+  return doc.y;
+};
+
+// One table row at the current position; cells: [{ text, x, width, align }]
+const tableRow = (doc, cells, { bold = false } = {}) => {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+    doc.addPage();
+  }
+
+  const y = doc.y;
+  let bottom = y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  cells.forEach(({ text, x, width, align = 'left' }) => {
+    doc.text(String(text ?? ''), x, y, { width, align });
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.y = bottom + 4;
+  doc.x = PAGE_LEFT;
+};
+
+const rule = (doc) => {
+  doc.moveTo(PAGE_LEFT, doc.y).lineTo(PAGE_RIGHT, doc.y).strokeColor('#cccccc').stroke();
+  doc.y += 4;
+};
+
+// Tax per rate, for orders placed before tax zones recorded a breakdown
+const taxByRate = (items) => {
+  const rates = new Map();
+  items.filter(item => item.tax?.amount).forEach(item => {
+    const entry = rates.get(item.tax.rate) || { taxClass: item.tax.taxClass, rate: item.tax.rate, taxable: 0, amount: 0 };
+    entry.taxable += item.subtotal - (item.discount || 0);
+    entry.amount += item.tax.amount;
+    rates.set(item.tax.rate, entry);
+  });
+  return [...rates.values()];
+};
+
+class DocumentService {
+  // Invoice of an order, issued on first request. The order's invoice is
+  // claimed first so concurrent downloads create one invoice between them;
+  // its number then comes from the gap-free invoice sequence, which hands
+  // every number to exactly one invoice even if a claim is taken over or a
+  // request dies halfway.
+  async issueInvoice(order) {
+    const existing = await Invoice.findOne({ order: order._id });
+    if (existing?.invoiceNumber) return existing;
+
+    if (!existing && NON_INVOICEABLE_STATUSES.includes(order.status)) {
+      throw new ErrorResponse(`A ${order.status} order cannot be invoiced`, 409, {
+        code: 'INVOICE_NOT_AVAILABLE',
+        status: order.status
+      });
+    }
+
+    const invoice = existing ? await this.reclaimInvoice(existing) : await this.claimInvoice(order);
+    if (!invoice) {
+      throw new ErrorResponse('The invoice is being issued, please try again', 409, { code: 'INVOICE_PENDING' });
+    }
+
+    await sequenceService.issueNumber('invoice', invoice._id, (id, number) => this.assignNumber(id, number), {
+      vendor: invoice.vendor,
+      date: invoice.issuedAt
+    });
+
+    return Invoice.findById(invoice._id);
+  }
+
+  // Store a number on an invoice that has none yet; resolves to the number
+  // the invoice ends up with (null if it does not exist)
+  async assignNumber(invoiceId, invoiceNumber) {
+    const numbered = await Invoice.findOneAndUpdate(
+      { _id: invoiceId, invoiceNumber: { $exists: false } },
+      { invoiceNumber, $unset: { claimToken: 1 } },
+      { new: true }
+    );
+    if (numbered) return numbered.invoiceNumber;
+
+    const current = await Invoice.findById(invoiceId).select('invoiceNumber');
+    return current ? current.invoiceNumber || null : null;
+  }
+
+  // Create the order's invoice without a number yet. Resolves to null when
+  // another request created it first.
+  async claimInvoice(order) {
+    const vendor = await Vendor.findById(order.vendor).select('businessName taxId businessAddress contactInfo');
+    const claimToken = crypto.randomUUID();
+
+    try {
+      const invoice = await Invoice.findOneAndUpdate(
+        { order: order._id },
+        {
+          $setOnInsert: {
+            vendor: order.vendor,
+            customer: order.customer._id || order.customer,
+            seller: {
+              businessName: vendor?.businessName,
+              taxId: vendor?.taxId,
+              email: vendor?.contactInfo?.email,
+              phone: vendor?.contactInfo?.phone,
+              address: vendor?.businessAddress
+            },
+            issuedAt: new Date(),
+            claimToken
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      return invoice.claimToken === claimToken ? invoice : null;
+    } catch (error) {
+      // Lost a simultaneous upsert on the unique order index
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  // Take over an invoice whose claimant never numbered it
+  async reclaimInvoice(invoice) {
+    if (Date.now() - invoice.issuedAt.getTime() < STALE_CLAIM_MS) return null;
+
+    return Invoice.findOneAndUpdate(
+      { _id: invoice._id, claimToken: invoice.claimToken, invoiceNumber: { $exists: false } },
+      { claimToken: crypto.randomUUID(), issuedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  async renderInvoice(order, invoice) {
+    const customer = order.customer.email
+      ? order.customer
+      : await User.findById(order.customer).select('firstName lastName email');
+    const billing = order.billingAddress?.street ? order.billingAddress : order.shippingAddress;
+    const currency = order.payment.currency;
+    const money = (amount) => formatMoney(amount, currency);
+    const { seller } = invoice;
+
+    return renderPdf((doc) => {
+      doc.font('Helvetica-Bold').fontSize(20).text('INVOICE', { align: 'right' });
+      doc.font('Helvetica').fontSize(9)
+        .text(`Invoice number: ${invoice.invoiceNumber}`, { align: 'right' })
+        .text(`Invoice date: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+        .text(`Order: ${order.orderNumber} (${formatDate(order.createdAt)})`, { align: 'right' });
+
+      const top = doc.y + 20;
+      const sellerBottom = block(doc, 'Sold by', [
+        seller.businessName,
+        ...addressLines(seller.address),
+        seller.taxId && `Tax ID: ${seller.taxId}`,
+        seller.email,
+        seller.phone
+      ], PAGE_LEFT, top);
+      const billingBottom = block(doc, 'Bill to', [
+        `${billing.firstName || ''} ${billing.lastName || ''}`.trim(),
+        ...addressLines(billing),
+        billing.email || customer?.email
+      ], 315, top);
+
+      doc.x = PAGE_LEFT;
+      doc.y = Math.max(sellerBottom, billingBottom) + 20;
+
+      const columns = [
+        { x: 50, width: 185 },
+        { x: 240, width: 80 },
+        { x: 320, width: 35, align: 'right' },
+        { x: 360, width: 70, align: 'right' },
+        { x: 435, width: 40, align: 'right' },
+        { x: 480, width: 65, align: 'right' }
+      ];
+      const row = (texts, options) => tableRow(doc, texts.map((text, index) => ({ ...columns[index], text })), options);
+
+      row(['Item', 'SKU', 'Qty', 'Unit price', 'Tax', 'Amount'], { bold: true });
+      rule(doc);
+      // Units cancelled before shipping follow their line, at what was
+      // refunded (or no longer charged) for them
+      let cancelledAmount = 0;
+      order.items.forEach(item => {
+        const name = item.variant?.value ? `${item.name} (${item.variant.value})` : item.name;
+        row([
+          name,
+          item.variant?.sku || item.sku,
+          item.quantity,
+          money(item.price),
+          item.tax?.rate ? `${item.tax.rate}%` : '',
+          money(item.subtotal)
+        ]);
+
+        if (item.cancelledQuantity > 0) {
+          const refund = Math.round(order.unitRefund(item) * item.cancelledQuantity * 100) / 100;
+          cancelledAmount += refund;
+          row([`Cancelled: ${name}`, '', -item.cancelledQuantity, '', '', `-${money(refund)}`]);
+        }
+      });
+      rule(doc);
+
+      const totals = [['Subtotal', money(order.pricing.subtotal)]];
+      if (order.pricing.discount > 0) {
+        totals.push([`Discount${order.coupon?.code ? ` (${order.coupon.code})` : ''}`, `-${money(order.pricing.discount)}`]);
+      }
+      totals.push([`Shipping${order.shippingMethod?.name ? ` (${order.shippingMethod.name})` : ''}`, money(order.pricing.shipping)]);
+      totals.push([order.pricing.taxInclusive ? 'Tax (included in prices)' : 'Tax', money(order.pricing.tax)]);
+      totals.forEach(([label, amount]) => tableRow(doc, [
+        { text: label, x: 300, width: 170, align: 'right' },
+        { text: amount, x: 475, width: 70, align: 'right' }
+      ]));
+      tableRow(doc, [
+        { text: 'Total', x: 300, width: 170, align: 'right' },
+        { text: money(order.pricing.total), x: 475, width: 70, align: 'right' }
+      ], { bold: true });
+      if (cancelledAmount > 0) {
+        tableRow(doc, [
+          { text: 'Cancelled items', x: 300, width: 170, align: 'right' },
+          { text: `-${money(cancelledAmount)}`, x: 475, width: 70, align: 'right' }
+        ]);
+        tableRow(doc, [
+          { text: 'Total after cancellations', x: 300, width: 170, align: 'right' },
+          { text: money(Math.max(0, order.pricing.total - cancelledAmount)), x: 475, width: 70, align: 'right' }
+        ], { bold: true });
+      }
+
+      const breakdown = order.pricing.taxBreakdown?.length ? order.pricing.taxBreakdown : taxByRate(order.items);
+      if (breakdown.length > 0) {
+        doc.y += 15;
+        doc.font('Helvetica-Bold').fontSize(10).text('Tax breakdown', PAGE_LEFT);
+        doc.y += 4;
+        tableRow(doc, [
+          { text: 'Tax', x: 50, width: 200 },
+          { text: 'Rate', x: 250, width: 60, align: 'right' },
+          { text: 'Taxable', x: 320, width: 100, align: 'right' },
+          { text: 'Tax amount', x: 430, width: 115, align: 'right' }
+        ], { bold: true });
+        breakdown.forEach(entry => tableRow(doc, [
+          { text: [entry.zone, formatLabel(entry.taxClass)].filter(Boolean).join(' - ') || 'Tax', x: 50, width: 200 },
+          { text: `${entry.rate}%`, x: 250, width: 60, align: 'right' },
+          { text: money(entry.taxable), x: 320, width: 100, align: 'right' },
+          { text: money(entry.amount), x: 430, width: 115, align: 'right' }
+        ]));
+      }
+
+      doc.y += 15;
+      doc.font('Helvetica-Bold').fontSize(10).text('Payment', PAGE_LEFT);
+      doc.font('Helvetica').fontSize(9);
+      [
+        `Method: ${PAYMENT_METHODS[order.payment.method] || order.payment.method}`,
+        `Status: ${formatLabel(order.payment.status)}`,
+        order.payment.transactionId && `Transaction: ${order.payment.transactionId}`,
+        order.payment.paidAt && `Paid on: ${formatDate(order.payment.paidAt)}`,
+        order.payment.refundAmount > 0 && `Refunded: ${money(order.payment.refundAmount)}`
+      ].filter(Boolean).forEach(line => doc.text(line, PAGE_LEFT));
+    });
+  }
+
+  // Packing slip for the parcel: what to pack and where it goes, no prices
+  async renderPackingSlip(order) {
+    const vendor = order.vendor.businessName
+      ? order.vendor
+      : await Vendor.findById(order.vendor).select('businessName businessAddress');
+    const address = order.shippingAddress;
+
+    return renderPdf((doc) => {
+      doc.font('Helvetica-Bold').fontSize(20).text('PACKING SLIP', { align: 'right' });
+      doc.font('Helvetica').fontSize(9)
+        .text(`Order: ${order.orderNumber}`, { align: 'right' })
+        .text(`Order date: ${formatDate(order.createdAt)}`, { align: 'right' });
+      if (order.shippingMethod?.name) {
+        doc.text(`Shipping: ${order.shippingMethod.name}`, { align: 'right' });
+      }
+
+      const top = doc.y + 20;
+      const fromBottom = block(doc, 'Ship from', [
+        vendor?.businessName,
+        ...addressLines(vendor?.businessAddress)
+      ], PAGE_LEFT, top);
+      const toBottom = block(doc, 'Ship to', [
+        `${address.firstName} ${address.lastName}`,
+        ...addressLines(address),
+        address.phone
+      ], 315, top);
+
+      doc.x = PAGE_LEFT;
+      doc.y = Math.max(fromBottom, toBottom) + 20;
+
+      tableRow(doc, [
+        { text: 'Item', x: 50, width: 260 },
+        { text: 'SKU', x: 320, width: 150 },
+        { text: 'Qty', x: 480, width: 65, align: 'right' }
+      ], { bold: true });
+      rule(doc);
+      order.items
+        .filter(item => order.activeQuantity(item) > 0)
+        .forEach(item => tableRow(doc, [
+          { text: item.variant?.value ? `${item.name} (${item.variant.value})` : item.name, x: 50, width: 260 },
+          { text: item.variant?.sku || item.sku, x: 320, width: 150 },
+          { text: order.activeQuantity(item), x: 480, width: 65, align: 'right' }
+        ]));
+      rule(doc);
+
+      if (order.notes?.customer) {
+        doc.y += 10;
+        doc.font('Helvetica-Bold').fontSize(10).text('Customer note', PAGE_LEFT);
+        doc.font('Helvetica').fontSize(9).text(order.notes.customer, PAGE_LEFT);
+      }
+    });
+  }
+
+  // Issue the invoice if needed and email it to the customer as a PDF attachment
+  async emailInvoice(order) {
+    const invoice = await this.issueInvoice(order);
+    const pdf = await this.renderInvoice(order, invoice);
+    const customer = await User.findById(order.customer._id || order.customer).select('email firstName');
+
+    if (!customer?.email) {
+      throw new ErrorResponse('Customer has no email address', 400);
+    }
+
+    const result = await emailService.sendNotificationEmail(
+      customer.email,
+      `Invoice ${invoice.invoiceNumber} for order ${order.orderNumber}`,
+      `Hi ${customer.firstName}, your invoice <strong>${invoice.invoiceNumber}</strong> for order <strong>${order.orderNumber}</strong> is attached.`,
+      'info',
+      [{ filename: `${invoice.invoiceNumber}.pdf`, content: pdf, contentType: 'application/pdf' }]
+    );
+
+    if (!result.success) {
+      throw new ErrorResponse(`Invoice email could not be sent: ${result.error}`, 502);
+    }
+
+    return invoice;
+  }
+}
+
+module.exports = new DocumentService();
@@ -311,8 +311,9 @@ class EmailService {
     }
   }
 
-  // Send generic notification email
-  async sendNotificationEmail(to, subject, message, type = 'info') {
+  // Send generic notification email, optionally with nodemailer attachments
+  // ([{ filename, content, contentType }], e.g. invoice PDFs)
+  async sendNotificationEmail(to, subject, message, type = 'info', attachments = []) {
     const colors = {
       info: { bg: '#f0f9ff', border: '#0ea5e9', text: '#0c4a6e' },
       success: { bg: '#f0fdf4', border: '#059669', text: '#166534' },
@@ -347,7 +348,8 @@ class EmailService {
             </p>
           </div>
         </div>
-      `
+      `,
+      attachments
     };
 
     try {
@@ -0,0 +1,158 @@
+const Product = require('../models/Product');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Variant options keep their own stock count, addressed by option SKU. A
+// line for a combined SKU (see Product#variantOptionSkus) takes stock from
+// each of its options; putting stock back matches any option the SKU may
+// stand for (see Product.optionSkus).
+const optionStockPath = 'variants.$[].options.$[option].inventory';
+const optionFilter = (variantSku) => [{ 'option.sku': { $in: Product.optionSkus(variantSku) } }];
+
+class InventoryService {
+  // Atomically take stock for one order line. The decrement only matches while
+  // enough stock is left, so concurrent checkouts cannot oversell. Lines for a
+  // variant option take stock from that option rather than the product.
+  // Resolves to the quantity actually taken from stock (0 for untracked or
+  // backordered lines).
+  async reserveLine({ product, quantity, variantSku }) {
+    if (!product.inventory.trackQuantity) return 0;
+
+    const taken = variantSku
+      ? await this.takeOptionStock(product, variantSku, quantity)
+      : await this.takeProductStock(product, quantity);
+
+    if (taken) return quantity;
+
+    if (product.inventory.allowBackorder) return 0;
+
+    throw new ErrorResponse(
+      `Product ${product.name} is not available in requested quantity`,
+      409,
+      { product: product._id, variantSku }
+    );
+  }
+
+  async takeProductStock(product, quantity) {
+    const result = await Product.updateOne(
+      {
+        _id: product._id,
+        isActive: true,
+        status: 'active',
+        'inventory.quantity': { $gte: quantity }
+      },
+      { $inc: { 'inventory.quantity': -quantity } }
+    );
+
+    if (result.modifiedCount !== 1) return false;
+
+    await Product.updateOne(
+      { _id: product._id, status: 'active', 'inventory.quantity': { $lte: 0 } },
+      { status: 'out_of_stock' }
+    );
+    return true;
+  }
+
+  async takeOptionStock(product, variantSku, quantity) {
+    const skus = product.variantOptionSkus(variantSku);
+    const result = await Product.updateOne(
+      {
+        _id: product._id,
+        isActive: true,
+        status: 'active',
+        $and: skus.map(sku => ({
+          'variants.options': { $elemMatch: { sku, inventory: { $gte: quantity } } }
+        }))
+      },
+      { $inc: { [optionStockPath]: -quantity } },
+      { arrayFilters: [{ 'option.sku': { $in: skus } }] }
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  // Reserve stock for every line or none: if any line cannot be reserved the
+  // lines already taken are put back before the error is rethrown
+  async reserve(lines) {
+    const reservations = [];
+
+    try {
+      for (const line of lines) {
+        const reserved = await this.reserveLine(line);
+        reservations.push({ ...line, reserved });
+      }
+    } catch (error) {
+      await this.release(reservations);
+      throw error;
+    }
+
+    return reservations;
+  }
+
+  // Put reserved stock back, e.g. when checkout fails or an order is cancelled
+  async release(reservations) {
+    for (const { product, reserved, variantSku } of reservations) {
+      if (!reserved) continue;
+
+      const productId = product._id || product;
+
+      if (variantSku) {
+        await Product.updateOne(
+          { _id: productId },
+          { $inc: { [optionStockPath]: reserved } },
+          { arrayFilters: optionFilter(variantSku) }
+        );
+        continue;
+      }
+
+      await Product.updateOne(
+        { _id: productId },
+        { $inc: { 'inventory.quantity': reserved } }
+      );
+      await Product.updateOne(
+        { _id: productId, status: 'out_of_stock', 'inventory.quantity': { $gt: 0 } },
+        { status: 'active' }
+      );
+    }
+  }
+
+  // Count an order's lines in their products' sales counters. Each line keeps
+  // the units it counted in salesRecorded so a cancellation can take back
+  // exactly what was added; the caller saves the order.
+  async recordSales(order) {
+    for (const item of order.items) {
+      const units = order.activeQuantity(item) - (item.salesRecorded || 0);
+      if (units <= 0) continue;
+
+      await this.adjustSales(item, units);
+      item.salesRecorded = (item.salesRecorded || 0) + units;
+    }
+  }
+
+  // Take units of one line back out of the sales counters, never more than
+  // the line counted (orders placed before counting started have nothing)
+  async reverseSales(item, units = item.salesRecorded) {
+    const reversed = Math.min(units || 0, item.salesRecorded || 0);
+    if (reversed <= 0) return;
+
+    await this.adjustSales(item, -reversed);
+    item.salesRecorded -= reversed;
+  }
+
+  // Revenue is what the customer paid for the units after the coupon, before tax
+  async adjustSales(item, units) {
+    const revenue = (item.subtotal - (item.discount || 0)) / item.quantity * units;
+    const update = {
+      $inc: {
+        'sales.totalSold': units,
+        'sales.totalRevenue': Math.round(revenue * 100) / 100
+      }
+    };
+    if (units > 0) {
+      update.$set = { 'sales.lastSaleDate': new Date() };
+    }
+
+    await Product.updateOne({ _id: item.product._id || item.product }, update);
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const LedgerTransaction = require('../models/LedgerTransaction');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Vendor accounts and the sign of their balance: both are liabilities, so
+// credits increase what the platform owes the vendor
+const VENDOR_ACCOUNTS = ['vendor_pending', 'vendor_available'];
+
+const entryAmount = (transaction, account, side) => transaction.entries
+  .filter(entry => entry.account === account)
+  .reduce((sum, entry) => sum + entry[side], 0);
+
+class LedgerService {
+  // Days a delivered order's earnings are held before they can be paid out
+  get clearingDays() {
+    return parseInt(process.env.LEDGER_CLEARING_DAYS || '14', 10);
+  }
+
+  // Post a balanced transaction. The reference makes posting idempotent: if
+  // a transaction with it already exists, that one is returned instead.
+  async post(transaction) {
+    try {
+      return await LedgerTransaction.create(transaction);
+    } catch (error) {
+      if (error.code === 11000) {
+        return LedgerTransaction.findOne({ reference: transaction.reference });
+      }
+      throw error;
+    }
+  }
+
+  // Credit the vendor for a delivered order: the amount still paid for it
+  // (the amount charged less refunds so far; lines cancelled before payment
+  // were never charged) minus the platform's commission on that amount. The
+  // vendor's share is held in vendor_pending until it clears.
+  async recordSale(order) {
+    const total = order.pricing.total;
+    const gross = roundCurrency(order.payment.amount - order.payment.refundAmount);
+    if (gross <= 0) return null;
+
+    const commission = total > 0 ? roundCurrency(order.commission.amount * gross / total) : 0;
+    const net = roundCurrency(gross - commission);
+
+    return this.post({
+      reference: `sale:${order._id}`,
+      type: 'sale',
+      vendor: order.vendor,
+      order: order._id,
+      description: `Order ${order.orderNumber} delivered`,
+      currency: order.payment.currency,
+      entries: [
+        { account: 'customer_funds', debit: gross },
+        { account: 'vendor_pending', credit: net },
+        { account: 'commission_revenue', credit: commission }
+      ],
+      availableAt: new Date(Date.now() + this.clearingDays * 24 * 60 * 60 * 1000)
+    });
+  }
+
+  // Debit the vendor for refunds recorded on an order since its sale was
+  // booked; the commission on the refunded amount is handed back. Safe to
+  // call after every refund: the reference carries the cumulative amount, so
+  // concurrent calls for the same refund post it once. Orders not credited
+  // yet need nothing, as their sale is booked net of earlier refunds.
+  async recordRefunds(order, { type = 'refund' } = {}) {
+    const sale = await LedgerTransaction.findOne({ reference: `sale:${order._id}` });
+    if (!sale) return null;
+
+    const gross = entryAmount(sale, 'customer_funds', 'debit');
+    const commission = entryAmount(sale, 'commission_revenue', 'credit');
+    const refundedBeforeSale = roundCurrency(order.payment.amount - gross);
+
+    const previous = await LedgerTransaction.find({ order: order._id, type: { $in: ['refund', 'chargeback'] } });
+    const posted = roundCurrency(previous.reduce((sum, transaction) => sum + entryAmount(transaction, 'customer_funds', 'credit'), 0));
+
+    const due = roundCurrency(Math.min(order.payment.refundAmount - refundedBeforeSale, gross) - posted);
+    if (due <= 0) return null;
+
+    const commissionShare = gross > 0 ? roundCurrency(commission * due / gross) : 0;
+
+    return this.post({
+      reference: `${type}:${order._id}:${Math.round((posted + due) * 100)}`,
+      type,
+      vendor: order.vendor,
+      order: order._id,
+      description: `${type === 'chargeback' ? 'Chargeback' : 'Refund'} on order ${order.orderNumber}`,
+      currency: order.payment.currency,
+      entries: [
+        { account: 'vendor_available', debit: roundCurrency(due - commissionShare) },
+        { account: 'commission_revenue', debit: commissionShare },
+        { account: 'customer_funds', credit: due }
+      ]
+    });
+  }
+
+  // Move cleared sales from vendor_pending to vendor_available
+  async releaseDue(now = new Date()) {
+    const sales = await LedgerTransaction.find({
+      type: 'sale',
+      releasedAt: { $exists: false },
+      availableAt: { $lte: now }
+    });
+
+    for (const sale of sales) {
+      const net = entryAmount(sale, 'vendor_pending', 'credit');
+
+      await this.post({
+        reference: `release:${sale._id}`,
+        type: 'release',
+        vendor: sale.vendor,
+        order: sale.order,
+        description: `${sale.description} - funds cleared`,
+        currency: sale.currency,
+        entries: [
+          { account: 'vendor_pending', debit: net },
+          { account: 'vendor_available', credit: net }
+        ]
+      });
+
+      sale.releasedAt = now;
+      await sale.save();
+    }
+
+    return sales.length;
+  }
+
+  // What the platform owes each vendor, per vendor account. vendor may be
+  // one id or omitted for all vendors; resolves to a Map keyed by vendor id.
+  async balances(vendor) {
+    const match = vendor ? { vendor: new mongoose.Types.ObjectId(vendor.toString()) } : {};
+
+    const rows = await LedgerTransaction.aggregate([
+      { $match: match },
+      { $unwind: '$entries' },
+      {
+        $group: {
+          _id: { vendor: '$vendor', account: '$entries.account' },
+          debit: { $sum: '$entries.debit' },
+          credit: { $sum: '$entries.credit' }
+        }
+      }
+    ]);
+
+    const balances = new Map();
+    rows.forEach(({ _id, debit, credit }) => {
+      const key = _id.vendor.toString();
+      const balance = balances.get(key) || { pending: 0, available: 0, inTransit: 0, paidOut: 0 };
+
+      switch (_id.account) {
+        case 'vendor_pending':
+          balance.pending = roundCurrency(credit - debit);
+          break;
+        case 'vendor_available':
+          balance.available = roundCurrency(credit - debit);
+          break;
+        case 'payouts_in_transit':
+          balance.inTransit = roundCurrency(credit - debit);
+          break;
+        case 'platform_bank':
+          balance.paidOut = roundCurrency(credit - debit);
+          break;
+        default:
+          break;
+      }
+      balances.set(key, balance);
+    });
+
+    return balances;
+  }
+
+  async vendorBalance(vendorId) {
+    const balances = await this.balances(vendorId);
+    return balances.get(vendorId.toString()) || { pending: 0, available: 0, inTransit: 0, paidOut: 0 };
+  }
+
+  // Vendor statement for a period: opening balance, every movement on the
+  // vendor's accounts with a running balance, and the closing balance
+  async statement(vendorId, { from, to }) {
+    const vendor = new mongoose.Types.ObjectId(vendorId.toString());
+    const vendorChange = (transaction) => roundCurrency(transaction.entries
+      .filter(entry => VENDOR_ACCOUNTS.includes(entry.account))
+      .reduce((sum, entry) => sum + entry.credit - entry.debit, 0));
+
+    const [opening] = await LedgerTransaction.aggregate([
+      { $match: { vendor, createdAt: { $lt: from } } },
+      { $unwind: '$entries' },
+      { $match: { 'entries.account': { $in: VENDOR_ACCOUNTS } } },
+      { $group: { _id: null, balance: { $sum: { $subtract: ['$entries.credit', '$entries.debit'] } } } }
+    ]);
+
+    const transactions = await LedgerTransaction.find({ vendor, createdAt: { $gte: from, $lte: to } })
+      .populate('order', 'orderNumber')
+      .populate('payout', 'payoutNumber')
+      .sort({ createdAt: 1 });
+
+    let balance = roundCurrency(opening?.balance || 0);
+    const openingBalance = balance;
+    const lines = transactions
+      // Releases only move funds between the vendor's own accounts
+      .filter(transaction => transaction.type !== 'release')
+      .map(transaction => {
+        const amount = vendorChange(transaction);
+        balance = roundCurrency(balance + amount);
+        return {
+          date: transaction.createdAt,
+          type: transaction.type,
+          description: transaction.description,
+          orderNumber: transaction.order?.orderNumber,
+          payoutNumber: transaction.payout?.payoutNumber,
+          amount,
+          balance
+        };
+      });
+
+    return {
+      from,
+      to,
+      openingBalance,
+      closingBalance: balance,
+      lines
+    };
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,182 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Vendor = require('../models/Vendor');
+const inventoryService = require('./inventoryService');
+const paymentService = require('./payments');
+const ledgerService = require('./ledgerService');
+const emailService = require('./emailService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const STATUS_EMAIL_TYPES = {
+  cancelled: 'warning',
+  returned: 'warning',
+  delivered: 'success'
+};
+
+class OrderStatusService {
+  constructor() {
+    // Side effects named in Order's STATUS_TRANSITIONS. Effects flagged
+    // `before` run ahead of the status change and abort it by throwing;
+    // the rest run once the new status is saved.
+    this.effects = {
+      reserveStock: { before: true, run: (order) => this.reserveStock(order) },
+      restock: { run: (order) => this.restock(order) },
+      recordSales: { run: (order) => this.recordSales(order) },
+      reverseSales: { run: (order) => this.reverseSales(order) },
+      refund: { run: (order, context) => this.refund(order, context) },
+      creditVendor: { run: (order) => ledgerService.recordSale(order) },
+      notifyCustomer: { run: (order, context) => this.notifyCustomer(order, context) },
+      notifyVendor: { run: (order, context) => this.notifyVendor(order, context) }
+    };
+  }
+
+  // Move an order to newStatus on behalf of user ({ id, role }), enforcing the
+  // transition graph. Rejected transitions throw a structured ErrorResponse.
+  async transition(order, newStatus, { user, message } = {}) {
+    const transition = order.assertTransition(newStatus, user.role);
+    const context = { user, from: order.status, to: newStatus, message };
+    const effects = transition.effects.map(name => this.effects[name]);
+
+    for (const effect of effects.filter(effect => effect.before)) {
+      await effect.run(order, context);
+    }
+
+    await order.updateStatus(newStatus, message, user.id);
+
+    for (const effect of effects.filter(effect => !effect.before)) {
+      await effect.run(order, context);
+    }
+
+    return order;
+  }
+
+  // Take the order's stock again when a cancelled order is reopened
+  async reserveStock(order) {
+    const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } })
+      .select('name inventory isActive status variants');
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const lines = order.items.map(item => {
+      const product = productsById.get(item.product.toString());
+      if (!product) {
+        throw new ErrorResponse(`Product ${item.name} is no longer available`, 409, { product: item.product });
+      }
+      return { product, quantity: order.activeQuantity(item), variantSku: item.variant?.sku };
+    });
+
+    const reservations = await inventoryService.reserve(lines);
+
+    order.items.forEach((item, index) => {
+      item.stockReserved = reservations[index].reserved;
+    });
+  }
+
+  // Put back the stock the order took; stockReserved is cleared so a later
+  // cancellation of a reopened order cannot restock twice
+  async restock(order) {
+    await inventoryService.release(order.items.map(item => ({
+      product: item.product,
+      variantSku: item.variant?.sku,
+      reserved: item.stockReserved ?? order.activeQuantity(item)
+    })));
+
+    order.items.forEach(item => {
+      item.stockReserved = 0;
+    });
+    await order.save();
+  }
+
+  // Count a reopened order's sales again
+  async recordSales(order) {
+    await inventoryService.recordSales(order);
+    await order.save();
+  }
+
+  // Take the order's units back out of the product sales counters
+  async reverseSales(order) {
+    for (const item of order.items) {
+      await inventoryService.reverseSales(item);
+    }
+    await order.save();
+  }
+
+  // Refund whatever is left of a captured payment. A failed refund does not
+  // undo the cancellation: it is logged on the timeline and refundProcessed
+  // stays false until the refund is retried through the payments API.
+  async refund(order, { user }) {
+    if (!['completed', 'partially_refunded'].includes(order.payment.status)) return;
+
+    try {
+      await paymentService.refundOrder(order, {
+        reason: `Order cancelled${order.cancellation?.reason ? `: ${order.cancellation.reason}` : ''}`,
+        refundedBy: user.id
+      });
+    } catch (error) {
+      console.error('Cancellation refund error:', error);
+      order.timeline.push({
+        status: 'refund_failed',
+        message: `Automatic refund failed: ${error.message}`,
+        timestamp: new Date()
+      });
+      await order.save();
+    }
+  }
+
+  statusMessage(order, { to, message }) {
+    let text = `Order <strong>${order.orderNumber}</strong> is now <strong>${to}</strong>.`;
+
+    if (to === 'shipped' && order.tracking.trackingNumber) {
+      text += ` Tracking number: ${order.tracking.trackingNumber}${order.tracking.carrier ? ` (${order.tracking.carrier})` : ''}.`;
+    }
+    if (to === 'cancelled' && order.cancellation?.reason) {
+      text += ` Reason: ${order.cancellation.reason}.`;
+    }
+    if (to === 'cancelled' && order.cancellation?.refundProcessed) {
+      text += ` A total of ${order.payment.refundAmount.toFixed(2)} ${order.payment.currency} has been refunded.`;
+    }
+    if (message) {
+      text += `<br />${message}`;
+    }
+
+    return text;
+  }
+
+  // Emails are best effort: a mail failure never undoes a status change
+  async notifyCustomer(order, context) {
+    try {
+      const customer = await User.findById(order.customer).select('email');
+      if (!customer) return;
+
+      await emailService.sendNotificationEmail(
+        customer.email,
+        `Order ${order.orderNumber} ${context.to}`,
+        this.statusMessage(order, context),
+        STATUS_EMAIL_TYPES[context.to] || 'info'
+      );
+    } catch (error) {
+      console.error('Order status customer email error:', error);
+    }
+  }
+
+  // The vendor is told about changes made by someone else, and always about
+  // cancellations since those may have moved stock and money
+  async notifyVendor(order, context) {
+    if (context.user.role === 'vendor' && context.to !== 'cancelled') return;
+
+    try {
+      const vendor = await Vendor.findById(order.vendor).select('contactInfo.email');
+      if (!vendor?.contactInfo?.email) return;
+
+      await emailService.sendNotificationEmail(
+        vendor.contactInfo.email,
+        `Order ${order.orderNumber} ${context.to}`,
+        this.statusMessage(order, context),
+        STATUS_EMAIL_TYPES[context.to] || 'info'
+      );
+    } catch (error) {
+      console.error('Order status vendor email error:', error);
+    }
+  }
+}
+
+module.exports = new OrderStatusService();
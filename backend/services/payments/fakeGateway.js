@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const ErrorResponse = require('../../utils/errorResponse');
+
+// Payment methods that let local tests exercise the unhappy paths
+const DECLINED_PAYMENT_METHODS = ['pm_card_chargeDeclined', 'pm_card_visa_chargeDeclined'];
+
+// Event types the fake gateway emits; payloads already use the platform's event shape
+const HANDLED_EVENT_TYPES = [
+  'payment.succeeded',
+  'payment.failed',
+  'payment.refunded',
+  'payment.dispute_opened',
+  'payment.dispute_closed'
+];
+
+// Signed deliveries older than this are rejected to limit replays
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// The fake gateway approves any card and signs webhooks with a secret of the
+// operator's choosing, so it only runs when switched on explicitly with its
+// own webhook secret, and never in production
+const isEnabled = () => process.env.NODE_ENV !== 'production' &&
+  process.env.FAKE_PAYMENTS_ENABLED === 'true' &&
+  Boolean(process.env.FAKE_WEBHOOK_SECRET);
+
+const randomId = (prefix) => `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`;
+
+// In-memory gateway with the same interface as StripeGateway, so checkout and
+// refunds can be exercised without network access or API keys
+class FakeGateway {
+  constructor() {
+    if (!isEnabled()) {
+      throw new ErrorResponse('The fake payment gateway is not enabled', 503);
+    }
+    this.name = 'fake';
+    this.signatureHeader = 'x-fake-signature';
+    this.webhookSecret = process.env.FAKE_WEBHOOK_SECRET;
+    this.intents = new Map();
+  }
+
+  static isEnabled() {
+    return isEnabled();
+  }
+
+  getIntent(paymentIntentId) {
+    const intent = this.intents.get(paymentIntentId);
+    if (!intent) {
+      throw new ErrorResponse(`No such payment intent: ${paymentIntentId}`, 404);
+    }
+    return intent;
+  }
+
+  normalizeIntent({ refunded, metadata, ...intent }) {
+    return intent;
+  }
+
+  async createPaymentIntent({ amount, currency, metadata }) {
+    const id = randomId('pi');
+    const intent = {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'requires_confirmation',
+      amount,
+      currency: currency.toLowerCase(),
+      metadata,
+      refunded: 0
+    };
+
+    this.intents.set(id, intent);
+    return this.normalizeIntent(intent);
+  }
+
+  async retrievePaymentIntent(paymentIntentId) {
+    return this.normalizeIntent(this.getIntent(paymentIntentId));
+  }
+
+  async confirmPaymentIntent(paymentIntentId, { paymentMethod } = {}) {
+    const intent = this.getIntent(paymentIntentId);
+
+    if (intent.status === 'succeeded') {
+      return this.normalizeIntent(intent);
+    }
+
+    if (intent.status === 'canceled') {
+      throw new ErrorResponse('Payment intent has been canceled', 400);
+    }
+
+    if (DECLINED_PAYMENT_METHODS.includes(paymentMethod)) {
+      intent.status = 'requires_payment_method';
+      intent.failureReason = 'Your card was declined.';
+    } else {
+      intent.status = 'succeeded';
+      intent.transactionId = randomId('ch');
+      delete intent.failureReason;
+    }
+
+    return this.normalizeIntent(intent);
+  }
+
+  async cancelPaymentIntent(paymentIntentId) {
+    const intent = this.getIntent(paymentIntentId);
+
+    if (intent.status === 'succeeded') {
+      throw new ErrorResponse('Payment intent has already succeeded', 400);
+    }
+
+    intent.status = 'canceled';
+    return this.normalizeIntent(intent);
+  }
+
+  async refund({ paymentIntentId, amount }) {
+    const intent = this.getIntent(paymentIntentId);
+
+    if (intent.status !== 'succeeded') {
+      throw new ErrorResponse('Payment intent has not succeeded', 400);
+    }
+
+    if (intent.refunded + amount > intent.amount + 0.001) {
+      throw new ErrorResponse('Refund exceeds the captured amount', 400);
+    }
+
+    intent.refunded += amount;
+
+    return {
+      id: randomId('re'),
+      status: 'succeeded',
+      amount
+    };
+  }
+
+  // Build the signature header for a payload, mirroring Stripe's t=...,v1=... scheme
+  signPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  constructWebhookEvent(rawBody, signatureHeader = '') {
+    const payload = rawBody.toString('utf8');
+    const parts = Object.fromEntries(
+      signatureHeader.split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(parts.t, 10);
+
+    if (!timestamp || !parts.v1) {
+      throw new ErrorResponse('Webhook signature verification failed: malformed header', 400);
+    }
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new ErrorResponse('Webhook signature verification failed: timestamp outside tolerance', 400);
+    }
+
+    const expected = Buffer.from(this.signPayload(payload, timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new ErrorResponse('Webhook signature verification failed: signature mismatch', 400);
+    }
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (error) {
+      throw new ErrorResponse('Webhook payload is not valid JSON', 400);
+    }
+
+    return {
+      ...event.data,
+      id: event.id,
+      type: event.type,
+      providerType: event.type,
+      handled: HANDLED_EVENT_TYPES.includes(event.type)
+    };
+  }
+}
+
+module.exports = FakeGateway;
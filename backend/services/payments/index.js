@@ -0,0 +1,287 @@
+const Order = require('../../models/Order');
+const OrderGroup = require('../../models/OrderGroup');
+const StripeGateway = require('./stripeGateway');
+const FakeGateway = require('./fakeGateway');
+const ledgerService = require('../ledgerService');
+const settingService = require('../settingService');
+const ErrorResponse = require('../../utils/errorResponse');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Gateways are created on first use so a missing Stripe key only matters
+// when the Stripe gateway is actually selected. Keys come from the payment
+// settings, which fall back to the environment.
+const gatewayFactories = {
+  stripe: (settings) => {
+    if (!settings.stripeSecretKey) {
+      throw new ErrorResponse('Stripe is not configured', 503);
+    }
+    return new StripeGateway(settings.stripeSecretKey);
+  },
+  fake: () => new FakeGateway()
+};
+
+class PaymentService {
+  constructor() {
+    this.gateways = {};
+  }
+
+  // Gateway used for new card payments (PAYMENT_GATEWAY=stripe|fake)
+  defaultGatewayName(settings) {
+    if (process.env.PAYMENT_GATEWAY) return process.env.PAYMENT_GATEWAY;
+    return settings.stripeSecretKey ? 'stripe' : 'fake';
+  }
+
+  async getGateway(name) {
+    const settings = await settingService.get('payment');
+    const gatewayName = name || this.defaultGatewayName(settings);
+
+    const factory = gatewayFactories[gatewayName];
+    if (!factory) {
+      throw new ErrorResponse(`Unknown payment gateway: ${gatewayName}`, 400);
+    }
+
+    // Recreated when an admin changes the secret key
+    const cached = this.gateways[gatewayName];
+    if (!cached || cached.secretKey !== settings.stripeSecretKey) {
+      this.gateways[gatewayName] = { gateway: factory(settings), secretKey: settings.stripeSecretKey };
+    }
+    return this.gateways[gatewayName].gateway;
+  }
+
+  // Payment methods customers can choose from at checkout, as switched on in
+  // the payment settings
+  async getAvailableMethods() {
+    const settings = await settingService.get('payment');
+    const methods = [];
+
+    // Cards are only offered when their gateway can actually be used
+    const gateway = this.defaultGatewayName(settings);
+    if (settings.stripeEnabled && (gateway !== 'fake' || FakeGateway.isEnabled())) {
+      methods.push({
+        id: 'stripe',
+        type: 'card',
+        name: 'Credit / Debit Card',
+        gateway,
+        publishableKey: gateway === 'stripe' ? settings.stripePublishableKey || undefined : undefined
+      });
+    }
+
+    if (settings.paypalEnabled && settings.paypalClientId) {
+      methods.push({ id: 'paypal', type: 'paypal', name: 'PayPal' });
+    }
+
+    if (settings.codEnabled) {
+      methods.push({ id: 'cod', type: 'cod', name: 'Cash on Delivery' });
+    }
+
+    return methods;
+  }
+
+  async assertMethodAvailable(method) {
+    const methods = await this.getAvailableMethods();
+    if (!methods.some(available => available.id === method)) {
+      throw new ErrorResponse(`Payment method ${method} is not available`, 400, { paymentMethod: method });
+    }
+  }
+
+  // Cancel the intents earlier attempts left on these orders (or their
+  // checkout) before a new intent replaces them, so no payment can land on an
+  // intent nothing points to any more. An intent that is already paid or
+  // being paid stops the new attempt instead; one the gateway no longer
+  // knows is skipped.
+  async cancelOpenIntents(records) {
+    const previous = new Map();
+    for (const { payment } of records) {
+      if (payment.paymentIntentId) previous.set(payment.paymentIntentId, payment.gateway);
+    }
+
+    for (const [paymentIntentId, gatewayName] of previous) {
+      const gateway = await this.getGateway(gatewayName);
+
+      let intent;
+      try {
+        intent = await gateway.retrievePaymentIntent(paymentIntentId);
+      } catch (error) {
+        if (error.statusCode === 404) continue;
+        throw error;
+      }
+
+      if (intent.status === 'canceled') continue;
+
+      if (['succeeded', 'processing', 'requires_capture'].includes(intent.status)) {
+        throw new ErrorResponse('A payment for these orders is already being processed', 409, { paymentIntentId });
+      }
+
+      await gateway.cancelPaymentIntent(paymentIntentId);
+    }
+  }
+
+  // Refund part or all of an order's captured payment and record it on the order
+  async refundOrder(order, { amount, reason, refundedBy } = {}) {
+    if (!['completed', 'partially_refunded'].includes(order.payment.status)) {
+      throw new ErrorResponse('Order payment has not been captured', 400);
+    }
+
+    if (!order.payment.paymentIntentId) {
+      throw new ErrorResponse('Order was not paid through a payment gateway', 400);
+    }
+
+    const refundable = Math.round((order.payment.amount - order.payment.refundAmount) * 100) / 100;
+    const refundAmount = amount === undefined ? refundable : Math.round(amount * 100) / 100;
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw new ErrorResponse(`Refund amount must be between 0.01 and ${refundable.toFixed(2)}`, 400);
+    }
+
+    const gateway = await this.getGateway(order.payment.gateway);
+    const refund = await gateway.refund({
+      paymentIntentId: order.payment.paymentIntentId,
+      amount: refundAmount,
+      reason,
+      metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber }
+    });
+
+    await order.recordRefund(refund.amount, reason, refundedBy);
+    await ledgerService.recordRefunds(order);
+    await this.syncOrderGroups([order]);
+
+    return refund;
+  }
+
+  // Record a captured payment on an order. An order cancelled while its
+  // payment was still pending is refunded straight away, so the customer is
+  // never charged for it; a failed refund is logged like a cancellation's.
+  async capturePayment(order, transactionId, message) {
+    if (order.payment.status === 'completed') return order;
+
+    await order.markPaid(transactionId, message);
+    if (order.status !== 'cancelled') return order;
+
+    try {
+      await this.refundOrder(order, { reason: 'Order was cancelled before the payment went through' });
+    } catch (error) {
+      console.error('Cancelled order refund error:', error);
+      order.timeline.push({
+        status: 'refund_failed',
+        message: `Automatic refund failed: ${error.message}`,
+        timestamp: new Date()
+      });
+      await order.save();
+    }
+    return order;
+  }
+
+  // Roll payment changes on vendor sub-orders up to the checkouts they belong to
+  async syncOrderGroups(orders) {
+    const groupIds = [...new Set(orders
+      .filter(order => order.orderGroup)
+      .map(order => order.orderGroup.toString()))];
+
+    for (const groupId of groupIds) {
+      const orderGroup = await OrderGroup.findById(groupId);
+      if (!orderGroup) continue;
+
+      const groupOrders = await Order.find({ orderGroup: orderGroup._id });
+      await orderGroup.syncPayment(groupOrders);
+    }
+  }
+
+  // Split an amount taken back from a payment intent (e.g. a dispute) over
+  // the orders it paid for, in proportion to what is still captured on each.
+  // The last order takes the rounding remainder. An unknown amount covers
+  // everything captured.
+  splitAcrossOrders(orders, amount) {
+    const captured = orders.map(order => roundCurrency(order.payment.amount - order.payment.refundAmount));
+    const totalCaptured = roundCurrency(captured.reduce((sum, value) => sum + value, 0));
+    const target = Math.min(amount ?? totalCaptured, totalCaptured);
+    let left = target;
+
+    return captured.map((value, index) => {
+      const share = index === captured.length - 1 || totalCaptured === 0
+        ? left
+        : roundCurrency(target * value / totalCaptured);
+      left = roundCurrency(left - share);
+      return Math.max(0, Math.min(share, value));
+    });
+  }
+
+  // Apply a verified webhook event to the orders paid through its payment
+  // intent. Only orders paid through the provider that sent the event are
+  // touched, so one provider's events can never settle another's payments.
+  async handleWebhookEvent(event, provider) {
+    if (!event.handled || !event.paymentIntentId) return [];
+
+    const orders = await Order.find({
+      'payment.paymentIntentId': event.paymentIntentId,
+      'payment.gateway': provider
+    })
+      .sort({ createdAt: 1 });
+
+    switch (event.type) {
+      case 'payment.succeeded':
+        for (const order of orders) {
+          await this.capturePayment(order, event.transactionId, 'Payment confirmed by payment provider');
+        }
+        break;
+
+      case 'payment.failed':
+        for (const order of orders) {
+          if (order.payment.status !== 'completed') {
+            await order.markPaymentFailed(event.failureReason);
+          }
+        }
+        break;
+
+      case 'payment.refunded': {
+        // The provider reports the cumulative refund for the whole intent; only
+        // the part not already recorded (e.g. from refunds issued via the
+        // dashboard) is spread across the orders
+        const recorded = orders.reduce((sum, order) => sum + order.payment.refundAmount, 0);
+        let outstanding = Math.round((event.refundedTotal - recorded) * 100) / 100;
+
+        for (const order of orders) {
+          if (outstanding <= 0) break;
+          const refundable = order.payment.amount - order.payment.refundAmount;
+          const amount = Math.min(refundable, outstanding);
+          if (amount > 0) {
+            await order.recordRefund(amount, 'Refunded via payment provider');
+            await ledgerService.recordRefunds(order);
+            outstanding = Math.round((outstanding - amount) * 100) / 100;
+          }
+        }
+        break;
+      }
+
+      // Each order carries its share of the disputed amount, so a dispute on
+      // a multi-vendor checkout or over part of a payment only charges back
+      // what was disputed
+      case 'payment.dispute_opened': {
+        const shares = this.splitAcrossOrders(orders, event.dispute.amount);
+        for (const [index, order] of orders.entries()) {
+          await order.openDispute({ ...event.dispute, amount: shares[index] });
+        }
+        break;
+      }
+
+      case 'payment.dispute_closed': {
+        const disputed = orders.filter(order => order.payment.dispute?.id === event.dispute.id);
+        const shares = this.splitAcrossOrders(disputed, event.dispute.amount);
+        for (const [index, order] of disputed.entries()) {
+          await order.closeDispute(event.dispute.status, shares[index]);
+          await ledgerService.recordRefunds(order, { type: 'chargeback' });
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    await this.syncOrderGroups(orders);
+
+    return orders;
+  }
+}
+
+module.exports = new PaymentService();
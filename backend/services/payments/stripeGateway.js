@@ -0,0 +1,162 @@
+const Stripe = require('stripe');
+const ErrorResponse = require('../../utils/errorResponse');
+
+// Stripe works in the smallest currency unit (cents), the platform in major units
+const toMinorUnits = (amount) => Math.round(amount * 100);
+const toMajorUnits = (amount) => amount / 100;
+
+class StripeGateway {
+  constructor(secretKey) {
+    this.name = 'stripe';
+    this.signatureHeader = 'stripe-signature';
+    this.client = new Stripe(secretKey);
+  }
+
+  // Map a Stripe PaymentIntent onto the shape the routes work with
+  normalizeIntent(intent) {
+    return {
+      id: intent.id,
+      clientSecret: intent.client_secret,
+      status: intent.status,
+      amount: toMajorUnits(intent.amount),
+      currency: intent.currency,
+      transactionId: typeof intent.latest_charge === 'string'
+        ? intent.latest_charge
+        : intent.latest_charge?.id,
+      failureReason: intent.last_payment_error?.message
+    };
+  }
+
+  async createPaymentIntent({ amount, currency, metadata, receiptEmail }) {
+    try {
+      const intent = await this.client.paymentIntents.create({
+        amount: toMinorUnits(amount),
+        currency: currency.toLowerCase(),
+        metadata,
+        receipt_email: receiptEmail,
+        automatic_payment_methods: { enabled: true }
+      });
+
+      return this.normalizeIntent(intent);
+    } catch (error) {
+      throw new ErrorResponse(error.message, error.statusCode || 502);
+    }
+  }
+
+  async retrievePaymentIntent(paymentIntentId) {
+    try {
+      const intent = await this.client.paymentIntents.retrieve(paymentIntentId);
+      return this.normalizeIntent(intent);
+    } catch (error) {
+      throw new ErrorResponse(error.message, error.statusCode || 502);
+    }
+  }
+
+  // Confirm server-side when a payment method is supplied, otherwise just
+  // read back the status of an intent the browser confirmed with Stripe.js
+  async confirmPaymentIntent(paymentIntentId, { paymentMethod } = {}) {
+    if (!paymentMethod) {
+      return this.retrievePaymentIntent(paymentIntentId);
+    }
+
+    try {
+      const intent = await this.client.paymentIntents.confirm(paymentIntentId, {
+        payment_method: paymentMethod
+      });
+      return this.normalizeIntent(intent);
+    } catch (error) {
+      // Card declines come back as errors but still carry the updated intent
+      if (error.raw?.payment_intent) {
+        return this.normalizeIntent(error.raw.payment_intent);
+      }
+      throw new ErrorResponse(error.message, error.statusCode || 502);
+    }
+  }
+
+  async cancelPaymentIntent(paymentIntentId) {
+    try {
+      const intent = await this.client.paymentIntents.cancel(paymentIntentId);
+      return this.normalizeIntent(intent);
+    } catch (error) {
+      throw new ErrorResponse(error.message, error.statusCode || 502);
+    }
+  }
+
+  async refund({ paymentIntentId, amount, reason, metadata }) {
+    try {
+      const refund = await this.client.refunds.create({
+        payment_intent: paymentIntentId,
+        amount: toMinorUnits(amount),
+        reason: 'requested_by_customer',
+        metadata: { ...metadata, reason }
+      });
+
+      return {
+        id: refund.id,
+        status: refund.status,
+        amount: toMajorUnits(refund.amount)
+      };
+    } catch (error) {
+      throw new ErrorResponse(error.message, error.statusCode || 502);
+    }
+  }
+
+  // Verify a webhook delivery and translate it into a platform payment event.
+  // Event types the platform does not act on come back with handled: false.
+  constructWebhookEvent(rawBody, signature) {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+      throw new ErrorResponse('Stripe webhook secret is not configured', 503);
+    }
+
+    let event;
+    try {
+      event = this.client.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (error) {
+      throw new ErrorResponse(`Webhook signature verification failed: ${error.message}`, 400);
+    }
+
+    const object = event.data.object;
+    const base = { id: event.id, providerType: event.type, handled: true };
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return {
+          ...base,
+          type: 'payment.succeeded',
+          paymentIntentId: object.id,
+          transactionId: this.normalizeIntent(object).transactionId
+        };
+      case 'payment_intent.payment_failed':
+        return {
+          ...base,
+          type: 'payment.failed',
+          paymentIntentId: object.id,
+          failureReason: object.last_payment_error?.message
+        };
+      case 'charge.refunded':
+        return {
+          ...base,
+          type: 'payment.refunded',
+          paymentIntentId: object.payment_intent,
+          refundedTotal: toMajorUnits(object.amount_refunded)
+        };
+      case 'charge.dispute.created':
+      case 'charge.dispute.closed':
+        return {
+          ...base,
+          type: event.type === 'charge.dispute.created' ? 'payment.dispute_opened' : 'payment.dispute_closed',
+          paymentIntentId: object.payment_intent,
+          dispute: {
+            id: object.id,
+            status: object.status,
+            reason: object.reason,
+            amount: toMajorUnits(object.amount)
+          }
+        };
+      default:
+        return { ...base, type: event.type, handled: false };
+    }
+  }
+}
+
+module.exports = StripeGateway;
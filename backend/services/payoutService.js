@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const Vendor = require('../models/Vendor');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Counter = require('../models/Counter');
+const ledgerService = require('./ledgerService');
+const settingService = require('./settingService');
+const emailService = require('./emailService');
+const ErrorResponse = require('../utils/errorResponse');
+const { toCsv } = require('../utils/csv');
+
+// Columns of the bank transfer file, one row per payout
+const BANK_FILE_COLUMNS = [
+  { key: 'payoutNumber', header: 'Reference' },
+  { key: payout => payout.bankDetails.accountHolderName, header: 'Account Holder' },
+  { key: payout => payout.bankDetails.bankName, header: 'Bank Name' },
+  { key: payout => payout.bankDetails.routingNumber, header: 'Routing Number' },
+  { key: payout => payout.bankDetails.accountNumber, header: 'Account Number' },
+  { key: payout => payout.amount.toFixed(2), header: 'Amount' },
+  { key: 'currency', header: 'Currency' }
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Counter holding the time (ms) of the last automatic settlement run
+const SCHEDULE_COUNTER = 'settlement-schedule';
+
+// Longest allowed SETTLEMENT_INTERVAL_DAYS
+const MAX_SETTLEMENT_INTERVAL_DAYS = 90;
+
+class PayoutService {
+  // Smallest available balance worth paying out; smaller ones carry over
+  async getMinimumPayout() {
+    return settingService.getValue('payment', 'minimumPayout');
+  }
+
+  // Create a payout awaiting approval for every approved vendor whose cleared
+  // balance reaches the minimum. The payout amount moves from
+  // vendor_available to payouts_in_transit right away, so a second run
+  // cannot pay the same funds. Resolves to { run, payouts, skipped }.
+  async runSettlement(user) {
+    await ledgerService.releaseDue();
+
+    const run = `RUN-${new Date().toISOString()}`;
+    const balances = await ledgerService.balances();
+    const minimumPayout = await this.getMinimumPayout();
+    const payouts = [];
+    const skipped = [];
+
+    for (const [vendorId, balance] of balances) {
+      if (balance.available < minimumPayout) continue;
+
+      const vendor = await Vendor.findById(vendorId).select('businessName status bankDetails contactInfo');
+      if (!vendor || vendor.status !== 'approved') {
+        skipped.push({ vendor: vendorId, reason: 'Vendor is not approved' });
+        continue;
+      }
+      if (!vendor.bankDetails?.accountNumber || !vendor.bankDetails?.routingNumber) {
+        skipped.push({ vendor: vendorId, businessName: vendor.businessName, reason: 'No bank details on file' });
+        continue;
+      }
+
+      // The latest transaction pins the balance this payout was computed
+      // from; a concurrent run computing the same payout posts the same
+      // reference and gets the existing transaction back instead
+      const latest = await LedgerTransaction.findOne({ vendor: vendor._id }).sort({ createdAt: -1, _id: -1 }).select('_id');
+      const payoutId = new mongoose.Types.ObjectId();
+      const transaction = await ledgerService.post({
+        reference: `payout:${vendor._id}:${latest._id}`,
+        type: 'payout',
+        vendor: vendor._id,
+        payout: payoutId,
+        description: 'Payout to bank account',
+        entries: [
+          { account: 'vendor_available', debit: balance.available },
+          { account: 'payouts_in_transit', credit: balance.available }
+        ],
+        postedBy: user.id
+      });
+
+      if (!transaction.payout.equals(payoutId)) {
+        skipped.push({ vendor: vendorId, businessName: vendor.businessName, reason: 'Already included in another settlement run' });
+        continue;
+      }
+
+      const payout = await Payout.create({
+        _id: payoutId,
+        vendor: vendor._id,
+        amount: balance.available,
+        currency: transaction.currency,
+        bankDetails: {
+          accountHolderName: vendor.bankDetails.accountHolderName,
+          bankName: vendor.bankDetails.bankName,
+          routingNumber: vendor.bankDetails.routingNumber,
+          accountNumber: vendor.bankDetails.accountNumber
+        },
+        settlementRun: run,
+        createdBy: user.id
+      });
+      payouts.push(payout);
+    }
+
+    return { run, payouts, skipped };
+  }
+
+  // Days between automatic settlement runs from SETTLEMENT_INTERVAL_DAYS;
+  // 0 disables them
+  get settlementIntervalDays() {
+    const days = Number(process.env.SETTLEMENT_INTERVAL_DAYS ?? 7);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_SETTLEMENT_INTERVAL_DAYS) {
+      throw new Error(`SETTLEMENT_INTERVAL_DAYS must be a whole number from 0 to ${MAX_SETTLEMENT_INTERVAL_DAYS}`);
+    }
+    return days;
+  }
+
+  // Run an automatic settlement if the interval has passed since the last
+  // one. Meant to be called periodically by every server instance: the last
+  // run time is kept in the database, so restarts do not reset the clock,
+  // and claiming a run is one conditional update, so only one instance runs
+  // it. The first check on a fresh database starts the clock. Resolves to
+  // the runSettlement result, or null when no run was due.
+  async runIfDue(now = new Date()) {
+    const days = this.settlementIntervalDays;
+    if (days === 0) return null;
+
+    await Counter.updateOne(
+      { _id: SCHEDULE_COUNTER },
+      { $setOnInsert: { seq: now.getTime() } },
+      { upsert: true }
+    );
+
+    const claimed = await Counter.findOneAndUpdate(
+      { _id: SCHEDULE_COUNTER, seq: { $lte: now.getTime() - days * DAY } },
+      { seq: now.getTime() }
+    );
+    if (!claimed) return null;
+
+    return this.runSettlement({ id: undefined, role: 'system' });
+  }
+
+  async approve(payout, user) {
+    return this.transition(payout, ['pending_approval'], 'approved', {
+      approvedBy: user.id,
+      approvedAt: new Date()
+    });
+  }
+
+  // A rejected payout hands its amount back to the vendor's available balance
+  async reject(payout, { reason }, user) {
+    return this.transition(payout, ['pending_approval', 'approved'], 'rejected', {
+      rejectionReason: reason
+    }, () => this.reverse(payout, `Payout ${payout.payoutNumber} rejected`, user));
+  }
+
+  // Bank file (CSV) of every approved payout; they are marked exported under
+  // one batch id. Resolves to { batch, csv, payouts }.
+  async exportBankFile(user) {
+    const batch = `BATCH-${new Date().toISOString()}`;
+
+    // Claim the payouts first so two exports cannot both include one
+    await Payout.updateMany(
+      { status: 'approved' },
+      { status: 'exported', exportBatch: batch, exportedAt: new Date() }
+    );
+
+    const payouts = await Payout.find({ exportBatch: batch }).sort({ payoutNumber: 1 });
+    if (payouts.length === 0) {
+      throw new ErrorResponse('There are no approved payouts to export', 404);
+    }
+
+    return { batch, csv: toCsv(payouts, BANK_FILE_COLUMNS), payouts };
+  }
+
+  // The bank confirmed the transfer
+  async markPaid(payout, user) {
+    await this.transition(payout, ['exported'], 'paid', {
+      paidAt: new Date()
+    }, () => ledgerService.post({
+      reference: `payout_paid:${payout._id}`,
+      type: 'payout_paid',
+      vendor: payout.vendor,
+      payout: payout._id,
+      description: `Payout ${payout.payoutNumber} paid`,
+      currency: payout.currency,
+      entries: [
+        { account: 'payouts_in_transit', debit: payout.amount },
+        { account: 'platform_bank', credit: payout.amount }
+      ],
+      postedBy: user.id
+    }));
+
+    await this.notifyVendor(payout, `Payout ${payout.payoutNumber} sent`,
+      `We sent <strong>${payout.amount.toFixed(2)} ${payout.currency}</strong> to your bank account ending in ${payout.bankDetails.accountNumber.slice(-4)} (payout ${payout.payoutNumber}).`,
+      'success');
+
+    return payout;
+  }
+
+  // The bank rejected the transfer; the amount goes back to the vendor's balance
+  async markFailed(payout, { reason }, user) {
+    await this.transition(payout, ['exported'], 'failed', {
+      failureReason: reason
+    }, () => this.reverse(payout, `Payout ${payout.payoutNumber} failed`, user));
+
+    await this.notifyVendor(payout, `Payout ${payout.payoutNumber} failed`,
+      `Your payout <strong>${payout.payoutNumber}</strong> could not be sent: ${reason}. The amount was returned to your balance; please check your bank details.`,
+      'error');
+
+    return payout;
+  }
+
+  // Move a payout to a new status with one conditional update, so a payout
+  // exported (or rejected) by someone else in the meantime is never acted on
+  // twice. The ledger is only posted to once the update went through; if the
+  // posting fails the status is put back.
+  async transition(payout, allowed, target, changes, postToLedger) {
+    this.assertStatus(payout, allowed, target);
+
+    const previous = await Payout.findOneAndUpdate(
+      { _id: payout._id, status: { $in: allowed } },
+      { ...changes, status: target }
+    );
+    if (!previous) {
+      const current = await Payout.findById(payout._id).select('status');
+      this.assertStatus(current || payout, [], target);
+    }
+
+    if (postToLedger) {
+      try {
+        await postToLedger();
+      } catch (error) {
+        await Payout.updateOne({ _id: payout._id, status: target }, { status: previous.status });
+        throw error;
+      }
+    }
+
+    payout.set({ ...changes, status: target });
+    return payout;
+  }
+
+  async reverse(payout, description, user) {
+    await ledgerService.post({
+      reference: `payout_reversal:${payout._id}`,
+      type: 'payout_reversal',
+      vendor: payout.vendor,
+      payout: payout._id,
+      description,
+      currency: payout.currency,
+      entries: [
+        { account: 'payouts_in_transit', debit: payout.amount },
+        { account: 'vendor_available', credit: payout.amount }
+      ],
+      postedBy: user.id
+    });
+  }
+
+  assertStatus(payout, allowed, target) {
+    if (!allowed.includes(payout.status)) {
+      throw new ErrorResponse(`A ${payout.status.replace(/_/g, ' ')} payout cannot be ${target}`, 409, {
+        code: 'INVALID_PAYOUT_STATUS',
+        status: payout.status
+      });
+    }
+  }
+
+  // Emails are best effort: a mail failure never undoes a payout update
+  async notifyVendor(payout, subject, message, type) {
+    try {
+      const vendor = await Vendor.findById(payout.vendor).select('contactInfo.email');
+      if (!vendor?.contactInfo?.email) return;
+
+      await emailService.sendNotificationEmail(vendor.contactInfo.email, subject, message, type);
+    } catch (error) {
+      console.error('Payout email error:', error);
+    }
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,852 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Vendor = require('../models/Vendor');
+const User = require('../models/User');
+const ProductView = require('../models/ProductView');
+const settingService = require('./settingService');
+const { writeCsv } = require('../utils/csv');
+const { writeXlsx } = require('../utils/xlsx');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Reporting periods the admin console offers, as a length in days
+const PERIODS = {
+  today: 1,
+  week: 7,
+  month: 30,
+  quarter: 90,
+  year: 365
+};
+
+// Buckets a report's series can be grouped into. Weeks start on Monday.
+const INTERVALS = ['day', 'week', 'month'];
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Orders that count as sales: everything placed except cancellations
+const SALE_MATCH = { status: { $ne: 'cancelled' } };
+
+// What an order brought in: the amount charged (lines cancelled before
+// payment are not), net of refunds
+const NET_REVENUE = { $subtract: ['$payment.amount', { $ifNull: ['$payment.refundAmount', 0] }] };
+
+// Units of an order line that were not cancelled
+const UNITS_SOLD = { $subtract: ['$items.quantity', { $ifNull: ['$items.cancelledQuantity', 0] }] };
+
+// What an order line brought in after its discount share
+const LINE_REVENUE = { $subtract: ['$items.subtotal', { $ifNull: ['$items.discount', 0] }] };
+
+// Units of an order that were not cancelled, over all its lines
+const ORDER_UNITS = {
+  $sum: {
+    $map: {
+      input: '$items',
+      as: 'item',
+      in: { $subtract: ['$$item.quantity', { $ifNull: ['$$item.cancelledQuantity', 0] }] }
+    }
+  }
+};
+
+// Rows fetched from the database at a time when streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+const roundPercent = (value) => Math.round(value * 10) / 10;
+const percentOf = (part, whole) => (whole ? roundPercent(part / whole * 100) : 0);
+
+// Percentage change from the previous period; 100% when starting from zero
+const growth = (current, previous) => {
+  if (!previous) return current ? 100 : 0;
+  return Math.round((current - previous) / previous * 1000) / 10;
+};
+
+// A figure next to the one for the previous period of the same length
+const delta = (current, previous, round = roundCurrency) => ({
+  current: round(current),
+  previous: round(previous),
+  change: round(current - previous),
+  growth: growth(current, previous)
+});
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date (YYYY-MM-DD) of an instant in a time zone
+const zonedDay = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+// Local date and time (YYYY-MM-DD HH:mm) of an instant in a time zone
+const zonedDateTime = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+};
+
+// How far a time zone is ahead of UTC at an instant, in milliseconds
+const zoneOffset = (date, timeZone) => {
+  const [day, time] = zonedDateTime(date, timeZone).split(' ');
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return Date.UTC(year, month - 1, dayOfMonth, hour, minute) - Math.floor(date.getTime() / 60000) * 60000;
+};
+
+// Instant a calendar date (YYYY-MM-DD) starts in a time zone. The offset is
+// looked up twice so days next to a DST change come out right.
+const zonedMidnight = (day, timeZone) => {
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, dayOfMonth);
+  const estimate = utcMidnight - zoneOffset(new Date(utcMidnight), timeZone);
+  return new Date(utcMidnight - zoneOffset(new Date(estimate), timeZone));
+};
+
+const addDays = (day, days) => {
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, dayOfMonth + days)).toISOString().slice(0, 10);
+};
+
+// Group key of a date field: the local date its bucket starts on
+const bucketKey = (field, { interval, timezone }) => ({
+  $dateToString: {
+    format: '%Y-%m-%d',
+    date: { $dateTrunc: { date: field, unit: interval, timezone, startOfWeek: 'monday' } },
+    timezone
+  }
+});
+
+// Columns of each export. key is a property name or a function of the row;
+// type tells the writers how to format the value (text when left out).
+const EXPORT_COLUMNS = {
+  sales: [
+    { key: 'date', header: 'Period Start' },
+    { key: 'orders', header: 'Orders', type: 'number' },
+    { key: 'revenue', header: 'Revenue', type: 'currency' },
+    { key: 'commission', header: 'Commission', type: 'currency' },
+    { key: 'averageOrderValue', header: 'Average Order', type: 'currency' }
+  ],
+  vendors: [
+    { key: 'businessName', header: 'Vendor' },
+    { key: 'email', header: 'Email' },
+    { key: 'totalOrders', header: 'Orders', type: 'number' },
+    { key: 'totalRevenue', header: 'Revenue', type: 'currency' },
+    { key: 'previousRevenue', header: 'Previous Revenue', type: 'currency' },
+    { key: 'revenueGrowth', header: 'Revenue Growth %', type: 'percent' },
+    { key: 'totalCommission', header: 'Commission', type: 'currency' },
+    { key: 'productCount', header: 'Products', type: 'number' },
+    { key: row => Math.round((row.averageRating || 0) * 10) / 10, header: 'Rating', type: 'number' }
+  ],
+  products: [
+    { key: 'name', header: 'Product' },
+    { key: row => row.vendor?.businessName, header: 'Vendor' },
+    { key: row => row.category?.name, header: 'Category' },
+    { key: 'stock', header: 'Stock', type: 'number' },
+    { key: 'totalSold', header: 'Units Sold', type: 'number' },
+    { key: 'totalRevenue', header: 'Revenue', type: 'currency' }
+  ],
+  users: [
+    { key: 'name', header: 'Customer' },
+    { key: 'email', header: 'Email' },
+    { key: 'totalOrders', header: 'Orders', type: 'number' },
+    { key: 'totalSpent', header: 'Total Spent', type: 'currency' },
+    { key: 'averageOrderValue', header: 'Average Order', type: 'currency' },
+    { key: 'lastOrderDate', header: 'Last Order', type: 'date' }
+  ],
+  orders: [
+    { key: 'status', header: 'Status' },
+    { key: 'count', header: 'Orders', type: 'number' }
+  ],
+  // Every order placed in the range, one row each
+  transactions: [
+    { key: 'orderNumber', header: 'Order' },
+    { key: 'createdAt', header: 'Placed', type: 'datetime' },
+    { key: 'vendor', header: 'Vendor' },
+    { key: 'customer', header: 'Customer Email' },
+    { key: 'status', header: 'Status' },
+    { key: 'paymentMethod', header: 'Payment Method' },
+    { key: 'paymentStatus', header: 'Payment Status' },
+    { key: 'subtotal', header: 'Subtotal', type: 'currency' },
+    { key: 'discount', header: 'Discount', type: 'currency' },
+    { key: 'tax', header: 'Tax', type: 'currency' },
+    { key: 'shipping', header: 'Shipping', type: 'currency' },
+    { key: 'total', header: 'Total', type: 'currency' },
+    { key: 'refunded', header: 'Refunded', type: 'currency' },
+    { key: 'commission', header: 'Commission', type: 'currency' }
+  ]
+};
+// The revenue trend exports the same rows as the sales table
+EXPORT_COLUMNS.revenue = EXPORT_COLUMNS.sales;
+
+// Spreadsheet number formats by column type
+const XLSX_FORMATS = {
+  number: '#,##0',
+  currency: '#,##0.00',
+  percent: '0.0'
+};
+
+class ReportService {
+  get periods() {
+    return Object.keys(PERIODS);
+  }
+
+  get intervals() {
+    return INTERVALS;
+  }
+
+  get exportTypes() {
+    return Object.keys(EXPORT_COLUMNS);
+  }
+
+  get exportFormats() {
+    return EXPORT_FORMATS;
+  }
+
+  isTimeZone(timeZone) {
+    return isTimeZone(timeZone);
+  }
+
+  // The reporting window ending now, and the window of the same length
+  // before it that growth figures compare against
+  range(period = 'month', now = new Date()) {
+    const length = (PERIODS[period] || PERIODS.month) * DAY;
+    const from = new Date(now.getTime() - length);
+
+    return {
+      from,
+      to: now,
+      previousFrom: new Date(from.getTime() - length),
+      previousTo: from
+    };
+  }
+
+  // Work out the window a report covers from its query: either a preset
+  // period ending now, or whole days from/to (both inclusive) in the report's
+  // time zone, which defaults to the platform's. Without an interval, series
+  // are bucketed by day up to two months, by week up to a year and by month
+  // beyond that.
+  async resolveRange({ period, from, to, interval, timezone } = {}) {
+    const platformZone = await settingService.getValue('general', 'timezone');
+    const zone = [timezone, platformZone].find(candidate => candidate && isTimeZone(candidate)) || 'UTC';
+
+    let window;
+    if (from || to) {
+      const end = to ? zonedMidnight(addDays(to, 1), zone) : new Date();
+      const start = from ? zonedMidnight(from, zone) : new Date(end.getTime() - PERIODS.month * DAY);
+      const length = end.getTime() - start.getTime();
+      window = {
+        period: 'custom',
+        from: start,
+        to: end,
+        previousFrom: new Date(start.getTime() - length),
+        previousTo: start
+      };
+    } else {
+      window = { period: PERIODS[period] ? period : 'month', ...this.range(period) };
+    }
+
+    const days = (window.to - window.from) / DAY;
+    return {
+      ...window,
+      timezone: zone,
+      interval: INTERVALS.includes(interval) ? interval : days <= 62 ? 'day' : days <= 366 ? 'week' : 'month'
+    };
+  }
+
+  // Start date of every bucket in a range, so series have no gaps
+  bucketDays({ from, to, interval, timezone }) {
+    const [year, month, day] = zonedDay(from, timezone).split('-').map(Number);
+    let cursor = new Date(Date.UTC(year, month - 1, day));
+    if (interval === 'week') cursor = new Date(cursor.getTime() - ((cursor.getUTCDay() + 6) % 7) * DAY);
+    if (interval === 'month') cursor = new Date(Date.UTC(year, month - 1, 1));
+
+    const last = zonedDay(new Date(to.getTime() - 1), timezone);
+    const days = [];
+    while (cursor.toISOString().slice(0, 10) <= last) {
+      days.push(cursor.toISOString().slice(0, 10));
+      cursor = interval === 'month'
+        ? new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1))
+        : new Date(cursor.getTime() + (interval === 'week' ? 7 : 1) * DAY);
+    }
+    return days;
+  }
+
+  // Fill a series' missing buckets with empty rows
+  fillBuckets(range, rows, empty) {
+    const byDate = new Map(rows.map(row => [row.date, row]));
+    return this.bucketDays(range).map(date => byDate.get(date) || { date, ...empty });
+  }
+
+  async salesTotals(from, to) {
+    const [totals] = await Order.aggregate([
+      { $match: { ...SALE_MATCH, createdAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: null,
+          revenue: { $sum: NET_REVENUE },
+          commission: { $sum: { $ifNull: ['$commission.amount', 0] } },
+          orders: { $sum: 1 }
+        }
+      }
+    ]);
+    return totals || { revenue: 0, commission: 0, orders: 0 };
+  }
+
+  // Headline figures for every tab of the Reports page
+  async overview(range) {
+    const { from, to, previousFrom, previousTo } = range;
+    const inPeriod = { $gte: from, $lt: to };
+    const inPrevious = { $gte: previousFrom, $lt: previousTo };
+
+    const [current, previous] = await Promise.all([
+      this.salesTotals(from, to),
+      this.salesTotals(previousFrom, previousTo)
+    ]);
+
+    const [
+      newCustomerIds, previousCustomers, activeVendors, newVendors, previousVendors,
+      statusCounts, returnedOrders, deliveredOrders,
+      totalProducts, outOfStockProducts, lowStockProducts, newProducts,
+      totalUsers, activeUsers, newRegistrations, buyers
+    ] = await Promise.all([
+      User.find({ role: 'customer', createdAt: inPeriod }).distinct('_id'),
+      User.countDocuments({ role: 'customer', createdAt: inPrevious }),
+      Vendor.countDocuments({ status: 'approved' }),
+      Vendor.countDocuments({ status: 'approved', approvedAt: inPeriod }),
+      Vendor.countDocuments({ status: 'approved', approvedAt: inPrevious }),
+      Order.aggregate([
+        { $match: { createdAt: inPeriod } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Order.countDocuments({ createdAt: inPeriod, $or: [{ status: 'returned' }, { 'return.requested': true }] }),
+      Order.countDocuments({ createdAt: inPeriod, status: { $in: ['delivered', 'returned'] } }),
+      Product.countDocuments(),
+      Product.countDocuments({ 'inventory.trackQuantity': { $ne: false }, 'inventory.quantity': { $lte: 0 } }),
+      Product.countDocuments({
+        'inventory.trackQuantity': { $ne: false },
+        'inventory.quantity': { $gt: 0 },
+        $expr: { $lte: ['$inventory.quantity', '$inventory.lowStockThreshold'] }
+      }),
+      Product.countDocuments({ createdAt: inPeriod }),
+      User.countDocuments(),
+      User.countDocuments({ lastLogin: inPeriod }),
+      User.countDocuments({ createdAt: inPeriod }),
+      // Customers who ordered in the period, and whether they had ordered before it
+      Order.aggregate([
+        { $match: { ...SALE_MATCH, createdAt: { $lt: to } } },
+        { $group: { _id: '$customer', first: { $min: '$createdAt' }, last: { $max: '$createdAt' } } },
+        { $match: { last: { $gte: from } } },
+        { $group: { _id: null, buyers: { $sum: 1 }, returning: { $sum: { $cond: [{ $lt: ['$first', from] }, 1, 0] } } } }
+      ])
+    ]);
+
+    const newCustomers = newCustomerIds.length;
+    const newBuyers = await Order.distinct('customer', { ...SALE_MATCH, createdAt: inPeriod, customer: { $in: newCustomerIds } });
+
+    return {
+      period: range.period,
+      from,
+      to,
+      timezone: range.timezone,
+      totalRevenue: roundCurrency(current.revenue),
+      revenueGrowth: growth(current.revenue, previous.revenue),
+      totalOrders: current.orders,
+      orderGrowth: growth(current.orders, previous.orders),
+      averageOrderValue: current.orders ? roundCurrency(current.revenue / current.orders) : 0,
+      newCustomers,
+      customerGrowth: growth(newCustomers, previousCustomers),
+      activeVendors,
+      vendorGrowth: growth(newVendors, previousVendors),
+      ordersByStatus: Object.fromEntries(statusCounts.map(entry => [entry._id, entry.count])),
+      // Share of customers who signed up in the period and placed an order
+      conversionRate: newCustomers ? Math.round(newBuyers.length / newCustomers * 1000) / 10 : 0,
+      returnRate: deliveredOrders ? Math.round(returnedOrders / deliveredOrders * 1000) / 10 : 0,
+      totalProducts,
+      outOfStockProducts,
+      lowStockProducts,
+      newProducts,
+      totalUsers,
+      activeUsers,
+      newRegistrations,
+      // Share of the period's buyers who had bought before
+      userRetention: buyers[0]?.buyers ? Math.round(buyers[0].returning / buyers[0].buyers * 1000) / 10 : 0
+    };
+  }
+
+  // Revenue, order count and commission per bucket
+  async salesSeries(range) {
+    const rows = await Order.aggregate([
+      { $match: { ...SALE_MATCH, createdAt: { $gte: range.from, $lt: range.to } } },
+      {
+        $group: {
+          _id: bucketKey('$createdAt', range),
+          revenue: { $sum: NET_REVENUE },
+          commission: { $sum: { $ifNull: ['$commission.amount', 0] } },
+          orders: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return this.fillBuckets(range, rows.map(row => ({
+      date: row._id,
+      orders: row.orders,
+      revenue: roundCurrency(row.revenue),
+      commission: roundCurrency(row.commission),
+      averageOrderValue: roundCurrency(row.revenue / row.orders)
+    })), { orders: 0, revenue: 0, commission: 0, averageOrderValue: 0 });
+  }
+
+  // Sales series plus the range's totals against the previous period
+  async sales(range) {
+    const [salesData, current, previous] = await Promise.all([
+      this.salesSeries(range),
+      this.salesTotals(range.from, range.to),
+      this.salesTotals(range.previousFrom, range.previousTo)
+    ]);
+    const averageOrderValue = (totals) => (totals.orders ? totals.revenue / totals.orders : 0);
+
+    return {
+      interval: range.interval,
+      timezone: range.timezone,
+      salesData,
+      totals: {
+        revenue: delta(current.revenue, previous.revenue),
+        orders: delta(current.orders, previous.orders, Math.round),
+        commission: delta(current.commission, previous.commission),
+        averageOrderValue: delta(averageOrderValue(current), averageOrderValue(previous))
+      }
+    };
+  }
+
+  async vendorSales(from, to) {
+    const rows = await Order.aggregate([
+      { $match: { ...SALE_MATCH, createdAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: '$vendor',
+          totalRevenue: { $sum: NET_REVENUE },
+          totalCommission: { $sum: { $ifNull: ['$commission.amount', 0] } },
+          totalOrders: { $sum: 1 }
+        }
+      }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row]));
+  }
+
+  // Approved vendors by revenue, with their revenue in the previous period
+  async vendors(range) {
+    const [vendors, sales, previousSales] = await Promise.all([
+      Vendor.aggregate([
+        { $match: { status: 'approved' } },
+        { $lookup: { from: 'products', localField: '_id', foreignField: 'vendor', as: 'products' } },
+        {
+          $project: {
+            businessName: 1,
+            email: '$contactInfo.email',
+            averageRating: { $ifNull: ['$rating.average', 0] },
+            productCount: { $size: '$products' }
+          }
+        }
+      ]),
+      this.vendorSales(range.from, range.to),
+      this.vendorSales(range.previousFrom, range.previousTo)
+    ]);
+
+    return vendors
+      .map(vendor => {
+        const row = sales.get(vendor._id.toString());
+        const previousRevenue = previousSales.get(vendor._id.toString())?.totalRevenue || 0;
+        return {
+          ...vendor,
+          totalRevenue: roundCurrency(row?.totalRevenue || 0),
+          previousRevenue: roundCurrency(previousRevenue),
+          revenueGrowth: growth(row?.totalRevenue || 0, previousRevenue),
+          totalCommission: roundCurrency(row?.totalCommission || 0),
+          totalOrders: row?.totalOrders || 0
+        };
+      })
+      .sort((a, b) => b.totalRevenue - a.totalRevenue);
+  }
+
+  // Units sold and revenue per product over a window, best sellers first.
+  // match narrows the orders, e.g. to one vendor's.
+  productSalesPipeline(from, to, match = {}) {
+    return [
+      { $match: { ...SALE_MATCH, ...match, createdAt: { $gte: from, $lt: to } } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.product',
+          totalSold: { $sum: UNITS_SOLD },
+          totalRevenue: { $sum: LINE_REVENUE }
+        }
+      },
+      { $sort: { totalSold: -1, _id: 1 } }
+    ];
+  }
+
+  // The product's name, stock, vendor and category for product sales rows
+  productDetailsPipeline() {
+    return [
+      { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+      { $unwind: '$product' },
+      { $lookup: { from: 'vendors', localField: 'product.vendor', foreignField: '_id', as: 'vendor' } },
+      { $lookup: { from: 'categories', localField: 'product.category', foreignField: '_id', as: 'category' } },
+      { $unwind: { path: '$vendor', preserveNullAndEmptyArrays: true } },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          name: '$product.name',
+          vendor: { _id: '$vendor._id', businessName: '$vendor.businessName' },
+          category: { _id: '$category._id', name: '$category.name' },
+          stock: { $ifNull: ['$product.inventory.quantity', 0] },
+          totalSold: 1,
+          totalRevenue: { $round: ['$totalRevenue', 2] },
+          averageRating: { $ifNull: ['$product.rating.average', 0] }
+        }
+      }
+    ];
+  }
+
+  // Best sellers by units sold, with units sold in the previous period
+  async products(range, limit = 50) {
+    const products = await Order.aggregate([
+      ...this.productSalesPipeline(range.from, range.to),
+      { $limit: limit },
+      ...this.productDetailsPipeline()
+    ]);
+
+    const previous = await Order.aggregate([
+      { $match: { ...SALE_MATCH, createdAt: { $gte: range.previousFrom, $lt: range.previousTo } } },
+      { $unwind: '$items' },
+      { $match: { 'items.product': { $in: products.map(product => product._id) } } },
+      { $group: { _id: '$items.product', totalSold: { $sum: UNITS_SOLD } } }
+    ]);
+    const previousSold = new Map(previous.map(row => [row._id.toString(), row.totalSold]));
+
+    return products.map(product => {
+      const sold = previousSold.get(product._id.toString()) || 0;
+      return { ...product, previousSold: sold, unitsGrowth: growth(product.totalSold, sold) };
+    });
+  }
+
+  // Spend per customer over a window, biggest spenders first
+  customerPipeline(from, to) {
+    return [
+      { $match: { ...SALE_MATCH, createdAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: '$customer',
+          totalOrders: { $sum: 1 },
+          totalSpent: { $sum: NET_REVENUE },
+          lastOrderDate: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { totalSpent: -1, _id: 1 } }
+    ];
+  }
+
+  // The customer's name and email for customer spend rows
+  customerDetailsPipeline() {
+    return [
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: '$user' },
+      {
+        $project: {
+          name: { $concat: ['$user.firstName', ' ', '$user.lastName'] },
+          email: '$user.email',
+          totalOrders: 1,
+          totalSpent: { $round: ['$totalSpent', 2] },
+          averageOrderValue: { $round: [{ $divide: ['$totalSpent', '$totalOrders'] }, 2] },
+          lastOrderDate: 1
+        }
+      }
+    ];
+  }
+
+  // Top customers by spend, and sign-ups per bucket by role
+  async users(range, limit = 50) {
+    const [users, signups] = await Promise.all([
+      Order.aggregate([
+        ...this.customerPipeline(range.from, range.to),
+        { $limit: limit },
+        ...this.customerDetailsPipeline()
+      ]),
+      User.aggregate([
+        { $match: { createdAt: { $gte: range.from, $lt: range.to } } },
+        {
+          $group: {
+            _id: bucketKey('$createdAt', range),
+            customers: { $sum: { $cond: [{ $eq: ['$role', 'customer'] }, 1, 0] } },
+            vendors: { $sum: { $cond: [{ $eq: ['$role', 'vendor'] }, 1, 0] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    return {
+      interval: range.interval,
+      users,
+      registrations: this.fillBuckets(range, signups.map(row => ({
+        date: row._id,
+        customers: row.customers,
+        vendors: row.vendors
+      })), { customers: 0, vendors: 0 })
+    };
+  }
+
+  async orderStatuses(range) {
+    const rows = await Order.aggregate([
+      { $match: { createdAt: { $gte: range.from, $lt: range.to } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    return rows.map(row => ({ status: row._id, count: row.count }));
+  }
+
+  // One vendor's sales figures over a window. Orders that were cancelled
+  // are left out of the refund rate too: a cancellation always refunds in full.
+  async vendorTotals(vendorId, from, to) {
+    const [[sales], [views], [customers]] = await Promise.all([
+      Order.aggregate([
+        { $match: { ...SALE_MATCH, vendor: vendorId, createdAt: { $gte: from, $lt: to } } },
+        {
+          $group: {
+            _id: null,
+            revenue: { $sum: NET_REVENUE },
+            gross: { $sum: '$payment.amount' },
+            refunded: { $sum: { $ifNull: ['$payment.refundAmount', 0] } },
+            orders: { $sum: 1 },
+            units: { $sum: ORDER_UNITS }
+          }
+        }
+      ]),
+      ProductView.aggregate([
+        { $match: { vendor: vendorId, hour: { $gte: from, $lt: to } } },
+        { $group: { _id: null, views: { $sum: '$views' } } }
+      ]),
+      // Customers who ordered in the window, and how many of them had
+      // ordered from the vendor more than once by its end
+      Order.aggregate([
+        { $match: { ...SALE_MATCH, vendor: vendorId, createdAt: { $lt: to } } },
+        { $group: { _id: '$customer', orders: { $sum: 1 }, last: { $max: '$createdAt' } } },
+        { $match: { last: { $gte: from } } },
+        { $group: { _id: null, buyers: { $sum: 1 }, repeat: { $sum: { $cond: [{ $gt: ['$orders', 1] }, 1, 0] } } } }
+      ])
+    ]);
+
+    const orders = sales?.orders || 0;
+    return {
+      revenue: sales?.revenue || 0,
+      orders,
+      units: sales?.units || 0,
+      averageOrderValue: orders ? sales.revenue / orders : 0,
+      views: views?.views || 0,
+      // Orders per 100 views of the vendor's product pages
+      conversionRate: percentOf(orders, views?.views),
+      repeatCustomerRate: percentOf(customers?.repeat, customers?.buyers),
+      // Share of what customers paid that was refunded
+      refundRate: percentOf(sales?.refunded, sales?.gross)
+    };
+  }
+
+  // Revenue, orders, units and product views per bucket for one vendor
+  async vendorSeries(vendorId, range) {
+    const [sales, views] = await Promise.all([
+      Order.aggregate([
+        { $match: { ...SALE_MATCH, vendor: vendorId, createdAt: { $gte: range.from, $lt: range.to } } },
+        {
+          $group: {
+            _id: bucketKey('$createdAt', range),
+            revenue: { $sum: NET_REVENUE },
+            orders: { $sum: 1 },
+            units: { $sum: ORDER_UNITS }
+          }
+        }
+      ]),
+      ProductView.aggregate([
+        { $match: { vendor: vendorId, hour: { $gte: range.from, $lt: range.to } } },
+        { $group: { _id: bucketKey('$hour', range), views: { $sum: '$views' } } }
+      ])
+    ]);
+    const viewsByDate = new Map(views.map(row => [row._id, row.views]));
+
+    return this.fillBuckets(range, sales.map(row => ({
+      date: row._id,
+      revenue: roundCurrency(row.revenue),
+      orders: row.orders,
+      units: row.units
+    })), { revenue: 0, orders: 0, units: 0 }).map(row => {
+      const bucketViews = viewsByDate.get(row.date) || 0;
+      return { ...row, views: bucketViews, conversionRate: percentOf(row.orders, bucketViews) };
+    });
+  }
+
+  // One vendor's categories by revenue, going by each product's main category
+  vendorCategories(vendorId, range, limit) {
+    return Order.aggregate([
+      { $match: { ...SALE_MATCH, vendor: vendorId, createdAt: { $gte: range.from, $lt: range.to } } },
+      { $unwind: '$items' },
+      { $lookup: { from: 'products', localField: 'items.product', foreignField: '_id', as: 'product' } },
+      { $unwind: '$product' },
+      {
+        $group: {
+          _id: '$product.category',
+          totalSold: { $sum: UNITS_SOLD },
+          totalRevenue: { $sum: LINE_REVENUE }
+        }
+      },
+      { $sort: { totalRevenue: -1, _id: 1 } },
+      { $limit: limit },
+      { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          name: { $ifNull: ['$category.name', 'Uncategorized'] },
+          totalSold: 1,
+          totalRevenue: { $round: ['$totalRevenue', 2] }
+        }
+      }
+    ]);
+  }
+
+  // A vendor's dashboard: figures against the previous period, a series for
+  // charts, and the best products and categories in the range
+  async vendorAnalytics(vendorId, range, limit = 5) {
+    const [current, previous, series, topProducts, topCategories] = await Promise.all([
+      this.vendorTotals(vendorId, range.from, range.to),
+      this.vendorTotals(vendorId, range.previousFrom, range.previousTo),
+      this.vendorSeries(vendorId, range),
+      Order.aggregate([
+        ...this.productSalesPipeline(range.from, range.to, { vendor: vendorId }),
+        { $limit: limit },
+        ...this.productDetailsPipeline()
+      ]),
+      this.vendorCategories(vendorId, range, limit)
+    ]);
+
+    // Counts stay whole and rates keep one decimal
+    const rounding = (key) => (['orders', 'units', 'views'].includes(key) ? Math.round
+      : key.endsWith('Rate') ? roundPercent : roundCurrency);
+
+    return {
+      period: range.period,
+      from: range.from,
+      to: range.to,
+      timezone: range.timezone,
+      interval: range.interval,
+      totals: Object.fromEntries(Object.keys(current).map(key =>
+        [key, delta(current[key], previous[key], rounding(key))])),
+      series,
+      topProducts,
+      topCategories
+    };
+  }
+
+  // Every order in a range, oldest first
+  transactionPipeline(from, to) {
+    return [
+      { $match: { createdAt: { $gte: from, $lt: to } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $lookup: { from: 'vendors', localField: 'vendor', foreignField: '_id', as: 'vendor' } },
+      { $lookup: { from: 'users', localField: 'customer', foreignField: '_id', as: 'customer' } },
+      {
+        $project: {
+          orderNumber: 1,
+          createdAt: 1,
+          vendor: { $first: '$vendor.businessName' },
+          customer: { $first: '$customer.email' },
+          status: 1,
+          paymentMethod: '$payment.method',
+          paymentStatus: '$payment.status',
+          subtotal: '$pricing.subtotal',
+          discount: { $ifNull: ['$pricing.discount', 0] },
+          tax: { $ifNull: ['$pricing.tax', 0] },
+          shipping: { $ifNull: ['$pricing.shipping', 0] },
+          total: '$pricing.total',
+          refunded: { $ifNull: ['$payment.refundAmount', 0] },
+          commission: { $ifNull: ['$commission.amount', 0] }
+        }
+      }
+    ];
+  }
+
+  // Rows of an export. Reports that grow with the range are read through a
+  // cursor a batch at a time instead of being loaded whole.
+  async exportRows(type, range) {
+    const cursor = (pipeline) => Order.aggregate(pipeline).allowDiskUse(true).cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+    switch (type) {
+      case 'sales':
+      case 'revenue':
+        return this.salesSeries(range);
+      case 'vendors':
+        return this.vendors(range);
+      case 'products':
+        return cursor([...this.productSalesPipeline(range.from, range.to), ...this.productDetailsPipeline()]);
+      case 'users':
+        return cursor([...this.customerPipeline(range.from, range.to), ...this.customerDetailsPipeline()]);
+      case 'orders':
+        return this.orderStatuses(range);
+      case 'transactions':
+        return cursor(this.transactionPipeline(range.from, range.to));
+      default:
+        return [];
+    }
+  }
+
+  // Name of an export's file, e.g. sales_report_month.csv or
+  // sales_report_2024-01-01_2024-03-31.xlsx
+  exportFilename(type, range, format) {
+    const label = range.period === 'custom'
+      ? `${zonedDay(range.from, range.timezone)}_${zonedDay(new Date(range.to.getTime() - 1), range.timezone)}`
+      : range.period;
+    return `${type}_report_${label}.${format}`;
+  }
+
+  // Write an export's rows to a stream as CSV or XLSX. Dates are written as
+  // local text in the report's time zone, and spreadsheet numbers stay numeric.
+  async writeExport(stream, type, range, rows, format = 'csv') {
+    const value = (row, key) => (typeof key === 'function' ? key(row) : row[key]);
+    const localise = (raw, columnType) => {
+      if (raw === undefined || raw === null) return raw;
+      if (columnType === 'date') return zonedDay(new Date(raw), range.timezone);
+      if (columnType === 'datetime') return zonedDateTime(new Date(raw), range.timezone);
+      return raw;
+    };
+
+    if (format === 'xlsx') {
+      return writeXlsx(stream, rows, EXPORT_COLUMNS[type].map(({ key, header, type: columnType }) => ({
+        header,
+        numFmt: XLSX_FORMATS[columnType],
+        key: row => localise(value(row, key), columnType)
+      })), type);
+    }
+
+    return writeCsv(stream, rows, EXPORT_COLUMNS[type].map(({ key, header, type: columnType }) => ({
+      header,
+      key: row => {
+        const raw = localise(value(row, key), columnType);
+        if (raw === undefined || raw === null) return raw;
+        if (columnType === 'currency') return Number(raw).toFixed(2);
+        if (columnType === 'percent') return Number(raw).toFixed(1);
+        return raw;
+      }
+    })));
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,333 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const Vendor = require('../models/Vendor');
+const User = require('../models/User');
+const inventoryService = require('./inventoryService');
+const orderStatusService = require('./orderStatusService');
+const paymentService = require('./payments');
+const carrierService = require('./carriers');
+const emailService = require('./emailService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Actor for status changes made by the workflow rather than a person
+const SYSTEM_ACTOR = { id: undefined, role: 'system' };
+
+// RMAs that still hold units of an order line
+const OPEN_STATUSES = ['requested', 'approved', 'received', 'refunded', 'closed'];
+
+class ReturnService {
+  // Units of each order line already covered by a return request, keyed by line id
+  async returnedQuantities(orderId) {
+    const requests = await ReturnRequest.find({ order: orderId, status: { $in: OPEN_STATUSES } })
+      .select('items');
+    const returned = new Map();
+    requests.forEach(request => request.items.forEach(item => {
+      const key = item.orderItem.toString();
+      returned.set(key, (returned.get(key) || 0) + item.quantity);
+    }));
+
+    return returned;
+  }
+
+  // Customer asks to send back some units of a delivered order.
+  // items: [{ orderItem, quantity, reason, comment, photos }]
+  async requestReturn(order, items, user) {
+    const vendor = await Vendor.findById(order.vendor).select('returnPolicy businessName contactInfo');
+    const returnPolicy = vendor?.returnPolicy || {};
+
+    if (!order.canBeReturned(returnPolicy)) {
+      const message = returnPolicy.enabled === false
+        ? 'This seller does not accept returns'
+        : order.status !== 'delivered'
+          ? 'Only delivered orders can be returned'
+          : `The ${returnPolicy.period ?? 30}-day return window for this order has closed`;
+      throw new ErrorResponse(message, 400, {
+        code: 'RETURN_NOT_ALLOWED',
+        returnDeadline: order.status === 'delivered' ? order.returnDeadline(returnPolicy) : undefined
+      });
+    }
+
+    const returned = await this.returnedQuantities(order._id);
+
+    const lines = items.map(({ orderItem, quantity, reason, comment, photos = [] }) => {
+      const item = order.items.id(orderItem);
+      if (!item) {
+        throw new ErrorResponse(`Order line ${orderItem} not found`, 400, { orderItem });
+      }
+
+      const key = item._id.toString();
+      const returnable = order.activeQuantity(item) - (returned.get(key) || 0);
+      if (quantity > returnable) {
+        throw new ErrorResponse(`Only ${returnable} of ${item.name} can still be returned`, 400, {
+          orderItem,
+          returnable
+        });
+      }
+      returned.set(key, (returned.get(key) || 0) + quantity);
+
+      return {
+        orderItem: item._id,
+        product: item.product,
+        name: item.name,
+        variantSku: item.variant?.sku,
+        quantity,
+        unitRefund: order.unitRefund(item),
+        reason,
+        comment,
+        photos: photos.map(photo => (typeof photo === 'string' ? { url: photo } : photo))
+      };
+    });
+
+    const rma = new ReturnRequest({
+      order: order._id,
+      customer: order.customer,
+      vendor: order.vendor,
+      items: lines
+    });
+    rma.setStatus('requested', 'Return requested', user.id);
+    await rma.save();
+
+    order.return = {
+      requested: true,
+      reason: lines.map(line => line.reason).join(', '),
+      requestedAt: new Date(),
+      status: 'requested',
+      rma: rma._id
+    };
+    await order.save();
+
+    await this.notifyVendor(vendor, `Return ${rma.rmaNumber} requested`,
+      `A return was requested for order <strong>${order.orderNumber}</strong> (${lines.length} item${lines.length === 1 ? '' : 's'}).`);
+
+    return rma;
+  }
+
+  assertStatus(rma, expected, action) {
+    if (!expected.includes(rma.status)) {
+      throw new ErrorResponse(`A ${rma.status} return cannot be ${action}`, 409, {
+        code: 'INVALID_RETURN_TRANSITION',
+        status: rma.status
+      });
+    }
+  }
+
+  // Vendor accepts the return and tells the customer how to send the goods back:
+  // a prepaid label (tracking number generated by carriers that can) or instructions
+  async approve(rma, { method, carrier, trackingNumber, labelUrl, instructions, note }, user) {
+    this.assertStatus(rma, ['requested'], 'approved');
+
+    if (method === 'label') {
+      const adapter = carrierService.getCarrier(carrier);
+      const number = trackingNumber || adapter.generateTrackingNumber?.();
+      if (!number) {
+        throw new ErrorResponse(`A tracking number is required for ${adapter.displayName}`, 400);
+      }
+      rma.returnShipping = {
+        method,
+        carrier: adapter.name,
+        trackingNumber: number,
+        labelUrl: labelUrl || adapter.trackingUrl(number)
+      };
+    } else {
+      const vendor = await Vendor.findById(rma.vendor).select('businessName businessAddress returnPolicy');
+      const address = vendor?.businessAddress;
+      rma.returnShipping = {
+        method: 'instructions',
+        instructions: instructions || [
+          vendor?.returnPolicy?.description,
+          address && `Send the items, with ${rma.rmaNumber} written on the parcel, to: ` +
+            `${vendor.businessName}, ${address.street}, ${address.city}, ${address.state} ${address.zipCode}, ${address.country}`
+        ].filter(Boolean).join('\n')
+      };
+    }
+
+    rma.decision = { decidedBy: user.id, decidedAt: new Date(), note };
+    rma.setStatus('approved', note || 'Return approved', user.id);
+    await rma.save();
+
+    await this.updateOrderSummary(rma, { approvedAt: new Date() });
+    await this.notifyCustomer(rma, `Return ${rma.rmaNumber} approved`,
+      `Your return <strong>${rma.rmaNumber}</strong> was approved.<br />` +
+      (rma.returnShipping.method === 'label'
+        ? `Ship it with ${rma.returnShipping.carrier.toUpperCase()} using tracking number ${rma.returnShipping.trackingNumber}` +
+          (rma.returnShipping.labelUrl ? ` (<a href="${rma.returnShipping.labelUrl}">label</a>)` : '') + '.'
+        : rma.returnShipping.instructions.replace(/\n/g, '<br />')),
+      'success');
+
+    return rma;
+  }
+
+  async reject(rma, { reason }, user) {
+    this.assertStatus(rma, ['requested'], 'rejected');
+
+    rma.decision = { decidedBy: user.id, decidedAt: new Date(), note: reason };
+    rma.setStatus('rejected', reason, user.id);
+    await rma.save();
+
+    await this.updateOrderSummary(rma);
+    await this.notifyCustomer(rma, `Return ${rma.rmaNumber} rejected`,
+      `Your return <strong>${rma.rmaNumber}</strong> was not accepted: ${reason}`, 'warning');
+
+    return rma;
+  }
+
+  // Goods are back: record what arrived and in what condition, put resellable
+  // units back in stock and refund everything received.
+  // items: [{ orderItem, receivedQuantity, condition }]
+  async receive(rma, { items = [], notes }, user) {
+    this.assertStatus(rma, ['approved'], 'received');
+
+    items.forEach(({ orderItem, receivedQuantity, condition }) => {
+      const line = rma.items.find(item => item.orderItem.toString() === orderItem.toString());
+      if (!line) {
+        throw new ErrorResponse(`Order line ${orderItem} is not part of this return`, 400, { orderItem });
+      }
+      if (receivedQuantity > line.quantity) {
+        throw new ErrorResponse(`Only ${line.quantity} of ${line.name} were authorized for return`, 400, { orderItem });
+      }
+      line.receivedQuantity = receivedQuantity;
+      line.condition = condition;
+    });
+
+    // Lines not mentioned are taken as received in full and resellable
+    rma.items.forEach(line => {
+      if (line.receivedQuantity === undefined) {
+        line.receivedQuantity = line.quantity;
+        line.condition = 'resellable';
+      }
+    });
+
+    await inventoryService.release(rma.items
+      .filter(line => line.condition === 'resellable' && line.receivedQuantity > 0)
+      .map(line => ({
+        product: line.product,
+        variantSku: line.variantSku,
+        reserved: line.receivedQuantity
+      })));
+    rma.items.forEach(line => {
+      line.restockedQuantity = line.condition === 'resellable' ? line.receivedQuantity : 0;
+    });
+
+    rma.inspection = { inspectedBy: user.id, inspectedAt: new Date(), notes };
+    rma.refund.amount = roundCurrency(rma.items.reduce(
+      (sum, line) => sum + line.unitRefund * line.receivedQuantity, 0
+    ));
+    rma.setStatus('received', notes || 'Goods received and inspected', user.id);
+    await rma.save();
+
+    await this.updateOrderSummary(rma);
+
+    return this.processRefund(rma, user);
+  }
+
+  // Refund the received goods through the payment layer. Orders not paid via a
+  // gateway (e.g. cash on delivery) are closed for the refund to be settled
+  // outside the platform; gateway failures leave the RMA received for a retry.
+  async processRefund(rma, user) {
+    this.assertStatus(rma, ['received'], 'refunded');
+
+    const order = await Order.findById(rma.order);
+    const captured = ['completed', 'partially_refunded'].includes(order.payment.status) &&
+      order.payment.paymentIntentId;
+
+    if (rma.refund.amount <= 0 || !captured) {
+      rma.refund.status = 'not_applicable';
+      rma.setStatus('closed', rma.refund.amount <= 0
+        ? 'Closed without refund'
+        : 'Closed - refund to be settled outside the payment gateway', user.id);
+      await rma.save();
+      await this.completeOrderReturn(rma, order);
+      return rma;
+    }
+
+    try {
+      // Never refund more than is left on the payment, e.g. after a partial refund elsewhere
+      const refundable = roundCurrency(order.payment.amount - order.payment.refundAmount);
+      const amount = Math.min(rma.refund.amount, refundable);
+
+      const refund = await paymentService.refundOrder(order, {
+        amount,
+        reason: `Return ${rma.rmaNumber}`,
+        refundedBy: user.id
+      });
+
+      rma.refund.amount = amount;
+      rma.refund.status = 'processed';
+      rma.refund.refundId = refund.id;
+      rma.refund.processedAt = new Date();
+      rma.refund.failureReason = undefined;
+      rma.setStatus('refunded', `Refunded ${amount.toFixed(2)} ${order.payment.currency}`, user.id);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      rma.refund.status = 'failed';
+      rma.refund.failureReason = error.message;
+      rma.history.push({ status: 'refund_failed', note: error.message, at: new Date(), by: user.id });
+      await rma.save();
+      return rma;
+    }
+
+    await rma.save();
+    await this.completeOrderReturn(rma, order);
+    await this.notifyCustomer(rma, `Return ${rma.rmaNumber} refunded`,
+      `We refunded <strong>${rma.refund.amount.toFixed(2)} ${order.payment.currency}</strong> for return ${rma.rmaNumber}.`,
+      'success');
+
+    return rma;
+  }
+
+  // Update the order's return summary and mark the order returned once every
+  // unit has come back
+  async completeOrderReturn(rma, order) {
+    await this.updateOrderSummary(rma);
+
+    const refreshed = await Order.findById(order._id);
+    const settled = await ReturnRequest.find({ order: order._id, status: { $in: ['refunded', 'closed'] } });
+    const receivedByLine = new Map();
+    settled.forEach(request => request.items.forEach(item => {
+      const key = item.orderItem.toString();
+      receivedByLine.set(key, (receivedByLine.get(key) || 0) + (item.receivedQuantity || 0));
+    }));
+
+    const fullyReturned = refreshed.items.every(item => (receivedByLine.get(item._id.toString()) || 0) >= refreshed.activeQuantity(item));
+    if (fullyReturned && refreshed.status === 'delivered') {
+      await orderStatusService.transition(refreshed, 'returned', {
+        user: SYSTEM_ACTOR,
+        message: `All items returned (${rma.rmaNumber})`
+      });
+    }
+  }
+
+  async updateOrderSummary(rma, extra = {}) {
+    const set = { 'return.status': rma.status, 'return.rma': rma._id };
+    Object.entries(extra).forEach(([key, value]) => {
+      set[`return.${key}`] = value;
+    });
+    await Order.updateOne({ _id: rma.order }, { $set: set });
+  }
+
+  // Emails are best effort: a mail failure never blocks the return
+  async notifyCustomer(rma, subject, message, type = 'info') {
+    try {
+      const customer = await User.findById(rma.customer).select('email');
+      if (customer) {
+        await emailService.sendNotificationEmail(customer.email, subject, message, type);
+      }
+    } catch (error) {
+      console.error('Return customer email error:', error);
+    }
+  }
+
+  async notifyVendor(vendor, subject, message) {
+    try {
+      if (vendor?.contactInfo?.email) {
+        await emailService.sendNotificationEmail(vendor.contactInfo.email, subject, message);
+      }
+    } catch (error) {
+      console.error('Return vendor email error:', error);
+    }
+  }
+}
+
+module.exports = new ReturnService();
@@ -0,0 +1,167 @@
+const Counter = require('../models/Counter');
+const Sequence = require('../models/Sequence');
+const Vendor = require('../models/Vendor');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Formats used until an admin saves one
+const DEFAULT_FORMATS = {
+  order: { prefix: 'ORD', separator: '-', dateSegment: 'YYYYMMDD', padding: 5, vendorPrefix: false },
+  invoice: { prefix: 'INV', separator: '-', dateSegment: 'none', padding: 6, vendorPrefix: false },
+  checkout: { prefix: 'CHK', separator: '-', dateSegment: 'YYYYMMDD', padding: 5, vendorPrefix: false },
+  rma: { prefix: 'RMA', separator: '-', dateSegment: 'YYYYMM', padding: 5, vendorPrefix: false },
+  payout: { prefix: 'PAY', separator: '-', dateSegment: 'YYYYMM', padding: 5, vendorPrefix: false }
+};
+
+const FORMAT_FIELDS = ['prefix', 'separator', 'dateSegment', 'padding', 'vendorPrefix'];
+
+// Rounds issueNumber makes finishing numbers other callers left pending
+// before it gives up
+const MAX_ISSUE_ATTEMPTS = 10;
+
+const dateSegment = (date, segment) => {
+  const iso = date.toISOString();
+  switch (segment) {
+    case 'YYYY': return iso.slice(0, 4);
+    case 'YYYYMM': return iso.slice(0, 7).replace('-', '');
+    case 'YYYYMMDD': return iso.slice(0, 10).replace(/-/g, '');
+    default: return '';
+  }
+};
+
+// Short code for a vendor: the first letters and digits of its business name
+const vendorCode = (vendor) => {
+  const code = (vendor.businessName || '').replace(/[^A-Za-z0-9]/g, '').slice(0, 4).toUpperCase();
+  return code || vendor._id.toString().slice(-4).toUpperCase();
+};
+
+class SequenceService {
+  get names() {
+    return Object.keys(DEFAULT_FORMATS);
+  }
+
+  // Draw the next value of a named counter. The increment is a single atomic
+  // upsert, so concurrent callers never get the same value and no value is
+  // skipped unless a caller drops the one it drew.
+  async next(name) {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+
+    return counter.seq;
+  }
+
+  async getFormat(name) {
+    if (!DEFAULT_FORMATS[name]) {
+      throw new ErrorResponse(`Unknown sequence ${name}`, 404);
+    }
+
+    const saved = await Sequence.findOne({ name }).lean();
+    return { name, ...DEFAULT_FORMATS[name], ...saved };
+  }
+
+  async getFormats() {
+    return Promise.all(this.names.map(name => this.getFormat(name)));
+  }
+
+  async updateFormat(name, changes, userId) {
+    await this.getFormat(name);
+
+    const update = { updatedBy: userId };
+    FORMAT_FIELDS.filter(field => changes[field] !== undefined).forEach(field => {
+      update[field] = changes[field];
+    });
+
+    // A first save starts from the defaults rather than the schema's
+    const defaults = Object.fromEntries(Object.entries(DEFAULT_FORMATS[name])
+      .filter(([field]) => update[field] === undefined));
+
+    await Sequence.findOneAndUpdate(
+      { name },
+      { $set: update, $setOnInsert: defaults },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    return this.getFormat(name);
+  }
+
+  // Issue the next number of a sequence, e.g. ORD-20261019-00042. Each
+  // distinct prefix (everything in front of the running number) has its own
+  // counter, so numbers restart with each date period and vendor code. As
+  // prefix segments are letters and digits only, a number can never be
+  // produced twice, even after the format is changed.
+  async nextNumber(name, { vendor, date = new Date() } = {}) {
+    const { prefix, format } = await this.prefixFor(name, { vendor, date });
+    return this.formatNumber(format, prefix, await this.next(`${name}:${prefix}`));
+  }
+
+  // Issue the next number of a sequence to one document without ever leaving
+  // a gap, for sequences that must have none (invoices). A value is drawn
+  // for a holder id and remembered on the counter until
+  // assign(holderId, number) has stored it; no other value is drawn
+  // meanwhile. Whoever finds a pending value finishes it: stores it on its
+  // holder, or hands it back when the holder was numbered already (or is
+  // gone). So a retry, a concurrent request or a crash between the draw and
+  // the store never uses a value up. assign must only set a number on a
+  // holder that has none and resolve to the holder's number afterwards (null
+  // when there is no such holder). Resolves to the holder's number.
+  async issueNumber(name, holder, assign, { vendor, date = new Date() } = {}) {
+    const { prefix, format } = await this.prefixFor(name, { vendor, date });
+    const key = `${name}:${prefix}`;
+
+    for (let attempt = 0; attempt < MAX_ISSUE_ATTEMPTS; attempt += 1) {
+      let counter = await Counter.findById(key);
+
+      if (!counter?.pending) {
+        try {
+          counter = await Counter.findOneAndUpdate(
+            { _id: key, pending: { $exists: false } },
+            { $inc: { seq: 1 }, $set: { pending: holder } },
+            { upsert: true, new: true }
+          );
+        } catch (error) {
+          // Another caller drew first; its value is pending now
+          if (error.code === 11000) continue;
+          throw error;
+        }
+      }
+
+      const number = this.formatNumber(format, prefix, counter.seq);
+      const stored = await assign(counter.pending, number);
+      const drawn = { _id: key, pending: counter.pending, seq: counter.seq };
+
+      if (stored === number) {
+        await Counter.updateOne(drawn, { $unset: { pending: 1 } });
+      } else {
+        await Counter.updateOne(drawn, { $inc: { seq: -1 }, $unset: { pending: 1 } });
+      }
+
+      if (counter.pending.equals(holder)) return stored;
+    }
+
+    throw new ErrorResponse('The number is being issued, please try again', 409, { code: 'SEQUENCE_BUSY' });
+  }
+
+  // Counter prefix of a number issued now: the format's prefix, vendor code
+  // and date segment joined by its separator
+  async prefixFor(name, { vendor, date = new Date() } = {}) {
+    const format = await this.getFormat(name);
+    const segments = [format.prefix];
+
+    if (format.vendorPrefix && vendor) {
+      const vendorDoc = vendor.businessName ? vendor : await Vendor.findById(vendor).select('businessName');
+      if (vendorDoc) segments.push(vendorCode(vendorDoc));
+    }
+    segments.push(dateSegment(date, format.dateSegment));
+
+    return { prefix: segments.filter(Boolean).join(format.separator), format };
+  }
+
+  formatNumber(format, prefix, seq) {
+    const number = seq.toString().padStart(format.padding, '0');
+    return prefix ? `${prefix}${format.separator}${number}` : number;
+  }
+}
+
+module.exports = new SequenceService();
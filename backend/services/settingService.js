@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const Setting = require('../models/Setting');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Settings groups and their fields. Each field has a type (string, number,
+// boolean or list of strings) and a default, which may be a function so
+// environment variables are read when the value is needed rather than when
+// this file loads.
+// Secret fields are encrypted at rest and never sent back to the browser;
+// public fields are served to the storefront by /api/settings/public.
+const SETTINGS = {
+  general: {
+    siteName: { type: 'string', default: 'MarketPlace', public: true },
+    siteDescription: { type: 'string', default: '', public: true },
+    siteUrl: { type: 'string', default: '' },
+    adminEmail: { type: 'string', default: '' },
+    supportEmail: { type: 'string', default: '', public: true },
+    phone: { type: 'string', default: '', public: true },
+    address: { type: 'string', default: '' },
+    timezone: { type: 'string', default: 'UTC' },
+    currency: { type: 'string', default: 'USD', public: true },
+    language: { type: 'string', default: 'en', public: true },
+    // While on, the API answers everyone but admins and the allowed IPs with a
+    // 503 carrying this message and a Retry-After of this many minutes
+    maintenanceMode: { type: 'boolean', default: false, public: true },
+    maintenanceMessage: {
+      type: 'string',
+      default: 'We are carrying out scheduled maintenance and will be back shortly.',
+      public: true
+    },
+    maintenanceRetryMinutes: { type: 'number', default: 30, min: 1 },
+    maintenanceAllowedIps: { type: 'list', default: () => [] }
+  },
+  payment: {
+    stripeEnabled: { type: 'boolean', default: true },
+    stripePublishableKey: { type: 'string', default: () => process.env.STRIPE_PUBLISHABLE_KEY || '' },
+    stripeSecretKey: { type: 'string', default: () => process.env.STRIPE_SECRET_KEY || '', secret: true },
+    paypalEnabled: { type: 'boolean', default: () => Boolean(process.env.PAYPAL_CLIENT_ID) },
+    paypalClientId: { type: 'string', default: () => process.env.PAYPAL_CLIENT_ID || '' },
+    paypalClientSecret: { type: 'string', default: () => process.env.PAYPAL_CLIENT_SECRET || '', secret: true },
+    paypalMode: { type: 'string', default: 'sandbox', values: ['sandbox', 'live'] },
+    codEnabled: { type: 'boolean', default: true },
+    // Charged on order lines no commission rule covers, for vendors without a rate of their own
+    commissionRate: { type: 'number', default: 10, min: 0, max: 100 },
+    minimumPayout: { type: 'number', default: () => parseFloat(process.env.MINIMUM_PAYOUT || '50'), min: 0 }
+  },
+  checkout: {
+    // Applied where no tax zone covers the shipping address (percentage)
+    taxRate: { type: 'number', default: 8, min: 0, max: 100, public: true },
+    // Vendor sub-orders shipped domestically at or above this subtotal get
+    // free standard shipping (0 turns it off)
+    freeShippingThreshold: { type: 'number', default: 50, min: 0, public: true }
+  }
+};
+
+// Other server processes pick up a change within this long
+const CACHE_TTL_MS = 60 * 1000;
+
+const CIPHER = 'aes-256-gcm';
+
+const encryptionKey = () => {
+  const secret = process.env.SETTINGS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new ErrorResponse('SETTINGS_ENCRYPTION_KEY is not set', 500);
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const defaultValue = (definition) =>
+  (typeof definition.default === 'function' ? definition.default() : definition.default);
+
+class SettingService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  get groups() {
+    return Object.keys(SETTINGS);
+  }
+
+  assertGroup(group) {
+    if (!SETTINGS[group]) {
+      throw new ErrorResponse(`Unknown settings group: ${group}`, 400);
+    }
+  }
+
+  encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, encryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  // A secret that no longer decrypts (e.g. the key was changed) is treated
+  // as unset, so the default applies until an admin enters it again
+  decrypt(stored) {
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, encryptionKey(), Buffer.from(stored.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      console.error('Setting decryption error:', error.message);
+      return undefined;
+    }
+  }
+
+  // Check and convert a submitted value to its field's type
+  coerce(field, definition, input) {
+    if (definition.type === 'boolean') {
+      if (typeof input === 'boolean') return input;
+      if (input === 'true' || input === 'false') return input === 'true';
+      throw new ErrorResponse(`${field} must be true or false`, 400, { field });
+    }
+
+    if (definition.type === 'number') {
+      const value = typeof input === 'string' && input.trim() === '' ? NaN : Number(input);
+      if (!Number.isFinite(value)) {
+        throw new ErrorResponse(`${field} must be a number`, 400, { field });
+      }
+      if ((definition.min !== undefined && value < definition.min) ||
+        (definition.max !== undefined && value > definition.max)) {
+        throw new ErrorResponse(
+          `${field} must be between ${definition.min ?? '-∞'} and ${definition.max ?? '∞'}`,
+          400,
+          { field }
+        );
+      }
+      return value;
+    }
+
+    // Lists also accept comma or newline separated text
+    if (definition.type === 'list') {
+      const items = Array.isArray(input) ? input : typeof input === 'string' ? input.split(/[,\n]/) : null;
+      if (!items || items.some(item => typeof item !== 'string')) {
+        throw new ErrorResponse(`${field} must be a list of text values`, 400, { field });
+      }
+      return items.map(item => item.trim()).filter(Boolean);
+    }
+
+    if (typeof input !== 'string') {
+      throw new ErrorResponse(`${field} must be text`, 400, { field });
+    }
+    const value = input.trim();
+    if (definition.values && !definition.values.includes(value)) {
+      throw new ErrorResponse(`${field} must be one of ${definition.values.join(', ')}`, 400, { field });
+    }
+    return value;
+  }
+
+  // Stored value of a group merged over its defaults, with secrets decrypted
+  resolve(group, stored = {}) {
+    return Object.fromEntries(Object.entries(SETTINGS[group]).map(([field, definition]) => {
+      let value = stored[field];
+      if (definition.secret && value) value = this.decrypt(value);
+      return [field, value === undefined || value === null ? defaultValue(definition) : value];
+    }));
+  }
+
+  async load(group) {
+    const setting = await Setting.findOne({ key: group }).select('value version updatedAt updatedBy').lean();
+    return {
+      values: Object.freeze(this.resolve(group, setting?.value)),
+      version: setting ? setting.version : 0,
+      updatedAt: setting?.updatedAt,
+      updatedBy: setting?.updatedBy
+    };
+  }
+
+  // Cached { values, version, updatedAt, updatedBy } of a group. Concurrent
+  // callers share one load.
+  async entry(group) {
+    this.assertGroup(group);
+
+    const cached = this.cache.get(group);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.promise;
+    }
+
+    const promise = this.load(group);
+    this.cache.set(group, { promise, loadedAt: Date.now() });
+    promise.catch(() => this.cache.delete(group));
+    return promise;
+  }
+
+  // Current values of a group, defaults included. The object is frozen.
+  async get(group) {
+    return (await this.entry(group)).values;
+  }
+
+  async getValue(group, field) {
+    return (await this.get(group))[field];
+  }
+
+  invalidate(group) {
+    if (group) {
+      this.cache.delete(group);
+    } else {
+      this.cache.clear();
+    }
+  }
+
+  // Values of a group as the admin console sees them: secrets blanked
+  mask(group, values) {
+    return Object.fromEntries(Object.entries(values).map(([field, value]) =>
+      [field, SETTINGS[group][field]?.secret ? '' : value]));
+  }
+
+  async view(group) {
+    const { values, version, updatedAt } = await this.entry(group);
+    return { values: this.mask(group, values), version, updatedAt };
+  }
+
+  // Storefront-safe settings from every group, flattened
+  async publicSettings() {
+    const values = {};
+    for (const group of this.groups) {
+      const groupValues = await this.get(group);
+      Object.entries(SETTINGS[group]).forEach(([field, definition]) => {
+        if (definition.public) values[field] = groupValues[field];
+      });
+    }
+    return values;
+  }
+
+  // Save a new version of a group from the stored value it replaces. The
+  // write only lands if nobody saved in between; otherwise the unique key
+  // makes the upsert fail and the caller is told to reload.
+  async write(group, current, value, user) {
+    const update = {
+      $set: { value, updatedBy: user },
+      $inc: { version: 1 }
+    };
+    if (current) {
+      update.$push = {
+        history: {
+          $each: [{ version: current.version, value: current.value, updatedBy: current.updatedBy, updatedAt: current.updatedAt }],
+          $slice: -Setting.HISTORY_LIMIT
+        }
+      };
+    }
+
+    try {
+      await Setting.findOneAndUpdate(
+        { key: group, version: current ? current.version : 0 },
+        update,
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ErrorResponse('Settings were changed by someone else, reload and try again', 409);
+      }
+      throw error;
+    } finally {
+      this.invalidate(group);
+    }
+
+    return this.view(group);
+  }
+
+  // Apply submitted changes to a group. Unknown fields are ignored and a
+  // blank secret keeps the stored one. Passing the version the form was
+  // loaded with rejects the save if the group has changed since.
+  async update(group, changes, { user, version } = {}) {
+    this.assertGroup(group);
+
+    const current = await Setting.findOne({ key: group }).lean();
+    if (version !== undefined && version !== null && Number(version) !== (current ? current.version : 0)) {
+      throw new ErrorResponse('Settings were changed by someone else, reload and try again', 409);
+    }
+
+    const value = { ...current?.value };
+    Object.entries(SETTINGS[group]).forEach(([field, definition]) => {
+      const input = changes[field];
+      if (input === undefined) return;
+      if (definition.secret) {
+        if (input === null || input === '') return;
+        value[field] = this.encrypt(this.coerce(field, definition, input));
+        return;
+      }
+      value[field] = this.coerce(field, definition, input);
+    });
+
+    return this.write(group, current, value, user);
+  }
+
+  // Earlier versions of a group, newest first, with secrets left out
+  async history(group) {
+    this.assertGroup(group);
+
+    const setting = await Setting.findOne({ key: group })
+      .select('history version value updatedBy updatedAt')
+      .populate('history.updatedBy updatedBy', 'firstName lastName email')
+      .lean();
+    if (!setting) return [];
+
+    const versions = [
+      { version: setting.version, value: setting.value, updatedBy: setting.updatedBy, updatedAt: setting.updatedAt },
+      ...setting.history.slice().reverse()
+    ];
+
+    return versions.map(({ version, value, updatedBy, updatedAt }) => ({
+      version,
+      values: this.mask(group, this.resolve(group, value)),
+      updatedBy,
+      updatedAt,
+      current: version === setting.version
+    }));
+  }
+
+  // Make an earlier version current again, as a new version
+  async restore(group, version, { user } = {}) {
+    this.assertGroup(group);
+
+    const current = await Setting.findOne({ key: group }).lean();
+    const snapshot = current?.history.find(entry => entry.version === Number(version));
+    if (!snapshot) {
+      throw new ErrorResponse(`Version ${version} of ${group} settings not found`, 404);
+    }
+
+    return this.write(group, current, snapshot.value, user);
+  }
+}
+
+module.exports = new SettingService();
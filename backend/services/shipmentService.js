@@ -0,0 +1,238 @@
+const Shipment = require('../models/Shipment');
+const Order = require('../models/Order');
+const carrierService = require('./carriers');
+const orderStatusService = require('./orderStatusService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Actor for status changes derived from shipments rather than made by a person
+const SYSTEM_ACTOR = { id: undefined, role: 'system' };
+
+// Order statuses in which more parcels can still be sent
+const SHIPPABLE_STATUSES = ['processing', 'partially_shipped'];
+
+// Order statuses whose progress is driven by shipment tracking
+const FULFILMENT_STATUSES = [...SHIPPABLE_STATUSES, 'shipped'];
+
+// Tracking statuses a carrier poll can still move on. Delivered parcels are
+// done and exceptions wait for the carrier to push an update or for someone
+// to record one by hand.
+const POLLABLE_STATUSES = ['label_created', 'in_transit', 'out_for_delivery'];
+
+class ShipmentService {
+  // Units of each order line already packed in a shipment, keyed by line id
+  async shippedQuantities(orderId) {
+    const shipments = await Shipment.find({ order: orderId }).select('items');
+    const shipped = new Map();
+
+    shipments.forEach(shipment => shipment.items.forEach(item => {
+      const key = item.orderItem.toString();
+      shipped.set(key, (shipped.get(key) || 0) + item.quantity);
+    }));
+
+    return shipped;
+  }
+
+  // Per-line summary of what has been shipped and what is left to send
+  async fulfilment(order) {
+    const shipped = await this.shippedQuantities(order._id);
+
+    return order.items.map(item => {
+      const shippedQuantity = shipped.get(item._id.toString()) || 0;
+      return {
+        orderItem: item._id,
+        name: item.name,
+        sku: item.sku,
+        variant: item.variant,
+        ordered: item.quantity,
+        cancelled: item.cancelledQuantity || 0,
+        shipped: shippedQuantity,
+        remaining: Math.max(order.activeQuantity(item) - shippedQuantity, 0)
+      };
+    });
+  }
+
+  // Send some or all of an order's remaining units as one parcel.
+  // items: [{ orderItem, quantity }]; omitted means everything still unshipped.
+  async createShipment(order, { carrier, trackingNumber, trackingUrl, items, package: parcel }, user) {
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      throw new ErrorResponse(`A ${order.status} order cannot be shipped; move it to processing first`, 409, {
+        code: 'ORDER_NOT_SHIPPABLE',
+        status: order.status
+      });
+    }
+
+    const lines = await this.fulfilment(order);
+    const requested = items && items.length > 0
+      ? items
+      : lines.filter(line => line.remaining > 0).map(line => ({ orderItem: line.orderItem, quantity: line.remaining }));
+
+    const contents = requested.map(({ orderItem, quantity }) => {
+      const line = lines.find(candidate => candidate.orderItem.toString() === orderItem.toString());
+      if (!line) {
+        throw new ErrorResponse(`Order line ${orderItem} not found`, 400, { orderItem });
+      }
+      if (quantity < 1 || quantity > line.remaining) {
+        throw new ErrorResponse(`Only ${line.remaining} of ${line.name} left to ship`, 400, {
+          orderItem,
+          remaining: line.remaining
+        });
+      }
+
+      const orderLine = order.items.id(orderItem);
+      line.remaining -= quantity;
+      return {
+        orderItem: orderLine._id,
+        product: orderLine.product,
+        name: orderLine.name,
+        sku: orderLine.variant?.sku || orderLine.sku,
+        quantity
+      };
+    });
+
+    if (contents.length === 0) {
+      throw new ErrorResponse('Nothing left to ship on this order', 400);
+    }
+
+    const adapter = carrierService.getCarrier(carrier);
+    const number = trackingNumber || adapter.generateTrackingNumber?.();
+    if (!number) {
+      throw new ErrorResponse(`A tracking number is required for ${adapter.displayName}`, 400);
+    }
+
+    const shipment = await Shipment.create({
+      order: order._id,
+      vendor: order.vendor,
+      carrier: adapter.name,
+      trackingNumber: number,
+      trackingUrl: trackingUrl || adapter.trackingUrl(number),
+      items: contents,
+      package: parcel,
+      events: [{ status: 'label_created', description: 'Shipment created', occurredAt: new Date() }],
+      createdBy: user.id
+    });
+
+    // The order keeps pointing at its latest parcel for older clients
+    order.tracking.carrier = adapter.displayName;
+    order.tracking.trackingNumber = shipment.trackingNumber;
+    order.tracking.trackingUrl = shipment.trackingUrl;
+
+    const fullyShipped = lines.every(line => line.remaining === 0);
+    await this.syncOrderStatus(order, {
+      message: `${fullyShipped ? 'Final' : 'Partial'} shipment sent with ${adapter.displayName} (${shipment.trackingNumber})`
+    });
+
+    return shipment;
+  }
+
+  // Order status implied by its shipments, or null when nothing has shipped
+  deriveStatus(order, shipments) {
+    if (shipments.length === 0) return null;
+
+    const shipped = new Map();
+    shipments.forEach(shipment => shipment.items.forEach(item => {
+      const key = item.orderItem.toString();
+      shipped.set(key, (shipped.get(key) || 0) + item.quantity);
+    }));
+
+    const fullyShipped = order.items.every(item => (shipped.get(item._id.toString()) || 0) >= order.activeQuantity(item));
+    if (!fullyShipped) return 'partially_shipped';
+
+    return shipments.every(shipment => shipment.status === 'delivered') ? 'delivered' : 'shipped';
+  }
+
+  // Bring the order status in line with its shipments. A single delivered
+  // parcel can complete an order that was never marked shipped, so the
+  // order is walked through `shipped` first.
+  async syncOrderStatus(order, { message } = {}) {
+    const shipments = await Shipment.find({ order: order._id });
+    const target = this.deriveStatus(order, shipments);
+
+    if (!target || target === order.status || !FULFILMENT_STATUSES.includes(order.status)) {
+      await order.save();
+      return order;
+    }
+
+    if (target === 'delivered' && order.status !== 'shipped') {
+      await orderStatusService.transition(order, 'shipped', { user: SYSTEM_ACTOR, message });
+    }
+
+    await orderStatusService.transition(order, target, {
+      user: SYSTEM_ACTOR,
+      message: target === 'delivered' ? 'All shipments delivered' : message
+    });
+
+    return order;
+  }
+
+  // Record a tracking update for a shipment and re-derive its order's status
+  async applyTrackingUpdate(shipment, update) {
+    const previousStatus = shipment.status;
+    shipment.applyTracking(update);
+    await shipment.save();
+
+    if (shipment.status !== previousStatus) {
+      const order = await Order.findById(shipment.order);
+      if (order) {
+        await this.syncOrderStatus(order);
+      }
+    }
+
+    return shipment;
+  }
+
+  // Ask the carrier for the latest tracking status of one shipment
+  async refresh(shipment) {
+    const adapter = carrierService.getCarrier(shipment.carrier);
+    if (!adapter.supportsPolling) {
+      throw new ErrorResponse(`${adapter.displayName} tracking cannot be refreshed automatically`, 400);
+    }
+
+    const update = await adapter.track(shipment.trackingNumber, { shippedAt: shipment.shippedAt });
+    return this.applyTrackingUpdate(shipment, update);
+  }
+
+  // Refresh shipments still on their way, least recently checked first.
+  // Errors are logged per shipment so one bad tracking number does not stop the run.
+  async pollActive({ limit = 100 } = {}) {
+    const pollable = carrierService.getAvailableCarriers()
+      .filter(carrier => carrier.supportsPolling)
+      .map(carrier => carrier.code);
+
+    const shipments = await Shipment.find({
+      carrier: { $in: pollable },
+      status: { $in: POLLABLE_STATUSES }
+    })
+      .sort({ lastCheckedAt: 1 })
+      .limit(limit);
+
+    let updated = 0;
+    for (const shipment of shipments) {
+      try {
+        const previousStatus = shipment.status;
+        await this.refresh(shipment);
+        if (shipment.status !== previousStatus) updated++;
+      } catch (error) {
+        console.error(`Tracking refresh error for shipment ${shipment._id}:`, error.message);
+      }
+    }
+
+    return { checked: shipments.length, updated };
+  }
+
+  // Apply updates pushed by a carrier webhook
+  async handleWebhookUpdates(carrier, updates) {
+    let matched = 0;
+
+    for (const update of updates) {
+      const shipment = await Shipment.findOne({ carrier, trackingNumber: update.trackingNumber });
+      if (!shipment) continue;
+
+      await this.applyTrackingUpdate(shipment, update);
+      matched++;
+    }
+
+    return { received: updates.length, matched };
+  }
+}
+
+module.exports = new ShipmentService();
@@ -0,0 +1,100 @@
+const ErrorResponse = require('../utils/errorResponse');
+const { countryCode } = require('../utils/countries');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Weight in kg and dimensions in cm, as entered on Product.shipping
+const DIMENSIONAL_DIVISOR = 5000;
+const INCLUDED_WEIGHT = 1;
+const RATE_PER_KG = { domestic: 0.5, international: 2 };
+
+// Extra handling per unit for shipping classes that need it
+const CLASS_SURCHARGES = { standard: 0, heavy: 10, fragile: 3, digital: 0 };
+
+// Methods a vendor sub-order can ship with. Express is domestic only.
+const SHIPPING_METHODS = {
+  standard: { name: 'Standard Shipping', multiplier: 1, surcharge: 0 },
+  express: { name: 'Express Shipping', multiplier: 1.5, surcharge: 9.99, domesticOnly: true }
+};
+
+class ShippingService {
+  // Countries are compared as ISO codes, so "US", "usa" and "United States"
+  // all ship domestically from a vendor in the United States
+  isDomestic(vendor, destination) {
+    return countryCode(vendor.businessAddress?.country) === countryCode(destination?.country);
+  }
+
+  // Billable weight of one unit: the larger of actual and dimensional weight
+  billableWeight(product) {
+    const { weight = 0, dimensions = {} } = product.shipping || {};
+    const { length = 0, width = 0, height = 0 } = dimensions;
+    return Math.max(weight, (length * width * height) / DIMENSIONAL_DIVISOR);
+  }
+
+  // Quote every method available for one vendor's items shipped to an address.
+  // Lines are { product, quantity, subtotal }. Digital and free-shipping
+  // products do not count toward the parcel; if nothing physical is left to
+  // ship, a single free method is returned. Standard shipping is free at home
+  // once the subtotal reaches the vendor's threshold or the platform's
+  // freeShippingThreshold, whichever is lower (0 means none).
+  quote(vendor, lines, destination, { freeShippingThreshold = 0 } = {}) {
+    const domestic = this.isDomestic(vendor, destination);
+    const policies = vendor.shippingPolicies || {};
+    const policy = domestic ? policies.domesticShipping : policies.internationalShipping;
+
+    const shippable = lines.filter(({ product }) =>
+      product.shipping?.shippingClass !== 'digital' && !product.shipping?.freeShipping
+    );
+
+    if (shippable.length === 0) {
+      return [{ code: 'free', name: 'Free Shipping', cost: 0, processingTime: policy?.processingTime }];
+    }
+
+    if (!policy || !policy.enabled) {
+      throw new ErrorResponse(
+        `${vendor.businessName} does not ship to ${destination?.country || 'this address'}`,
+        400,
+        { vendor: vendor._id }
+      );
+    }
+
+    const weight = shippable.reduce((sum, { product, quantity }) =>
+      sum + this.billableWeight(product) * quantity, 0);
+    const handling = shippable.reduce((sum, { product, quantity }) =>
+      sum + (CLASS_SURCHARGES[product.shipping?.shippingClass] || 0) * quantity, 0);
+    const weightCharge = Math.max(0, Math.ceil(weight - INCLUDED_WEIGHT)) *
+      RATE_PER_KG[domestic ? 'domestic' : 'international'];
+    const baseCost = policy.cost + weightCharge + handling;
+
+    const subtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+    const qualifiesForFree = domestic && [policy.freeShippingThreshold, freeShippingThreshold]
+      .some(threshold => threshold > 0 && subtotal >= threshold);
+
+    return Object.entries(SHIPPING_METHODS)
+      .filter(([, method]) => domestic || !method.domesticOnly)
+      .map(([code, method]) => ({
+        code,
+        name: method.name,
+        cost: code === 'standard' && qualifiesForFree
+          ? 0
+          : roundCurrency(baseCost * method.multiplier + method.surcharge),
+        processingTime: policy.processingTime
+      }));
+  }
+
+  // Pick the customer's method from a quote, defaulting to the cheapest.
+  // Orders with nothing to ship always get the free method.
+  select(options, code) {
+    if (!code || (options.length === 1 && options[0].code === 'free')) {
+      return options.reduce((cheapest, option) => (option.cost < cheapest.cost ? option : cheapest));
+    }
+
+    const option = options.find(o => o.code === code);
+    if (!option) {
+      throw new ErrorResponse(`Shipping method ${code} is not available`, 400, { shippingMethod: code });
+    }
+    return option;
+  }
+}
+
+module.exports = new ShippingService();
@@ -0,0 +1,59 @@
+const TaxZone = require('../models/TaxZone');
+const settingService = require('./settingService');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+class TaxService {
+  // Most specific active zone for an address: zip-restricted beats
+  // state-restricted beats country-wide, then the higher priority wins
+  async resolveZone(address = {}) {
+    if (!address.country) return null;
+
+    // Zones are few and matched by normalised country, so filter in memory
+    const zones = await TaxZone.find({ isActive: true });
+
+    const specificity = (zone) => (zone.zipCodes.length > 0 ? 2 : 0) + (zone.states.length > 0 ? 1 : 0);
+
+    return zones
+      .filter(zone => zone.matchesAddress(address))
+      .sort((a, b) => specificity(b) - specificity(a) || b.priority - a.priority)[0] || null;
+  }
+
+  // Work out tax for a set of lines shipped to one address. Each line is
+  // { amount, taxClass } where amount is the line subtotal. For tax-inclusive
+  // zones the tax is carved out of the amount instead of added on top.
+  async calculate(address, lines) {
+    const zone = await this.resolveZone(address);
+    const pricesIncludeTax = zone ? zone.pricesIncludeTax : false;
+    // Addresses no zone covers pay the platform's default rate
+    const defaultRate = zone ? null : await settingService.getValue('checkout', 'taxRate');
+    const breakdown = {};
+
+    const taxedLines = lines.map(({ amount, taxClass = 'standard' }) => {
+      const rate = zone ? zone.getRate(taxClass) : defaultRate;
+      const tax = pricesIncludeTax
+        ? roundCurrency(amount - amount / (1 + rate / 100))
+        : roundCurrency(amount * rate / 100);
+      const taxable = pricesIncludeTax ? roundCurrency(amount - tax) : amount;
+
+      const key = `${taxClass}:${rate}`;
+      if (!breakdown[key]) {
+        breakdown[key] = { zone: zone ? zone.name : 'Default', taxClass, rate, taxable: 0, amount: 0 };
+      }
+      breakdown[key].taxable = roundCurrency(breakdown[key].taxable + taxable);
+      breakdown[key].amount = roundCurrency(breakdown[key].amount + tax);
+
+      return { taxClass, rate, amount: tax };
+    });
+
+    return {
+      zone: zone ? { _id: zone._id, name: zone.name } : null,
+      pricesIncludeTax,
+      lines: taxedLines,
+      breakdown: Object.values(breakdown),
+      total: roundCurrency(taxedLines.reduce((sum, line) => sum + line.amount, 0))
+    };
+  }
+}
+
+module.exports = new TaxService();
@@ -0,0 +1,56 @@
+// Every request is an admin's; the real guard needs a user in the database
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: 'admin', role: 'admin' };
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+// Loading the real email service opens an SMTP connection
+jest.mock('../services/emailService', () => ({}));
+
+const express = require('express');
+const request = require('supertest');
+const Product = require('../models/Product');
+const adminRoutes = require('../routes/admin');
+
+const app = express();
+app.use('/api/admin', adminRoutes);
+
+// Product.find(...).populate().populate().sort().skip().limit()
+const mockFind = (products = []) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    skip: jest.fn(() => chain),
+    limit: jest.fn().mockResolvedValue(products)
+  };
+  return jest.spyOn(Product, 'find').mockReturnValue(chain);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/admin/products', () => {
+  it('matches the search text literally', async () => {
+    const find = mockFind();
+    jest.spyOn(Product, 'countDocuments').mockResolvedValue(0);
+
+    const res = await request(app).get('/api/admin/products').query({ search: '(a+)+$' });
+
+    expect(res.status).toBe(200);
+    const [{ $or }] = find.mock.calls[0];
+    expect($or[0].name.source).toBe('\\(a\\+\\)\\+\\$');
+  });
+
+  it('rejects invalid paging, status and sort options', async () => {
+    const find = mockFind();
+
+    const res = await request(app).get('/api/admin/products').query({ page: 0, limit: 500, status: 'gone', sortBy: 'password' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['page', 'limit', 'status', 'sortBy']);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+// Loading the real email service opens an SMTP connection
+jest.mock('../services/emailService', () => ({}));
+
+const mongoose = require('mongoose');
+const cancellationService = require('../services/cancellationService');
+const inventoryService = require('../services/inventoryService');
+const shipmentService = require('../services/shipmentService');
+const ledgerService = require('../services/ledgerService');
+const LedgerTransaction = require('../models/LedgerTransaction');
+const Order = require('../models/Order');
+
+const admin = { id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+// Cash on delivery order of two lines, nothing charged yet
+const buildCodOrder = () => {
+  const order = new Order({
+    orderNumber: 'ORD-1',
+    customer: new mongoose.Types.ObjectId(),
+    vendor: new mongoose.Types.ObjectId(),
+    status: 'processing',
+    items: [
+      { product: new mongoose.Types.ObjectId(), name: 'Mug', price: 10, quantity: 4, subtotal: 40, stockReserved: 4, salesRecorded: 4 },
+      { product: new mongoose.Types.ObjectId(), name: 'Plate', price: 20, quantity: 3, subtotal: 60, stockReserved: 3, salesRecorded: 3 }
+    ],
+    pricing: { subtotal: 100, tax: 0, shipping: 0, total: 100 },
+    commission: { amount: 10 },
+    payment: { method: 'cod', status: 'pending', amount: 100 }
+  });
+  order.save = jest.fn().mockResolvedValue(order);
+  return order;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('line cancellations', () => {
+  beforeEach(() => {
+    jest.spyOn(shipmentService, 'shippedQuantities').mockResolvedValue(new Map());
+    jest.spyOn(inventoryService, 'release').mockResolvedValue();
+    jest.spyOn(inventoryService, 'adjustSales').mockResolvedValue();
+    jest.spyOn(cancellationService, 'notifyParties').mockResolvedValue();
+  });
+
+  it('only credits the vendor for the units still delivered on a cash on delivery order', async () => {
+    const order = buildCodOrder();
+    jest.spyOn(LedgerTransaction, 'create').mockImplementation(async (transaction) => new LedgerTransaction(transaction));
+
+    await cancellationService.cancelItems(order, [{ orderItem: order.items[0]._id, quantity: 2 }], { user: admin });
+    expect(order.payment.amount).toBe(80);
+    expect(order.payment.refundAmount).toBe(0);
+
+    const sale = await ledgerService.recordSale(order);
+
+    const credited = (account, side) => sale.entries.find(entry => entry.account === account)[side];
+    expect(credited('customer_funds', 'debit')).toBe(80);
+    expect(credited('commission_revenue', 'credit')).toBe(8);
+    expect(credited('vendor_pending', 'credit')).toBe(72);
+  });
+
+  it('refuses to cancel lines while a card payment is still uncaptured', async () => {
+    const order = buildCodOrder();
+    order.payment.method = 'stripe';
+    order.payment.paymentIntentId = 'pi_1';
+
+    await expect(cancellationService.cancelItems(order, [{ orderItem: order.items[0]._id, quantity: 1 }], { user: admin }))
+      .rejects.toMatchObject({ statusCode: 409, details: { code: 'PAYMENT_NOT_CAPTURED' } });
+  });
+});
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const cartService = require('../services/cartService');
+
+const buildProduct = (fields = {}) => new Product({
+  name: 'Mug',
+  price: { original: 12 },
+  status: 'active',
+  inventory: { trackQuantity: true, quantity: 3 },
+  ...fields
+});
+
+const buildUser = () => {
+  const user = new User({ name: 'Ada', email: 'ada@example.com', cart: [] });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+// Product.findById(...).select()
+const mockCatalogue = (products) => jest.spyOn(Product, 'findById').mockImplementation((id) => ({
+  select: jest.fn().mockResolvedValue(products.find(product => product._id.equals(id)) || null)
+}));
+
+// Product.find(...).select().populate()
+const mockFind = (products) => jest.spyOn(Product, 'find').mockReturnValue({
+  select: jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue(products) })
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('cartService.merge', () => {
+  it('adds guest lines, caps them at the stock left and reports what was skipped', async () => {
+    const mug = buildProduct();
+    const lamp = buildProduct({ name: 'Lamp', inventory: { trackQuantity: true, quantity: 0 } });
+    const gone = new mongoose.Types.ObjectId();
+    mockCatalogue([mug, lamp]);
+    const user = buildUser();
+    user.cart.push({ product: mug._id, quantity: 1, price: 12 });
+
+    const skipped = await cartService.merge(user, [
+      { productId: mug._id.toString(), quantity: 5 },
+      { productId: lamp._id.toString(), quantity: 1 },
+      { productId: gone.toString(), quantity: 1 }
+    ]);
+
+    expect(user.cart).toHaveLength(1);
+    expect(user.cart[0].quantity).toBe(3);
+    expect(skipped).toEqual([
+      { productId: lamp._id.toString(), variantSku: undefined, reason: 'Out of stock' },
+      { productId: gone.toString(), variantSku: undefined, reason: 'Out of stock' }
+    ]);
+  });
+
+  it('keeps variant lines of one product apart', async () => {
+    const tee = buildProduct({
+      name: 'Tee',
+      variants: [{ name: 'Size', options: [
+        { value: 'S', sku: 'TEE-S', inventory: 2 },
+        { value: 'L', sku: 'TEE-L', price: 2, inventory: 2 }
+      ] }]
+    });
+    mockCatalogue([tee]);
+    const user = buildUser();
+
+    await cartService.merge(user, [
+      { productId: tee._id.toString(), quantity: 1, variant: { sku: 'TEE-S' } },
+      { productId: tee._id.toString(), quantity: 1, variant: { sku: 'TEE-L' } }
+    ]);
+
+    expect(user.cart.map(item => [item.variant.sku, item.price])).toEqual([['TEE-S', 12], ['TEE-L', 14]]);
+  });
+});
+
+describe('cartService.addItem', () => {
+  it('refuses more units than are in stock', async () => {
+    const mug = buildProduct();
+    mockCatalogue([mug]);
+
+    await expect(cartService.addItem(buildUser(), { productId: mug._id, quantity: 4 }))
+      .rejects.toMatchObject({ statusCode: 409, details: { availableQuantity: 3 } });
+  });
+});
+
+describe('cartService.getCart', () => {
+  it('re-prices lines and flags price changes and stock shortfalls once', async () => {
+    const mug = buildProduct({ price: { original: 12, discounted: 10 } });
+    const lamp = buildProduct({ name: 'Lamp', status: 'inactive' });
+    mockFind([mug, lamp]);
+    const user = buildUser();
+    user.cart.push({ product: mug._id, quantity: 4, price: 12 });
+    user.cart.push({ product: lamp._id, quantity: 1, price: 12 });
+
+    const cart = await cartService.getCart(user);
+
+    expect(cart.items[0]).toMatchObject({
+      price: 10,
+      previousPrice: 12,
+      subtotal: 40,
+      available: false,
+      issues: ['insufficient_stock', 'price_changed']
+    });
+    expect(cart.items[1]).toMatchObject({ available: false, issues: ['unavailable'] });
+    expect(cart).toMatchObject({ itemCount: 5, subtotal: 0, hasIssues: true });
+    expect(user.save).toHaveBeenCalledTimes(1);
+
+    const again = await cartService.getCart(user);
+    expect(again.items[0].issues).toEqual(['insufficient_stock']);
+  });
+});
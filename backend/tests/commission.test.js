@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const CommissionRule = require('../models/CommissionRule');
+const Vendor = require('../models/Vendor');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const commissionService = require('../services/commissionService');
+const settingService = require('../services/settingService');
+
+const home = new mongoose.Types.ObjectId();
+const kitchen = new mongoose.Types.ObjectId();
+const mug = new mongoose.Types.ObjectId();
+const lamp = new mongoose.Types.ObjectId();
+
+// Two lines: a Mug (Kitchen, under Home) with 4.00 tax and a Lamp (Home),
+// 10.00 shipping on the order
+const buildOrder = () => ({
+  vendor: new mongoose.Types.ObjectId(),
+  createdAt: new Date('2026-05-01T00:00:00Z'),
+  items: [
+    { product: mug, subtotal: 40, tax: { amount: 4 } },
+    { product: lamp, subtotal: 60, discount: 10, tax: { amount: 0 } }
+  ],
+  pricing: { shipping: 10, total: 104 }
+});
+
+// Model.find(...).select() for the catalogue lookups
+const mockCatalogue = ({ rules = [], vendor = { tier: 'gold', commissionRate: null }, defaultRate = 10 } = {}) => {
+  jest.spyOn(Vendor, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(vendor) });
+  jest.spyOn(CommissionRule, 'find').mockResolvedValue(rules);
+  jest.spyOn(Product, 'find').mockReturnValue({
+    select: jest.fn().mockResolvedValue([{ _id: mug, category: kitchen }, { _id: lamp, category: home }])
+  });
+  jest.spyOn(Category, 'find').mockReturnValue({
+    select: jest.fn().mockResolvedValue([{ _id: kitchen, parent: home }, { _id: home }])
+  });
+  jest.spyOn(settingService, 'getValue').mockResolvedValue(defaultRate);
+};
+
+const rule = (fields) => new CommissionRule({ name: 'Rule', percentage: 10, ...fields });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('commissionService.calculate', () => {
+  it('charges the platform default on merchandise after discounts when no rule applies', async () => {
+    mockCatalogue();
+
+    const commission = await commissionService.calculate(buildOrder());
+
+    expect(commission.lines.map(line => [line.ruleName, line.base, line.amount]))
+      .toEqual([['Platform default', 40, 4], ['Platform default', 50, 5]]);
+    expect(commission).toMatchObject({ amount: 9, rate: 8.65 });
+  });
+
+  it('prefers the vendor rate over the platform default', async () => {
+    mockCatalogue({ vendor: { tier: 'standard', commissionRate: 5 } });
+
+    const commission = await commissionService.calculate(buildOrder());
+
+    expect(commission.lines.map(line => line.ruleName)).toEqual(['Vendor default', 'Vendor default']);
+    expect(commission.amount).toBe(4.5);
+  });
+
+  it('picks the most specific matching rule and applies its base and fee', async () => {
+    const homeRule = rule({ name: 'Home', categories: [home], percentage: 20 });
+    const kitchenRule = rule({ name: 'Kitchen', categories: [kitchen], percentage: 15, includeTax: true, includeShipping: true });
+    const goldRule = rule({ name: 'Gold', vendorTiers: ['gold'], percentage: 30 });
+    const lampRule = rule({ name: 'Lamp', products: [lamp], percentage: 2, fixedFee: 1.5 });
+    mockCatalogue({ rules: [goldRule, homeRule, kitchenRule, lampRule] });
+
+    const commission = await commissionService.calculate(buildOrder());
+
+    // The Mug's base is 40 + 4.00 tax + 4.44 of the shipping
+    expect(commission.lines.map(line => [line.ruleName, line.base, line.amount]))
+      .toEqual([['Kitchen', 48.44, 7.27], ['Lamp', 50, 2.5]]);
+  });
+
+  it('ignores rules outside their date window and caps the commission at the base', async () => {
+    const expired = rule({ name: 'Spring', percentage: 1, endsAt: new Date('2026-04-01T00:00:00Z') });
+    const flat = rule({ name: 'Flat fee', percentage: 0, fixedFee: 100 });
+    mockCatalogue({ rules: [expired, flat] });
+
+    const commission = await commissionService.calculate(buildOrder());
+
+    expect(commission.lines.map(line => [line.ruleName, line.amount])).toEqual([['Flat fee', 40], ['Flat fee', 50]]);
+    expect(commission.rate).toBe(86.54);
+  });
+});
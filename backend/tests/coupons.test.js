@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const couponService = require('../services/couponService');
+
+const vendorA = new mongoose.Types.ObjectId();
+const vendorB = new mongoose.Types.ObjectId();
+
+const line = (vendor, subtotal) => ({
+  product: { _id: new mongoose.Types.ObjectId(), vendor, category: new mongoose.Types.ObjectId() },
+  orderItem: { subtotal }
+});
+
+const buildCoupon = (fields = {}) => new Coupon({ code: 'SAVE', discountType: 'fixed', value: 10, ...fields });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('couponService.allocate', () => {
+  it('splits the discount across vendors in whole cents that add up exactly', () => {
+    const lines = [line(vendorA, 10), line(vendorA, 10), line(vendorB, 10)];
+
+    const discount = couponService.allocate(buildCoupon(), lines);
+
+    const shares = lines.map(({ orderItem }) => orderItem.discount);
+    expect(discount).toBe(10);
+    expect(shares).toEqual([3.34, 3.33, 3.33]);
+    expect(Math.round(shares.reduce((sum, share) => sum + share, 0) * 100)).toBe(1000);
+  });
+
+  it('discounts only the lines of the vendor a coupon belongs to', () => {
+    const lines = [line(vendorA, 40), line(vendorB, 60)];
+
+    couponService.allocate(buildCoupon({ vendor: vendorB, discountType: 'percentage', value: 50, maxDiscount: 20 }), lines);
+
+    expect(lines.map(({ orderItem }) => orderItem.discount)).toEqual([0, 20]);
+  });
+
+  it('rejects carts without eligible lines or below the minimum spend', () => {
+    const lines = [line(vendorA, 40)];
+
+    expect(() => couponService.allocate(buildCoupon({ vendor: vendorB }), lines))
+      .toThrow('does not apply to any items');
+    expect(() => couponService.allocate(buildCoupon({ minimumSpend: 50 }), lines))
+      .toThrow('minimum spend of $50.00');
+  });
+});
+
+describe('couponService.findUsable', () => {
+  it('only returns active coupons within their dates and limits', async () => {
+    const customerId = new mongoose.Types.ObjectId();
+    const findOne = jest.spyOn(Coupon, 'findOne');
+
+    findOne.mockResolvedValueOnce(buildCoupon({ expiresAt: new Date(Date.now() - 1000) }));
+    await expect(couponService.findUsable(' save ', customerId)).rejects.toThrow('expired');
+    expect(findOne).toHaveBeenCalledWith({ code: 'SAVE' });
+
+    findOne.mockResolvedValueOnce(buildCoupon({ usageLimit: 1, usedCount: 1 }));
+    await expect(couponService.findUsable('SAVE', customerId)).rejects.toThrow('usage limit');
+
+    findOne.mockResolvedValueOnce(buildCoupon({ usageLimitPerCustomer: 1, redemptions: [{ customer: customerId }] }));
+    await expect(couponService.findUsable('SAVE', customerId)).rejects.toThrow('maximum number of times');
+
+    const usable = buildCoupon();
+    findOne.mockResolvedValueOnce(usable);
+    await expect(couponService.findUsable('SAVE', customerId)).resolves.toBe(usable);
+  });
+});
+
+describe('Coupon.redeem', () => {
+  it('records a use only while the coupon is under its limits', async () => {
+    const update = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const coupon = buildCoupon({ usageLimit: 5 });
+
+    await expect(Coupon.redeem(coupon, new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId())).resolves.toBe(false);
+    expect(update.mock.calls[0][0]).toMatchObject({ _id: coupon._id, isActive: true, usedCount: { $lt: 5 } });
+    expect(update.mock.calls[0][1].$inc).toEqual({ usedCount: 1 });
+  });
+});
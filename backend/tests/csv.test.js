@@ -0,0 +1,27 @@
+const { escapeField, toCsv } = require('../utils/csv');
+
+describe('CSV fields', () => {
+  it('prefixes a quote to text a spreadsheet would run as a formula', () => {
+    expect(escapeField('=HYPERLINK("http://evil.test")')).toBe('"\'=HYPERLINK(""http://evil.test"")"');
+    expect(escapeField('+1 555 0100')).toBe("'+1 555 0100");
+    expect(escapeField('-cmd')).toBe("'-cmd");
+    expect(escapeField('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(escapeField('\tTabbed')).toBe("'\tTabbed");
+  });
+
+  it('leaves numbers and ordinary text alone', () => {
+    expect(escapeField('-12.50')).toBe('-12.50');
+    expect(escapeField(-3)).toBe('-3');
+    expect(escapeField('Blue, large')).toBe('"Blue, large"');
+    expect(escapeField(null)).toBe('');
+  });
+
+  it('escapes every cell of a document', () => {
+    const csv = toCsv([{ name: '=1+1', total: '-5.00' }], [
+      { key: 'name', header: 'Name' },
+      { key: 'total', header: 'Total' }
+    ]);
+
+    expect(csv).toBe("Name,Total\r\n'=1+1,-5.00\r\n");
+  });
+});
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const inventoryService = require('../services/inventoryService');
+
+const buildProduct = (inventory = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Mug',
+  inventory: { trackQuantity: true, allowBackorder: false, ...inventory }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('inventoryService.reserve', () => {
+  it('takes stock with a decrement that only matches while enough is left', async () => {
+    const product = buildProduct();
+    const update = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const [reservation] = await inventoryService.reserve([{ product, quantity: 3 }]);
+
+    expect(reservation.reserved).toBe(3);
+    expect(update.mock.calls[0][0]).toMatchObject({ _id: product._id, 'inventory.quantity': { $gte: 3 } });
+    expect(update.mock.calls[0][1]).toEqual({ $inc: { 'inventory.quantity': -3 } });
+  });
+
+  it('puts back the lines already taken when a later line falls short', async () => {
+    const mug = buildProduct();
+    const plate = buildProduct();
+    const update = jest.spyOn(Product, 'updateOne').mockImplementation(async (filter) =>
+      ({ modifiedCount: filter._id === plate._id && filter['inventory.quantity'] ? 0 : 1 })
+    );
+
+    await expect(inventoryService.reserve([
+      { product: mug, quantity: 2 },
+      { product: plate, quantity: 5 }
+    ])).rejects.toMatchObject({ statusCode: 409, details: { product: plate._id } });
+
+    const restock = update.mock.calls.find(([, change]) => change.$inc?.['inventory.quantity'] === 2);
+    expect(restock[0]).toEqual({ _id: mug._id });
+    expect(update.mock.calls.some(([filter, change]) =>
+      filter._id === plate._id && change.$inc?.['inventory.quantity'] > 0
+    )).toBe(false);
+  });
+
+  it('lets untracked and backordered lines through without taking stock', async () => {
+    jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    const reservations = await inventoryService.reserve([
+      { product: buildProduct({ trackQuantity: false }), quantity: 4 },
+      { product: buildProduct({ allowBackorder: true }), quantity: 4 }
+    ]);
+
+    expect(reservations.map(({ reserved }) => reserved)).toEqual([0, 0]);
+  });
+
+  it('releases only what was reserved', async () => {
+    const update = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const product = buildProduct();
+
+    await inventoryService.release([
+      { product, reserved: 0 },
+      { product: product._id, reserved: 2 }
+    ]);
+
+    expect(update.mock.calls[0]).toEqual([{ _id: product._id }, { $inc: { 'inventory.quantity': 2 } }]);
+    expect(update.mock.calls[1][0]).toMatchObject({ _id: product._id, status: 'out_of_stock' });
+    expect(update).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,161 @@
+// Loading the real email service opens an SMTP connection
+jest.mock('../services/emailService', () => ({}));
+
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const documentService = require('../services/documentService');
+const sequenceService = require('../services/sequenceService');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Sequence = require('../models/Sequence');
+const Vendor = require('../models/Vendor');
+const Order = require('../models/Order');
+const User = require('../models/User');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// In-memory stand-in for the few queries invoice numbering makes, enough to
+// replay interleaved requests
+const same = (a, b) => String(a) === String(b);
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (condition && condition.$exists !== undefined) return (doc[field] !== undefined) === condition.$exists;
+  return same(doc[field], condition);
+});
+
+const applyUpdate = (doc, update, inserting) => {
+  Object.entries(update).forEach(([op, fields]) => {
+    if (op === '$inc') Object.entries(fields).forEach(([field, by]) => { doc[field] = (doc[field] || 0) + by; });
+    else if (op === '$set' || (op === '$setOnInsert' && inserting)) Object.assign(doc, fields);
+    else if (op === '$unset') Object.keys(fields).forEach(field => { delete doc[field]; });
+    else if (!op.startsWith('$')) doc[op] = fields;
+  });
+  return doc;
+};
+
+const query = (result) => Object.assign(Promise.resolve(result), { select: () => Promise.resolve(result) });
+
+const fakeCollection = (Model) => {
+  const docs = [];
+  const find = (filter) => docs.find(doc => matches(doc, filter));
+  const copy = (doc) => (doc ? { ...doc } : null);
+
+  jest.spyOn(Model, 'findOne').mockImplementation(filter => query(copy(find(filter))));
+  jest.spyOn(Model, 'findById').mockImplementation(id => query(copy(find({ _id: id }))));
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = find(filter);
+    if (doc) applyUpdate(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+    const doc = find(filter);
+    if (doc) return copy(applyUpdate(doc, update));
+    if (!options.upsert) return null;
+    if (filter._id && find({ _id: filter._id })) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+
+    const plain = Object.fromEntries(Object.entries(filter).filter(([, value]) => !value?.$exists));
+    const inserted = applyUpdate({ _id: new mongoose.Types.ObjectId(), ...plain }, update, true);
+    docs.push(inserted);
+    return copy(inserted);
+  });
+
+  return docs;
+};
+
+describe('issueInvoice', () => {
+  const vendor = new mongoose.Types.ObjectId();
+  const buildOrder = () => ({ _id: new mongoose.Types.ObjectId(), status: 'processing', vendor, customer: new mongoose.Types.ObjectId() });
+  let invoices;
+  let counters;
+
+  beforeEach(() => {
+    invoices = fakeCollection(Invoice);
+    counters = fakeCollection(Counter);
+    jest.spyOn(Sequence, 'findOne').mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+    jest.spyOn(Vendor, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ businessName: 'Acme' }) });
+  });
+
+  // A request that claimed the invoice and drew a number, then died before
+  // storing it
+  const abandonedClaim = (order) => {
+    const invoice = {
+      _id: new mongoose.Types.ObjectId(),
+      order: order._id,
+      vendor,
+      issuedAt: new Date(Date.now() - 5 * 60 * 1000),
+      claimToken: 'first'
+    };
+    invoices.push(invoice);
+    counters.push({ _id: 'invoice:INV', seq: 1, pending: invoice._id });
+    return invoice;
+  };
+
+  it('numbers invoices one after another', async () => {
+    const first = await documentService.issueInvoice(buildOrder());
+    const second = await documentService.issueInvoice(buildOrder());
+
+    expect([first.invoiceNumber, second.invoiceNumber]).toEqual(['INV-000001', 'INV-000002']);
+    expect(first.claimToken).toBeUndefined();
+  });
+
+  it('leaves no gap when a claim is taken over', async () => {
+    const order = buildOrder();
+    const abandoned = abandonedClaim(order);
+
+    const taken = await documentService.issueInvoice(order);
+    expect(taken.invoiceNumber).toBe('INV-000001');
+
+    // The original request wakes up and tries to finish its invoice
+    const late = await sequenceService.issueNumber('invoice', abandoned._id,
+      (id, number) => documentService.assignNumber(id, number));
+    expect(late).toBe('INV-000001');
+
+    const next = await documentService.issueInvoice(buildOrder());
+    expect(next.invoiceNumber).toBe('INV-000002');
+    expect(counters[0]).toEqual({ _id: 'invoice:INV', seq: 2 });
+  });
+
+  it('finishes a number another invoice left pending before drawing its own', async () => {
+    const abandoned = abandonedClaim(buildOrder());
+
+    const issued = await documentService.issueInvoice(buildOrder());
+
+    expect(abandoned.invoiceNumber).toBe('INV-000001');
+    expect(issued.invoiceNumber).toBe('INV-000002');
+  });
+
+  it('hands a pending number back when its invoice is gone', async () => {
+    abandonedClaim(buildOrder());
+    invoices.length = 0;
+
+    const issued = await documentService.issueInvoice(buildOrder());
+
+    expect(issued.invoiceNumber).toBe('INV-000001');
+  });
+});
+
+describe('renderInvoice', () => {
+  it('lists cancelled units and what was refunded for them', async () => {
+    const text = jest.spyOn(PDFDocument.prototype, 'text');
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ email: 'customer@example.com' }) });
+    const order = new Order({
+      orderNumber: 'ORD-1',
+      customer: new mongoose.Types.ObjectId(),
+      items: [
+        { name: 'Mug', price: 10, quantity: 3, subtotal: 30, tax: { rate: 10, amount: 3 } },
+        { name: 'Plate', price: 20, quantity: 1, subtotal: 20 }
+      ],
+      pricing: { subtotal: 50, tax: 3, shipping: 0, total: 53 },
+      payment: { method: 'stripe', currency: 'USD', status: 'partially_refunded', amount: 53, refundAmount: 11 },
+      shippingAddress: { firstName: 'Sam', lastName: 'Lee', street: '1 Main St' }
+    });
+    order.items[0].cancelledQuantity = 1;
+
+    await documentService.renderInvoice(order, { invoiceNumber: 'INV-000001', issuedAt: new Date(), seller: {} });
+
+    const written = text.mock.calls.map(([value]) => value);
+    expect(written).toEqual(expect.arrayContaining(['Cancelled: Mug', '-1', '-11.00 USD', 'Cancelled items', '42.00 USD']));
+  });
+});
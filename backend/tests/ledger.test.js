@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const ledgerService = require('../services/ledgerService');
+const LedgerTransaction = require('../models/LedgerTransaction');
+
+const ENV = { ...process.env };
+
+const buildOrder = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: 'ORD-1',
+  vendor: new mongoose.Types.ObjectId(),
+  pricing: { total: 100 },
+  commission: { amount: 10 },
+  payment: { currency: 'USD', amount: 100, refundAmount: 0 },
+  ...overrides
+});
+
+const amount = (transaction, account, side) => transaction.entries
+  .filter(entry => entry.account === account)
+  .reduce((sum, entry) => sum + entry[side], 0);
+
+// Posting hands back the transaction it would have created
+const mockPosting = () => jest.spyOn(LedgerTransaction, 'create')
+  .mockImplementation(async (transaction) => new LedgerTransaction(transaction));
+
+afterEach(() => {
+  process.env = { ...ENV };
+  jest.restoreAllMocks();
+});
+
+describe('recordSale', () => {
+  it('holds the vendor share of what is still paid and books the commission on it', async () => {
+    process.env.LEDGER_CLEARING_DAYS = '14';
+    mockPosting();
+    const order = buildOrder({ payment: { currency: 'USD', amount: 100, refundAmount: 20 } });
+
+    const sale = await ledgerService.recordSale(order);
+
+    expect(sale.reference).toBe(`sale:${order._id}`);
+    expect(amount(sale, 'customer_funds', 'debit')).toBe(80);
+    expect(amount(sale, 'commission_revenue', 'credit')).toBe(8);
+    expect(amount(sale, 'vendor_pending', 'credit')).toBe(72);
+    expect(sale.availableAt.getTime() - Date.now()).toBeGreaterThan(13 * 24 * 60 * 60 * 1000);
+  });
+
+  it('books nothing for an order refunded in full', async () => {
+    const create = mockPosting();
+
+    expect(await ledgerService.recordSale(buildOrder({ payment: { amount: 100, refundAmount: 100 } }))).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('returns the existing transaction when the sale was already posted', async () => {
+    const existing = { reference: 'sale:existing' };
+    jest.spyOn(LedgerTransaction, 'create').mockRejectedValue(Object.assign(new Error('duplicate'), { code: 11000 }));
+    jest.spyOn(LedgerTransaction, 'findOne').mockResolvedValue(existing);
+
+    expect(await ledgerService.recordSale(buildOrder())).toBe(existing);
+  });
+});
+
+describe('recordRefunds', () => {
+  const sale = (order) => new LedgerTransaction({
+    reference: `sale:${order._id}`,
+    type: 'sale',
+    vendor: order.vendor,
+    entries: [
+      { account: 'customer_funds', debit: 100 },
+      { account: 'vendor_pending', credit: 90 },
+      { account: 'commission_revenue', credit: 10 }
+    ]
+  });
+
+  it('debits the vendor for the refund and hands back its commission share', async () => {
+    mockPosting();
+    const order = buildOrder({ payment: { currency: 'USD', amount: 100, refundAmount: 30 } });
+    jest.spyOn(LedgerTransaction, 'findOne').mockResolvedValue(sale(order));
+    jest.spyOn(LedgerTransaction, 'find').mockResolvedValue([]);
+
+    const refund = await ledgerService.recordRefunds(order);
+
+    expect(refund.reference).toBe(`refund:${order._id}:3000`);
+    expect(amount(refund, 'customer_funds', 'credit')).toBe(30);
+    expect(amount(refund, 'commission_revenue', 'debit')).toBe(3);
+    expect(amount(refund, 'vendor_available', 'debit')).toBe(27);
+  });
+
+  it('only posts the part of the refunds not posted before', async () => {
+    mockPosting();
+    const order = buildOrder({ payment: { currency: 'USD', amount: 100, refundAmount: 50 } });
+    jest.spyOn(LedgerTransaction, 'findOne').mockResolvedValue(sale(order));
+    jest.spyOn(LedgerTransaction, 'find').mockResolvedValue([
+      new LedgerTransaction({ type: 'refund', entries: [{ account: 'customer_funds', credit: 30 }] })
+    ]);
+
+    const chargeback = await ledgerService.recordRefunds(order, { type: 'chargeback' });
+
+    expect(chargeback.reference).toBe(`chargeback:${order._id}:5000`);
+    expect(amount(chargeback, 'customer_funds', 'credit')).toBe(20);
+  });
+
+  it('does nothing for an order whose sale is not booked yet', async () => {
+    const create = mockPosting();
+    jest.spyOn(LedgerTransaction, 'findOne').mockResolvedValue(null);
+
+    expect(await ledgerService.recordRefunds(buildOrder({ payment: { amount: 100, refundAmount: 30 } }))).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('releaseDue', () => {
+  it('moves cleared sales to the available balance once', async () => {
+    const create = mockPosting();
+    const now = new Date('2026-03-10T12:00:00Z');
+    const cleared = new LedgerTransaction({
+      reference: 'sale:1',
+      type: 'sale',
+      vendor: new mongoose.Types.ObjectId(),
+      description: 'Order ORD-1 delivered',
+      entries: [{ account: 'vendor_pending', credit: 72 }]
+    });
+    cleared.save = jest.fn().mockResolvedValue(cleared);
+    const find = jest.spyOn(LedgerTransaction, 'find').mockResolvedValue([cleared]);
+
+    expect(await ledgerService.releaseDue(now)).toBe(1);
+
+    expect(find).toHaveBeenCalledWith({ type: 'sale', releasedAt: { $exists: false }, availableAt: { $lte: now } });
+    const release = await create.mock.results[0].value;
+    expect(release.reference).toBe(`release:${cleared._id}`);
+    expect(amount(release, 'vendor_pending', 'debit')).toBe(72);
+    expect(amount(release, 'vendor_available', 'credit')).toBe(72);
+    expect(cleared.releasedAt).toEqual(now);
+    expect(cleared.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,81 @@
+// Stands in for the token check: the test names the role it signs in as
+jest.mock('../middleware/auth', () => ({
+  optionalAuth: (req, res, next) => {
+    const role = req.headers['x-test-role'];
+    if (role) req.user = { id: 'user', role };
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const settingService = require('../services/settingService');
+const { maintenance } = require('../middleware/maintenance');
+
+const app = express();
+app.set('trust proxy', true);
+app.use('/api', maintenance);
+app.use('/api', (req, res) => res.json({ success: true }));
+
+const mockSettings = (overrides = {}) => jest.spyOn(settingService, 'get').mockResolvedValue({
+  maintenanceMode: true,
+  maintenanceMessage: 'Back soon',
+  maintenanceRetryMinutes: 5,
+  maintenanceAllowedIps: ['203.0.113.7'],
+  ...overrides
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('maintenance mode', () => {
+  it('turns API requests away with a 503 and Retry-After', async () => {
+    mockSettings();
+
+    const res = await request(app).get('/api/products');
+
+    expect(res.status).toBe(503);
+    expect(res.headers['retry-after']).toBe('300');
+    expect(res.body).toEqual({ success: false, maintenance: true, message: 'Back soon', retryAfter: 300 });
+  });
+
+  it('lets everything through while it is off', async () => {
+    mockSettings({ maintenanceMode: false });
+
+    const res = await request(app).get('/api/products');
+
+    expect(res.status).toBe(200);
+  });
+
+  it('keeps the exempt paths working', async () => {
+    mockSettings();
+
+    for (const path of ['/api/health', '/api/payments/webhooks/stripe', '/api/auth/login', '/api/settings/public?x=1']) {
+      const res = await request(app).get(path);
+      expect(res.status).toBe(200);
+    }
+    expect((await request(app).get('/api/healthcheck')).status).toBe(503);
+  });
+
+  it('lets admins and allowed IPs through', async () => {
+    mockSettings();
+
+    const admin = await request(app).get('/api/orders').set('x-test-role', 'admin');
+    const customer = await request(app).get('/api/orders').set('x-test-role', 'customer');
+    const allowed = await request(app).get('/api/orders').set('X-Forwarded-For', '::ffff:203.0.113.7');
+
+    expect(admin.status).toBe(200);
+    expect(customer.status).toBe(503);
+    expect(allowed.status).toBe(200);
+  });
+
+  it('stays out of the way when the settings cannot be read', async () => {
+    jest.spyOn(settingService, 'get').mockRejectedValue(new Error('db down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app).get('/api/products');
+
+    expect(res.status).toBe(200);
+  });
+});
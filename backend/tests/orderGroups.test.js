@@ -0,0 +1,184 @@
+// Every request is a signed-in customer's
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: '64b000000000000000000001', role: 'customer' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+  vendorOwnership: (req, res, next) => next()
+}));
+// Loading the real email service opens an SMTP connection
+jest.mock('../services/emailService', () => ({}));
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const OrderGroup = require('../models/OrderGroup');
+const checkoutService = require('../services/checkoutService');
+const inventoryService = require('../services/inventoryService');
+const paymentService = require('../services/payments');
+const settingService = require('../services/settingService');
+const shippingService = require('../services/shippingService');
+const taxService = require('../services/taxService');
+const orderRoutes = require('../routes/orders');
+
+const app = express();
+app.use(express.json());
+app.use('/api/orders', orderRoutes);
+
+const address = {
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  street: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zipCode: '62701',
+  country: 'US'
+};
+
+const buildProduct = (vendorId, price) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: `Product ${price}`,
+  sku: `SKU-${price}`,
+  currentPrice: price,
+  vendor: { _id: vendorId },
+  category: { taxClass: 'standard' },
+  isAvailable: () => true
+});
+
+// Product.findById(...).populate().populate()
+const mockProducts = (products) => jest.spyOn(Product, 'findById').mockImplementation((id) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(products.find(product => product._id.equals(id))).then(resolve, reject)
+  };
+  return chain;
+});
+
+// Flat 10% tax and 5.00 shipping per vendor
+const mockPricing = () => {
+  jest.spyOn(settingService, 'get').mockResolvedValue({});
+  jest.spyOn(taxService, 'calculate').mockImplementation(async (destination, lines) => {
+    const taxLines = lines.map(({ amount }) => Math.round(amount * 10) / 100);
+    return {
+      lines: taxLines,
+      total: taxLines.reduce((sum, tax) => sum + tax, 0),
+      breakdown: [],
+      pricesIncludeTax: false
+    };
+  });
+  jest.spyOn(shippingService, 'quote').mockReturnValue([{ code: 'standard', name: 'Standard', cost: 5 }]);
+  jest.spyOn(shippingService, 'select').mockImplementation(options => options[0]);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkoutService.buildQuote', () => {
+  it('splits a cart into one priced order per vendor and totals the checkout', async () => {
+    const vendorA = new mongoose.Types.ObjectId();
+    const vendorB = new mongoose.Types.ObjectId();
+    const mug = buildProduct(vendorA, 10);
+    const plate = buildProduct(vendorA, 20);
+    const lamp = buildProduct(vendorB, 40);
+    mockProducts([mug, plate, lamp]);
+    mockPricing();
+
+    const quote = await checkoutService.buildQuote({
+      items: [
+        { product: mug._id, quantity: 2 },
+        { product: lamp._id, quantity: 1 },
+        { product: plate._id, quantity: 1 }
+      ],
+      shippingAddress: address
+    });
+
+    expect(quote.orders.map(order => order.vendorId)).toEqual([vendorA.toString(), vendorB.toString()]);
+    expect(quote.orders[0].items.map(item => item.sku)).toEqual(['SKU-10', 'SKU-20']);
+    expect(quote.orders[0].pricing).toMatchObject({ subtotal: 40, tax: 4, shipping: 5, total: 49 });
+    expect(quote.orders[1].pricing).toMatchObject({ subtotal: 40, tax: 4, shipping: 5, total: 49 });
+    expect(quote.pricing).toEqual({ subtotal: 80, tax: 8, shipping: 10, discount: 0, total: 98 });
+    expect(quote.lines).toHaveLength(3);
+  });
+});
+
+describe('POST /api/orders', () => {
+  it('removes the checkout and puts the stock back when a sub-order cannot be created', async () => {
+    const vendorA = new mongoose.Types.ObjectId();
+    const vendorB = new mongoose.Types.ObjectId();
+    const mug = buildProduct(vendorA, 10);
+    const lamp = buildProduct(vendorB, 40);
+    mockProducts([mug, lamp]);
+    mockPricing();
+    jest.spyOn(paymentService, 'assertMethodAvailable').mockResolvedValue();
+    jest.spyOn(inventoryService, 'reserve').mockImplementation(async lines =>
+      lines.map(line => ({ ...line, reserved: line.quantity })));
+    const release = jest.spyOn(inventoryService, 'release').mockResolvedValue();
+    const group = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(OrderGroup, 'create').mockResolvedValue(group);
+    const removeGroup = jest.spyOn(OrderGroup, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    const first = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(Order, 'create')
+      .mockResolvedValueOnce(first)
+      .mockRejectedValueOnce(new Error('write failed'));
+    const removeOrders = jest.spyOn(Order, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app).post('/api/orders').send({
+      items: [{ product: mug._id, quantity: 2 }, { product: lamp._id, quantity: 1 }],
+      shippingAddress: address,
+      payment: { method: 'cod' }
+    });
+
+    expect(res.status).toBe(500);
+    expect(Order.create.mock.calls[0][0]).toMatchObject({ vendor: vendorA.toString(), orderGroup: group._id });
+    expect(removeOrders).toHaveBeenCalledWith({ _id: { $in: [first._id] } });
+    expect(removeGroup).toHaveBeenCalledWith({ _id: group._id });
+    expect(release.mock.calls[0][0].map(({ reserved }) => reserved)).toEqual([2, 1]);
+  });
+});
+
+describe('OrderGroup#syncPayment', () => {
+  const groupWith = () => {
+    const group = new OrderGroup({ customer: new mongoose.Types.ObjectId(), payment: { method: 'stripe', amount: 100 } });
+    jest.spyOn(group, 'save').mockResolvedValue(group);
+    return group;
+  };
+
+  it('takes the shared status of its sub-orders and their refunds', async () => {
+    const group = groupWith();
+    const paidAt = new Date();
+
+    await group.syncPayment([
+      { payment: { status: 'partially_refunded', refundAmount: 5.5, paidAt, transactionId: 'ch_1' } },
+      { payment: { status: 'partially_refunded', refundAmount: 4.25, paidAt, transactionId: 'ch_1' } }
+    ]);
+
+    expect(group.payment).toMatchObject({ status: 'partially_refunded', refundAmount: 9.75, paidAt, transactionId: 'ch_1' });
+  });
+
+  it('reports mixed sub-order states as the one that needs attention', async () => {
+    const group = groupWith();
+
+    await group.syncPayment([
+      { payment: { status: 'completed', refundAmount: 0 } },
+      { payment: { status: 'disputed', refundAmount: 0 } }
+    ]);
+    expect(group.payment.status).toBe('disputed');
+
+    await group.syncPayment([
+      { payment: { status: 'completed', refundAmount: 0 } },
+      { payment: { status: 'refunded', refundAmount: 30 } }
+    ]);
+    expect(group.payment.status).toBe('partially_refunded');
+
+    await group.syncPayment([
+      { payment: { status: 'pending', refundAmount: 0 } },
+      { payment: { status: 'failed', refundAmount: 0 } }
+    ]);
+    expect(group.payment.status).toBe('failed');
+  });
+});
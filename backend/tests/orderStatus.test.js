@@ -0,0 +1,101 @@
+// Loading the real email service opens an SMTP connection
+jest.mock('../services/emailService', () => ({}));
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const orderStatusService = require('../services/orderStatusService');
+const inventoryService = require('../services/inventoryService');
+const ledgerService = require('../services/ledgerService');
+
+const user = (role) => ({ id: new mongoose.Types.ObjectId(), role });
+
+const buildOrder = (status) => {
+  const order = new Order({
+    orderNumber: 'ORD-1',
+    customer: new mongoose.Types.ObjectId(),
+    vendor: new mongoose.Types.ObjectId(),
+    status,
+    items: [
+      { product: new mongoose.Types.ObjectId(), name: 'Mug', price: 10, quantity: 2, subtotal: 20, stockReserved: 2, salesRecorded: 2 }
+    ],
+    pricing: { subtotal: 20, tax: 0, shipping: 0, total: 20 },
+    payment: { method: 'cod', status: 'pending', amount: 20 },
+    cancellation: status === 'cancelled' ? { reason: 'Changed my mind' } : undefined
+  });
+  order.save = jest.fn().mockResolvedValue(order);
+  return order;
+};
+
+beforeEach(() => {
+  jest.spyOn(orderStatusService, 'notifyCustomer').mockResolvedValue();
+  jest.spyOn(orderStatusService, 'notifyVendor').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('order status graph', () => {
+  it('lists the next statuses a role may set', () => {
+    const order = buildOrder('processing');
+
+    expect(order.nextStatuses()).toEqual(['partially_shipped', 'shipped', 'cancelled']);
+    expect(order.nextStatuses('vendor')).toEqual(['shipped', 'cancelled']);
+    expect(order.nextStatuses('customer')).toEqual([]);
+    expect(buildOrder('pending').canBeCancelled()).toBe(true);
+    expect(order.canBeCancelled()).toBe(false);
+  });
+
+  it('rejects moves outside the graph and moves the role may not make', () => {
+    expect(() => buildOrder('pending').assertTransition('delivered', 'admin')).toThrow(expect.objectContaining({
+      statusCode: 409,
+      details: expect.objectContaining({ code: 'INVALID_STATUS_TRANSITION', allowedTransitions: ['confirmed', 'processing', 'cancelled'] })
+    }));
+    expect(() => buildOrder('shipped').assertTransition('returned', 'vendor')).toThrow(expect.objectContaining({
+      statusCode: 403,
+      details: expect.objectContaining({ code: 'STATUS_TRANSITION_FORBIDDEN', allowedTransitions: ['delivered'] })
+    }));
+  });
+});
+
+describe('orderStatusService.transition', () => {
+  it('hands back stock and sales when an order is cancelled', async () => {
+    const order = buildOrder('pending');
+    const release = jest.spyOn(inventoryService, 'release').mockResolvedValue();
+    const reverseSales = jest.spyOn(inventoryService, 'reverseSales').mockResolvedValue();
+
+    await orderStatusService.transition(order, 'cancelled', { user: user('customer') });
+
+    expect(order.status).toBe('cancelled');
+    expect(release).toHaveBeenCalledWith([{ product: order.items[0].product, variantSku: undefined, reserved: 2 }]);
+    expect(order.items[0].stockReserved).toBe(0);
+    expect(reverseSales).toHaveBeenCalledWith(order.items[0]);
+    expect(orderStatusService.notifyCustomer).toHaveBeenCalled();
+    expect(orderStatusService.notifyVendor).toHaveBeenCalled();
+  });
+
+  it('credits the vendor on delivery', async () => {
+    const order = buildOrder('shipped');
+    const recordSale = jest.spyOn(ledgerService, 'recordSale').mockResolvedValue();
+
+    await orderStatusService.transition(order, 'delivered', { user: user('system') });
+
+    expect(order.status).toBe('delivered');
+    expect(order.tracking.deliveredAt).toBeInstanceOf(Date);
+    expect(recordSale).toHaveBeenCalledWith(order);
+  });
+
+  it('leaves a cancelled order cancelled when its stock cannot be taken again', async () => {
+    const order = buildOrder('cancelled');
+    jest.spyOn(Product, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ _id: order.items[0].product, name: 'Mug' }])
+    });
+    jest.spyOn(inventoryService, 'reserve').mockRejectedValue(Object.assign(new Error('Out of stock'), { statusCode: 409 }));
+
+    await expect(orderStatusService.transition(order, 'pending', { user: user('admin') }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(order.status).toBe('cancelled');
+    expect(order.save).not.toHaveBeenCalled();
+  });
+});
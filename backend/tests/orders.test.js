@@ -0,0 +1,65 @@
+// Every request is a signed-in customer's
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: '64b000000000000000000001', role: 'customer' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+  vendorOwnership: (req, res, next) => next()
+}));
+// Loading the real email service opens an SMTP connection
+jest.mock('../services/emailService', () => ({}));
+
+const express = require('express');
+const request = require('supertest');
+const checkoutService = require('../services/checkoutService');
+const orderRoutes = require('../routes/orders');
+
+const app = express();
+app.use(express.json());
+app.use('/api/orders', orderRoutes);
+
+const checkout = (quantity) => ({
+  items: [{ product: '64b0000000000000000000aa', quantity }],
+  shippingAddress: {
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    street: '1 Main St',
+    city: 'Springfield',
+    state: 'IL',
+    zipCode: '62701',
+    country: 'US'
+  },
+  payment: { method: 'cod' }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('order item quantities', () => {
+  it.each([0, -2, 1.5, 'two', undefined])('rejects a quantity of %p before quoting', async (quantity) => {
+    const buildQuote = jest.spyOn(checkoutService, 'buildQuote');
+
+    for (const path of ['/api/orders', '/api/orders/quote']) {
+      const res = await request(app).post(path).send(checkout(quantity));
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(({ path: field }) => field)).toContain('items[0].quantity');
+    }
+    expect(buildQuote).not.toHaveBeenCalled();
+  });
+
+  it('quotes whole quantities given as strings as numbers', async () => {
+    const buildQuote = jest.spyOn(checkoutService, 'buildQuote').mockResolvedValue({
+      orders: [],
+      coupon: null,
+      pricing: { subtotal: 0, tax: 0, shipping: 0, discount: 0, total: 0 }
+    });
+
+    const res = await request(app).post('/api/orders/quote').send(checkout('2'));
+
+    expect(res.status).toBe(200);
+    expect(buildQuote.mock.calls[0][0].items[0].quantity).toBe(2);
+  });
+});
@@ -0,0 +1,52 @@
+const paymentService = require('../services/payments');
+const settingService = require('../services/settingService');
+
+const ENV = { ...process.env };
+
+beforeEach(() => {
+  process.env.NODE_ENV = 'test';
+  process.env.FAKE_PAYMENTS_ENABLED = 'true';
+  process.env.FAKE_WEBHOOK_SECRET = 'whsec_test_secret';
+  paymentService.gateways = {};
+  jest.spyOn(settingService, 'get').mockResolvedValue({ stripeSecretKey: '' });
+});
+
+afterEach(() => {
+  process.env = { ...ENV };
+  jest.restoreAllMocks();
+});
+
+const paidThrough = (intent) => ({ payment: { gateway: 'fake', paymentIntentId: intent.id } });
+
+describe('paymentService.cancelOpenIntents', () => {
+  it('cancels the intent an earlier attempt left on the orders', async () => {
+    const gateway = await paymentService.getGateway('fake');
+    const earlier = await gateway.createPaymentIntent({ amount: 50, currency: 'USD' });
+
+    await paymentService.cancelOpenIntents([paidThrough(earlier), paidThrough(earlier), { payment: {} }]);
+
+    expect((await gateway.retrievePaymentIntent(earlier.id)).status).toBe('canceled');
+    await expect(gateway.confirmPaymentIntent(earlier.id)).rejects.toThrow('canceled');
+  });
+
+  it('refuses a new attempt while an earlier intent is already paid', async () => {
+    const gateway = await paymentService.getGateway('fake');
+    const earlier = await gateway.createPaymentIntent({ amount: 50, currency: 'USD' });
+    await gateway.confirmPaymentIntent(earlier.id, { paymentMethod: 'pm_card_visa' });
+
+    await expect(paymentService.cancelOpenIntents([paidThrough(earlier)]))
+      .rejects.toMatchObject({ statusCode: 409, details: { paymentIntentId: earlier.id } });
+    expect((await gateway.retrievePaymentIntent(earlier.id)).status).toBe('succeeded');
+  });
+
+  it('skips intents that are already cancelled or unknown to the gateway', async () => {
+    const gateway = await paymentService.getGateway('fake');
+    const earlier = await gateway.createPaymentIntent({ amount: 50, currency: 'USD' });
+    await gateway.cancelPaymentIntent(earlier.id);
+    const cancel = jest.spyOn(gateway, 'cancelPaymentIntent');
+
+    await paymentService.cancelOpenIntents([paidThrough(earlier), paidThrough({ id: 'pi_fake_gone' })]);
+
+    expect(cancel).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,216 @@
+const FakeGateway = require('../services/payments/fakeGateway');
+const paymentService = require('../services/payments');
+const Order = require('../models/Order');
+
+const ENV = { ...process.env };
+
+const enableFakeGateway = () => {
+  process.env.NODE_ENV = 'test';
+  process.env.FAKE_PAYMENTS_ENABLED = 'true';
+  process.env.FAKE_WEBHOOK_SECRET = 'whsec_test_secret';
+};
+
+const signedEvent = (gateway, event, timestamp) => {
+  const payload = JSON.stringify(event);
+  return { body: Buffer.from(payload), signature: gateway.signPayload(payload, timestamp) };
+};
+
+afterEach(() => {
+  process.env = { ...ENV };
+  jest.restoreAllMocks();
+});
+
+describe('fake payment gateway', () => {
+  it('refuses to run unless enabled with a webhook secret', () => {
+    delete process.env.FAKE_PAYMENTS_ENABLED;
+    process.env.FAKE_WEBHOOK_SECRET = 'whsec_test_secret';
+    expect(() => new FakeGateway()).toThrow('not enabled');
+
+    process.env.FAKE_PAYMENTS_ENABLED = 'true';
+    delete process.env.FAKE_WEBHOOK_SECRET;
+    expect(() => new FakeGateway()).toThrow('not enabled');
+  });
+
+  it('never runs in production', () => {
+    enableFakeGateway();
+    process.env.NODE_ENV = 'production';
+    expect(FakeGateway.isEnabled()).toBe(false);
+    expect(() => new FakeGateway()).toThrow('not enabled');
+  });
+
+  it('accepts an event signed with the configured secret', () => {
+    enableFakeGateway();
+    const gateway = new FakeGateway();
+    const { body, signature } = signedEvent(gateway, {
+      id: 'evt_1',
+      type: 'payment.succeeded',
+      data: { paymentIntentId: 'pi_1', transactionId: 'ch_1' }
+    });
+
+    expect(gateway.constructWebhookEvent(body, signature)).toMatchObject({
+      id: 'evt_1',
+      type: 'payment.succeeded',
+      paymentIntentId: 'pi_1',
+      handled: true
+    });
+  });
+
+  it('rejects events signed with another secret', () => {
+    enableFakeGateway();
+    const gateway = new FakeGateway();
+    const { body } = signedEvent(gateway, { id: 'evt_1', type: 'payment.succeeded', data: {} });
+
+    gateway.webhookSecret = 'whsec_fake';
+    const forged = gateway.signPayload(body.toString());
+    gateway.webhookSecret = process.env.FAKE_WEBHOOK_SECRET;
+
+    expect(() => gateway.constructWebhookEvent(body, forged)).toThrow('signature mismatch');
+  });
+
+  it('rejects tampered payloads, stale timestamps and malformed headers', () => {
+    enableFakeGateway();
+    const gateway = new FakeGateway();
+    const event = { id: 'evt_1', type: 'payment.succeeded', data: { paymentIntentId: 'pi_1' } };
+    const { signature } = signedEvent(gateway, event);
+    const tampered = Buffer.from(JSON.stringify({ ...event, data: { paymentIntentId: 'pi_2' } }));
+    const stale = signedEvent(gateway, event, Math.floor(Date.now() / 1000) - 3600);
+
+    expect(() => gateway.constructWebhookEvent(tampered, signature)).toThrow('signature mismatch');
+    expect(() => gateway.constructWebhookEvent(stale.body, stale.signature)).toThrow('outside tolerance');
+    expect(() => gateway.constructWebhookEvent(tampered, 'nonsense')).toThrow('malformed header');
+  });
+});
+
+describe('payment webhook handling', () => {
+  const findOrders = (orders) => jest.spyOn(Order, 'find').mockReturnValue({
+    sort: jest.fn().mockResolvedValue(orders)
+  });
+
+  it('only looks up orders paid through the provider that sent the event', async () => {
+    const order = { payment: { status: 'pending' }, markPaid: jest.fn() };
+    const find = findOrders([order]);
+
+    await paymentService.handleWebhookEvent({
+      type: 'payment.succeeded',
+      handled: true,
+      paymentIntentId: 'pi_real',
+      transactionId: 'ch_1'
+    }, 'fake');
+
+    expect(find).toHaveBeenCalledWith({
+      'payment.paymentIntentId': 'pi_real',
+      'payment.gateway': 'fake'
+    });
+  });
+
+  it('leaves orders alone when no order of that provider matches', async () => {
+    findOrders([]);
+
+    const orders = await paymentService.handleWebhookEvent({
+      type: 'payment.succeeded',
+      handled: true,
+      paymentIntentId: 'pi_real'
+    }, 'fake');
+
+    expect(orders).toEqual([]);
+  });
+
+  it('ignores events it does not handle', async () => {
+    const find = jest.spyOn(Order, 'find');
+
+    await paymentService.handleWebhookEvent({ type: 'charge.updated', handled: false, paymentIntentId: 'pi_1' }, 'stripe');
+
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('dispute handling', () => {
+  const order = (amount, refundAmount = 0) => ({
+    payment: { amount, refundAmount, dispute: { id: 'dp_1' } },
+    openDispute: jest.fn(),
+    closeDispute: jest.fn()
+  });
+
+  it('splits a dispute over the orders of a checkout by what was captured on each', () => {
+    const orders = [order(60), order(40, 10)];
+
+    expect(paymentService.splitAcrossOrders(orders, 45)).toEqual([30, 15]);
+    expect(paymentService.splitAcrossOrders(orders, undefined)).toEqual([60, 30]);
+    expect(paymentService.splitAcrossOrders(orders, 500)).toEqual([60, 30]);
+  });
+
+  it('charges back only each order\'s share of a lost dispute', async () => {
+    const ledgerService = require('../services/ledgerService');
+    const orders = [order(60), order(40)];
+    jest.spyOn(Order, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(orders) });
+    jest.spyOn(ledgerService, 'recordRefunds').mockResolvedValue(null);
+
+    await paymentService.handleWebhookEvent({
+      type: 'payment.dispute_closed',
+      handled: true,
+      paymentIntentId: 'pi_1',
+      dispute: { id: 'dp_1', status: 'lost', amount: 50 }
+    }, 'stripe');
+
+    expect(orders[0].closeDispute).toHaveBeenCalledWith('lost', 30);
+    expect(orders[1].closeDispute).toHaveBeenCalledWith('lost', 20);
+  });
+
+  it('refunds the disputed share rather than the whole payment when a dispute is lost', async () => {
+    jest.spyOn(Order.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const disputed = new Order({
+      status: 'delivered',
+      payment: { method: 'stripe', amount: 100, refundAmount: 0, currency: 'USD', dispute: { id: 'dp_1', amount: 25 } }
+    });
+
+    await disputed.closeDispute('lost');
+
+    expect(disputed.payment.refundAmount).toBe(25);
+    expect(disputed.payment.status).toBe('partially_refunded');
+  });
+});
+
+describe('payments captured after cancellation', () => {
+  const pendingOrder = (status) => ({
+    status,
+    payment: { status: 'pending' },
+    timeline: [],
+    markPaid: jest.fn(function() {
+      this.payment.status = 'completed';
+      return Promise.resolve(this);
+    }),
+    save: jest.fn()
+  });
+
+  it('refunds an order that was cancelled while its payment was pending', async () => {
+    const order = pendingOrder('cancelled');
+    const refundOrder = jest.spyOn(paymentService, 'refundOrder').mockResolvedValue({ amount: 40 });
+
+    await paymentService.capturePayment(order, 'ch_1');
+
+    expect(order.markPaid).toHaveBeenCalledWith('ch_1', undefined);
+    expect(refundOrder).toHaveBeenCalledWith(order, expect.objectContaining({ reason: expect.any(String) }));
+  });
+
+  it('leaves open orders paid', async () => {
+    const order = pendingOrder('pending');
+    const refundOrder = jest.spyOn(paymentService, 'refundOrder');
+
+    await paymentService.capturePayment(order, 'ch_1');
+
+    expect(refundOrder).not.toHaveBeenCalled();
+  });
+
+  it('logs a failed refund on the order', async () => {
+    const order = pendingOrder('cancelled');
+    jest.spyOn(paymentService, 'refundOrder').mockRejectedValue(new Error('gateway down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await paymentService.capturePayment(order, 'ch_1');
+
+    expect(order.timeline).toEqual([expect.objectContaining({ status: 'refund_failed' })]);
+    expect(order.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,181 @@
+// Loading the real email service opens an SMTP connection
+jest.mock('../services/emailService', () => ({}));
+
+const mongoose = require('mongoose');
+const payoutService = require('../services/payoutService');
+const ledgerService = require('../services/ledgerService');
+const Payout = require('../models/Payout');
+const Counter = require('../models/Counter');
+const Vendor = require('../models/Vendor');
+const LedgerTransaction = require('../models/LedgerTransaction');
+
+const ENV = { ...process.env };
+const DAY = 24 * 60 * 60 * 1000;
+
+const admin = { id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+const buildPayout = (status) => new Payout({
+  payoutNumber: 'PO-1',
+  vendor: new mongoose.Types.ObjectId(),
+  amount: 120,
+  status,
+  bankDetails: { accountNumber: '000123456789', routingNumber: '110000000' },
+  settlementRun: 'RUN-1'
+});
+
+afterEach(() => {
+  process.env = { ...ENV };
+  jest.restoreAllMocks();
+});
+
+describe('payout status changes', () => {
+  it('does not reverse a payout that was exported while it was being rejected', async () => {
+    const payout = buildPayout('approved');
+    jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Payout, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ status: 'exported' }) });
+    const post = jest.spyOn(ledgerService, 'post').mockResolvedValue({});
+
+    await expect(payoutService.reject(payout, { reason: 'Wrong amount' }, admin))
+      .rejects.toMatchObject({ statusCode: 409, details: { code: 'INVALID_PAYOUT_STATUS', status: 'exported' } });
+
+    expect(Payout.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: payout._id, status: { $in: ['pending_approval', 'approved'] } },
+      expect.objectContaining({ status: 'rejected' })
+    );
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  it('posts the reversal once the rejection is recorded', async () => {
+    const payout = buildPayout('approved');
+    jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue({ status: 'approved' });
+    const post = jest.spyOn(ledgerService, 'post').mockResolvedValue({});
+
+    await payoutService.reject(payout, { reason: 'Wrong amount' }, admin);
+
+    expect(post).toHaveBeenCalledWith(expect.objectContaining({ reference: `payout_reversal:${payout._id}` }));
+    expect(payout.status).toBe('rejected');
+    expect(payout.rejectionReason).toBe('Wrong amount');
+  });
+
+  it('puts the status back when the ledger posting fails', async () => {
+    const payout = buildPayout('exported');
+    jest.spyOn(Payout, 'findOneAndUpdate').mockResolvedValue({ status: 'exported' });
+    const restore = jest.spyOn(Payout, 'updateOne').mockResolvedValue({});
+    jest.spyOn(ledgerService, 'post').mockRejectedValue(new Error('write conflict'));
+
+    await expect(payoutService.markPaid(payout, admin)).rejects.toThrow('write conflict');
+
+    expect(restore).toHaveBeenCalledWith({ _id: payout._id, status: 'paid' }, { status: 'exported' });
+    expect(payout.status).toBe('exported');
+  });
+});
+
+describe('scheduled settlement', () => {
+  it('only runs once the interval has passed since the last persisted run', async () => {
+    process.env.SETTLEMENT_INTERVAL_DAYS = '7';
+    const now = new Date('2026-03-10T12:00:00Z');
+    jest.spyOn(Counter, 'updateOne').mockResolvedValue({});
+    const claim = jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValueOnce(null);
+    const run = jest.spyOn(payoutService, 'runSettlement').mockResolvedValue({ payouts: [] });
+
+    expect(await payoutService.runIfDue(now)).toBeNull();
+    expect(claim).toHaveBeenCalledWith(
+      { _id: 'settlement-schedule', seq: { $lte: now.getTime() - 7 * DAY } },
+      { seq: now.getTime() }
+    );
+    expect(run).not.toHaveBeenCalled();
+
+    claim.mockResolvedValueOnce({ seq: now.getTime() - 8 * DAY });
+    await payoutService.runIfDue(now);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects intervals outside 0 to 90 days and skips runs when disabled', async () => {
+    const claim = jest.spyOn(Counter, 'findOneAndUpdate');
+
+    process.env.SETTLEMENT_INTERVAL_DAYS = '30';
+    expect(payoutService.settlementIntervalDays).toBe(30);
+
+    process.env.SETTLEMENT_INTERVAL_DAYS = '365';
+    await expect(payoutService.runIfDue()).rejects.toThrow('from 0 to 90');
+
+    process.env.SETTLEMENT_INTERVAL_DAYS = '0';
+    expect(await payoutService.runIfDue()).toBeNull();
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
+
+describe('runSettlement', () => {
+  const vendorId = new mongoose.Types.ObjectId();
+  const latest = { _id: new mongoose.Types.ObjectId() };
+
+  const mockVendor = (vendor) => jest.spyOn(Vendor, 'findById').mockReturnValue({
+    select: jest.fn().mockResolvedValue(vendor)
+  });
+
+  beforeEach(() => {
+    jest.spyOn(ledgerService, 'releaseDue').mockResolvedValue(0);
+    jest.spyOn(payoutService, 'getMinimumPayout').mockResolvedValue(50);
+    jest.spyOn(LedgerTransaction, 'findOne').mockReturnValue({
+      sort: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(latest) })
+    });
+  });
+
+  it('moves each payable balance in transit and creates a payout awaiting approval', async () => {
+    jest.spyOn(ledgerService, 'balances').mockResolvedValue(new Map([
+      [vendorId.toString(), { available: 120 }],
+      [new mongoose.Types.ObjectId().toString(), { available: 20 }]
+    ]));
+    mockVendor({
+      _id: vendorId,
+      businessName: 'Acme',
+      status: 'approved',
+      bankDetails: { accountHolderName: 'Acme Ltd', accountNumber: '000123456789', routingNumber: '110000000' }
+    });
+    const post = jest.spyOn(ledgerService, 'post').mockImplementation(async (transaction) => ({ ...transaction, currency: 'USD' }));
+    const create = jest.spyOn(Payout, 'create').mockImplementation(async (payout) => payout);
+
+    const { payouts, skipped } = await payoutService.runSettlement(admin);
+
+    expect(ledgerService.releaseDue).toHaveBeenCalled();
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(post).toHaveBeenCalledWith(expect.objectContaining({
+      reference: `payout:${vendorId}:${latest._id}`,
+      entries: [
+        { account: 'vendor_available', debit: 120 },
+        { account: 'payouts_in_transit', credit: 120 }
+      ]
+    }));
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      _id: post.mock.calls[0][0].payout,
+      vendor: vendorId,
+      amount: 120,
+      bankDetails: expect.objectContaining({ accountNumber: '000123456789' })
+    }));
+    expect(payouts).toHaveLength(1);
+    expect(skipped).toEqual([]);
+  });
+
+  it('skips vendors without bank details and balances another run already took', async () => {
+    jest.spyOn(ledgerService, 'balances').mockResolvedValue(new Map([[vendorId.toString(), { available: 120 }]]));
+    const vendor = mockVendor({ _id: vendorId, businessName: 'Acme', status: 'approved', bankDetails: {} });
+    const post = jest.spyOn(ledgerService, 'post').mockResolvedValue({ payout: new mongoose.Types.ObjectId() });
+    const create = jest.spyOn(Payout, 'create');
+
+    let result = await payoutService.runSettlement(admin);
+    expect(result.skipped).toEqual([expect.objectContaining({ reason: 'No bank details on file' })]);
+    expect(post).not.toHaveBeenCalled();
+
+    vendor.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        _id: vendorId,
+        businessName: 'Acme',
+        status: 'approved',
+        bankDetails: { accountNumber: '000123456789', routingNumber: '110000000' }
+      })
+    });
+    result = await payoutService.runSettlement(admin);
+    expect(result.skipped).toEqual([expect.objectContaining({ reason: 'Already included in another settlement run' })]);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,46 @@
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { writeXlsx } = require('../utils/xlsx');
+const reportService = require('../services/reportService');
+
+// Collect what a writer sends to a stream
+const capture = async (write) => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  await write(stream);
+  return Buffer.concat(chunks);
+};
+
+// Write rows to a workbook in memory and read its first sheet back
+const roundTrip = async (rows, columns) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await capture(stream => writeXlsx(stream, rows, columns)));
+  return workbook.worksheets[0];
+};
+
+describe('report exports', () => {
+  it('neutralises formula-like text in CSV exports', async () => {
+    const rows = [{ businessName: '=cmd|"/c calc"!A1', email: '@vendor', totalOrders: 2, totalRevenue: -4 }];
+
+    const csv = (await capture(stream => reportService.writeExport(stream, 'vendors', { timezone: 'UTC' }, rows))).toString();
+
+    expect(csv.split('\r\n')[1]).toMatch(/^"'=cmd\|""\/c calc""!A1",'@vendor,2,-4\.00,/);
+  });
+
+  it('writes formula-like text as plain text cells', async () => {
+    const sheet = await roundTrip([
+      { name: '=HYPERLINK("http://evil.test","Click")', raw: { formula: 'SUM(1,1)' }, total: 12.5 }
+    ], [
+      { key: 'name', header: 'Product' },
+      { key: 'raw', header: 'Raw' },
+      { key: 'total', header: 'Total' }
+    ]);
+
+    const [name, raw, total] = [1, 2, 3].map(column => sheet.getRow(2).getCell(column));
+    expect(name.type).toBe(ExcelJS.ValueType.String);
+    expect(name.value).toBe('=HYPERLINK("http://evil.test","Click")');
+    expect(raw.type).toBe(ExcelJS.ValueType.String);
+    expect(total.value).toBe(12.5);
+  });
+});
@@ -0,0 +1,98 @@
+// Loading the real email service opens an SMTP connection
+jest.mock('../services/emailService', () => ({}));
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const Vendor = require('../models/Vendor');
+const returnService = require('../services/returnService');
+const inventoryService = require('../services/inventoryService');
+const paymentService = require('../services/payments');
+
+const customer = { id: new mongoose.Types.ObjectId(), role: 'customer' };
+const admin = { id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+// Delivered card order: 3 Mugs with a 3.00 coupon share and 2.70 tax on top,
+// and a Plate
+const buildOrder = (pricing = {}) => {
+  const order = new Order({
+    orderNumber: 'ORD-1',
+    customer: customer.id,
+    vendor: new mongoose.Types.ObjectId(),
+    status: 'delivered',
+    items: [
+      { product: new mongoose.Types.ObjectId(), name: 'Mug', price: 10, quantity: 3, subtotal: 30, discount: 3, tax: { amount: 2.7 } },
+      { product: new mongoose.Types.ObjectId(), name: 'Plate', price: 20, quantity: 1, subtotal: 20 }
+    ],
+    pricing: { subtotal: 50, tax: 2.7, shipping: 0, discount: 3, total: 49.7, ...pricing },
+    payment: { method: 'stripe', status: 'completed', amount: 49.7, paymentIntentId: 'pi_1', gateway: 'fake' },
+    tracking: { deliveredAt: new Date() }
+  });
+  order.save = jest.fn().mockResolvedValue(order);
+  return order;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('return refund amounts', () => {
+  it('refunds what was paid per unit after the coupon, with tax charged on top', () => {
+    const order = buildOrder();
+
+    expect(order.unitRefund(order.items[0])).toBe(9.9);
+    expect(buildOrder({ taxInclusive: true }).unitRefund(order.items[0])).toBe(9);
+  });
+
+  it('prices each requested line and refuses units already being returned', async () => {
+    const order = buildOrder();
+    jest.spyOn(Vendor, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ returnPolicy: {} }) });
+    jest.spyOn(ReturnRequest, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ items: [{ orderItem: order.items[0]._id, quantity: 2 }] }])
+    });
+    jest.spyOn(ReturnRequest.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(returnService, 'notifyVendor').mockResolvedValue();
+
+    await expect(returnService.requestReturn(order, [{ orderItem: order.items[0]._id, quantity: 2, reason: 'defective' }], customer))
+      .rejects.toMatchObject({ statusCode: 400, details: { returnable: 1 } });
+
+    const rma = await returnService.requestReturn(order, [{ orderItem: order.items[0]._id, quantity: 1, reason: 'defective' }], customer);
+    expect(rma.items[0]).toMatchObject({ quantity: 1, unitRefund: 9.9 });
+    expect(rma.status).toBe('requested');
+  });
+
+  it('refunds the units received, restocks only the resellable ones and never refunds more than is left', async () => {
+    const order = buildOrder();
+    order.payment.refundAmount = 40;
+    const [mug, plate] = order.items;
+    const rma = new ReturnRequest({
+      rmaNumber: 'RMA-1',
+      order: order._id,
+      customer: customer.id,
+      vendor: order.vendor,
+      status: 'approved',
+      items: [
+        { orderItem: mug._id, product: mug.product, name: 'Mug', quantity: 2, unitRefund: 9.9, reason: 'defective' },
+        { orderItem: plate._id, product: plate.product, name: 'Plate', quantity: 1, unitRefund: 20, reason: 'defective' }
+      ]
+    });
+    jest.spyOn(rma, 'save').mockResolvedValue(rma);
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    const release = jest.spyOn(inventoryService, 'release').mockResolvedValue();
+    const refundOrder = jest.spyOn(paymentService, 'refundOrder').mockResolvedValue({ id: 're_1' });
+    jest.spyOn(returnService, 'updateOrderSummary').mockResolvedValue();
+    jest.spyOn(returnService, 'completeOrderReturn').mockResolvedValue();
+    jest.spyOn(returnService, 'notifyCustomer').mockResolvedValue();
+
+    await returnService.receive(rma, {
+      items: [{ orderItem: plate._id, receivedQuantity: 1, condition: 'damaged' }]
+    }, admin);
+
+    expect(release).toHaveBeenCalledWith([{ product: mug.product, variantSku: undefined, reserved: 2 }]);
+    expect(refundOrder).toHaveBeenCalledWith(order, expect.objectContaining({ amount: 9.7 }));
+    expect(rma.refund).toMatchObject({ amount: 9.7, status: 'processed', refundId: 're_1' });
+    expect(rma.status).toBe('refunded');
+  });
+});
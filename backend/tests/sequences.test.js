@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Sequence = require('../models/Sequence');
+const sequenceService = require('../services/sequenceService');
+
+const date = new Date('2026-03-07T12:00:00Z');
+
+// Sequence.findOne(...).lean()
+const mockSavedFormat = (saved = null) => jest.spyOn(Sequence, 'findOne').mockReturnValue({
+  lean: jest.fn().mockResolvedValue(saved)
+});
+
+const mockCounter = (seq) => jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sequenceService.nextNumber', () => {
+  it('formats the default order number with its date and padding', async () => {
+    mockSavedFormat();
+    const counter = mockCounter(42);
+
+    await expect(sequenceService.nextNumber('order', { date })).resolves.toBe('ORD-20260307-00042');
+    expect(counter).toHaveBeenCalledWith(
+      { _id: 'order:ORD-20260307' },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+  });
+
+  it('keeps a counter per vendor code under a saved format', async () => {
+    mockSavedFormat({ prefix: 'INV', separator: '/', dateSegment: 'YYYY', padding: 3, vendorPrefix: true });
+    const counter = mockCounter(7);
+    const vendor = { _id: new mongoose.Types.ObjectId(), businessName: 'Blue Owl Ceramics' };
+
+    await expect(sequenceService.nextNumber('invoice', { vendor, date })).resolves.toBe('INV/BLUE/2026/007');
+    expect(counter.mock.calls[0][0]).toEqual({ _id: 'invoice:INV/BLUE/2026' });
+  });
+
+  it('falls back to the vendor id when its name has no letters or digits', async () => {
+    mockSavedFormat({ dateSegment: 'none', vendorPrefix: true });
+    mockCounter(1);
+    const vendor = { _id: new mongoose.Types.ObjectId('64b0000000000000000000ab'), businessName: '***' };
+
+    await expect(sequenceService.nextNumber('payout', { vendor, date })).resolves.toBe('PAY-00AB-00001');
+  });
+
+  it('rejects unknown sequences', async () => {
+    await expect(sequenceService.nextNumber('coupon')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('sequenceService.updateFormat', () => {
+  it('saves only known fields and starts a first save from the defaults', async () => {
+    mockSavedFormat();
+    const save = jest.spyOn(Sequence, 'findOneAndUpdate').mockResolvedValue({});
+    const userId = new mongoose.Types.ObjectId();
+
+    await sequenceService.updateFormat('rma', { prefix: 'RET', padding: 4, name: 'other' }, userId);
+
+    expect(save).toHaveBeenCalledWith(
+      { name: 'rma' },
+      {
+        $set: { updatedBy: userId, prefix: 'RET', padding: 4 },
+        $setOnInsert: { separator: '-', dateSegment: 'YYYYMM', vendorPrefix: false }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+  });
+});
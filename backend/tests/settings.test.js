@@ -0,0 +1,97 @@
+const Setting = require('../models/Setting');
+const settingService = require('../services/settingService');
+
+const ENV = { ...process.env };
+
+// Setting.findOne(...) answering both .lean() and .select().lean()
+const mockStored = (setting) => jest.spyOn(Setting, 'findOne').mockImplementation(() => {
+  const query = {
+    select: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(setting)
+  };
+  return query;
+});
+
+beforeEach(() => {
+  process.env.SETTINGS_ENCRYPTION_KEY = 'test-settings-key';
+});
+
+afterEach(() => {
+  process.env = { ...ENV };
+  settingService.invalidate();
+  jest.restoreAllMocks();
+});
+
+describe('settingService.update', () => {
+  it('rejects a save made from a version that is no longer current', async () => {
+    mockStored({ key: 'checkout', version: 3, value: { taxRate: 5 } });
+    const save = jest.spyOn(Setting, 'findOneAndUpdate');
+
+    await expect(settingService.update('checkout', { taxRate: 7 }, { version: 2 }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('turns a save that lost the race into a 409', async () => {
+    mockStored({ key: 'checkout', version: 3, value: {} });
+    jest.spyOn(Setting, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(settingService.update('checkout', { taxRate: 7 }, { version: 3 }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('saves a new version on top of the one it was loaded from and keeps the old one', async () => {
+    const current = { key: 'checkout', version: 3, value: { taxRate: 5 }, updatedAt: new Date() };
+    mockStored(current);
+    const save = jest.spyOn(Setting, 'findOneAndUpdate').mockResolvedValue({});
+
+    await settingService.update('checkout', { taxRate: '7.5', unknown: 1 }, { version: '3' });
+
+    const [filter, update] = save.mock.calls[0];
+    expect(filter).toEqual({ key: 'checkout', version: 3 });
+    expect(update.$set.value).toEqual({ taxRate: 7.5 });
+    expect(update.$inc).toEqual({ version: 1 });
+    expect(update.$push.history.$each[0]).toMatchObject({ version: 3, value: { taxRate: 5 } });
+  });
+
+  it('rejects values of the wrong type or out of range', async () => {
+    mockStored(null);
+
+    await expect(settingService.update('checkout', { taxRate: 120 })).rejects.toThrow('taxRate must be between 0 and 100');
+    await expect(settingService.update('general', { maintenanceMode: 'yes' })).rejects.toThrow('true or false');
+    await expect(settingService.update('payment', { paypalMode: 'test' })).rejects.toThrow('sandbox, live');
+    await expect(settingService.update('shipping', {})).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('secret settings', () => {
+  it('are stored encrypted, kept when left blank and never sent back', async () => {
+    mockStored(null);
+    const save = jest.spyOn(Setting, 'findOneAndUpdate').mockResolvedValue({});
+
+    await settingService.update('payment', { stripeSecretKey: 'sk_test_123' });
+    const stored = save.mock.calls[0][1].$set.value;
+    expect(JSON.stringify(stored)).not.toContain('sk_test_123');
+    expect(settingService.decrypt(stored.stripeSecretKey)).toBe('sk_test_123');
+
+    jest.restoreAllMocks();
+    settingService.invalidate();
+    mockStored({ key: 'payment', version: 1, value: stored });
+    const resave = jest.spyOn(Setting, 'findOneAndUpdate').mockResolvedValue({});
+
+    await expect(settingService.get('payment')).resolves.toMatchObject({ stripeSecretKey: 'sk_test_123' });
+    await expect(settingService.view('payment')).resolves.toMatchObject({ values: { stripeSecretKey: '' }, version: 1 });
+
+    await settingService.update('payment', { stripeSecretKey: '', codEnabled: false });
+    expect(resave.mock.calls[0][1].$set.value.stripeSecretKey).toBe(stored.stripeSecretKey);
+  });
+
+  it('fall back to their default when they no longer decrypt', () => {
+    const stored = settingService.encrypt('sk_test_123');
+    process.env.SETTINGS_ENCRYPTION_KEY = 'rotated-key';
+    process.env.STRIPE_SECRET_KEY = 'sk_env';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(settingService.resolve('payment', { stripeSecretKey: stored }).stripeSecretKey).toBe('sk_env');
+  });
+});
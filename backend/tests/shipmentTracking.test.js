@@ -0,0 +1,73 @@
+// Loading the real email service opens an SMTP connection
+jest.mock('../services/emailService', () => ({}));
+
+const FakeCarrier = require('../services/carriers/fakeCarrier');
+const carrierService = require('../services/carriers');
+const shipmentService = require('../services/shipmentService');
+const Shipment = require('../models/Shipment');
+
+const ENV = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...ENV };
+  carrierService.carriers = {};
+  jest.restoreAllMocks();
+});
+
+describe('fake carrier', () => {
+  it('refuses to run unless enabled with a webhook secret, and never in production', () => {
+    process.env.NODE_ENV = 'test';
+    process.env.FAKE_CARRIER_WEBHOOK_SECRET = 'whsec_test_carrier';
+    expect(() => new FakeCarrier()).toThrow('not enabled');
+
+    process.env.FAKE_CARRIER_ENABLED = 'true';
+    expect(() => new FakeCarrier()).not.toThrow();
+
+    process.env.NODE_ENV = 'production';
+    expect(() => new FakeCarrier()).toThrow('not enabled');
+  });
+
+  it('is left out of the carriers offered while disabled', () => {
+    delete process.env.FAKE_CARRIER_ENABLED;
+
+    const codes = carrierService.getAvailableCarriers().map(carrier => carrier.code);
+
+    expect(codes).not.toContain('fake');
+    expect(codes).toContain('ups');
+  });
+
+  it('rejects webhooks not signed with the configured secret', () => {
+    process.env.NODE_ENV = 'test';
+    process.env.FAKE_CARRIER_ENABLED = 'true';
+    process.env.FAKE_CARRIER_WEBHOOK_SECRET = 'whsec_test_carrier';
+    const carrier = new FakeCarrier();
+    const payload = JSON.stringify({ trackingNumber: 'FAKE1', status: 'delivered' });
+
+    carrier.webhookSecret = 'whsec_fake_carrier';
+    const forged = carrier.signPayload(payload);
+    carrier.webhookSecret = process.env.FAKE_CARRIER_WEBHOOK_SECRET;
+
+    expect(() => carrier.parseWebhook(Buffer.from(payload), forged)).toThrow('signature mismatch');
+    expect(carrier.parseWebhook(Buffer.from(payload), carrier.signPayload(payload))).toEqual([
+      expect.objectContaining({ trackingNumber: 'FAKE1', status: 'delivered' })
+    ]);
+  });
+});
+
+describe('tracking polls', () => {
+  it('only polls shipments whose status can still change', async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.FAKE_CARRIER_ENABLED = 'true';
+    process.env.FAKE_CARRIER_WEBHOOK_SECRET = 'whsec_test_carrier';
+    const find = jest.spyOn(Shipment, 'find').mockReturnValue({
+      sort: () => ({ limit: () => Promise.resolve([]) })
+    });
+
+    await shipmentService.pollActive();
+
+    expect(find).toHaveBeenCalledWith({
+      carrier: { $in: ['fake'] },
+      status: { $in: ['label_created', 'in_transit', 'out_for_delivery'] }
+    });
+  });
+});
@@ -0,0 +1,25 @@
+const shippingService = require('../services/shippingService');
+const { countryCode } = require('../utils/countries');
+
+describe('countryCode', () => {
+  it('resolves names, codes and common aliases to ISO codes', () => {
+    expect(['US', ' usa ', 'United States', 'United States of America'].map(countryCode)).toEqual(['US', 'US', 'US', 'US']);
+    expect(['GB', 'uk', 'United Kingdom', 'Great Britain'].map(countryCode)).toEqual(['GB', 'GB', 'GB', 'GB']);
+    expect(countryCode('Côte d’Ivoire')).toBe('CI');
+  });
+
+  it('keeps unknown values comparable', () => {
+    expect(countryCode(' Atlantis ')).toBe(countryCode('atlantis'));
+    expect(countryCode(undefined)).toBe('');
+  });
+});
+
+describe('isDomestic', () => {
+  const vendor = { businessAddress: { country: 'United States' } };
+
+  it('matches the same country however it is written', () => {
+    expect(shippingService.isDomestic(vendor, { country: 'US' })).toBe(true);
+    expect(shippingService.isDomestic(vendor, { country: 'usa' })).toBe(true);
+    expect(shippingService.isDomestic(vendor, { country: 'Canada' })).toBe(false);
+  });
+});
@@ -0,0 +1,34 @@
+const TaxZone = require('../models/TaxZone');
+const taxService = require('../services/taxService');
+
+const buildZone = (fields) => new TaxZone({
+  name: 'California',
+  country: 'US',
+  states: ['CA'],
+  rates: [{ taxClass: 'standard', rate: 7.25 }],
+  isActive: true,
+  ...fields
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('tax zones', () => {
+  it('matches a zone saved as an ISO code against a full country name', () => {
+    const zone = buildZone();
+
+    expect(zone.matchesAddress({ country: 'United States', state: 'ca' })).toBe(true);
+    expect(zone.matchesAddress({ country: 'usa', state: 'CA' })).toBe(true);
+    expect(zone.matchesAddress({ country: 'Canada', state: 'CA' })).toBe(false);
+  });
+
+  it('taxes an order to the default country with the ISO-coded zone', async () => {
+    jest.spyOn(TaxZone, 'find').mockResolvedValue([buildZone()]);
+
+    const tax = await taxService.calculate({ country: 'United States', state: 'CA' }, [{ amount: 100 }]);
+
+    expect(tax.zone.name).toBe('California');
+    expect(tax.total).toBe(7.25);
+  });
+});
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const inventoryService = require('../services/inventoryService');
+
+const buildProduct = () => new Product({
+  name: 'Tee',
+  inventory: { trackQuantity: true, quantity: 0 },
+  variants: [
+    {
+      name: 'Color',
+      options: [
+        { value: 'Red', sku: 'TEE-RED', price: 0, inventory: 5, image: { url: '/red.png' } },
+        { value: 'Blue', sku: 'TEE-BLUE', price: 1, inventory: 0 }
+      ]
+    },
+    {
+      name: 'Size',
+      options: [
+        { value: 'S', sku: 'TEE-S', price: 0, inventory: 4 },
+        { value: 'XL', sku: 'TEE-XL', price: 2.5, inventory: 2 }
+      ]
+    }
+  ]
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('variant options', () => {
+  it('resolves a combined SKU from one option per group', () => {
+    const { variant, option } = buildProduct().findVariantOption('TEE-RED+TEE-XL');
+
+    expect(variant.name).toBe('Color / Size');
+    expect(option).toMatchObject({ value: 'Red / XL', sku: 'TEE-RED+TEE-XL', price: 2.5, inventory: 2 });
+    expect(option.image.url).toBe('/red.png');
+  });
+
+  it('rejects combined SKUs with unknown options or two options of one group', () => {
+    const product = buildProduct();
+
+    expect(product.findVariantOption('TEE-RED+TEE-XXL')).toBeNull();
+    expect(product.findVariantOption('TEE-RED+TEE-BLUE')).toBeNull();
+    expect(product.findVariantOption('TEE-S').option.value).toBe('S');
+  });
+
+  it('counts a combination available only while every option has the stock', () => {
+    const product = buildProduct();
+    product.status = 'active';
+
+    expect(product.isAvailable(2, 'TEE-RED+TEE-XL')).toBe(true);
+    expect(product.isAvailable(3, 'TEE-RED+TEE-XL')).toBe(false);
+    expect(product.isAvailable(1, 'TEE-BLUE+TEE-S')).toBe(false);
+  });
+
+  it('takes and returns stock on every option of a combination', async () => {
+    const product = buildProduct();
+    const update = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await inventoryService.reserveLine({ product, quantity: 2, variantSku: 'TEE-RED+TEE-XL' });
+    await inventoryService.release([{ product: new mongoose.Types.ObjectId(), reserved: 2, variantSku: 'TEE-RED+TEE-XL' }]);
+
+    const [take, release] = update.mock.calls;
+    expect(take[0].$and).toEqual([
+      { 'variants.options': { $elemMatch: { sku: 'TEE-RED', inventory: { $gte: 2 } } } },
+      { 'variants.options': { $elemMatch: { sku: 'TEE-XL', inventory: { $gte: 2 } } } }
+    ]);
+    expect(take[2]).toEqual({ arrayFilters: [{ 'option.sku': { $in: ['TEE-RED', 'TEE-XL'] } }] });
+    expect(release[1]).toEqual({ $inc: { 'variants.$[].options.$[option].inventory': 2 } });
+    expect(release[2]).toEqual({ arrayFilters: [{ 'option.sku': { $in: ['TEE-RED+TEE-XL', 'TEE-RED', 'TEE-XL'] } }] });
+  });
+
+  it('keeps option SKUs saved with "+" before it joined combinations', async () => {
+    const stored = buildProduct().toObject();
+    stored.variants[0].options[0].sku = 'TEE-RED+WHITE';
+    const legacy = Product.hydrate(stored);
+
+    await expect(legacy.validate(['variants'])).resolves.toBeUndefined();
+    expect(legacy.findVariantOption('TEE-RED+WHITE').option.value).toBe('Red');
+    expect(legacy.variantOptionSkus('TEE-RED+WHITE+TEE-S')).toEqual(['TEE-RED', 'WHITE', 'TEE-S']);
+
+    legacy.variants[0].options[1].sku = 'TEE-BLUE+WHITE';
+    await expect(legacy.validate(['variants'])).rejects.toThrow('Option SKUs cannot contain "+"');
+  });
+
+  it('rejects "+" in the SKU of a new option', async () => {
+    const product = buildProduct();
+    product.variants[1].options.push({ value: 'M', sku: 'TEE-M+', inventory: 1 });
+
+    await expect(product.validate(['variants'])).rejects.toThrow('Option SKUs cannot contain "+"');
+  });
+
+  it('takes stock from a legacy "+" option as one option', async () => {
+    const stored = buildProduct().toObject();
+    stored.variants[0].options[0].sku = 'TEE-RED+WHITE';
+    const update = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await inventoryService.reserveLine({ product: Product.hydrate(stored), quantity: 1, variantSku: 'TEE-RED+WHITE' });
+
+    const [[filter, , options]] = update.mock.calls;
+    expect(filter.$and).toEqual([
+      { 'variants.options': { $elemMatch: { sku: 'TEE-RED+WHITE', inventory: { $gte: 1 } } } }
+    ]);
+    expect(options).toEqual({ arrayFilters: [{ 'option.sku': { $in: ['TEE-RED+WHITE'] } }] });
+  });
+});
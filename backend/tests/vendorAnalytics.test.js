@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ProductView = require('../models/ProductView');
+const reportService = require('../services/reportService');
+const settingService = require('../services/settingService');
+
+const vendorId = new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ProductView.record', () => {
+  it('counts a view in the hour it falls in, one document per product and hour', async () => {
+    const update = jest.spyOn(ProductView, 'updateOne').mockResolvedValue({});
+    const product = { _id: new mongoose.Types.ObjectId(), vendor: { _id: vendorId } };
+
+    await ProductView.record(product, new Date('2026-06-01T09:42:13Z'));
+
+    expect(update).toHaveBeenCalledWith(
+      { product: product._id, hour: new Date('2026-06-01T09:00:00Z') },
+      { $inc: { views: 1 }, $setOnInsert: { vendor: vendorId } },
+      { upsert: true }
+    );
+  });
+});
+
+describe('reportService.vendorTotals', () => {
+  it('works out conversion, repeat customer and refund rates', async () => {
+    jest.spyOn(Order, 'aggregate')
+      .mockResolvedValueOnce([{ revenue: 450, gross: 500, refunded: 50, orders: 4, units: 9 }])
+      .mockResolvedValueOnce([{ buyers: 3, repeat: 1 }]);
+    jest.spyOn(ProductView, 'aggregate').mockResolvedValue([{ views: 160 }]);
+
+    const totals = await reportService.vendorTotals(vendorId, new Date('2026-06-01'), new Date('2026-07-01'));
+
+    expect(totals).toEqual({
+      revenue: 450,
+      orders: 4,
+      units: 9,
+      averageOrderValue: 112.5,
+      views: 160,
+      conversionRate: 2.5,
+      repeatCustomerRate: 33.3,
+      refundRate: 10
+    });
+    expect(Order.aggregate.mock.calls[0][0][0].$match).toMatchObject({ vendor: vendorId });
+  });
+
+  it('reports zeros for a vendor without sales or views', async () => {
+    jest.spyOn(Order, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(ProductView, 'aggregate').mockResolvedValue([]);
+
+    const totals = await reportService.vendorTotals(vendorId, new Date('2026-06-01'), new Date('2026-07-01'));
+
+    expect(Object.values(totals).every(value => value === 0)).toBe(true);
+  });
+});
+
+describe('reportService.vendorAnalytics', () => {
+  it('sets each figure against the previous period and fills empty days of the series', async () => {
+    jest.spyOn(settingService, 'getValue').mockResolvedValue('UTC');
+    const range = await reportService.resolveRange({ from: '2026-06-01', to: '2026-06-03' });
+    const totals = (revenue, orders, conversionRate) => ({
+      revenue, orders, units: orders * 2, averageOrderValue: revenue / orders, views: 100, conversionRate, repeatCustomerRate: 0, refundRate: 0
+    });
+    jest.spyOn(reportService, 'vendorTotals')
+      .mockResolvedValueOnce(totals(300, 3, 3))
+      .mockResolvedValueOnce(totals(200, 2, 2));
+    jest.spyOn(reportService, 'vendorCategories').mockResolvedValue([]);
+    jest.spyOn(Order, 'aggregate')
+      .mockResolvedValueOnce([{ _id: '2026-06-02', revenue: 300, orders: 3, units: 6 }])
+      .mockResolvedValueOnce([]);
+    jest.spyOn(ProductView, 'aggregate').mockResolvedValue([{ _id: '2026-06-02', views: 60 }]);
+
+    const analytics = await reportService.vendorAnalytics(vendorId, range);
+
+    expect(analytics.totals.revenue).toEqual({ current: 300, previous: 200, change: 100, growth: 50 });
+    expect(analytics.totals.conversionRate).toEqual({ current: 3, previous: 2, change: 1, growth: 50 });
+    expect(analytics.series).toEqual([
+      { date: '2026-06-01', revenue: 0, orders: 0, units: 0, views: 0, conversionRate: 0 },
+      { date: '2026-06-02', revenue: 300, orders: 3, units: 6, views: 60, conversionRate: 5 },
+      { date: '2026-06-03', revenue: 0, orders: 0, units: 0, views: 0, conversionRate: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+// Country names and codes as entered on addresses ("US", "usa", "United
+// States") resolved to ISO 3166-1 alpha-2 codes. English names come from
+// Intl.DisplayNames; the aliases cover common spellings it does not produce.
+const ALIASES = {
+  'usa': 'US',
+  'united states of america': 'US',
+  'america': 'US',
+  'uk': 'GB',
+  'great britain': 'GB',
+  'england': 'GB',
+  'scotland': 'GB',
+  'wales': 'GB',
+  'northern ireland': 'GB',
+  'uae': 'AE',
+  'holland': 'NL',
+  'the netherlands': 'NL',
+  'south korea': 'KR',
+  'korea': 'KR',
+  'russia': 'RU',
+  'czech republic': 'CZ',
+  'ivory coast': 'CI',
+  'vietnam': 'VN',
+  'burma': 'MM'
+};
+
+// Lowercase, without accents, punctuation or repeated spaces
+const simplify = (value) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9 ]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const CODES_BY_NAME = (() => {
+  const names = new Intl.DisplayNames(['en'], { type: 'region' });
+  const codes = new Map(Object.entries(ALIASES));
+  for (let first = 65; first <= 90; first += 1) {
+    for (let second = 65; second <= 90; second += 1) {
+      const code = String.fromCharCode(first, second);
+      const name = names.of(code);
+      // Deprecated codes (e.g. UK, DD) canonicalise to their current one
+      if (name && name !== code && name !== 'Unknown Region' && new Intl.Locale(`und-${code}`).region === code) {
+        codes.set(simplify(name), code);
+      }
+    }
+  }
+  return codes;
+})();
+
+const KNOWN_CODES = new Set(CODES_BY_NAME.values());
+
+// ISO alpha-2 code of a country name or code. Unrecognised values come back
+// simplified (see above) so equal spellings still compare equal; empty input
+// gives an empty string.
+const countryCode = (value) => {
+  const simple = simplify(value || '');
+  if (/^[a-z]{2}$/.test(simple) && KNOWN_CODES.has(simple.toUpperCase())) return simple.toUpperCase();
+  return CODES_BY_NAME.get(simple) || simple;
+};
+
+module.exports = { countryCode };
@@ -0,0 +1,60 @@
+// Text a spreadsheet would run as a formula: starting with =, +, -, @, a tab
+// or a carriage return. Plain numbers such as negative amounts are left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+// Neutralise a value a spreadsheet would evaluate by prefixing a quote, so
+// user-entered text such as a product name opens as text
+const neutraliseFormula = (text) => (
+  FORMULA_START.test(text) && !NUMBER.test(text) ? `'${text}` : text
+);
+
+// Quote a CSV field when it contains a separator, quote or line break
+const escapeField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : neutraliseFormula(String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from rows of objects. columns: [{ key, header }], where
+// key is a property name or a function of the row.
+const toCsv = (rows, columns) => {
+  const header = columns.map(column => escapeField(column.header)).join(',');
+  const lines = rows.map(row => columns
+    .map(({ key }) => escapeField(typeof key === 'function' ? key(row) : row[key]))
+    .join(','));
+
+  return [header, ...lines].join('\r\n') + '\r\n';
+};
+
+// Resolve once a stream can take more data, or has been closed
+const waitForDrain = (stream) => new Promise(resolve => {
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+// Write rows from an array or async iterable (e.g. a database cursor) to a
+// writable stream as CSV, line by line. Waits whenever the stream's buffer is
+// full, and stops early if the stream is closed, e.g. the client went away.
+const writeCsv = async (stream, rows, columns) => {
+  const write = async (line) => {
+    if (!stream.write(`${line}\r\n`)) await waitForDrain(stream);
+  };
+
+  await write(columns.map(column => escapeField(column.header)).join(','));
+  for await (const row of rows) {
+    if (stream.destroyed) break;
+    await write(columns
+      .map(({ key }) => escapeField(typeof key === 'function' ? key(row) : row[key]))
+      .join(','));
+  }
+
+  stream.end();
+};
+
+module.exports = { escapeField, neutraliseFormula, toCsv, writeCsv, waitForDrain };
@@ -0,0 +1,10 @@
+// Error carrying an HTTP status code, understood by middleware/errorHandler
+class ErrorResponse extends Error {
+  constructor(message, statusCode = 500, details) {
+    super(message);
+    this.statusCode = statusCode;
+    if (details) this.details = details;
+  }
+}
+
+module.exports = ErrorResponse;
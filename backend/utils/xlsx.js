@@ -0,0 +1,39 @@
+const ExcelJS = require('exceljs');
+const { waitForDrain } = require('./csv');
+
+// Numbers, dates and booleans keep their type; everything else is written as
+// a plain text cell. ExcelJS turns objects such as { formula } into formulas,
+// so nothing from a row reaches a cell as anything but text.
+const cellValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number' || typeof value === 'boolean' || value instanceof Date) return value;
+  return String(value);
+};
+
+// Write rows from an array or async iterable (e.g. a database cursor) to a
+// writable stream as a single-sheet XLSX workbook. Rows are committed as they
+// are added so the workbook is never held in memory. columns: [{ key, header,
+// numFmt }], where key is a property name or a function of the row.
+const writeXlsx = async (stream, rows, columns, sheetName = 'Report') => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map(({ header, numFmt }, index) => ({
+    header,
+    key: String(index),
+    width: Math.max(12, header.length + 2),
+    style: numFmt ? { numFmt } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const row of rows) {
+    if (stream.destroyed) break;
+    sheet.addRow(columns.map(({ key }) => cellValue(typeof key === 'function' ? key(row) : row[key]))).commit();
+    if (stream.writableNeedDrain) await waitForDrain(stream);
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+module.exports = { writeXlsx };
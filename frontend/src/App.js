@@ -9,10 +9,12 @@ import axios from 'axios';
 import { AuthProvider } from './context/AuthContext';
 import { CartProvider } from './context/CartContext';
 import { ThemeProvider } from './context/ThemeContext';
+import { MaintenanceProvider } from './context/MaintenanceContext';
 
 // Components
 import Navbar from './components/layout/Navbar';
 import Footer from './components/layout/Footer';
+import MaintenanceGate from './components/layout/MaintenanceGate';
 import ProtectedRoute from './components/auth/ProtectedRoute';
 import LoadingSpinner from './components/ui/LoadingSpinner';
 
@@ -28,6 +30,7 @@ import Profile from './pages/Profile';
 import VendorDashboard from './pages/vendor/Dashboard';
 import VendorProducts from './pages/vendor/Products';
 import VendorOrders from './pages/vendor/Orders';
+import VendorPayouts from './pages/vendor/Payouts';
 import VendorApplication from './pages/vendor/Application';
 import AddProduct from './pages/vendor/AddProduct';
 import AdminDashboard from './pages/admin/Dashboard';
@@ -67,194 +70,206 @@ function App() {
     <QueryClientProvider client={queryClient}>
       <HelmetProvider>
         <ThemeProvider>
-          <AuthProvider>
-            <CartProvider>
-              <Router>
-                <div className="App">
-                  <Navbar />
-                  <main className="main-content">
-                    <Routes>
-                      {/* Public Routes */}
-                      <Route path="/" element={<Home />} />
-                      <Route path="/products" element={<Products />} />
-                      <Route path="/products/:id" element={<ProductDetail />} />
-                      <Route path="/vendor/:id" element={<VendorStore />} />
-                      <Route path="/cart" element={<Cart />} />
-                      <Route path="/login" element={<Login />} />
-                      <Route path="/register" element={<Register />} />
-                      <Route path="/order-success" element={<OrderSuccess />} />
+          <MaintenanceProvider>
+            <AuthProvider>
+              <CartProvider>
+                <Router>
+                  <MaintenanceGate>
+                    <div className="App">
+                      <Navbar />
+                      <main className="main-content">
+                        <Routes>
+                          {/* Public Routes */}
+                          <Route path="/" element={<Home />} />
+                          <Route path="/products" element={<Products />} />
+                          <Route path="/products/:id" element={<ProductDetail />} />
+                          <Route path="/vendor/:id" element={<VendorStore />} />
+                          <Route path="/cart" element={<Cart />} />
+                          <Route path="/login" element={<Login />} />
+                          <Route path="/register" element={<Register />} />
+                          <Route path="/order-success" element={<OrderSuccess />} />
 
-                      {/* Protected Customer Routes */}
-                      <Route 
-                        path="/profile" 
-                        element={
-                          <ProtectedRoute>
-                            <Profile />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route 
-                        path="/checkout" 
-                        element={
-                          <ProtectedRoute>
-                            <Checkout />
-                          </ProtectedRoute>
-                        } 
-                      />
+                          {/* Protected Customer Routes */}
+                          <Route 
+                            path="/profile" 
+                            element={
+                              <ProtectedRoute>
+                                <Profile />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/checkout" 
+                            element={
+                              <ProtectedRoute>
+                                <Checkout />
+                              </ProtectedRoute>
+                            } 
+                          />
 
-                      {/* Vendor Routes */}
-                      <Route 
-                        path="/vendor/apply" 
-                        element={
-                          <ProtectedRoute allowedRoles={['customer']}>
-                            <VendorApplication />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route 
-                        path="/vendor/dashboard" 
-                        element={
-                          <ProtectedRoute allowedRoles={['vendor']}>
-                            <VendorDashboard />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route 
-                        path="/vendor/products" 
-                        element={
-                          <ProtectedRoute allowedRoles={['vendor']}>
-                            <VendorProducts />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route 
-                        path="/vendor/orders" 
-                        element={
-                          <ProtectedRoute allowedRoles={['vendor']}>
-                            <VendorOrders />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route 
-                        path="/vendor/products/add" 
-                        element={
-                          <ProtectedRoute allowedRoles={['vendor']}>
-                            <AddProduct />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route 
-                        path="/vendor/products/edit/:id" 
-                        element={
-                          <ProtectedRoute allowedRoles={['vendor']}>
-                            <AddProduct />
-                          </ProtectedRoute>
-                        } 
-                      />
+                          {/* Vendor Routes */}
+                          <Route 
+                            path="/vendor/apply" 
+                            element={
+                              <ProtectedRoute allowedRoles={['customer']}>
+                                <VendorApplication />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/vendor/dashboard" 
+                            element={
+                              <ProtectedRoute allowedRoles={['vendor']}>
+                                <VendorDashboard />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/vendor/products" 
+                            element={
+                              <ProtectedRoute allowedRoles={['vendor']}>
+                                <VendorProducts />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/vendor/orders" 
+                            element={
+                              <ProtectedRoute allowedRoles={['vendor']}>
+                                <VendorOrders />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/vendor/payouts" 
+                            element={
+                              <ProtectedRoute allowedRoles={['vendor']}>
+                                <VendorPayouts />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/vendor/products/add" 
+                            element={
+                              <ProtectedRoute allowedRoles={['vendor']}>
+                                <AddProduct />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/vendor/products/edit/:id" 
+                            element={
+                              <ProtectedRoute allowedRoles={['vendor']}>
+                                <AddProduct />
+                              </ProtectedRoute>
+                            } 
+                          />
 
-                      {/* Admin Routes */}
-                      <Route 
-                        path="/admin/dashboard" 
-                        element={
-                          <ProtectedRoute allowedRoles={['admin']}>
-                            <AdminDashboard />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route path="/admin/users" element={
-                        <ProtectedRoute requiredRole="admin">
-                          <AdminUsers />
-                        </ProtectedRoute>
-                      } />
-                      <Route path="/admin/customers" element={
-                        <ProtectedRoute requiredRole="admin">
-                          <AdminCustomers />
-                        </ProtectedRoute>
-                      } />
-                      <Route 
-                        path="/admin/vendors" 
-                        element={
-                          <ProtectedRoute allowedRoles={['admin']}>
-                            <AdminVendors />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route 
-                        path="/admin/products" 
-                        element={
-                          <ProtectedRoute allowedRoles={['admin']}>
-                            <AdminProducts />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route 
-                        path="/admin/orders" 
-                        element={
-                          <ProtectedRoute allowedRoles={['admin']}>
-                            <AdminOrders />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route 
-                        path="/admin/categories" 
-                        element={
-                          <ProtectedRoute allowedRoles={['admin']}>
-                            <AdminCategories />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route 
-                        path="/admin/reports" 
-                        element={
-                          <ProtectedRoute allowedRoles={['admin']}>
-                            <AdminReports />
-                          </ProtectedRoute>
-                        } 
-                      />
-                      <Route 
-                        path="/admin/settings" 
-                        element={
-                          <ProtectedRoute allowedRoles={['admin']}>
-                            <AdminSettings />
-                          </ProtectedRoute>
-                        } 
-                      />
+                          {/* Admin Routes */}
+                          <Route 
+                            path="/admin/dashboard" 
+                            element={
+                              <ProtectedRoute allowedRoles={['admin']}>
+                                <AdminDashboard />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route path="/admin/users" element={
+                            <ProtectedRoute requiredRole="admin">
+                              <AdminUsers />
+                            </ProtectedRoute>
+                          } />
+                          <Route path="/admin/customers" element={
+                            <ProtectedRoute requiredRole="admin">
+                              <AdminCustomers />
+                            </ProtectedRoute>
+                          } />
+                          <Route 
+                            path="/admin/vendors" 
+                            element={
+                              <ProtectedRoute allowedRoles={['admin']}>
+                                <AdminVendors />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/admin/products" 
+                            element={
+                              <ProtectedRoute allowedRoles={['admin']}>
+                                <AdminProducts />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/admin/orders" 
+                            element={
+                              <ProtectedRoute allowedRoles={['admin']}>
+                                <AdminOrders />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/admin/categories" 
+                            element={
+                              <ProtectedRoute allowedRoles={['admin']}>
+                                <AdminCategories />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/admin/reports" 
+                            element={
+                              <ProtectedRoute allowedRoles={['admin']}>
+                                <AdminReports />
+                              </ProtectedRoute>
+                            } 
+                          />
+                          <Route 
+                            path="/admin/settings" 
+                            element={
+                              <ProtectedRoute allowedRoles={['admin']}>
+                                <AdminSettings />
+                              </ProtectedRoute>
+                            } 
+                          />
 
-                      {/* 404 Route */}
-                      <Route path="*" element={<NotFound />} />
-                    </Routes>
-                  </main>
-                  <Footer />
-                </div>
-              </Router>
+                          {/* 404 Route */}
+                          <Route path="*" element={<NotFound />} />
+                        </Routes>
+                      </main>
+                      <Footer />
+                    </div>
+                  </MaintenanceGate>
+                </Router>
 
-              {/* Toast Notifications */}
-              <Toaster
-                position="top-right"
-                toastOptions={{
-                  duration: 4000,
-                  style: {
-                    background: '#363636',
-                    color: '#fff',
-                  },
-                  success: {
-                    duration: 3000,
-                    theme: {
-                      primary: '#4ade80',
-                      secondary: '#000',
-                    },
-                  },
-                  error: {
+                {/* Toast Notifications */}
+                <Toaster
+                  position="top-right"
+                  toastOptions={{
                     duration: 4000,
-                    theme: {
-                      primary: '#ef4444',
-                      secondary: '#000',
+                    style: {
+                      background: '#363636',
+                      color: '#fff',
+                    },
+                    success: {
+                      duration: 3000,
+                      theme: {
+                        primary: '#4ade80',
+                        secondary: '#000',
+                      },
+                    },
+                    error: {
+                      duration: 4000,
+                      theme: {
+                        primary: '#ef4444',
+                        secondary: '#000',
+                      },
                     },
-                  },
-                }}
-              />
-            </CartProvider>
-          </AuthProvider>
+                  }}
+                />
+              </CartProvider>
+            </AuthProvider>
+          </MaintenanceProvider>
         </ThemeProvider>
       </HelmetProvider>
     </QueryClientProvider>
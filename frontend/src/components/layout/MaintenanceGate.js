@@ -0,0 +1,21 @@
+import { useLocation } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { useMaintenance } from '../../context/MaintenanceContext';
+import Maintenance from '../../pages/Maintenance';
+
+// Replaces the app with the maintenance screen once the API reports
+// maintenance mode. Admins are let through, and the login page stays
+// reachable so they can sign in.
+const MaintenanceGate = ({ children }) => {
+  const { maintenance } = useMaintenance();
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (maintenance && user?.role !== 'admin' && location.pathname !== '/login') {
+    return <Maintenance />;
+  }
+
+  return children;
+};
+
+export default MaintenanceGate;
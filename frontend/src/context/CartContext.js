@@ -1,5 +1,7 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback, useState } from 'react';
+import axios from 'axios';
 import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
 
 const CartContext = createContext();
 
@@ -57,40 +59,154 @@ const cartReducer = (state, action) => {
         items: action.payload
       };
 
+    case 'SET_SERVER_CART':
+      return {
+        ...state,
+        items: action.payload.items.map(fromServerItem),
+        hasIssues: action.payload.hasIssues
+      };
+
     default:
       return state;
   }
 };
 
+// Map a line of the saved (server) cart onto the shape the app uses
+const fromServerItem = (line) => ({
+  id: line._id,
+  product: line.product,
+  quantity: line.quantity,
+  variant: line.variant?.sku ? line.variant : null,
+  price: line.price,
+  previousPrice: line.previousPrice,
+  available: line.available,
+  availableQuantity: line.availableQuantity,
+  issues: line.issues,
+  addedAt: line.addedAt
+});
+
+// Guest cart lines as the merge endpoint expects them
+const toMergeItem = (item) => ({
+  productId: item.product._id,
+  quantity: item.quantity,
+  ...(item.variant?.sku && { variant: { sku: item.variant.sku } })
+});
+
 // Initial state
 const initialState = {
-  items: []
+  items: [],
+  hasIssues: false
 };
 
 // Cart provider component
 export const CartProvider = ({ children }) => {
   const [state, dispatch] = useReducer(cartReducer, initialState);
+  const { isAuthenticated } = useAuth();
+  // Platform tax rate and free-shipping threshold for the cart estimate
+  const [estimates, setEstimates] = useState({ taxRate: 8, freeShippingThreshold: 50 });
 
-  // Load cart from localStorage on mount
   useEffect(() => {
-    const savedCart = localStorage.getItem('cart');
-    if (savedCart) {
+    axios.get('/api/settings/public')
+      .then(response => setEstimates(response.data.settings))
+      .catch(error => console.error('Error loading settings:', error));
+  }, []);
+
+  const setServerCart = useCallback((cart) => {
+    dispatch({ type: 'SET_SERVER_CART', payload: cart });
+  }, []);
+
+  // Re-read the saved cart; the server re-prices it and flags problems
+  const refreshCart = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/cart');
+      setServerCart(response.data.cart);
+    } catch (error) {
+      console.error('Error loading cart:', error);
+    }
+  }, [setServerCart]);
+
+  // Guests keep their cart in localStorage. On login it is merged into the
+  // saved cart, which is the source of truth from then on.
+  useEffect(() => {
+    if (!isAuthenticated) {
+      const savedCart = localStorage.getItem('cart');
+      let cartItems = [];
+      if (savedCart) {
+        try {
+          cartItems = JSON.parse(savedCart);
+        } catch (error) {
+          console.error('Error loading cart from localStorage:', error);
+        }
+      }
+      dispatch({ type: 'SET_CART', payload: cartItems });
+      return;
+    }
+
+    const mergeGuestCart = async () => {
+      let guestItems = [];
       try {
-        const cartItems = JSON.parse(savedCart);
-        dispatch({ type: 'SET_CART', payload: cartItems });
+        guestItems = JSON.parse(localStorage.getItem('cart') || '[]');
       } catch (error) {
         console.error('Error loading cart from localStorage:', error);
       }
-    }
-  }, []);
 
-  // Save cart to localStorage whenever it changes
+      if (guestItems.length === 0) {
+        await refreshCart();
+        return;
+      }
+
+      try {
+        const response = await axios.post('/api/cart/merge', {
+          items: guestItems.map(toMergeItem)
+        });
+        localStorage.removeItem('cart');
+        setServerCart(response.data.cart);
+
+        if (response.data.skipped?.length > 0) {
+          toast.error(`${response.data.skipped.length} item(s) from your previous cart are no longer available`);
+        }
+      } catch (error) {
+        console.error('Error merging cart:', error);
+        await refreshCart();
+      }
+    };
+
+    mergeGuestCart();
+  }, [isAuthenticated, refreshCart, setServerCart]);
+
+  // Save the guest cart to localStorage whenever it changes
   useEffect(() => {
-    localStorage.setItem('cart', JSON.stringify(state.items));
-  }, [state.items]);
+    if (!isAuthenticated) {
+      localStorage.setItem('cart', JSON.stringify(state.items));
+    }
+  }, [state.items, isAuthenticated]);
+
+  // Run a cart request and take the server's cart from the response
+  const updateServerCart = async (request, successMessage) => {
+    try {
+      const response = await request();
+      setServerCart(response.data.cart);
+      if (successMessage) toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update cart');
+      return false;
+    }
+  };
 
   // Add item to cart
-  const addToCart = (product, quantity = 1, variant = null) => {
+  const addToCart = async (product, quantity = 1, variant = null) => {
+    if (isAuthenticated) {
+      return updateServerCart(
+        () => axios.post('/api/cart/add', {
+          productId: product._id,
+          quantity,
+          ...(variant?.sku && { variant: { sku: variant.sku } })
+        }),
+        `${product.name} added to cart!`
+      );
+    }
+
     const cartItem = {
       id: `${product._id}-${variant ? JSON.stringify(variant) : 'default'}`,
       product,
@@ -101,10 +217,15 @@ export const CartProvider = ({ children }) => {
 
     dispatch({ type: 'ADD_TO_CART', payload: cartItem });
     toast.success(`${product.name} added to cart!`);
+    return true;
   };
 
   // Remove item from cart
   const removeFromCart = (itemId) => {
+    if (isAuthenticated) {
+      return updateServerCart(() => axios.delete(`/api/cart/items/${itemId}`), 'Item removed from cart');
+    }
+
     dispatch({ type: 'REMOVE_FROM_CART', payload: itemId });
     toast.success('Item removed from cart');
   };
@@ -112,8 +233,11 @@ export const CartProvider = ({ children }) => {
   // Update item quantity
   const updateQuantity = (itemId, quantity) => {
     if (quantity <= 0) {
-      removeFromCart(itemId);
-      return;
+      return removeFromCart(itemId);
+    }
+
+    if (isAuthenticated) {
+      return updateServerCart(() => axios.put(`/api/cart/items/${itemId}`, { quantity }));
     }
 
     dispatch({
@@ -123,25 +247,32 @@ export const CartProvider = ({ children }) => {
   };
 
   // Clear entire cart
-  const clearCart = () => {
+  const clearCart = (silent = false) => {
+    if (isAuthenticated) {
+      return updateServerCart(() => axios.delete('/api/cart'), silent ? null : 'Cart cleared');
+    }
+
     dispatch({ type: 'CLEAR_CART' });
-    toast.success('Cart cleared');
+    if (!silent) toast.success('Cart cleared');
   };
 
   // Get cart totals
   const getCartTotals = () => {
+    // Saved cart lines carry the server's current price; unavailable ones are left out
     const subtotal = state.items.reduce((total, item) => {
-      const price = item.product.price.discounted || item.product.price.original;
+      if (item.available === false) return total;
+      const price = item.price ?? (item.product.price.discounted || item.product.price.original);
       return total + (price * item.quantity);
     }, 0);
 
     const itemCount = state.items.reduce((total, item) => total + item.quantity, 0);
 
-    // Calculate estimated tax (8% for demo)
-    const tax = subtotal * 0.08;
+    // Estimate tax at the platform's default rate; checkout applies the tax zone
+    const tax = subtotal * estimates.taxRate / 100;
 
-    // Calculate shipping (free over $50, otherwise $5.99)
-    const shipping = subtotal >= 50 ? 0 : 5.99;
+    // Estimate shipping (free over the platform threshold, otherwise $5.99)
+    const threshold = estimates.freeShippingThreshold;
+    const shipping = threshold > 0 && subtotal >= threshold ? 0 : 5.99;
 
     const total = subtotal + tax + shipping;
 
@@ -177,6 +308,7 @@ export const CartProvider = ({ children }) => {
     removeFromCart,
     updateQuantity,
     clearCart,
+    refreshCart,
     getCartTotals,
     isInCart,
     getItemQuantity
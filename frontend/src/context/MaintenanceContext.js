@@ -0,0 +1,68 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const MaintenanceContext = createContext();
+
+// The API answers 503 with { maintenance: true } while maintenance mode is
+// on. The interceptor is installed when this module loads, so requests other
+// providers make on their first render are caught too. Requests turned away
+// for maintenance leave no toasts behind: the ones their callers raise while
+// handling the rejection are removed once those handlers have run.
+let current = null;
+let listener = null;
+
+axios.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const { status, data, headers } = error.response || {};
+    if (status === 503 && data?.maintenance) {
+      current = {
+        message: data.message,
+        retryAfter: parseInt(headers?.['retry-after'], 10) || data.retryAfter
+      };
+      if (listener) listener(current);
+      setTimeout(() => toast.remove());
+    }
+    return Promise.reject(error);
+  }
+);
+
+export const MaintenanceProvider = ({ children }) => {
+  const [maintenance, setMaintenance] = useState(current);
+
+  useEffect(() => {
+    listener = setMaintenance;
+    if (current) setMaintenance(current);
+    return () => {
+      listener = null;
+    };
+  }, []);
+
+  const clearMaintenance = () => {
+    current = null;
+    setMaintenance(null);
+  };
+
+  const value = {
+    maintenance,
+    setMaintenance,
+    clearMaintenance
+  };
+
+  return (
+    <MaintenanceContext.Provider value={value}>
+      {children}
+    </MaintenanceContext.Provider>
+  );
+};
+
+export const useMaintenance = () => {
+  const context = useContext(MaintenanceContext);
+  if (!context) {
+    throw new Error('useMaintenance must be used within a MaintenanceProvider');
+  }
+  return context;
+};
+
+export default MaintenanceContext;
@@ -1,11 +1,27 @@
-import React from 'react';
+import React, { useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+
+// Messages for the problems the server flags on saved cart lines
+const issueMessages = {
+  unavailable: 'This item is no longer available',
+  out_of_stock: 'This item is out of stock',
+  insufficient_stock: 'Not enough stock for this quantity',
+  price_changed: 'The price has changed since you added this item'
+};
 
 const Cart = () => {
-  const { items, getCartTotals } = useCart();
+  const { items, hasIssues, getCartTotals, updateQuantity, removeFromCart, refreshCart } = useCart();
+  const { isAuthenticated } = useAuth();
   const { subtotal, tax, shipping, total, itemCount } = getCartTotals();
 
+  // Re-price the saved cart whenever the page is opened
+  useEffect(() => {
+    if (isAuthenticated) refreshCart();
+  }, [isAuthenticated, refreshCart]);
+
   return (
     <>
       <Helmet>
@@ -31,9 +47,68 @@ const Cart = () => {
           ) : (
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
               <div className="lg:col-span-2">
+                {hasIssues && (
+                  <div className="alert alert-warning mb-4">
+                    Some items in your cart have changed. Please review them before checking out.
+                  </div>
+                )}
                 <div className="card">
                   <div className="card-body">
-                    <p>Cart functionality will be implemented soon.</p>
+                    {items.map((item) => {
+                      const price = item.price ?? (item.product.price?.discounted || item.product.price?.original || 0);
+                      const image = item.product.images?.find(img => img.isPrimary) || item.product.images?.[0];
+
+                      return (
+                        <div key={item.id} className="flex gap-4 py-4 border-b">
+                          {image && (
+                            <img src={image.url} alt={image.alt || item.product.name} className="w-20 h-20 object-cover rounded" />
+                          )}
+                          <div className="flex-1">
+                            <Link to={`/products/${item.product._id}`} className="font-semibold">
+                              {item.product.name || 'Unavailable product'}
+                            </Link>
+                            {item.variant?.value && (
+                              <div className="text-sm text-secondary">{item.variant.name}: {item.variant.value}</div>
+                            )}
+                            <div className="text-sm">
+                              ${price.toFixed(2)}
+                              {item.previousPrice !== undefined && (
+                                <span className="text-secondary line-through ml-2">${item.previousPrice.toFixed(2)}</span>
+                              )}
+                            </div>
+                            {item.issues?.map(issue => (
+                              <div key={issue} className="text-sm text-error">
+                                {issueMessages[issue]}
+                                {issue === 'insufficient_stock' && ` (${item.availableQuantity} available)`}
+                              </div>
+                            ))}
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <button
+                              className="btn btn-sm"
+                              onClick={() => updateQuantity(item.id, item.quantity - 1)}
+                            >
+                              -
+                            </button>
+                            <span>{item.quantity}</span>
+                            <button
+                              className="btn btn-sm"
+                              onClick={() => updateQuantity(item.id, item.quantity + 1)}
+                              disabled={item.available === false}
+                            >
+                              +
+                            </button>
+                            <button
+                              className="btn btn-sm btn-ghost"
+                              onClick={() => removeFromCart(item.id)}
+                              aria-label="Remove item"
+                            >
+                              <i className="fas fa-trash"></i>
+                            </button>
+                          </div>
+                        </div>
+                      );
+                    })}
                   </div>
                 </div>
               </div>
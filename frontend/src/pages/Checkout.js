@@ -1,7 +1,656 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  Box,
+  Container,
+  Grid,
+  Paper,
+  Typography,
+  Stepper,
+  Step,
+  StepLabel,
+  Button,
+  Radio,
+  RadioGroup,
+  FormControlLabel,
+  TextField,
+  MenuItem,
+  Alert,
+  Divider,
+  CircularProgress,
+  Stack
+} from '@mui/material';
+import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+
+const steps = ['Shipping Address', 'Delivery', 'Payment', 'Review'];
+
+const emptyAddress = {
+  type: 'home',
+  street: '',
+  city: '',
+  state: '',
+  zipCode: '',
+  country: 'United States'
+};
+
+// Payment methods the fake gateway understands, for development without Stripe keys
+const TEST_CARDS = [
+  { id: 'pm_card_visa', label: 'Test Visa - payment succeeds' },
+  { id: 'pm_card_chargeDeclined', label: 'Test Visa - card declined' }
+];
+
+const formatPrice = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+// Cart lines and order errors are matched on product and variant SKU
+const lineKey = (productId, variantSku) => `${productId}:${variantSku || ''}`;
+
+// Cart lines as the order endpoints expect them
+const toOrderItems = (items) => items.map(item => ({
+  product: item.product._id,
+  quantity: item.quantity,
+  ...(item.variant?.sku && { variant: { sku: item.variant.sku } })
+}));
+
+// Load Stripe.js once and resolve to a Stripe instance
+let stripePromise;
+const loadStripe = (publishableKey) => {
+  if (!stripePromise) {
+    stripePromise = new Promise((resolve, reject) => {
+      if (window.Stripe) {
+        resolve(window.Stripe(publishableKey));
+        return;
+      }
+      const script = document.createElement('script');
+      script.src = 'https://js.stripe.com/v3/';
+      script.onload = () => resolve(window.Stripe(publishableKey));
+      script.onerror = () => {
+        stripePromise = null;
+        reject(new Error('Failed to load Stripe'));
+      };
+      document.body.appendChild(script);
+    });
+  }
+  return stripePromise;
+};
 
 const Checkout = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { items, clearCart } = useCart();
+
+  const [activeStep, setActiveStep] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  // Address step
+  const [addresses, setAddresses] = useState([]);
+  const [selectedAddressId, setSelectedAddressId] = useState('');
+  const [showAddressForm, setShowAddressForm] = useState(false);
+  const [newAddress, setNewAddress] = useState(emptyAddress);
+  const [contact, setContact] = useState({
+    firstName: user?.firstName || '',
+    lastName: user?.lastName || '',
+    phone: user?.phone || ''
+  });
+
+  // Delivery step
+  const [quote, setQuote] = useState(null);
+  const [quoteLoading, setQuoteLoading] = useState(false);
+  const [shippingMethods, setShippingMethods] = useState({});
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+
+  // Payment and review steps
+  const [paymentMethods, setPaymentMethods] = useState([]);
+  const [paymentMethod, setPaymentMethod] = useState('');
+  const [testCard, setTestCard] = useState(TEST_CARDS[0].id);
+  const [lineErrors, setLineErrors] = useState({});
+  const [placing, setPlacing] = useState(false);
+  // Set once the orders exist, so a failed card payment can be retried
+  // without placing the orders again
+  const [placedOrder, setPlacedOrder] = useState(null);
+
+  const cardContainerRef = useRef(null);
+  const stripeRef = useRef(null);
+
+  const purchasableItems = items.filter(item => item.available !== false);
+  const cardMethod = paymentMethods.find(method => method.id === 'stripe');
+  const usesStripe = paymentMethod === 'stripe' && cardMethod?.gateway === 'stripe';
+
+  const selectedAddress = addresses.find(address => address._id === selectedAddressId);
+  const shippingAddress = selectedAddress && {
+    firstName: contact.firstName,
+    lastName: contact.lastName,
+    email: user?.email,
+    phone: contact.phone,
+    street: selectedAddress.street,
+    city: selectedAddress.city,
+    state: selectedAddress.state,
+    zipCode: selectedAddress.zipCode,
+    country: selectedAddress.country
+  };
+
+  // Load saved addresses and the payment methods on offer
+  useEffect(() => {
+    const loadCheckout = async () => {
+      try {
+        const [profileResponse, methodsResponse] = await Promise.all([
+          axios.get('/api/users/profile'),
+          axios.get('/api/payments/methods')
+        ]);
+
+        const profile = profileResponse.data.user;
+        const saved = profile.addresses || [];
+        setAddresses(saved);
+
+        const defaultAddress = saved.find(address => address.isDefault) || saved[0];
+        if (defaultAddress) {
+          setSelectedAddressId(defaultAddress._id);
+        } else {
+          setShowAddressForm(true);
+        }
+
+        setContact(current => ({
+          firstName: current.firstName || profile.firstName || '',
+          lastName: current.lastName || profile.lastName || '',
+          phone: current.phone || profile.phone || ''
+        }));
+
+        setPaymentMethods(methodsResponse.data.methods);
+        setPaymentMethod(methodsResponse.data.methods[0]?.id || '');
+      } catch (error) {
+        console.error('Error loading checkout:', error);
+        toast.error('Failed to load checkout details');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadCheckout();
+  }, []);
+
+  // Mount the Stripe card field while the payment step is showing
+  useEffect(() => {
+    if (activeStep !== 2 || !usesStripe || stripeRef.current || !cardContainerRef.current) return;
+
+    loadStripe(cardMethod.publishableKey)
+      .then(stripe => {
+        const card = stripe.elements().create('card');
+        card.mount(cardContainerRef.current);
+        stripeRef.current = { stripe, card };
+      })
+      .catch(() => toast.error('Card payments are unavailable right now'));
+  }, [activeStep, usesStripe, cardMethod]);
+
+  // Record an error from the order endpoints against the cart line it concerns
+  const handleLineError = (data) => {
+    if (data?.product) {
+      setLineErrors({ [lineKey(data.product, data.variantSku)]: data.message });
+      return true;
+    }
+    return false;
+  };
+
+  // Price the cart for the chosen address, shipping methods and coupon
+  const requestQuote = async ({ methods = shippingMethods, code = couponCode } = {}) => {
+    setQuoteLoading(true);
+    setLineErrors({});
+    try {
+      const payload = {
+        items: toOrderItems(purchasableItems),
+        shippingAddress,
+        shippingMethods: methods
+      };
+      const response = code
+        ? await axios.post('/api/orders/apply-coupon', { ...payload, code })
+        : await axios.post('/api/orders/quote', payload);
+
+      setQuote(response.data.quote);
+      setShippingMethods(Object.fromEntries(response.data.quote.orders.map(order => [
+        order.vendor._id,
+        order.shippingMethod.code
+      ])));
+      return true;
+    } catch (error) {
+      const data = error.response?.data;
+      handleLineError(data);
+      toast.error(data?.message || 'Failed to calculate totals');
+      return false;
+    } finally {
+      setQuoteLoading(false);
+    }
+  };
+
+  const handleAddAddress = async () => {
+    const { street, city, state, zipCode } = newAddress;
+    if (!street || !city || !state || !zipCode) {
+      toast.error('Please fill in all address fields');
+      return;
+    }
+
+    try {
+      const response = await axios.post('/api/users/addresses', newAddress);
+      const saved = response.data.addresses;
+      setAddresses(saved);
+      setSelectedAddressId(saved[saved.length - 1]._id);
+      setShowAddressForm(false);
+      setNewAddress(emptyAddress);
+      toast.success('Address saved');
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save address');
+    }
+  };
+
+  const handleShippingChange = (vendorId, code) => {
+    const methods = { ...shippingMethods, [vendorId]: code };
+    setShippingMethods(methods);
+    requestQuote({ methods });
+  };
+
+  const handleApplyCoupon = async () => {
+    const code = couponInput.trim();
+    if (!code) return;
+    if (await requestQuote({ code })) {
+      setCouponCode(code);
+      toast.success('Coupon applied');
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setCouponCode('');
+    setCouponInput('');
+    requestQuote({ code: '' });
+  };
+
+  const handleNext = async () => {
+    if (activeStep === 0) {
+      if (!contact.firstName.trim() || !contact.lastName.trim()) {
+        toast.error('Please enter the recipient name');
+        return;
+      }
+      if (!selectedAddress) {
+        toast.error('Please choose a shipping address');
+        return;
+      }
+      if (!(await requestQuote())) return;
+    }
+
+    if (activeStep === 2 && !paymentMethod) {
+      toast.error('Please choose a payment method');
+      return;
+    }
+
+    setActiveStep(step => step + 1);
+  };
+
+  const handleBack = () => setActiveStep(step => step - 1);
+
+  // Take the card payment for a placed checkout. Resolves to true once paid.
+  const payByCard = async (orderGroup) => {
+    const intentResponse = await axios.post('/api/payments/create-intent', {
+      orderGroupId: orderGroup._id
+    });
+    const { gateway, paymentIntentId, clientSecret } = intentResponse.data;
+
+    if (gateway === 'stripe') {
+      if (!stripeRef.current) {
+        toast.error('Card payments are unavailable right now');
+        return false;
+      }
+
+      const { stripe, card } = stripeRef.current;
+      const result = await stripe.confirmCardPayment(clientSecret, {
+        payment_method: { card }
+      });
+
+      // Let the server read back the outcome either way
+      const confirmResponse = await axios.post('/api/payments/confirm', { paymentIntentId });
+      if (result.error) {
+        toast.error(result.error.message);
+        return false;
+      }
+      return confirmResponse.data.success;
+    }
+
+    const confirmResponse = await axios.post('/api/payments/confirm', {
+      paymentIntentId,
+      paymentMethod: testCard
+    });
+    if (!confirmResponse.data.success) {
+      toast.error(confirmResponse.data.message);
+    }
+    return confirmResponse.data.success;
+  };
+
+  const handlePlaceOrder = async () => {
+    setPlacing(true);
+    setLineErrors({});
+
+    try {
+      let placed = placedOrder;
+
+      if (!placed) {
+        const response = await axios.post('/api/orders', {
+          items: toOrderItems(purchasableItems),
+          shippingAddress,
+          shippingMethods,
+          couponCode: couponCode || undefined,
+          payment: { method: paymentMethod }
+        });
+
+        placed = {
+          orderGroup: response.data.orderGroup,
+          orderNumbers: response.data.orders.map(order => order.orderNumber)
+        };
+        setPlacedOrder(placed);
+        await clearCart(true);
+      }
+
+      if (paymentMethod === 'stripe') {
+        const paid = await payByCard(placed.orderGroup);
+        if (!paid) return;
+      }
+
+      navigate(`/order-success?group=${placed.orderGroup._id}`, {
+        state: placed
+      });
+    } catch (error) {
+      const data = error.response?.data;
+      if (handleLineError(data)) {
+        setActiveStep(3);
+      }
+      toast.error(data?.errors?.[0]?.msg || data?.message || 'Failed to place order');
+    } finally {
+      setPlacing(false);
+    }
+  };
+
+  const renderLineError = (item) => {
+    const message = lineErrors[lineKey(item.product._id, item.variant?.sku)];
+    return message ? <Alert severity="error" sx={{ mt: 1 }}>{message}</Alert> : null;
+  };
+
+  const renderAddressStep = () => (
+    <Stack spacing={3}>
+      <Grid container spacing={2}>
+        <Grid size={{ xs: 12, sm: 4 }}>
+          <TextField
+            fullWidth
+            label="First name"
+            value={contact.firstName}
+            onChange={(e) => setContact({ ...contact, firstName: e.target.value })}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 4 }}>
+          <TextField
+            fullWidth
+            label="Last name"
+            value={contact.lastName}
+            onChange={(e) => setContact({ ...contact, lastName: e.target.value })}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 4 }}>
+          <TextField
+            fullWidth
+            label="Phone"
+            value={contact.phone}
+            onChange={(e) => setContact({ ...contact, phone: e.target.value })}
+          />
+        </Grid>
+      </Grid>
+
+      {addresses.length > 0 && (
+        <RadioGroup value={selectedAddressId} onChange={(e) => setSelectedAddressId(e.target.value)}>
+          {addresses.map(address => (
+            <FormControlLabel
+              key={address._id}
+              value={address._id}
+              control={<Radio />}
+              label={
+                <Box>
+                  <Typography fontWeight="medium" sx={{ textTransform: 'capitalize' }}>
+                    {address.type}{address.isDefault ? ' (default)' : ''}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {address.street}, {address.city}, {address.state} {address.zipCode}, {address.country}
+                  </Typography>
+                </Box>
+              }
+            />
+          ))}
+        </RadioGroup>
+      )}
+
+      {showAddressForm ? (
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Typography variant="subtitle1" fontWeight="medium" gutterBottom>New address</Typography>
+          <Grid container spacing={2}>
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField
+                select
+                fullWidth
+                label="Type"
+                value={newAddress.type}
+                onChange={(e) => setNewAddress({ ...newAddress, type: e.target.value })}
+              >
+                <MenuItem value="home">Home</MenuItem>
+                <MenuItem value="work">Work</MenuItem>
+                <MenuItem value="other">Other</MenuItem>
+              </TextField>
+            </Grid>
+            <Grid size={{ xs: 12, sm: 8 }}>
+              <TextField
+                fullWidth
+                label="Street address"
+                value={newAddress.street}
+                onChange={(e) => setNewAddress({ ...newAddress, street: e.target.value })}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField
+                fullWidth
+                label="City"
+                value={newAddress.city}
+                onChange={(e) => setNewAddress({ ...newAddress, city: e.target.value })}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField
+                fullWidth
+                label="State"
+                value={newAddress.state}
+                onChange={(e) => setNewAddress({ ...newAddress, state: e.target.value })}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField
+                fullWidth
+                label="Zip code"
+                value={newAddress.zipCode}
+                onChange={(e) => setNewAddress({ ...newAddress, zipCode: e.target.value })}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField
+                fullWidth
+                label="Country"
+                value={newAddress.country}
+                onChange={(e) => setNewAddress({ ...newAddress, country: e.target.value })}
+              />
+            </Grid>
+          </Grid>
+          <Stack direction="row" spacing={2} sx={{ mt: 2 }}>
+            <Button variant="contained" onClick={handleAddAddress}>Save Address</Button>
+            {addresses.length > 0 && (
+              <Button onClick={() => setShowAddressForm(false)}>Cancel</Button>
+            )}
+          </Stack>
+        </Paper>
+      ) : (
+        <Button variant="outlined" onClick={() => setShowAddressForm(true)} sx={{ alignSelf: 'flex-start' }}>
+          Add New Address
+        </Button>
+      )}
+    </Stack>
+  );
+
+  const renderDeliveryStep = () => (
+    <Stack spacing={3}>
+      {quote?.orders.map(order => (
+        <Paper key={order.vendor._id} variant="outlined" sx={{ p: 2 }}>
+          <Typography variant="subtitle1" fontWeight="bold">{order.vendor.businessName}</Typography>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {order.items.length} item{order.items.length === 1 ? '' : 's'}
+          </Typography>
+          <RadioGroup
+            value={shippingMethods[order.vendor._id] || order.shippingMethod.code}
+            onChange={(e) => handleShippingChange(order.vendor._id, e.target.value)}
+          >
+            {order.shippingOptions.map(option => (
+              <FormControlLabel
+                key={option.code}
+                value={option.code}
+                control={<Radio disabled={quoteLoading} />}
+                label={`${option.name} - ${option.cost === 0 ? 'Free' : formatPrice(option.cost)}${option.processingTime ? ` (ships in ${option.processingTime})` : ''}`}
+              />
+            ))}
+          </RadioGroup>
+        </Paper>
+      ))}
+
+      <Box>
+        <Typography variant="subtitle1" fontWeight="medium" gutterBottom>Coupon</Typography>
+        {couponCode ? (
+          <Stack direction="row" spacing={2} alignItems="center">
+            <Typography>
+              <strong>{quote?.coupon?.code}</strong> applied (-{formatPrice(quote?.pricing.discount)})
+            </Typography>
+            <Button size="small" onClick={handleRemoveCoupon}>Remove</Button>
+          </Stack>
+        ) : (
+          <Stack direction="row" spacing={2}>
+            <TextField
+              size="small"
+              label="Coupon code"
+              value={couponInput}
+              onChange={(e) => setCouponInput(e.target.value)}
+            />
+            <Button variant="outlined" onClick={handleApplyCoupon} disabled={quoteLoading || !couponInput.trim()}>
+              Apply
+            </Button>
+          </Stack>
+        )}
+      </Box>
+    </Stack>
+  );
+
+  const renderPaymentStep = () => (
+    <Stack spacing={2}>
+      <RadioGroup value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)}>
+        {paymentMethods.map(method => (
+          <FormControlLabel key={method.id} value={method.id} control={<Radio />} label={method.name} />
+        ))}
+      </RadioGroup>
+
+      {paymentMethod === 'stripe' && !usesStripe && (
+        <TextField
+          select
+          label="Test card"
+          value={testCard}
+          onChange={(e) => setTestCard(e.target.value)}
+          helperText="Payments are processed by the test gateway"
+        >
+          {TEST_CARDS.map(card => (
+            <MenuItem key={card.id} value={card.id}>{card.label}</MenuItem>
+          ))}
+        </TextField>
+      )}
+
+      {paymentMethod === 'paypal' && (
+        <Alert severity="info">Your order will be held until the PayPal payment is completed.</Alert>
+      )}
+
+      {paymentMethod === 'cod' && (
+        <Alert severity="info">Pay in cash when your order is delivered.</Alert>
+      )}
+    </Stack>
+  );
+
+  const renderReviewStep = () => (
+    <Stack spacing={3}>
+      <Box>
+        <Typography variant="subtitle1" fontWeight="bold">Shipping to</Typography>
+        <Typography variant="body2">
+          {contact.firstName} {contact.lastName}<br />
+          {selectedAddress?.street}, {selectedAddress?.city}, {selectedAddress?.state} {selectedAddress?.zipCode}, {selectedAddress?.country}
+        </Typography>
+      </Box>
+
+      <Box>
+        <Typography variant="subtitle1" fontWeight="bold">Payment</Typography>
+        <Typography variant="body2">
+          {paymentMethods.find(method => method.id === paymentMethod)?.name}
+        </Typography>
+      </Box>
+
+      {quote?.orders.map(order => (
+        <Paper key={order.vendor._id} variant="outlined" sx={{ p: 2 }}>
+          <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+            {order.vendor.businessName} - {order.shippingMethod.name}
+          </Typography>
+          {order.items.map(orderItem => {
+            const cartItem = purchasableItems.find(item =>
+              item.product._id === orderItem.product &&
+              (item.variant?.sku || null) === (orderItem.variant?.sku || null)
+            );
+            return (
+              <Box key={lineKey(orderItem.product, orderItem.variant?.sku)} sx={{ py: 1 }}>
+                <Stack direction="row" justifyContent="space-between">
+                  <Typography variant="body2">
+                    {orderItem.name}
+                    {orderItem.variant?.value && ` (${orderItem.variant.name}: ${orderItem.variant.value})`}
+                    {' '}x {orderItem.quantity}
+                  </Typography>
+                  <Typography variant="body2">{formatPrice(orderItem.subtotal)}</Typography>
+                </Stack>
+                {cartItem && renderLineError(cartItem)}
+              </Box>
+            );
+          })}
+        </Paper>
+      ))}
+
+      {placedOrder && (
+        <Alert severity="warning">
+          Your order {placedOrder.orderGroup.groupNumber} has been placed but the payment was not completed.
+          You can try the payment again.
+        </Alert>
+      )}
+    </Stack>
+  );
+
+  const stepContent = [renderAddressStep, renderDeliveryStep, renderPaymentStep, renderReviewStep];
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 12 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (purchasableItems.length === 0 && !placedOrder) {
+    return (
+      <Container maxWidth="md" sx={{ py: 12, textAlign: 'center' }}>
+        <Typography variant="h5" gutterBottom>Your cart is empty</Typography>
+        <Button component={Link} to="/products" variant="contained">Continue Shopping</Button>
+      </Container>
+    );
+  }
+
   return (
     <>
       <Helmet>
@@ -9,18 +658,113 @@ const Checkout = () => {
         <meta name="description" content="Complete your purchase" />
       </Helmet>
 
-      <div className="container">
-        <div className="py-12">
-          <h1 className="text-3xl font-bold mb-8">Checkout</h1>
-          <div className="text-center py-20">
-            <i className="fas fa-credit-card text-6xl text-secondary mb-4"></i>
-            <h2 className="text-2xl font-semibold mb-4">Checkout Coming Soon</h2>
-            <p className="text-secondary">
-              Secure checkout functionality will be implemented soon.
-            </p>
-          </div>
-        </div>
-      </div>
+      <Container maxWidth="lg" sx={{ py: 6 }}>
+        <Typography variant="h4" component="h1" fontWeight="bold" gutterBottom>
+          Checkout
+        </Typography>
+
+        <Stepper activeStep={activeStep} sx={{ mb: 4 }}>
+          {steps.map(label => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {items.length > purchasableItems.length && (
+          <Alert severity="warning" sx={{ mb: 3 }}>
+            Some items in your cart are unavailable and will not be included in this order.
+          </Alert>
+        )}
+
+        <Grid container spacing={4}>
+          <Grid size={{ xs: 12, md: 8 }}>
+            <Paper sx={{ p: 3 }}>
+              {stepContent[activeStep]()}
+
+              {/* Kept mounted so the card details survive moving between steps */}
+              <Box
+                ref={cardContainerRef}
+                sx={{
+                  display: activeStep === 2 && usesStripe ? 'block' : 'none',
+                  mt: 2,
+                  p: 2,
+                  border: 1,
+                  borderColor: 'divider',
+                  borderRadius: 1
+                }}
+              />
+
+              <Stack direction="row" justifyContent="space-between" sx={{ mt: 4 }}>
+                <Button disabled={activeStep === 0 || placing || Boolean(placedOrder)} onClick={handleBack}>
+                  Back
+                </Button>
+                {activeStep < steps.length - 1 ? (
+                  <Button variant="contained" onClick={handleNext} disabled={quoteLoading}>
+                    {quoteLoading ? <CircularProgress size={24} /> : 'Continue'}
+                  </Button>
+                ) : (
+                  <Button variant="contained" onClick={handlePlaceOrder} disabled={placing || !quote}>
+                    {placing
+                      ? <CircularProgress size={24} />
+                      : placedOrder ? 'Retry Payment' : `Place Order - ${formatPrice(quote?.pricing.total)}`}
+                  </Button>
+                )}
+              </Stack>
+            </Paper>
+          </Grid>
+
+          <Grid size={{ xs: 12, md: 4 }}>
+            <Paper sx={{ p: 3 }}>
+              <Typography variant="h6" gutterBottom>Order Summary</Typography>
+              {purchasableItems.map(item => (
+                <Box key={item.id} sx={{ mb: 1 }}>
+                  <Stack direction="row" justifyContent="space-between">
+                    <Typography variant="body2">
+                      {item.product.name} x {item.quantity}
+                    </Typography>
+                    <Typography variant="body2">
+                      {formatPrice((item.price ?? (item.product.price?.discounted || item.product.price?.original)) * item.quantity)}
+                    </Typography>
+                  </Stack>
+                  {activeStep < 3 && renderLineError(item)}
+                </Box>
+              ))}
+
+              {quote && (
+                <>
+                  <Divider sx={{ my: 2 }} />
+                  <Stack spacing={1}>
+                    <Stack direction="row" justifyContent="space-between">
+                      <Typography variant="body2">Subtotal</Typography>
+                      <Typography variant="body2">{formatPrice(quote.pricing.subtotal)}</Typography>
+                    </Stack>
+                    {quote.pricing.discount > 0 && (
+                      <Stack direction="row" justifyContent="space-between">
+                        <Typography variant="body2">Discount</Typography>
+                        <Typography variant="body2">-{formatPrice(quote.pricing.discount)}</Typography>
+                      </Stack>
+                    )}
+                    <Stack direction="row" justifyContent="space-between">
+                      <Typography variant="body2">Shipping</Typography>
+                      <Typography variant="body2">{formatPrice(quote.pricing.shipping)}</Typography>
+                    </Stack>
+                    <Stack direction="row" justifyContent="space-between">
+                      <Typography variant="body2">Tax</Typography>
+                      <Typography variant="body2">{formatPrice(quote.pricing.tax)}</Typography>
+                    </Stack>
+                    <Divider />
+                    <Stack direction="row" justifyContent="space-between">
+                      <Typography fontWeight="bold">Total</Typography>
+                      <Typography fontWeight="bold">{formatPrice(quote.pricing.total)}</Typography>
+                    </Stack>
+                  </Stack>
+                </>
+              )}
+            </Paper>
+          </Grid>
+        </Grid>
+      </Container>
     </>
   );
 };
@@ -0,0 +1,79 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import axios from 'axios';
+import { useMaintenance } from '../context/MaintenanceContext';
+
+// Shown instead of the app while the API is in maintenance mode. It checks
+// again once the Retry-After period is up, and reloads when the site is back.
+const Maintenance = () => {
+  const { maintenance, setMaintenance, clearMaintenance } = useMaintenance();
+  const [checking, setChecking] = useState(false);
+
+  const checkStatus = useCallback(async () => {
+    setChecking(true);
+    try {
+      const response = await axios.get('/api/settings/public');
+      const { maintenanceMode, maintenanceMessage } = response.data.settings;
+      if (!maintenanceMode) {
+        clearMaintenance();
+        window.location.reload();
+        return;
+      }
+      setMaintenance({ ...maintenance, message: maintenanceMessage });
+    } catch (error) {
+      console.error('Error checking maintenance status:', error);
+    } finally {
+      setChecking(false);
+    }
+  }, [maintenance, setMaintenance, clearMaintenance]);
+
+  useEffect(() => {
+    if (!maintenance?.retryAfter) return undefined;
+    const timer = setTimeout(checkStatus, maintenance.retryAfter * 1000);
+    return () => clearTimeout(timer);
+  }, [maintenance, checkStatus]);
+
+  const retryMinutes = maintenance?.retryAfter ? Math.ceil(maintenance.retryAfter / 60) : null;
+
+  return (
+    <>
+      <Helmet>
+        <title>Down for Maintenance - MarketPlace</title>
+        <meta name="description" content="The marketplace is temporarily down for maintenance" />
+      </Helmet>
+
+      <div className="container">
+        <div className="text-center py-20">
+          <div className="text-8xl text-secondary mb-8">
+            <i className="fas fa-tools"></i>
+          </div>
+          <h1 className="text-4xl font-bold mb-4">Down for Maintenance</h1>
+          <p className="text-secondary text-lg mb-4">
+            {maintenance?.message}
+          </p>
+          {retryMinutes && (
+            <p className="text-secondary mb-8">
+              Please check back in about {retryMinutes} minute{retryMinutes === 1 ? '' : 's'}.
+            </p>
+          )}
+          <div className="flex justify-center gap-4">
+            <button className="btn btn-primary" onClick={checkStatus} disabled={checking}>
+              {checking ? (
+                <span className="loading loading-spinner loading-sm"></span>
+              ) : (
+                <i className="fas fa-sync-alt"></i>
+              )}
+              Try Again
+            </button>
+            <Link to="/login" className="btn btn-ghost">
+              Staff Sign In
+            </Link>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Maintenance;
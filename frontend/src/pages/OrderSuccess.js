@@ -1,8 +1,37 @@
-import React from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
+import axios from 'axios';
+
+const formatPrice = (amount) => `$${(amount || 0).toFixed(2)}`;
 
 const OrderSuccess = () => {
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const [orderGroup, setOrderGroup] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Checkout passes the group in navigation state; the ?group= link survives a reload
+  const groupId = searchParams.get('group') || location.state?.orderGroup?._id;
+
+  useEffect(() => {
+    if (!groupId) return;
+
+    const fetchOrderGroup = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get(`/api/orders/groups/${groupId}`);
+        setOrderGroup(response.data.orderGroup);
+      } catch (error) {
+        console.error('Error fetching order group:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrderGroup();
+  }, [groupId]);
+
   return (
     <>
       <Helmet>
@@ -15,9 +44,75 @@ const OrderSuccess = () => {
           <div className="text-center py-20">
             <i className="fas fa-check-circle text-6xl text-success mb-4"></i>
             <h1 className="text-3xl font-bold mb-4">Order Placed Successfully!</h1>
+            {orderGroup && (
+              <p className="text-lg mb-2">
+                Order number: <span className="font-semibold">{orderGroup.groupNumber}</span>
+              </p>
+            )}
+            {!orderGroup && location.state?.orderNumbers && (
+              <p className="text-lg mb-2">
+                Order number{location.state.orderNumbers.length === 1 ? '' : 's'}:{' '}
+                <span className="font-semibold">{location.state.orderNumbers.join(', ')}</span>
+              </p>
+            )}
             <p className="text-secondary mb-8">
               Thank you for your purchase. You will receive an email confirmation shortly.
             </p>
+
+            {loading && <p className="text-secondary mb-8">Loading order details...</p>}
+
+            {orderGroup && (
+              <div className="card max-w-2xl mx-auto mb-8 text-left">
+                <div className="card-body">
+                  {orderGroup.orders.length > 1 && (
+                    <p className="text-secondary mb-4">
+                      Your purchase ships from {orderGroup.orders.length} sellers, so it was split into the orders below.
+                    </p>
+                  )}
+
+                  {orderGroup.orders.map((order) => (
+                    <div key={order._id} className="border-b py-3">
+                      <div className="flex justify-between">
+                        <span className="font-semibold">{order.vendor?.businessName}</span>
+                        <span>{formatPrice(order.pricing.total)}</span>
+                      </div>
+                      <div className="text-sm text-secondary">
+                        {order.orderNumber} &middot; {order.items.length} item{order.items.length === 1 ? '' : 's'} &middot; {order.status}
+                      </div>
+                    </div>
+                  ))}
+
+                  <div className="pt-4 space-y-1">
+                    <div className="flex justify-between">
+                      <span>Subtotal</span>
+                      <span>{formatPrice(orderGroup.pricing.subtotal)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>Shipping</span>
+                      <span>{formatPrice(orderGroup.pricing.shipping)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>Tax</span>
+                      <span>{formatPrice(orderGroup.pricing.tax)}</span>
+                    </div>
+                    {orderGroup.pricing.discount > 0 && (
+                      <div className="flex justify-between">
+                        <span>Discount</span>
+                        <span>-{formatPrice(orderGroup.pricing.discount)}</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between font-bold text-lg">
+                      <span>Total</span>
+                      <span>{formatPrice(orderGroup.pricing.total)}</span>
+                    </div>
+                    <div className="text-sm text-secondary">
+                      Payment: {orderGroup.payment.status}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+
             <div className="flex gap-4 justify-center">
               <Link to="/profile" className="btn btn-primary">
                 <i className="fas fa-user"></i>
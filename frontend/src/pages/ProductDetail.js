@@ -1,29 +1,453 @@
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
+import axios from 'axios';
+import {
+  Box,
+  Container,
+  Grid,
+  Paper,
+  Typography,
+  Button,
+  Chip,
+  Rating,
+  Pagination,
+  CircularProgress,
+  Divider,
+  Stack,
+  TextField,
+  LinearProgress,
+  Avatar,
+  Table,
+  TableBody,
+  TableRow,
+  TableCell,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import { ShoppingCart, Store } from '@mui/icons-material';
+import { useCart } from '../context/CartContext';
+
+const REVIEWS_PER_PAGE = 5;
+
+const formatPrice = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+// Primary image first, then the rest in their saved order
+const sortImages = (images = []) => [...images].sort((a, b) => (b.isPrimary ? 1 : 0) - (a.isPrimary ? 1 : 0));
 
 const ProductDetail = () => {
   const { id } = useParams();
+  const { addToCart } = useCart();
+
+  const [product, setProduct] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedImage, setSelectedImage] = useState(0);
+  const [selectedOptions, setSelectedOptions] = useState({});
+  const [quantity, setQuantity] = useState(1);
+
+  const [reviews, setReviews] = useState([]);
+  const [reviewStats, setReviewStats] = useState(null);
+  const [reviewPage, setReviewPage] = useState(1);
+  const [reviewPages, setReviewPages] = useState(1);
+  const [ratingFilter, setRatingFilter] = useState(null);
+
+  useEffect(() => {
+    const fetchProduct = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await axios.get(`/api/products/${id}`);
+        const loaded = response.data.product;
+        setProduct(loaded);
+        setSelectedImage(0);
+        setQuantity(1);
+
+        // Start with the first option of every variant selected
+        setSelectedOptions(Object.fromEntries(
+          (loaded.variants || [])
+            .filter(variant => variant.options.length > 0)
+            .map(variant => [variant.name, variant.options[0].sku])
+        ));
+      } catch (err) {
+        setError(err.response?.data?.message || 'Product not found');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProduct();
+  }, [id]);
+
+  useEffect(() => {
+    const fetchReviews = async () => {
+      try {
+        const params = new URLSearchParams({
+          page: reviewPage.toString(),
+          limit: REVIEWS_PER_PAGE.toString()
+        });
+        if (ratingFilter) params.append('rating', ratingFilter.toString());
+
+        const response = await axios.get(`/api/reviews/product/${id}?${params}`);
+        setReviews(response.data.reviews);
+        setReviewPages(response.data.totalPages || 1);
+        setReviewStats(response.data.stats);
+      } catch (err) {
+        console.error('Error fetching reviews:', err);
+      }
+    };
+
+    fetchReviews();
+  }, [id, reviewPage, ratingFilter]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 12 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error || !product) {
+    return (
+      <Container maxWidth="md" sx={{ py: 12, textAlign: 'center' }}>
+        <Typography variant="h5" gutterBottom>{error || 'Product not found'}</Typography>
+        <Button component={Link} to="/products" variant="contained">Back to Products</Button>
+      </Container>
+    );
+  }
+
+  const images = sortImages(product.images);
+  const variants = (product.variants || []).filter(variant => variant.options.length > 0);
+
+  // Every variant group needs a pick; the picks go in the cart together under
+  // a combined SKU (option SKUs joined with "+"), priced with every option's
+  // price and limited by the option with the least stock
+  const pickedOptions = variants.map(variant => ({
+    variant,
+    option: variant.options.find(option => option.sku === selectedOptions[variant.name])
+  }));
+  const allPicked = pickedOptions.every(({ option }) => option);
+  const chosen = allPicked ? pickedOptions : [];
+  const optionPrice = chosen.reduce((sum, { option }) => sum + (option.price || 0), 0);
+
+  const basePrice = product.price.discounted > 0 ? product.price.discounted : product.price.original;
+  const price = basePrice + optionPrice;
+  const sku = chosen.length > 0 ? chosen.map(({ option }) => option.sku).join('+') : product.sku;
+  const tracksStock = product.inventory.trackQuantity && !product.inventory.allowBackorder;
+  const stock = chosen.length > 0
+    ? Math.min(...chosen.map(({ option }) => option.inventory))
+    : product.inventory.quantity;
+  const inStock = allPicked && (!tracksStock || stock > 0);
+
+  // A variant option's own image takes over the main picture
+  const optionImage = chosen.find(({ option }) => option.image?.url)?.option.image;
+  const mainImage = optionImage || images[selectedImage];
+
+  const handleOptionChange = (variantName, optionSku) => {
+    if (!optionSku) return;
+    setSelectedOptions({ ...selectedOptions, [variantName]: optionSku });
+    setQuantity(1);
+  };
+
+  const handleAddToCart = () => {
+    if (!allPicked) return;
+    addToCart(product, quantity, chosen.length > 0
+      ? {
+        name: chosen.map(({ variant }) => variant.name).join(' / '),
+        value: chosen.map(({ option }) => option.value).join(' / '),
+        sku
+      }
+      : null);
+  };
+
+  const handleRatingFilter = (rating) => {
+    setRatingFilter(ratingFilter === rating ? null : rating);
+    setReviewPage(1);
+  };
+
+  const dimensionRows = ['weight', 'length', 'width', 'height']
+    .filter(key => product.dimensions?.[key]?.value)
+    .map(key => ({
+      name: key.charAt(0).toUpperCase() + key.slice(1),
+      value: `${product.dimensions[key].value} ${product.dimensions[key].unit}`
+    }));
+
+  const specRows = [
+    { name: 'SKU', value: sku },
+    ...(product.brand ? [{ name: 'Brand', value: product.brand }] : []),
+    ...(product.category?.name ? [{ name: 'Category', value: product.category.name }] : []),
+    ...(product.attributes || []).map(attribute => ({ name: attribute.name, value: attribute.value })),
+    ...dimensionRows
+  ];
+
+  const totalReviews = reviewStats?.totalReviews || 0;
+  const distribution = [5, 4, 3, 2, 1].map(rating => ({
+    rating,
+    count: reviewStats?.ratingDistribution?.find(entry => entry.rating === rating)?.count || 0
+  }));
+
+  const vendor = product.vendor;
 
   return (
     <>
       <Helmet>
-        <title>Product Details - MarketPlace</title>
-        <meta name="description" content="View product details" />
+        <title>{product.seo?.metaTitle || product.name} - MarketPlace</title>
+        <meta name="description" content={product.seo?.metaDescription || product.shortDescription || product.name} />
       </Helmet>
 
-      <div className="container">
-        <div className="py-12">
-          <div className="text-center py-20">
-            <i className="fas fa-box text-6xl text-secondary mb-4"></i>
-            <h1 className="text-3xl font-bold mb-4">Product Details</h1>
-            <p className="text-secondary mb-4">Product ID: {id}</p>
-            <p className="text-secondary">
-              Product detail functionality will be implemented soon.
-            </p>
-          </div>
-        </div>
-      </div>
+      <Container maxWidth="lg" sx={{ py: 6 }}>
+        <Grid container spacing={4}>
+          {/* Gallery */}
+          <Grid size={{ xs: 12, md: 6 }}>
+            <Paper variant="outlined" sx={{ p: 2 }}>
+              <Box
+                component="img"
+                src={mainImage?.url || '/placeholder-product.png'}
+                alt={mainImage?.alt || product.name}
+                sx={{ width: '100%', height: 420, objectFit: 'contain' }}
+              />
+            </Paper>
+            {images.length > 1 && (
+              <Stack direction="row" spacing={1} sx={{ mt: 2, overflowX: 'auto' }}>
+                {images.map((image, index) => (
+                  <Box
+                    key={image.public_id || image.url}
+                    component="img"
+                    src={image.url}
+                    alt={image.alt || `${product.name} ${index + 1}`}
+                    onClick={() => setSelectedImage(index)}
+                    sx={{
+                      width: 72,
+                      height: 72,
+                      objectFit: 'cover',
+                      borderRadius: 1,
+                      cursor: 'pointer',
+                      border: 2,
+                      borderColor: index === selectedImage && !optionImage ? 'primary.main' : 'transparent'
+                    }}
+                  />
+                ))}
+              </Stack>
+            )}
+          </Grid>
+
+          {/* Purchase panel */}
+          <Grid size={{ xs: 12, md: 6 }}>
+            <Typography variant="h4" component="h1" fontWeight="bold" gutterBottom>
+              {product.name}
+            </Typography>
+
+            <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 2 }}>
+              <Rating value={product.rating?.average || 0} precision={0.5} readOnly size="small" />
+              <Typography variant="body2" color="text.secondary">
+                ({product.rating?.count || 0} reviews)
+              </Typography>
+            </Stack>
+
+            <Stack direction="row" spacing={2} alignItems="baseline" sx={{ mb: 2 }}>
+              <Typography variant="h4" color="primary" fontWeight="bold">
+                {formatPrice(price)}
+              </Typography>
+              {product.price.discounted > 0 && (
+                <Typography variant="h6" color="text.secondary" sx={{ textDecoration: 'line-through' }}>
+                  {formatPrice(product.price.original + optionPrice)}
+                </Typography>
+              )}
+            </Stack>
+
+            {product.shortDescription && (
+              <Typography variant="body1" color="text.secondary" paragraph>
+                {product.shortDescription}
+              </Typography>
+            )}
+
+            {variants.map(variant => (
+              <Box key={variant.name} sx={{ mb: 2 }}>
+                <Typography variant="subtitle2" sx={{ mb: 1 }}>{variant.name}</Typography>
+                <ToggleButtonGroup
+                  exclusive
+                  size="small"
+                  value={selectedOptions[variant.name] || null}
+                  onChange={(e, optionSku) => handleOptionChange(variant.name, optionSku)}
+                >
+                  {variant.options.map(option => (
+                    <ToggleButton
+                      key={option.sku}
+                      value={option.sku}
+                      disabled={tracksStock && option.inventory <= 0}
+                    >
+                      {option.value}
+                      {option.price !== 0 && ` (${option.price > 0 ? '+' : '-'}${formatPrice(Math.abs(option.price))})`}
+                    </ToggleButton>
+                  ))}
+                </ToggleButtonGroup>
+              </Box>
+            ))}
+
+            <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+              <Chip
+                label={!allPicked ? 'Choose every option' : inStock ? (tracksStock ? `${stock} in stock` : 'In stock') : 'Out of stock'}
+                color={inStock ? 'success' : 'error'}
+                size="small"
+              />
+              <Chip label={`SKU: ${sku}`} size="small" variant="outlined" />
+            </Stack>
+
+            <Stack direction="row" spacing={2} sx={{ mb: 3 }}>
+              <TextField
+                type="number"
+                size="small"
+                label="Qty"
+                value={quantity}
+                onChange={(e) => setQuantity(Math.max(1, Math.min(parseInt(e.target.value) || 1, tracksStock ? stock : 99)))}
+                inputProps={{ min: 1, max: tracksStock ? stock : 99 }}
+                sx={{ width: 90 }}
+              />
+              <Button
+                variant="contained"
+                size="large"
+                startIcon={<ShoppingCart />}
+                onClick={handleAddToCart}
+                disabled={!inStock}
+              >
+                Add to Cart
+              </Button>
+            </Stack>
+
+            {/* Vendor card */}
+            {vendor && (
+              <Paper variant="outlined" sx={{ p: 2 }}>
+                <Stack direction="row" spacing={2} alignItems="center">
+                  <Avatar><Store /></Avatar>
+                  <Box sx={{ flexGrow: 1 }}>
+                    <Typography variant="subtitle1" fontWeight="bold">{vendor.businessName}</Typography>
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <Rating value={vendor.rating?.average || 0} precision={0.5} readOnly size="small" />
+                      <Typography variant="caption" color="text.secondary">
+                        ({vendor.rating?.count || 0})
+                      </Typography>
+                    </Stack>
+                    {vendor.businessAddress && (
+                      <Typography variant="body2" color="text.secondary">
+                        {vendor.businessAddress.city}, {vendor.businessAddress.country}
+                      </Typography>
+                    )}
+                  </Box>
+                  <Button component={Link} to={`/vendor/${vendor._id}`} variant="outlined" size="small">
+                    Visit Store
+                  </Button>
+                </Stack>
+              </Paper>
+            )}
+          </Grid>
+        </Grid>
+
+        {/* Description and specifications */}
+        <Grid container spacing={4} sx={{ mt: 2 }}>
+          <Grid size={{ xs: 12, md: 7 }}>
+            <Typography variant="h6" gutterBottom>Description</Typography>
+            <Typography variant="body1" sx={{ whiteSpace: 'pre-line' }}>
+              {product.description}
+            </Typography>
+          </Grid>
+          <Grid size={{ xs: 12, md: 5 }}>
+            <Typography variant="h6" gutterBottom>Specifications</Typography>
+            <Table size="small">
+              <TableBody>
+                {specRows.map(row => (
+                  <TableRow key={row.name}>
+                    <TableCell component="th" sx={{ fontWeight: 'medium', width: '40%' }}>{row.name}</TableCell>
+                    <TableCell>{row.value}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Grid>
+        </Grid>
+
+        <Divider sx={{ my: 4 }} />
+
+        {/* Reviews */}
+        <Typography variant="h6" gutterBottom>Customer Reviews</Typography>
+        <Grid container spacing={4}>
+          <Grid size={{ xs: 12, md: 4 }}>
+            <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 2 }}>
+              <Typography variant="h3" fontWeight="bold">
+                {(reviewStats?.averageRating || 0).toFixed(1)}
+              </Typography>
+              <Box>
+                <Rating value={reviewStats?.averageRating || 0} precision={0.1} readOnly />
+                <Typography variant="body2" color="text.secondary">
+                  {totalReviews} review{totalReviews === 1 ? '' : 's'}
+                </Typography>
+              </Box>
+            </Stack>
+            {distribution.map(({ rating, count }) => (
+              <Stack
+                key={rating}
+                direction="row"
+                spacing={1}
+                alignItems="center"
+                onClick={() => handleRatingFilter(rating)}
+                sx={{
+                  cursor: 'pointer',
+                  mb: 0.5,
+                  opacity: ratingFilter && ratingFilter !== rating ? 0.5 : 1
+                }}
+              >
+                <Typography variant="body2" sx={{ width: 48 }}>{rating} star</Typography>
+                <LinearProgress
+                  variant="determinate"
+                  value={totalReviews ? (count / totalReviews) * 100 : 0}
+                  sx={{ flexGrow: 1, height: 8, borderRadius: 4 }}
+                />
+                <Typography variant="body2" sx={{ width: 32, textAlign: 'right' }}>{count}</Typography>
+              </Stack>
+            ))}
+            {ratingFilter && (
+              <Button size="small" onClick={() => handleRatingFilter(ratingFilter)} sx={{ mt: 1 }}>
+                Show all ratings
+              </Button>
+            )}
+          </Grid>
+
+          <Grid size={{ xs: 12, md: 8 }}>
+            {reviews.length === 0 ? (
+              <Typography color="text.secondary">No reviews yet.</Typography>
+            ) : (
+              <Stack spacing={2} divider={<Divider flexItem />}>
+                {reviews.map(review => (
+                  <Box key={review._id}>
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <Avatar src={review.customer?.avatar?.url} sx={{ width: 32, height: 32 }}>
+                        {review.customer?.firstName?.[0]}
+                      </Avatar>
+                      <Typography variant="subtitle2">
+                        {review.customer ? `${review.customer.firstName} ${review.customer.lastName}` : 'Customer'}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {new Date(review.createdAt).toLocaleDateString()}
+                      </Typography>
+                    </Stack>
+                    <Rating value={review.rating} readOnly size="small" sx={{ mt: 1 }} />
+                    {review.title && <Typography variant="subtitle1" fontWeight="medium">{review.title}</Typography>}
+                    <Typography variant="body2">{review.comment}</Typography>
+                  </Box>
+                ))}
+              </Stack>
+            )}
+            {reviewPages > 1 && (
+              <Pagination
+                count={reviewPages}
+                page={reviewPage}
+                onChange={(e, page) => setReviewPage(page)}
+                sx={{ mt: 3 }}
+              />
+            )}
+          </Grid>
+        </Grid>
+      </Container>
     </>
   );
 };
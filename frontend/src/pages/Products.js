@@ -4,6 +4,7 @@ import { Helmet } from 'react-helmet-async';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import AuthContext from '../context/AuthContext';
+import { useCart } from '../context/CartContext';
 import {
   Box,
   Container,
@@ -46,6 +47,7 @@ const Products = () => {
   const [searchParams, setSearchParams] = useSearchParams();
   const authContext = useContext(AuthContext);
   const user = authContext?.user || null;
+  const { addToCart } = useCart();
   
   const [products, setProducts] = useState([]);
   const [categories, setCategories] = useState([]);
@@ -147,18 +149,8 @@ const Products = () => {
       return;
     }
 
-    try {
-      // For now, we'll use a simple API call to add to cart
-      // This can be replaced with CartContext once the context issue is resolved
-      await axios.post('/api/cart/add', {
-        productId: product._id,
-        quantity: 1
-      });
-      toast.success('Product added to cart!');
-    } catch (error) {
-      console.error('Add to cart error:', error);
-      toast.error('Failed to add product to cart');
-    }
+    // Posts to /api/cart/add and keeps the cart badge in sync
+    await addToCart(product, 1);
   };
 
   // Add to wishlist handler
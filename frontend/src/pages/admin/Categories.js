@@ -41,7 +41,7 @@ const AdminCategories = () => {
   const fetchCategories = async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/api/categories');
+      const response = await axios.get('/api/admin/categories');
       setCategories(response.data.categories);
     } catch (error) {
       console.error('Error fetching categories:', error);
@@ -53,7 +53,7 @@ const AdminCategories = () => {
 
   const fetchBrands = async () => {
     try {
-      const response = await axios.get('/api/brands');
+      const response = await axios.get('/api/admin/brands');
       setBrands(response.data.brands);
     } catch (error) {
       console.error('Error fetching brands:', error);
@@ -80,7 +80,7 @@ const AdminOrders = () => {
         }
       } catch (error) {
         console.error('Error updating order status:', error);
-        toast.error('Failed to update order status');
+        toast.error(error.response?.data?.message || 'Failed to update order status');
       } finally {
         setActionLoading(false);
       }
@@ -215,7 +215,7 @@ const AdminOrders = () => {
                       <option value="shipped">Shipped</option>
                       <option value="delivered">Delivered</option>
                       <option value="cancelled">Cancelled</option>
-                      <option value="refunded">Refunded</option>
+                      <option value="returned">Returned</option>
                     </select>
                   </div>
                   <div>
@@ -286,13 +286,13 @@ const AdminOrders = () => {
                           <tr key={order._id}>
                             <td>
                               <div className="font-mono text-sm">
-                                #{order._id.slice(-8).toUpperCase()}
+                                {order.orderNumber}
                               </div>
                             </td>
                             <td>
                               <div>
                                 <div className="font-semibold">
-                                  {order.customer?.name || 'Unknown Customer'}
+                                  {order.customer ? `${order.customer.firstName} ${order.customer.lastName}` : 'Unknown Customer'}
                                 </div>
                                 <div className="text-sm text-secondary">
                                   {order.customer?.email}
@@ -304,17 +304,17 @@ const AdminOrders = () => {
                                 {order.items?.length || 0} item(s)
                               </div>
                               <div className="text-xs text-secondary">
-                                {order.items?.slice(0, 2).map(item => item.product?.name).join(', ')}
+                                {order.items?.slice(0, 2).map(item => item.name).join(', ')}
                                 {order.items?.length > 2 && '...'}
                               </div>
                             </td>
                             <td>
                               <div className="font-semibold">
-                                {formatCurrency(order.totalAmount)}
+                                {formatCurrency(order.pricing?.total)}
                               </div>
-                              {order.paymentMethod && (
+                              {order.payment?.method && (
                                 <div className="text-xs text-secondary">
-                                  {order.paymentMethod}
+                                  {order.payment.method}
                                 </div>
                               )}
                             </td>
@@ -483,7 +483,7 @@ const OrderDetailsModal = ({ order, onClose, onStatusUpdate, actionLoading }) =>
       <div className="modal-box max-w-6xl">
         <div className="flex justify-between items-center mb-4">
           <h3 className="font-bold text-lg">
-            Order Details: #{order._id.slice(-8).toUpperCase()}
+            Order Details: {order.orderNumber}
           </h3>
           <button className="btn btn-sm btn-circle" onClick={onClose}>
             ✕
@@ -496,7 +496,7 @@ const OrderDetailsModal = ({ order, onClose, onStatusUpdate, actionLoading }) =>
             <div className="card-body">
               <h4 className="card-title text-base">Order Information</h4>
               <div className="space-y-2 text-sm">
-                <p><strong>Order ID:</strong> #{order._id.slice(-8).toUpperCase()}</p>
+                <p><strong>Order ID:</strong> {order.orderNumber}</p>
                 <p><strong>Status:</strong> 
                   <span className={`badge ml-2 ${
                     order.status === 'pending' ? 'badge-warning' :
@@ -511,9 +511,9 @@ const OrderDetailsModal = ({ order, onClose, onStatusUpdate, actionLoading }) =>
                   </span>
                 </p>
                 <p><strong>Order Date:</strong> {formatDate(order.createdAt)}</p>
-                <p><strong>Payment Method:</strong> {order.paymentMethod || 'N/A'}</p>
-                <p><strong>Payment Status:</strong> {order.paymentStatus || 'N/A'}</p>
-                <p><strong>Total Amount:</strong> {formatCurrency(order.totalAmount)}</p>
+                <p><strong>Payment Method:</strong> {order.payment?.method || 'N/A'}</p>
+                <p><strong>Payment Status:</strong> {order.payment?.status || 'N/A'}</p>
+                <p><strong>Total Amount:</strong> {formatCurrency(order.pricing?.total)}</p>
               </div>
             </div>
           </div>
@@ -523,7 +523,7 @@ const OrderDetailsModal = ({ order, onClose, onStatusUpdate, actionLoading }) =>
             <div className="card-body">
               <h4 className="card-title text-base">Customer Information</h4>
               <div className="space-y-2 text-sm">
-                <p><strong>Name:</strong> {order.customer?.name || 'N/A'}</p>
+                <p><strong>Name:</strong> {order.customer ? `${order.customer.firstName} ${order.customer.lastName}` : 'N/A'}</p>
                 <p><strong>Email:</strong> {order.customer?.email || 'N/A'}</p>
                 <p><strong>Phone:</strong> {order.customer?.phone || 'N/A'}</p>
               </div>
@@ -567,21 +567,21 @@ const OrderDetailsModal = ({ order, onClose, onStatusUpdate, actionLoading }) =>
                         {item.product?.images?.[0] && (
                           <div className="avatar">
                             <div className="mask mask-squircle w-12 h-12">
-                              <img src={item.product.images[0].url} alt={item.product.name} />
+                              <img src={item.product.images[0].url} alt={item.name} />
                             </div>
                           </div>
                         )}
                         <div>
-                          <div className="font-semibold">{item.product?.name || 'Unknown Product'}</div>
-                          {item.variant && (
+                          <div className="font-semibold">{item.name}</div>
+                          {item.variant?.value && (
                             <div className="text-xs text-secondary">
-                              {item.variant.option}: {item.variant.value}
+                              {item.variant.name}: {item.variant.value}
                             </div>
                           )}
                         </div>
                       </div>
                     </td>
-                    <td>{item.vendor?.businessName || 'Unknown Vendor'}</td>
+                    <td>{order.vendor?.businessName || 'Unknown Vendor'}</td>
                     <td>{formatCurrency(item.price)}</td>
                     <td>{item.quantity}</td>
                     <td>{formatCurrency(item.price * item.quantity)}</td>
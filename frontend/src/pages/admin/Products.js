@@ -82,18 +82,15 @@ const AdminProducts = () => {
   };
 
   const updateProductStatus = async (productId, newStatus) => {
-    if (window.confirm(`Are you sure you want to ${newStatus} this product?`)) {
+    const action = newStatus === 'active' ? 'activate' : 'deactivate';
+    if (window.confirm(`Are you sure you want to ${action} this product?`)) {
       try {
         setActionLoading(true);
-        const reason = prompt(`Please provide a reason for ${newStatus}ing this product:`);
-        if (!reason) return;
-
         await axios.put(`/api/admin/products/${productId}/status`, {
-          status: newStatus,
-          reason
+          status: newStatus
         });
 
-        toast.success(`Product ${newStatus} successfully`);
+        toast.success(`Product ${action}d successfully`);
         fetchProducts();
       } catch (error) {
         console.error('Error updating product status:', error);
@@ -197,7 +194,8 @@ const AdminProducts = () => {
                       <option value="">All Status</option>
                       <option value="active">Active</option>
                       <option value="inactive">Inactive</option>
-                      <option value="suspended">Suspended</option>
+                      <option value="draft">Draft</option>
+                      <option value="discontinued">Discontinued</option>
                       <option value="out_of_stock">Out of Stock</option>
                     </select>
                   </div>
@@ -323,32 +321,32 @@ const AdminProducts = () => {
                             </td>
                             <td>
                               <div className="font-semibold">
-                                ${product.price?.toFixed(2)}
+                                ${(product.price?.discounted ?? product.price?.original)?.toFixed(2)}
                               </div>
-                              {product.comparePrice && (
+                              {product.price?.discounted != null && (
                                 <div className="text-xs text-secondary line-through">
-                                  ${product.comparePrice.toFixed(2)}
+                                  ${product.price.original.toFixed(2)}
                                 </div>
                               )}
                             </td>
                             <td>
                               <div className={`font-semibold ${
-                                product.stock <= 0 ? 'text-error' :
-                                product.stock <= 10 ? 'text-warning' :
+                                (product.inventory?.quantity ?? 0) <= 0 ? 'text-error' :
+                                (product.inventory?.quantity ?? 0) <= 10 ? 'text-warning' :
                                 'text-success'
                               }`}>
-                                {product.stock}
+                                {product.inventory?.quantity ?? 0}
                               </div>
                               <div className="text-xs text-secondary">
-                                {product.stock <= 0 ? 'Out of Stock' :
-                                 product.stock <= 10 ? 'Low Stock' : 'In Stock'}
+                                {(product.inventory?.quantity ?? 0) <= 0 ? 'Out of Stock' :
+                                 (product.inventory?.quantity ?? 0) <= 10 ? 'Low Stock' : 'In Stock'}
                               </div>
                             </td>
                             <td>
                               <span className={`badge ${
                                 product.status === 'active' ? 'badge-success' :
                                 product.status === 'inactive' ? 'badge-warning' :
-                                product.status === 'suspended' ? 'badge-error' :
+                                product.status === 'discontinued' ? 'badge-error' :
                                 'badge-secondary'
                               }`}>
                                 {product.status}
@@ -380,15 +378,15 @@ const AdminProducts = () => {
                                   {product.status === 'active' && (
                                     <li>
                                       <button 
-                                        onClick={() => updateProductStatus(product._id, 'suspended')}
+                                        onClick={() => updateProductStatus(product._id, 'inactive')}
                                         disabled={actionLoading}
                                       >
                                         <i className="fas fa-ban text-warning"></i>
-                                        Suspend
+                                        Deactivate
                                       </button>
                                     </li>
                                   )}
-                                  {product.status === 'suspended' && (
+                                  {product.status === 'inactive' && (
                                     <li>
                                       <button 
                                         onClick={() => updateProductStatus(product._id, 'active')}
@@ -537,11 +535,11 @@ const ProductDetailsModal = ({ product, onClose }) => {
               <div className="space-y-2 text-sm">
                 <p><strong>Name:</strong> {product.name}</p>
                 <p><strong>Description:</strong> {product.description}</p>
-                <p><strong>Price:</strong> ${product.price?.toFixed(2)}</p>
-                {product.comparePrice && (
-                  <p><strong>Compare Price:</strong> ${product.comparePrice.toFixed(2)}</p>
+                <p><strong>Price:</strong> ${(product.price?.discounted ?? product.price?.original)?.toFixed(2)}</p>
+                {product.price?.discounted != null && (
+                  <p><strong>Compare Price:</strong> ${product.price.original.toFixed(2)}</p>
                 )}
-                <p><strong>Stock:</strong> {product.stock}</p>
+                <p><strong>Stock:</strong> {product.inventory?.quantity ?? 0}</p>
                 <p><strong>SKU:</strong> {product.sku || 'N/A'}</p>
                 <p><strong>Status:</strong> 
                   <span className={`badge ml-2 ${
@@ -2,38 +2,79 @@ import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet-async';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  BarChart,
+  Area,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 
 const AdminReports = () => {
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
   const [dateRange, setDateRange] = useState('month');
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
+  const [groupBy, setGroupBy] = useState('');
+  const [seriesInterval, setSeriesInterval] = useState('day');
+  const [exportFormat, setExportFormat] = useState('csv');
   const [reportData, setReportData] = useState({});
   const [salesData, setSalesData] = useState([]);
+  const [salesTotals, setSalesTotals] = useState({});
+  const [registrations, setRegistrations] = useState([]);
   const [vendorReports, setVendorReports] = useState([]);
   const [productReports, setProductReports] = useState([]);
   const [userReports, setUserReports] = useState([]);
 
+  // A custom range is only fetched once both of its dates are picked
+  const rangeReady = dateRange !== 'custom' || (customRange.from && customRange.to);
+
   useEffect(() => {
-    fetchReportData();
-  }, [dateRange]);
+    if (rangeReady) {
+      fetchReportData();
+    }
+  }, [dateRange, customRange, groupBy]);
+
+  // Query string for the selected range; the server picks the bucket size
+  // and falls back to the store's time zone when they are left out
+  const reportQuery = (extra = {}) => {
+    const params = new URLSearchParams(extra);
+    if (dateRange === 'custom') {
+      params.set('from', customRange.from);
+      params.set('to', customRange.to);
+    } else {
+      params.set('period', dateRange);
+    }
+    if (groupBy) params.set('interval', groupBy);
+    return params.toString();
+  };
 
   const fetchReportData = async () => {
     try {
       setLoading(true);
+      const query = reportQuery();
       const [overview, sales, vendors, products, users] = await Promise.all([
-        axios.get(`/api/admin/reports/overview?period=${dateRange}`),
-        axios.get(`/api/admin/reports/sales?period=${dateRange}`),
-        axios.get(`/api/admin/reports/vendors?period=${dateRange}`),
-        axios.get(`/api/admin/reports/products?period=${dateRange}`),
-        axios.get(`/api/admin/reports/users?period=${dateRange}`)
+        axios.get(`/api/admin/reports/overview?${query}`),
+        axios.get(`/api/admin/reports/sales?${query}`),
+        axios.get(`/api/admin/reports/vendors?${query}`),
+        axios.get(`/api/admin/reports/products?${query}`),
+        axios.get(`/api/admin/reports/users?${query}`)
       ]);
 
       setReportData(overview.data);
       setSalesData(sales.data.salesData || []);
+      setSalesTotals(sales.data.totals || {});
+      setSeriesInterval(sales.data.interval || 'day');
       setVendorReports(vendors.data.vendors || []);
       setProductReports(products.data.products || []);
       setUserReports(users.data.users || []);
+      setRegistrations(users.data.registrations || []);
     } catch (error) {
       console.error('Error fetching report data:', error);
       toast.error('Failed to load report data');
@@ -44,17 +85,20 @@ const AdminReports = () => {
 
   const exportReport = async (reportType) => {
     try {
-      const response = await axios.get(`/api/admin/reports/export/${reportType}?period=${dateRange}`, {
+      const response = await axios.get(`/api/admin/reports/export/${reportType}?${reportQuery({ format: exportFormat })}`, {
         responseType: 'blob'
       });
-      
+      const filename = response.headers['content-disposition']?.match(/filename="([^"]+)"/)?.[1] ||
+        `${reportType}_report_${dateRange}.${exportFormat}`;
+
       const url = window.URL.createObjectURL(new Blob([response.data]));
       const link = document.createElement('a');
       link.href = url;
-      link.setAttribute('download', `${reportType}_report_${dateRange}.csv`);
+      link.setAttribute('download', filename);
       document.body.appendChild(link);
       link.click();
       link.remove();
+      window.URL.revokeObjectURL(url);
       
       toast.success(`${reportType} report exported successfully`);
     } catch (error) {
@@ -78,6 +122,19 @@ const AdminReports = () => {
     return `${(num || 0).toFixed(1)}%`;
   };
 
+  const formatGrowth = (num) => {
+    return `${num > 0 ? '+' : ''}${formatPercentage(num)}`;
+  };
+
+  // Series dates are the local day each bucket starts on
+  const formatBucket = (date) => {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+      month: 'short',
+      day: seriesInterval === 'month' ? undefined : 'numeric',
+      year: seriesInterval === 'month' ? 'numeric' : undefined
+    });
+  };
+
   if (loading) {
     return <LoadingSpinner message="Loading reports..." />;
   }
@@ -103,7 +160,52 @@ const AdminReports = () => {
                 <option value="month">Last 30 Days</option>
                 <option value="quarter">Last 3 Months</option>
                 <option value="year">Last 12 Months</option>
+                <option value="custom">Custom Range</option>
+              </select>
+              {dateRange === 'custom' && (
+                <>
+                  <input
+                    type="date"
+                    className="input input-bordered"
+                    value={customRange.from}
+                    max={customRange.to || undefined}
+                    onChange={(e) => setCustomRange({ ...customRange, from: e.target.value })}
+                  />
+                  <input
+                    type="date"
+                    className="input input-bordered"
+                    value={customRange.to}
+                    min={customRange.from || undefined}
+                    onChange={(e) => setCustomRange({ ...customRange, to: e.target.value })}
+                  />
+                </>
+              )}
+              <select
+                className="select select-bordered"
+                value={groupBy}
+                onChange={(e) => setGroupBy(e.target.value)}
+              >
+                <option value="">Auto</option>
+                <option value="day">Daily</option>
+                <option value="week">Weekly</option>
+                <option value="month">Monthly</option>
+              </select>
+              <select
+                className="select select-bordered"
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+              >
+                <option value="csv">CSV</option>
+                <option value="xlsx">Excel</option>
               </select>
+              <button
+                className="btn btn-outline"
+                onClick={() => exportReport('transactions')}
+                disabled={!rangeReady}
+              >
+                <i className="fas fa-file-export mr-2"></i>
+                Export Orders
+              </button>
             </div>
           </div>
 
@@ -210,12 +312,22 @@ const AdminReports = () => {
                         Export
                       </button>
                     </div>
-                    <div className="h-64 flex items-center justify-center text-secondary">
-                      <div className="text-center">
-                        <i className="fas fa-chart-line text-4xl mb-2"></i>
-                        <p>Revenue chart would be displayed here</p>
-                        <p className="text-sm">Integration with Chart.js or similar library needed</p>
-                      </div>
+                    <div className="h-64">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <ComposedChart data={salesData}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="date" tickFormatter={formatBucket} />
+                          <YAxis yAxisId="revenue" tickFormatter={formatCurrency} width={80} />
+                          <YAxis yAxisId="orders" orientation="right" allowDecimals={false} />
+                          <Tooltip
+                            labelFormatter={formatBucket}
+                            formatter={(value, name) => [name === 'Revenue' ? formatCurrency(value) : formatNumber(value), name]}
+                          />
+                          <Legend />
+                          <Bar yAxisId="orders" dataKey="orders" name="Orders" fill="#93c5fd" />
+                          <Area yAxisId="revenue" type="monotone" dataKey="revenue" name="Revenue" stroke="#2563eb" fill="#2563eb" fillOpacity={0.15} />
+                        </ComposedChart>
+                      </ResponsiveContainer>
                     </div>
                   </div>
                 </div>
@@ -270,11 +382,24 @@ const AdminReports = () => {
                 </button>
               </div>
 
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                <div className="stat bg-base-200 rounded-lg">
-                  <div className="stat-title">Average Order Value</div>
-                  <div className="stat-value text-primary">{formatCurrency(reportData.averageOrderValue)}</div>
-                </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                {[
+                  { key: 'revenue', title: 'Revenue', format: formatCurrency },
+                  { key: 'orders', title: 'Orders', format: formatNumber },
+                  { key: 'commission', title: 'Commission', format: formatCurrency },
+                  { key: 'averageOrderValue', title: 'Average Order Value', format: formatCurrency }
+                ].map(({ key, title, format }) => (
+                  <div key={key} className="stat bg-base-200 rounded-lg">
+                    <div className="stat-title">{title}</div>
+                    <div className="stat-value text-primary">{format(salesTotals[key]?.current)}</div>
+                    <div className={`stat-desc ${salesTotals[key]?.change < 0 ? 'text-error' : 'text-success'}`}>
+                      {formatGrowth(salesTotals[key]?.growth)} vs {format(salesTotals[key]?.previous)} last period
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div className="stat bg-base-200 rounded-lg">
                   <div className="stat-title">Conversion Rate</div>
                   <div className="stat-value text-success">{formatPercentage(reportData.conversionRate)}</div>
@@ -495,6 +620,25 @@ const AdminReports = () => {
                 </div>
               </div>
 
+              <div className="card bg-base-100 shadow-md">
+                <div className="card-body">
+                  <h3 className="card-title mb-4">Registrations</h3>
+                  <div className="h-64">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart data={registrations}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="date" tickFormatter={formatBucket} />
+                        <YAxis allowDecimals={false} />
+                        <Tooltip labelFormatter={formatBucket} />
+                        <Legend />
+                        <Bar dataKey="customers" name="Customers" stackId="signups" fill="#2563eb" />
+                        <Bar dataKey="vendors" name="Vendors" stackId="signups" fill="#f59e0b" />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+              </div>
+
               <div className="card bg-base-100 shadow-md">
                 <div className="card-body">
                   <h3 className="card-title mb-4">Top Customers</h3>
@@ -21,7 +21,10 @@ const AdminSettings = () => {
     timezone: '',
     currency: 'USD',
     language: 'en',
-    maintenanceMode: false
+    maintenanceMode: false,
+    maintenanceMessage: '',
+    maintenanceRetryMinutes: 30,
+    maintenanceAllowedIps: []
   });
 
   // Payment Settings
@@ -33,10 +36,21 @@ const AdminSettings = () => {
     paypalClientId: '',
     paypalClientSecret: '',
     paypalMode: 'sandbox',
+    codEnabled: true,
     commissionRate: 10,
     minimumPayout: 50
   });
 
+  // Checkout Settings
+  const [checkoutSettings, setCheckoutSettings] = useState({
+    taxRate: 8,
+    freeShippingThreshold: 50
+  });
+
+  // Version of each group the form was loaded with, so a save can't
+  // overwrite someone else's changes
+  const [versions, setVersions] = useState({});
+
   useEffect(() => {
     fetchSettings();
   }, []);
@@ -49,6 +63,8 @@ const AdminSettings = () => {
       
       setGeneralSettings(settings.general || generalSettings);
       setPaymentSettings(settings.payment || paymentSettings);
+      setCheckoutSettings(settings.checkout || checkoutSettings);
+      setVersions(response.data.versions || {});
     } catch (error) {
       console.error('Error fetching settings:', error);
       toast.error('Failed to load settings');
@@ -60,10 +76,16 @@ const AdminSettings = () => {
   const saveSettings = async (settingsType, settingsData) => {
     try {
       setActionLoading(true);
-      await axios.put('/api/admin/settings', {
+      const response = await axios.put('/api/admin/settings', {
         type: settingsType,
-        settings: settingsData
+        settings: settingsData,
+        version: versions[settingsType]
       });
+      setVersions({ ...versions, [settingsType]: response.data.version });
+      if (settingsType === 'payment') {
+        // Secrets come back blank once saved
+        setPaymentSettings(response.data.settings);
+      }
       toast.success(`${settingsType} settings saved successfully`);
     } catch (error) {
       console.error('Error saving settings:', error);
@@ -106,6 +128,13 @@ const AdminSettings = () => {
               <i className="fas fa-credit-card mr-2"></i>
               Payment
             </button>
+            <button 
+              className={`tab ${activeTab === 'checkout' ? 'tab-active' : ''}`}
+              onClick={() => setActiveTab('checkout')}
+            >
+              <i className="fas fa-shopping-cart mr-2"></i>
+              Checkout
+            </button>
           </div>
 
           {/* General Settings Tab */}
@@ -223,9 +252,59 @@ const AdminSettings = () => {
                         />
                       </label>
                       <div className="label">
-                        <span className="label-text-alt">Enable to put the site in maintenance mode</span>
+                        <span className="label-text-alt">Enable to put the site in maintenance mode. Admins keep full access.</span>
                       </div>
                     </div>
+
+                    {generalSettings.maintenanceMode && (
+                      <>
+                        <div className="form-control md:col-span-2">
+                          <label className="label">
+                            <span className="label-text">Maintenance Message</span>
+                          </label>
+                          <textarea
+                            className="textarea textarea-bordered"
+                            rows="2"
+                            value={generalSettings.maintenanceMessage}
+                            onChange={(e) => setGeneralSettings({...generalSettings, maintenanceMessage: e.target.value})}
+                          />
+                        </div>
+
+                        <div className="form-control">
+                          <label className="label">
+                            <span className="label-text">Expected Downtime (minutes)</span>
+                          </label>
+                          <input
+                            type="number"
+                            min="1"
+                            className="input input-bordered"
+                            value={generalSettings.maintenanceRetryMinutes}
+                            onChange={(e) => setGeneralSettings({...generalSettings, maintenanceRetryMinutes: parseInt(e.target.value, 10)})}
+                          />
+                          <div className="label">
+                            <span className="label-text-alt">Sent as Retry-After; the maintenance screen checks again after this long</span>
+                          </div>
+                        </div>
+
+                        <div className="form-control">
+                          <label className="label">
+                            <span className="label-text">Allowed IP Addresses</span>
+                          </label>
+                          <textarea
+                            className="textarea textarea-bordered"
+                            rows="3"
+                            placeholder="One per line"
+                            value={Array.isArray(generalSettings.maintenanceAllowedIps)
+                              ? generalSettings.maintenanceAllowedIps.join('\n')
+                              : generalSettings.maintenanceAllowedIps}
+                            onChange={(e) => setGeneralSettings({...generalSettings, maintenanceAllowedIps: e.target.value})}
+                          />
+                          <div className="label">
+                            <span className="label-text-alt">These addresses keep full access during maintenance</span>
+                          </div>
+                        </div>
+                      </>
+                    )}
                   </div>
 
                   <div className="card-actions justify-end mt-6">
@@ -291,6 +370,7 @@ const AdminSettings = () => {
                             <input
                               type="password"
                               className="input input-bordered"
+                              placeholder="Leave blank to keep the saved secret"
                               value={paymentSettings.stripeSecretKey}
                               onChange={(e) => setPaymentSettings({...paymentSettings, stripeSecretKey: e.target.value})}
                             />
@@ -331,6 +411,7 @@ const AdminSettings = () => {
                             <input
                               type="password"
                               className="input input-bordered"
+                              placeholder="Leave blank to keep the saved secret"
                               value={paymentSettings.paypalClientSecret}
                               onChange={(e) => setPaymentSettings({...paymentSettings, paypalClientSecret: e.target.value})}
                             />
@@ -339,6 +420,19 @@ const AdminSettings = () => {
                       )}
                     </div>
 
+                    {/* Cash on Delivery */}
+                    <div className="border rounded-lg p-4">
+                      <div className="flex items-center justify-between">
+                        <h3 className="text-lg font-semibold">Cash on Delivery</h3>
+                        <input
+                          type="checkbox"
+                          className="checkbox"
+                          checked={paymentSettings.codEnabled}
+                          onChange={(e) => setPaymentSettings({...paymentSettings, codEnabled: e.target.checked})}
+                        />
+                      </div>
+                    </div>
+
                     {/* Commission Settings */}
                     <div className="border rounded-lg p-4">
                       <h3 className="text-lg font-semibold mb-4">Commission Settings</h3>
@@ -347,6 +441,7 @@ const AdminSettings = () => {
                           <label className="label">
                             <span className="label-text">Commission Rate (%)</span>
                           </label>
+                          <span className="text-sm text-gray-500 mb-1">Applies to vendors without their own rate</span>
                           <input
                             type="number"
                             min="0"
@@ -397,6 +492,68 @@ const AdminSettings = () => {
               </div>
             </div>
           )}
+
+          {/* Checkout Settings Tab */}
+          {activeTab === 'checkout' && (
+            <div className="card bg-base-100 shadow-md">
+              <div className="card-body">
+                <h2 className="card-title mb-4">Checkout Settings</h2>
+                <form onSubmit={(e) => { e.preventDefault(); saveSettings('checkout', checkoutSettings); }}>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="form-control">
+                      <label className="label">
+                        <span className="label-text">Default Tax Rate (%)</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        className="input input-bordered"
+                        value={checkoutSettings.taxRate}
+                        onChange={(e) => setCheckoutSettings({...checkoutSettings, taxRate: parseFloat(e.target.value)})}
+                      />
+                      <span className="text-sm text-gray-500 mt-1">Charged where no tax zone covers the shipping address</span>
+                    </div>
+                    <div className="form-control">
+                      <label className="label">
+                        <span className="label-text">Free Shipping Threshold ($)</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        className="input input-bordered"
+                        value={checkoutSettings.freeShippingThreshold}
+                        onChange={(e) => setCheckoutSettings({...checkoutSettings, freeShippingThreshold: parseFloat(e.target.value)})}
+                      />
+                      <span className="text-sm text-gray-500 mt-1">Domestic orders from one vendor at or above this ship free (0 turns it off)</span>
+                    </div>
+                  </div>
+
+                  <div className="card-actions justify-end mt-6">
+                    <button 
+                      type="submit" 
+                      className="btn btn-primary"
+                      disabled={actionLoading}
+                    >
+                      {actionLoading ? (
+                        <>
+                          <span className="loading loading-spinner loading-sm"></span>
+                          Saving...
+                        </>
+                      ) : (
+                        <>
+                          <i className="fas fa-save mr-2"></i>
+                          Save Checkout Settings
+                        </>
+                      )}
+                    </button>
+                  </div>
+                </form>
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </>